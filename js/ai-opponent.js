@@ -4,15 +4,17 @@
  */
 
 class AIOpponent {
-    constructor(difficulty = 'medium') {
+    constructor(difficulty = 'medium', random = Math.random) {
         this.difficulty = difficulty;
+        this.random = random; // Battles pass their seeded stream so decisions replay exactly
         this.personality = this.generatePersonality();
         this.memory = {
             playerActions: [],
             ownActions: [],
             damageDealt: 0,
             damageTaken: 0,
-            turnsElapsed: 0
+            turnsElapsed: 0,
+            lastSwitchTurn: null
         };
         
         // AI behavior parameters based on difficulty
@@ -79,7 +81,7 @@ class AIOpponent {
             }
         ];
 
-        return personalities[Math.floor(Math.random() * personalities.length)];
+        return personalities[Math.floor(this.random() * personalities.length)];
     }
 
     /**
@@ -118,7 +120,9 @@ class AIOpponent {
     /**
      * Make AI decision for battle action
      * @param {Object} battleState - Current battle state
-     * @returns {string} Chosen action ('attack', 'special', 'defend')
+     * @returns {string} Id of the chosen move, or its kind ('attack', 'special', 'defend')
+     *                   when the battle state lists no available moves, or a switch action
+     *                   (GameConstants.SWITCH_ACTION_PREFIX + team index)
      */
     makeDecision(battleState) {
         // Update memory with current battle state
@@ -127,19 +131,127 @@ class AIOpponent {
         // Analyze battle situation
         const situation = this.analyzeBattleSituation(battleState);
 
+        // Pull out of a losing matchup when a teammate fares better
+        const switchIndex = this.selectSwitchTarget(battleState, situation);
+        if (switchIndex !== null) {
+            this.memory.lastSwitchTurn = this.memory.turnsElapsed;
+            this.logDecision('switch', situation);
+            return `${GameConstants.SWITCH_ACTION_PREFIX}${switchIndex}`;
+        }
+
         // Determine strategy based on situation
         const strategy = this.determineStrategy(situation);
 
         // Make decision based on strategy and personality
         let decision = this.executeStrategy(strategy, situation, battleState);
 
+        // Spend energy when the meter is full and keep the last special for when it counts
+        decision = this.applyEnergyPlanning(decision, situation);
+
+        // Steer away from moves the player's traits punish
+        decision = this.applyTraitAwareness(decision, situation);
+
+        // Cure ailments that are wearing the AI down and inflict them on the player
+        decision = this.applyStatusAwareness(decision, situation);
+
         // Apply difficulty-based modifications
         decision = this.applyDifficultyModifications(decision, situation);
 
         // Log decision for learning
         this.logDecision(decision, situation);
 
-        return decision;
+        // Turn the chosen kind of action into one of the creature's actual moves
+        const move = this.selectMove(decision, battleState);
+        return move ? move.id : decision;
+    }
+
+    /**
+     * Decide whether to switch to a benched teammate
+     * Only a losing matchup is worth giving up the turn for: the player's moves hit the active creature
+     * harder than its moves hit back, and a teammate scores better. Adaptable, accurate AIs spot it more often
+     * @param {Object} battleState - Current battle state, with matchup and switchOptions
+     * @param {Object} situation - Situation analysis
+     * @returns {number|null} Team index to switch to, or null to stay in
+     */
+    selectSwitchTarget(battleState, situation) {
+        const options = (battleState.switchOptions || []).filter(option => option.usable);
+        const current = battleState.matchup;
+        if (options.length === 0 || !current || current.defense <= current.offense) {
+            return null;
+        }
+
+        // Don't bounce between creatures every turn
+        if (this.memory.lastSwitchTurn !== null && this.memory.turnsElapsed - this.memory.lastSwitchTurn < 3) {
+            return null;
+        }
+
+        const score = (matchup, hpRatio) => matchup.offense - matchup.defense + hpRatio / 2;
+        const aiCreature = battleState.opponentCreature;
+        const currentScore = score(current, aiCreature.stats.hp / aiCreature.stats.maxHp) +
+            (situation.aiHealthStatus === 'healthy' ? 0.25 : 0);
+        const best = options.reduce((top, option) =>
+            score(option.matchup, option.hpRatio) > score(top.matchup, top.hpRatio) ? option : top);
+
+        if (score(best.matchup, best.hpRatio) <= currentScore) {
+            return null;
+        }
+
+        const switchChance = (this.personality.traits.adaptability + this.behaviorParams.decisionAccuracy) / 2;
+        return this.random() < switchChance ? best.index : null;
+    }
+
+    /**
+     * Pick one of the opponent's moves for the chosen kind of action
+     * Accurate AIs take the move with the best expected value, the rest pick at random
+     * @param {string} kind - Chosen action kind ('attack', 'special', 'defend')
+     * @param {Object} battleState - Current battle state
+     * @returns {Move|null} Chosen move or null if no moves are available
+     */
+    selectMove(kind, battleState) {
+        const usableMoves = (battleState.availableMoves || []).filter(move => move.usable);
+        if (usableMoves.length === 0) {
+            return null;
+        }
+
+        // Fall back to any damaging move when nothing of the chosen kind is usable
+        let candidates = usableMoves.filter(move => move.kind === kind);
+        if (candidates.length === 0) {
+            candidates = usableMoves.filter(move => move.kind !== 'defend');
+        }
+        if (candidates.length === 0) {
+            candidates = usableMoves;
+        }
+
+        if (this.random() < this.behaviorParams.decisionAccuracy) {
+            return candidates.reduce((best, move) => 
+                this.scoreMove(move) > this.scoreMove(best) ? move : best);
+        }
+
+        return candidates[Math.floor(this.random() * candidates.length)];
+    }
+
+    /**
+     * Estimate how valuable a move is
+     * @param {Move} move - Move annotated with its elemental effectiveness, hit chance and status (see BattleEngine.getAvailableMoves)
+     * @returns {number} Expected value score
+     */
+    scoreMove(move) {
+        // A status that could take hold right now is worth its chance of landing
+        const statusChance = move.status && move.status.applicable ? move.status.chance : 0;
+
+        if (move.kind === 'defend') {
+            return move.power + statusChance * 10;
+        }
+
+        // The hit chance already accounts for the speed matchup; fall back to raw accuracy
+        const hitChance = move.hitChance !== undefined ? move.hitChance : move.accuracy;
+        let score = move.power * hitChance * (move.effectiveness || 1) * (1 + statusChance / 2);
+        if (move.effect && move.effect.type === 'drain') {
+            score *= 1 + move.effect.amount / 2;
+        } else if (move.effect && move.effect.type === 'recoil') {
+            score *= 1 - move.effect.amount / 2;
+        }
+        return score;
     }
 
     /**
@@ -201,13 +313,65 @@ class AIOpponent {
             urgency: this.calculateUrgency(aiHpPercentage, playerHpPercentage),
 
             // Special conditions
-            canUseSpecial: battleState.opponentActions.specialAttacksUsed < 3,
-            shouldAvoidDefend: battleState.opponentActions.consecutiveDefends >= 2
+            canUseSpecial: battleState.availableMoves
+                ? battleState.availableMoves.some(move => move.kind === 'special' && move.usable)
+                : Boolean(battleState.opponentEnergy) && battleState.opponentEnergy.current >= GameConstants.ENERGY.costPerPoint,
+            shouldAvoidDefend: battleState.opponentActions.consecutiveDefends >= 2,
+
+            // Energy: a full meter wastes the next attack's regeneration
+            aiEnergyFull: Boolean(battleState.opponentEnergy) &&
+                battleState.opponentEnergy.current + GameConstants.ENERGY.regen.attack > battleState.opponentEnergy.max,
+            specialsAffordable: this.countAffordableSpecials(battleState),
+
+            // Passive traits
+            aiTraits: aiCreature.traits || [],
+            playerTraits: playerCreature.traits || [],
+            // Thorns punish attack moves, so specials are worth more against them
+            avoidAttacks: (playerCreature.traits || []).includes('thorns'),
+            // A player that will survive one more KO cannot be finished in one hit
+            playerCanEndure: (playerCreature.traits || []).includes('lastStand') &&
+                !battleState.playerLastStandUsed,
+
+            // Statuses
+            aiCurableDamage: this.getCurableDamage(battleState.opponentStatuses),
+            canInflictAilment: (battleState.availableMoves || []).some(move =>
+                move.kind === 'special' && move.usable && move.status && !move.status.self &&
+                move.status.applicable && GameConstants.STATUS_EFFECTS[move.status.id].kind === 'ailment')
         };
 
         return situation;
     }
 
+    /**
+     * Count how many of its cheapest special the AI could still pay for
+     * @param {Object} battleState - Current battle state, with availableMoves and opponentEnergy
+     * @returns {number} Specials the current energy covers (0 without energy or specials)
+     */
+    countAffordableSpecials(battleState) {
+        const energy = battleState.opponentEnergy;
+        const costs = (battleState.availableMoves || [])
+            .filter(move => move.kind === 'special')
+            .map(move => move.energyCost);
+        if (!energy || costs.length === 0) {
+            return 0;
+        }
+
+        const cheapest = Math.min(...costs);
+        return cheapest > 0 ? Math.floor(energy.current / cheapest) : Infinity;
+    }
+
+    /**
+     * Estimate how much HP the AI's curable ailments will still cost it
+     * @param {ActiveStatus[]} statuses - AI creature's statuses
+     * @returns {number} Remaining damage as a fraction of max HP
+     */
+    getCurableDamage(statuses = []) {
+        return (statuses || []).reduce((total, status) => {
+            const effect = GameConstants.STATUS_EFFECTS[status.id];
+            return effect.curable ? total + effect.amount * status.stacks * status.turnsLeft : total;
+        }, 0);
+    }
+
     /**
      * Get health status category
      * @param {number} hpPercentage - HP percentage (0-1)
@@ -340,6 +504,21 @@ class AIOpponent {
             strategyScores.defensive -= 0.3;
         }
 
+        // Trait adjustments: sturdy or self-healing AIs can afford to wait, while a
+        // regenerating player has to be worn down quickly
+        if (situation.aiTraits.includes('ironWall')) {
+            strategyScores.defensive += 0.2;
+        }
+        if (situation.aiTraits.includes('regenerate')) {
+            strategyScores.defensive += 0.1;
+        }
+        if (situation.playerTraits.includes('regenerate')) {
+            strategyScores.aggressive += 0.2;
+        }
+        if (situation.playerCanEndure && situation.playerHealthStatus === 'desperate') {
+            strategyScores.tactical += 0.2;
+        }
+
         // Player pattern counter-strategies
         if (situation.playerPattern.type === 'attack_heavy') {
             strategyScores.defensive += 0.3;
@@ -386,12 +565,12 @@ class AIOpponent {
      */
     executeAggressiveStrategy(situation, battleState) {
         // Prefer special attacks when available
-        if (situation.canUseSpecial && Math.random() < 0.6) {
+        if (situation.canUseSpecial && this.random() < 0.6) {
             return 'special';
         }
         
         // Use normal attacks most of the time
-        if (Math.random() < 0.8) {
+        if (this.random() < 0.8) {
             return 'attack';
         }
         
@@ -408,18 +587,18 @@ class AIOpponent {
     executeDefensiveStrategy(situation, battleState) {
         // Avoid consecutive defends
         if (situation.shouldAvoidDefend) {
-            return Math.random() < 0.7 ? 'attack' : 'special';
+            return this.random() < 0.7 ? 'attack' : 'special';
         }
         
         // Defend when health is low
-        if (situation.aiHealthStatus === 'critical' && Math.random() < 0.6) {
+        if (situation.aiHealthStatus === 'critical' && this.random() < 0.6) {
             return 'defend';
         }
         
         // Mix of attacks and defends
-        if (Math.random() < 0.4) {
+        if (this.random() < 0.4) {
             return 'defend';
-        } else if (Math.random() < 0.7) {
+        } else if (this.random() < 0.7) {
             return 'attack';
         } else {
             return 'special';
@@ -439,12 +618,12 @@ class AIOpponent {
         }
         
         // Use special attacks strategically
-        if (situation.canUseSpecial && situation.urgency > 0.5 && Math.random() < 0.4) {
+        if (situation.canUseSpecial && situation.urgency > 0.5 && this.random() < 0.4) {
             return 'special';
         }
         
         // Balanced approach
-        const rand = Math.random();
+        const rand = this.random();
         if (rand < 0.5) {
             return 'attack';
         } else if (rand < 0.75) {
@@ -472,6 +651,67 @@ class AIOpponent {
         }
     }
 
+    /**
+     * Plan energy use instead of spending it whenever a special looks good
+     * A full meter is spent before regeneration goes to waste; the last special the meter covers is
+     * saved for finishing a weakened player or an emergency, more reliably by consistent AIs
+     * @param {string} decision - Initial decision
+     * @param {Object} situation - Battle situation
+     * @returns {string} Adjusted decision
+     */
+    applyEnergyPlanning(decision, situation) {
+        if (decision === 'attack' && situation.canUseSpecial && situation.aiEnergyFull &&
+            this.random() < this.behaviorParams.decisionAccuracy) {
+            return 'special';
+        }
+
+        const finishingBlow = ['critical', 'desperate'].includes(situation.playerHealthStatus);
+        if (decision === 'special' && situation.specialsAffordable === 1 && !finishingBlow &&
+            situation.urgency < 0.5 && this.random() < this.behaviorParams.strategyConsistency) {
+            return 'attack';
+        }
+
+        return decision;
+    }
+
+    /**
+     * Adjust a decision for the creatures' passive traits
+     * @param {string} decision - Initial decision
+     * @param {Object} situation - Battle situation
+     * @returns {string} Adjusted decision
+     */
+    applyTraitAwareness(decision, situation) {
+        // Thorns reflect attack moves, so use a special instead when one is available
+        if (decision === 'attack' && situation.avoidAttacks && situation.canUseSpecial &&
+            this.random() < this.behaviorParams.decisionAccuracy) {
+            return 'special';
+        }
+
+        return decision;
+    }
+
+    /**
+     * Adjust a decision for statuses
+     * Defending cures poison and burn, which is worth a turn once they threaten a good share of
+     * HP; otherwise an attack can give way to a special that inflicts an ailment the player lacks
+     * @param {string} decision - Initial decision
+     * @param {Object} situation - Battle situation
+     * @returns {string} Adjusted decision
+     */
+    applyStatusAwareness(decision, situation) {
+        if (decision !== 'defend' && situation.aiCurableDamage >= 0.15 && !situation.shouldAvoidDefend &&
+            this.random() < this.behaviorParams.decisionAccuracy) {
+            return 'defend';
+        }
+
+        if (decision === 'attack' && situation.canInflictAilment &&
+            this.random() < this.personality.traits.adaptability) {
+            return 'special';
+        }
+
+        return decision;
+    }
+
     /**
      * Apply difficulty-based modifications to decision
      * @param {string} decision - Initial decision
@@ -482,13 +722,13 @@ class AIOpponent {
         const params = this.behaviorParams;
         
         // Easy AI makes more mistakes
-        if (this.difficulty === 'easy' && Math.random() < params.mistakeChance) {
+        if (this.difficulty === 'easy' && this.random() < params.mistakeChance) {
             const actions = ['attack', 'special', 'defend'];
-            return actions[Math.floor(Math.random() * actions.length)];
+            return actions[Math.floor(this.random() * actions.length)];
         }
         
         // Hard AI makes more optimal plays
-        if (this.difficulty === 'hard' && Math.random() < params.optimalPlayChance) {
+        if (this.difficulty === 'hard' && this.random() < params.optimalPlayChance) {
             return this.getOptimalAction(situation);
         }
         
@@ -562,7 +802,8 @@ class AIOpponent {
             ownActions: [],
             damageDealt: 0,
             damageTaken: 0,
-            turnsElapsed: 0
+            turnsElapsed: 0,
+            lastSwitchTurn: null
         };
     }
 
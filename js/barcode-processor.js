@@ -25,99 +25,683 @@ class BarcodeProcessor {
             { minLength: 3, maxLength: 4, style: 'medium' },   // Medium length names
             { minLength: 4, maxLength: 5, style: 'long' }      // Longer, more complex names
         ];
+
+        // Generation rules by version. Creatures record the version that generated them so a
+        // rescan or level up keeps producing the same creature after the rules change.
+        // Never edit a registered version - add a new one and bump latestGeneratorVersion
+        this.generatorVersions = {
+            1: {
+                version: 1,
+                description: 'Original rules: position-weighted digit sum seed, stats from the first eight characters',
+                seedMode: 'weightedSum',
+                statSource: 'digits',
+                naming: 'syllables',
+                productClassTweaks: false,
+                speciesMode: false,
+                rarityCeilings: false,
+                elementMode: 'checkDigitParity',
+                rarityMode: 'digitPatterns',
+                itemMode: null,
+                syllables: this.syllables,
+                namePatterns: this.namePatterns,
+                statRanges: {
+                    hp: [80, 120],
+                    attack: [30, 70],
+                    defense: [25, 65],
+                    speed: [20, 60]
+                },
+                statPositions: {
+                    hp: [0, 1],
+                    attack: [2, 3],
+                    defense: [4, 5],
+                    speed: [6, 7]
+                },
+                statVariance: {
+                    hp: 10,
+                    attack: 5,
+                    defense: 5,
+                    speed: 5
+                }
+            },
+            2: {
+                version: 2,
+                description: 'FNV-1a hash seed, every character affects stats and names, rarer barcodes roll higher stat ceilings',
+                seedMode: 'fnv1a',
+                statSource: 'seed',
+                naming: 'syllables',
+                productClassTweaks: false,
+                speciesMode: false,
+                rarityCeilings: true,
+                elementMode: 'checkDigitParity',
+                rarityMode: 'digitPatterns',
+                itemMode: null,
+                syllables: this.syllables,
+                namePatterns: this.namePatterns,
+                statRanges: {
+                    hp: [80, 120],
+                    attack: [30, 70],
+                    defense: [25, 65],
+                    speed: [20, 60]
+                },
+                statPositions: null,
+                statVariance: {
+                    hp: 10,
+                    attack: 5,
+                    defense: 5,
+                    speed: 5
+                }
+            },
+            3: {
+                version: 3,
+                description: 'Version 2 stats, names built from a language pack chosen in settings or by barcode region',
+                seedMode: 'fnv1a',
+                statSource: 'seed',
+                naming: 'languagePack',
+                productClassTweaks: false,
+                speciesMode: false,
+                rarityCeilings: true,
+                elementMode: 'checkDigitParity',
+                rarityMode: 'digitPatterns',
+                itemMode: null,
+                syllables: null,
+                namePatterns: null,
+                statRanges: {
+                    hp: [80, 120],
+                    attack: [30, 70],
+                    defense: [25, 65],
+                    speed: [20, 60]
+                },
+                statPositions: null,
+                statVariance: {
+                    hp: 10,
+                    attack: 5,
+                    defense: 5,
+                    speed: 5
+                }
+            },
+            4: {
+                version: 4,
+                description: 'Version 3 rules, stats leaned by GS1 product class (e.g. books make high-defense scholars)',
+                seedMode: 'fnv1a',
+                statSource: 'seed',
+                naming: 'languagePack',
+                productClassTweaks: true,
+                speciesMode: false,
+                rarityCeilings: true,
+                elementMode: 'checkDigitParity',
+                rarityMode: 'digitPatterns',
+                itemMode: null,
+                syllables: null,
+                namePatterns: null,
+                statRanges: {
+                    hp: [80, 120],
+                    attack: [30, 70],
+                    defense: [25, 65],
+                    speed: [20, 60]
+                },
+                statPositions: null,
+                statVariance: {
+                    hp: 10,
+                    attack: 5,
+                    defense: 5,
+                    speed: 5
+                }
+            },
+            5: {
+                version: 5,
+                description: 'Version 4 rules, species shared by GS1 company prefix: base name, silhouette and stat bias',
+                seedMode: 'fnv1a',
+                statSource: 'seed',
+                naming: 'languagePack',
+                productClassTweaks: true,
+                speciesMode: true,
+                speciesStatBias: 0.1,
+                rarityCeilings: true,
+                elementMode: 'checkDigitParity',
+                rarityMode: 'digitPatterns',
+                itemMode: null,
+                syllables: null,
+                namePatterns: null,
+                statRanges: {
+                    hp: [80, 120],
+                    attack: [30, 70],
+                    defense: [25, 65],
+                    speed: [20, 60]
+                },
+                statPositions: null,
+                statVariance: {
+                    hp: 10,
+                    attack: 5,
+                    defense: 5,
+                    speed: 5
+                }
+            },
+            6: {
+                version: 6,
+                description: 'Version 5 rules, coupons and one in ten other barcodes are item cards instead of creatures',
+                seedMode: 'fnv1a',
+                statSource: 'seed',
+                naming: 'languagePack',
+                productClassTweaks: true,
+                speciesMode: true,
+                speciesStatBias: 0.1,
+                rarityCeilings: true,
+                elementMode: 'checkDigitParity',
+                rarityMode: 'digitPatterns',
+                itemMode: 'hashRoll',
+                syllables: null,
+                namePatterns: null,
+                statRanges: {
+                    hp: [80, 120],
+                    attack: [30, 70],
+                    defense: [25, 65],
+                    speed: [20, 60]
+                },
+                statPositions: null,
+                statVariance: {
+                    hp: 10,
+                    attack: 5,
+                    defense: 5,
+                    speed: 5
+                }
+            }
+        };
+        this.latestGeneratorVersion = 6;
+
+        // Language pack id from settings, or 'auto' to pick one from the barcode region
+        this.languagePackPreference = 'auto';
+
+        // Move names pair an element word with a word for the kind of move
+        this.moveWords = {
+            elements: {
+                fire: ['Ember', 'Blaze', 'Cinder', 'Scorch', 'Flare'],
+                water: ['Tide', 'Ripple', 'Torrent', 'Mist', 'Surf'],
+                nature: ['Vine', 'Thorn', 'Bloom', 'Spore', 'Leaf'],
+                electric: ['Spark', 'Volt', 'Static', 'Arc', 'Jolt'],
+                earth: ['Stone', 'Quake', 'Boulder', 'Dust', 'Crag']
+            },
+            kinds: {
+                attack: ['Claw', 'Strike', 'Bite', 'Rush', 'Jab', 'Slam'],
+                special: ['Burst', 'Beam', 'Nova', 'Storm', 'Surge', 'Wave'],
+                defend: ['Shell', 'Ward', 'Guard', 'Veil', 'Bulwark', 'Shroud']
+            }
+        };
     }
 
     /**
      * Validates a barcode string according to game requirements
      * @param {string} barcode - Barcode string to validate
+     * @param {string|null} expectedFormat - Symbology reported by the scanner, if known
      * @returns {boolean} Whether the barcode is valid
      */
-    validateBarcode(barcode) {
-        // Check if barcode is a string
-        if (typeof barcode !== 'string') {
-            return false;
-        }
-
-        // Check minimum length (8 digits)
-        if (barcode.length < GameConstants.MIN_BARCODE_LENGTH) {
-            return false;
-        }
+    validateBarcode(barcode, expectedFormat = null) {
+        return this.getBarcodeValidation(barcode, expectedFormat).valid;
+    }
 
-        // Check maximum length to prevent extremely long inputs
-        if (barcode.length > GameConstants.MAX_BARCODE_LENGTH) {
-            return false;
-        }
+    /**
+     * Validates a barcode and explains why it was rejected
+     * @param {string} barcode - Barcode string to validate
+     * @param {string|null} expectedFormat - Symbology reported by the scanner, if known
+     * @returns {BarcodeValidationResult} Structured validation result
+     */
+    getBarcodeValidation(barcode, expectedFormat = null) {
+        return DataValidation.validateBarcode(barcode, expectedFormat);
+    }
 
-        // Check numeric format (only digits allowed)
-        if (!/^\d+$/.test(barcode)) {
-            return false;
+    /**
+     * Looks up the rules for a generator version
+     * @param {number} version - Generator version
+     * @returns {Object} Generator configuration
+     */
+    getGeneratorConfig(version = this.latestGeneratorVersion) {
+        const config = this.generatorVersions[version];
+        if (!config) {
+            throw new Error(`Unknown generator version: ${version}`);
         }
+        return config;
+    }
 
-        return true;
+    /**
+     * Lists the generator versions that can still be invoked
+     * @returns {{version: number, description: string, latest: boolean}[]} Registered versions, oldest first
+     */
+    getGeneratorVersions() {
+        return Object.values(this.generatorVersions).map(config => ({
+            version: config.version,
+            description: config.description,
+            latest: config.version === this.latestGeneratorVersion
+        }));
     }
 
     /**
      * Generates a deterministic seed from barcode for consistent creature generation
      * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose seeding rules to use
      * @returns {number} Numeric seed for random generation
      */
-    generateSeed(barcode) {
+    generateSeed(barcode, version = this.latestGeneratorVersion) {
+        const config = this.getGeneratorConfig(version);
+
+        switch (config.seedMode) {
+            case 'weightedSum':
+                return this.generateWeightedSumSeed(barcode);
+            case 'fnv1a':
+                return this.generateHashSeed(barcode);
+            default:
+                throw new Error(`Unknown seed mode: ${config.seedMode}`);
+        }
+    }
+
+    /**
+     * Position-weighted character sum seed used by the original rules
+     * @param {string} barcode - Valid barcode string
+     * @returns {number} Numeric seed
+     */
+    generateWeightedSumSeed(barcode) {
         let seed = 0;
         for (let i = 0; i < barcode.length; i++) {
-            const digit = parseInt(barcode[i]);
+            const value = this.getCharacterSeedValue(barcode[i]);
             // Use position-based weighting to create more variation
-            seed += digit * (i + 1) * 31; // 31 is a prime number for better distribution
+            seed += value * (i + 1) * 31; // 31 is a prime number for better distribution
         }
         return seed;
     }
 
+    /**
+     * 32-bit FNV-1a hash of the barcode characters
+     * Unlike the weighted sum, reordering or changing any character gives an unrelated seed
+     * @param {string} barcode - Valid barcode string
+     * @returns {number} Unsigned 32-bit seed
+     */
+    generateHashSeed(barcode) {
+        let hash = 0x811c9dc5; // FNV offset basis
+        for (let i = 0; i < barcode.length; i++) {
+            hash ^= barcode.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193); // FNV prime
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Maps a barcode character to a stable seed value
+     * Digits keep their face value so numeric barcodes produce the same creatures as before,
+     * letters and punctuation use their character code
+     * @param {string} char - Single barcode character
+     * @returns {number} Seed contribution before positional weighting
+     */
+    getCharacterSeedValue(char) {
+        const code = char.charCodeAt(0);
+        return code >= 48 && code <= 57 ? code - 48 : code;
+    }
+
+    /**
+     * Maps a barcode character to a stat digit in the range 0-9
+     * @param {string} char - Single barcode character
+     * @returns {number} Digit value used for stat derivation
+     */
+    getCharacterDigit(char) {
+        return this.getCharacterSeedValue(char) % 10;
+    }
+
     /**
      * Deterministic random number generator using Linear Congruential Generator
      * @param {number} seed - Seed value for random generation
      * @returns {Function} Random number generator function
      */
     createSeededRandom(seed) {
-        let current = seed % 2147483647; // Use modulo to keep within 32-bit range
-        if (current <= 0) current += 2147483646;
-
-        return function() {
-            current = (current * 16807) % 2147483647;
-            return (current - 1) / 2147483646;
-        };
+        return GameUtils.createSeededRandom(seed);
     }
 
     /**
      * Calculates creature stats based on barcode digit positions
      * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
      * @returns {CreatureStats} Generated creature statistics
      */
-    calculateStats(barcode) {
-        const random = this.createSeededRandom(this.generateSeed(barcode));
+    calculateStats(barcode, version = this.latestGeneratorVersion) {
+        return this.traceStats(barcode, version).stats;
+    }
+
+    /**
+     * Calculates creature stats and records every step that produced them
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
+     * @returns {{stats: CreatureStats, steps: Object[]}} Stats and one trace step per stat
+     */
+    traceStats(barcode, version = this.latestGeneratorVersion) {
+        const config = this.getGeneratorConfig(version);
+        const random = this.createSeededRandom(this.generateSeed(barcode, version));
+        
+        // Rarer barcodes can roll higher stats, except under the original rules
+        const rarity = config.rarityCeilings ? this.getRarityTier(this.classifyRarity(barcode, version).tier) : null;
+        const modifiers = this.getStatModifiers(barcode, config);
+        const stats = {};
+        const steps = [];
         
-        // Use different digit positions for different stats to ensure variation
-        const hpBase = this.getStatFromDigits(barcode, [0, 1], GameConstants.BASE_HP_MIN, GameConstants.BASE_HP_MAX);
-        const attackBase = this.getStatFromDigits(barcode, [2, 3], GameConstants.BASE_ATTACK_MIN, GameConstants.BASE_ATTACK_MAX);
-        const defenseBase = this.getStatFromDigits(barcode, [4, 5], GameConstants.BASE_DEFENSE_MIN, GameConstants.BASE_DEFENSE_MAX);
-        const speedBase = this.getStatFromDigits(barcode, [6, 7], GameConstants.BASE_SPEED_MIN, GameConstants.BASE_SPEED_MAX);
-
-        // Add some randomness using seeded random for more variation
-        const hp = Math.floor(hpBase + (random() * 20 - 10)); // ±10 variation
-        const attack = Math.floor(attackBase + (random() * 10 - 5)); // ±5 variation
-        const defense = Math.floor(defenseBase + (random() * 10 - 5)); // ±5 variation
-        const speed = Math.floor(speedBase + (random() * 10 - 5)); // ±5 variation
-
-        // Ensure stats are within valid ranges
+        // Each stat reads its own digit positions (or a seeded roll), then gets a seeded ± variation
+        ['hp', 'attack', 'defense', 'speed'].forEach(stat => {
+            const [min, baseMax] = config.statRanges[stat];
+            const max = rarity ? this.getStatCeiling(min, baseMax, rarity) : baseMax;
+            const variance = config.statVariance[stat];
+            const digits = config.statSource === 'seed'
+                ? null
+                : this.traceStatFromDigits(barcode, config.statPositions[stat], min, max);
+            const base = digits
+                ? digits.value
+                : min + Math.floor(random() * (max - min + 1));
+            const value = Math.floor(base + (random() * variance * 2 - variance));
+            
+            // Ensure stats are within valid ranges
+            stats[stat] = GameUtils.clamp(value, min, max);
+            const clamped = stats[stat];
+            
+            // Product class and species leans stretch the range rather than pile up at its ends
+            const modifier = modifiers[stat];
+            if (modifier) {
+                stats[stat] = GameUtils.clamp(
+                    Math.round(stats[stat] * modifier),
+                    Math.round(min * Math.min(1, modifier)),
+                    Math.round(max * Math.max(1, modifier))
+                );
+            }
+            
+            steps.push({
+                stat: stat,
+                source: config.statSource,
+                range: [min, baseMax],
+                ceiling: max,
+                digits: digits,
+                base: base,
+                variance: variance,
+                varianceRoll: value - base,
+                preClamp: value,
+                clamped: clamped,
+                modifier: modifier || 1,
+                value: stats[stat]
+            });
+        });
+
+        return {
+            stats: {
+                hp: stats.hp,
+                maxHp: stats.hp,
+                attack: stats.attack,
+                defense: stats.defense,
+                speed: stats.speed
+            },
+            steps: steps
+        };
+    }
+
+    /**
+     * Combines the stat multipliers a generator version applies on top of the rolled stats
+     * @param {string} barcode - Valid barcode string
+     * @param {Object} config - Generator configuration
+     * @returns {Object<string, number>} Multiplier per stat (stats without one are unchanged)
+     */
+    getStatModifiers(barcode, config) {
+        const modifiers = {};
+        const applyModifier = (stat, multiplier) => {
+            modifiers[stat] = (modifiers[stat] || 1) * multiplier;
+        };
+
+        if (config.productClassTweaks) {
+            const classModifiers = Gs1Prefixes.getProductClass(this.decodePrefix(barcode).productClass).statModifiers || {};
+            Object.entries(classModifiers).forEach(([stat, multiplier]) => applyModifier(stat, multiplier));
+        }
+
+        if (config.speciesMode) {
+            const bias = this.getSpeciesBias(barcode, config.version);
+            applyModifier(bias.favored, 1 + config.speciesStatBias);
+            applyModifier(bias.weak, 1 - config.speciesStatBias);
+        }
+
+        return modifiers;
+    }
+
+    /**
+     * Gets the species key for a barcode: its GS1 company prefix, or the barcode itself
+     * for codes without one (each of those is a species of its own)
+     * @param {string} barcode - Valid barcode string
+     * @returns {string} Species id
+     */
+    getSpeciesId(barcode) {
+        return Gs1Prefixes.getCompanyPrefix(barcode) || barcode;
+    }
+
+    /**
+     * Gets the seed shared by every member of a barcode's species
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
+     * @returns {number|null} Species seed, or null if the version has no species
+     */
+    getSpeciesSeed(barcode, version = this.latestGeneratorVersion) {
+        if (!this.getGeneratorConfig(version).speciesMode) {
+            return null;
+        }
+        return this.generateHashSeed(`species:${this.getSpeciesId(barcode)}`);
+    }
+
+    /**
+     * Picks the stat a species is strong in and the one it is weak in
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
+     * @returns {{favored: string, weak: string}|null} Species stat bias, or null if the version has no species
+     */
+    getSpeciesBias(barcode, version = this.latestGeneratorVersion) {
+        const seed = this.getSpeciesSeed(barcode, version);
+        if (seed === null) {
+            return null;
+        }
+
+        const random = this.createSeededRandom(seed);
+        const stats = ['hp', 'attack', 'defense', 'speed'];
+        const favored = stats.splice(Math.floor(random() * stats.length), 1)[0];
+        const weak = stats[Math.floor(random() * stats.length)];
+
+        return { favored: favored, weak: weak };
+    }
+
+    /**
+     * Picks the levels a barcode's creature evolves at, one per stage after the first
+     * Each level falls inside the stage's range in GameConstants.EVOLUTION_STAGES
+     * @param {string} barcode - Valid barcode string
+     * @returns {number[]} Evolution level for each later stage, in stage order
+     */
+    getEvolutionLevels(barcode) {
+        const random = this.createSeededRandom(this.generateHashSeed(`evolution:${barcode}`));
+
+        return GameConstants.EVOLUTION_STAGES.slice(1).map(stage =>
+            stage.levels[0] + Math.floor(random() * (stage.levels[1] - stage.levels[0] + 1))
+        );
+    }
+
+    /**
+     * Decides whether a barcode is an item card instead of a creature
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
+     * @returns {string|null} Item type id, or null for creature barcodes
+     */
+    classifyItem(barcode, version = this.latestGeneratorVersion) {
+        const config = this.getGeneratorConfig(version);
+
+        switch (config.itemMode) {
+            case null:
+                return null;
+            case 'hashRoll':
+                return this.classifyHashRollItem(barcode);
+            default:
+                throw new Error(`Unknown item mode: ${config.itemMode}`);
+        }
+    }
+
+    /**
+     * Item rules where coupons are always items and other barcodes are items with GameConstants.ITEM_CHANCE
+     * @param {string} barcode - Valid barcode string
+     * @returns {string|null} Item type id, or null for creature barcodes
+     */
+    classifyHashRollItem(barcode) {
+        const roll = this.generateHashSeed(`item:${barcode}`);
+        const isCoupon = this.decodePrefix(barcode).productClass === 'coupon';
+
+        if (!isCoupon && (roll % 1000) / 1000 >= GameConstants.ITEM_CHANCE) {
+            return null;
+        }
+
+        // The rest of the hash picks the item type by weight
+        const itemTypes = Object.values(GameConstants.ITEM_TYPES);
+        const totalWeight = itemTypes.reduce((sum, itemType) => sum + itemType.weight, 0);
+        let pick = Math.floor(roll / 1000) % totalWeight;
+
+        for (const itemType of itemTypes) {
+            if (pick < itemType.weight) {
+                return itemType.id;
+            }
+            pick -= itemType.weight;
+        }
+
+        return null;
+    }
+
+    /**
+     * Generates an item from an item barcode
+     * @param {string} barcode - Barcode string to process
+     * @returns {Item|null} Item, or null if the barcode is invalid or makes a creature
+     */
+    generateItem(barcode) {
+        const validation = this.getBarcodeValidation(barcode);
+        if (!validation.valid) {
+            return null;
+        }
+        barcode = validation.normalized;
+
+        const type = this.classifyItem(barcode);
+        if (!type) {
+            return null;
+        }
+
         return {
-            hp: GameUtils.clamp(hp, GameConstants.BASE_HP_MIN, GameConstants.BASE_HP_MAX),
-            maxHp: GameUtils.clamp(hp, GameConstants.BASE_HP_MIN, GameConstants.BASE_HP_MAX),
-            attack: GameUtils.clamp(attack, GameConstants.BASE_ATTACK_MIN, GameConstants.BASE_ATTACK_MAX),
-            defense: GameUtils.clamp(defense, GameConstants.BASE_DEFENSE_MIN, GameConstants.BASE_DEFENSE_MAX),
-            speed: GameUtils.clamp(speed, GameConstants.BASE_SPEED_MIN, GameConstants.BASE_SPEED_MAX)
+            id: GameUtils.generateId(),
+            type: type,
+            name: GameConstants.ITEM_TYPES[type].name,
+            barcode: barcode,
+            discoveryDate: new Date()
         };
     }
 
     /**
-     * Extracts stat value from specific barcode digit positions
+     * Decodes the GS1 origin and product class of a barcode
+     * @param {string} barcode - Valid barcode string
+     * @returns {{prefix: string|null, origin: string|null, productClass: string}} Prefix decoding
+     */
+    decodePrefix(barcode) {
+        return Gs1Prefixes.decode(barcode);
+    }
+
+    /**
+     * Calculates the maximum value a stat can roll for a rarity tier
+     * @param {number} min - Base minimum stat value
+     * @param {number} max - Base maximum stat value
+     * @param {Object} rarityTier - Tier from GameConstants.RARITY_TIERS
+     * @returns {number} Raised stat ceiling
+     */
+    getStatCeiling(min, max, rarityTier) {
+        return max + Math.round((max - min) * rarityTier.statCeilingBonus);
+    }
+
+    /**
+     * Classifies barcode rarity
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
+     * @returns {{tier: string, score: number, patterns: string[]}} Rarity tier id, score and matched patterns
+     */
+    classifyRarity(barcode, version = this.latestGeneratorVersion) {
+        const config = this.getGeneratorConfig(version);
+
+        switch (config.rarityMode) {
+            case 'digitPatterns':
+                return this.classifyDigitPatternRarity(barcode);
+            default:
+                throw new Error(`Unknown rarity mode: ${config.rarityMode}`);
+        }
+    }
+
+    /**
+     * Rarity rules that score recognisable digit patterns
+     * @param {string} barcode - Valid barcode string
+     * @returns {{tier: string, score: number, patterns: string[]}} Rarity tier id, score and matched patterns
+     */
+    classifyDigitPatternRarity(barcode) {
+        const scores = GameConstants.RARITY_PATTERN_SCORES;
+        const patterns = [];
+
+        if (/^(.)\1+$/.test(barcode)) {
+            patterns.push('repdigit');
+        } else if (barcode === barcode.split('').reverse().join('')) {
+            patterns.push('palindrome');
+        }
+
+        // Ascending (1234) or descending (4321) runs of consecutive digits
+        const longestRun = this.getLongestDigitRun(barcode);
+        if (longestRun === barcode.length) {
+            patterns.push('fullRun');
+        } else if (longestRun >= 6) {
+            patterns.push('longRun');
+        } else if (longestRun >= 4) {
+            patterns.push('run');
+        }
+
+        // GS1 prefixes: 977 is reserved for ISSN periodicals, 2xx for in-store codes
+        if (/^\d+$/.test(barcode)) {
+            if (barcode.length === 13 && barcode.startsWith('977')) {
+                patterns.push('issnPrefix');
+            } else if ([8, 12, 13].includes(barcode.length) && barcode.startsWith('2')) {
+                patterns.push('inStorePrefix');
+            }
+        }
+
+        const score = patterns.reduce((total, pattern) => total + scores[pattern], 0);
+        const tier = GameConstants.RARITY_TIERS
+            .filter(rarityTier => score >= rarityTier.minScore)
+            .pop();
+
+        return { tier: tier.id, score: score, patterns: patterns };
+    }
+
+    /**
+     * Finds the longest run of consecutive ascending or descending digits
+     * @param {string} barcode - Barcode string
+     * @returns {number} Length of the longest run
+     */
+    getLongestDigitRun(barcode) {
+        let longest = 1;
+        let ascending = 1;
+        let descending = 1;
+
+        for (let i = 1; i < barcode.length; i++) {
+            const previous = barcode.charCodeAt(i - 1);
+            const current = barcode.charCodeAt(i);
+            const isDigitPair = /\d/.test(barcode[i - 1]) && /\d/.test(barcode[i]);
+
+            ascending = isDigitPair && current === previous + 1 ? ascending + 1 : 1;
+            descending = isDigitPair && current === previous - 1 ? descending + 1 : 1;
+            longest = Math.max(longest, ascending, descending);
+        }
+
+        return longest;
+    }
+
+    /**
+     * Looks up a rarity tier definition by id
+     * @param {string} tierId - Rarity tier id
+     * @returns {Object} Tier from GameConstants.RARITY_TIERS (Common if unknown)
+     */
+    getRarityTier(tierId) {
+        return GameConstants.RARITY_TIERS.find(tier => tier.id === tierId) || GameConstants.RARITY_TIERS[0];
+    }
+
+    /**
+     * Extracts stat value from specific barcode character positions
      * @param {string} barcode - Barcode string
      * @param {number[]} positions - Array of digit positions to use
      * @param {number} min - Minimum stat value
@@ -125,39 +709,284 @@ class BarcodeProcessor {
      * @returns {number} Calculated stat value
      */
     getStatFromDigits(barcode, positions, min, max) {
+        return this.traceStatFromDigits(barcode, positions, min, max).value;
+    }
+
+    /**
+     * Extracts stat value from barcode character positions and records which characters fed it
+     * @param {string} barcode - Barcode string
+     * @param {number[]} positions - Array of digit positions to use
+     * @param {number} min - Minimum stat value
+     * @param {number} max - Maximum stat value
+     * @returns {{digits: Object[], sum: number, maxSum: number, value: number}} Characters read, their sum and the stat value
+     */
+    traceStatFromDigits(barcode, positions, min, max) {
         let sum = 0;
-        for (const pos of positions) {
-            if (pos < barcode.length) {
-                sum += parseInt(barcode[pos]);
-            }
-        }
+        const digits = positions.map(position => {
+            // Short alphanumeric payloads wrap around instead of contributing zeros
+            const index = position % barcode.length;
+            const digit = this.getCharacterDigit(barcode[index]);
+            sum += digit;
+            return { position: position, index: index, character: barcode[index], digit: digit };
+        });
         
         // Map sum to the desired range
         const range = max - min;
         const maxSum = positions.length * 9; // Maximum possible sum (all 9s)
         const normalized = sum / maxSum; // Normalize to 0-1
         
-        return min + Math.floor(normalized * range);
+        return { digits: digits, sum: sum, maxSum: maxSum, value: min + Math.floor(normalized * range) };
+    }
+
+    /**
+     * Assigns one or two elements from barcode characteristics
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
+     * @returns {string[]} Element names, primary first
+     */
+    determineElements(barcode, version = this.latestGeneratorVersion) {
+        const config = this.getGeneratorConfig(version);
+
+        switch (config.elementMode) {
+            case 'checkDigitParity':
+                return this.determineCheckDigitElements(barcode);
+            default:
+                throw new Error(`Unknown element mode: ${config.elementMode}`);
+        }
+    }
+
+    /**
+     * Element rules where the check digit picks the primary element and, when the
+     * digit parity is lopsided, the GS1 prefix adds a secondary element
+     * @param {string} barcode - Valid barcode string
+     * @returns {string[]} Element names, primary first
+     */
+    determineCheckDigitElements(barcode) {
+        const elements = GameConstants.ELEMENTS;
+        const digits = Array.from(barcode, char => this.getCharacterDigit(char));
+
+        const checkDigit = digits[digits.length - 1];
+        const primary = elements[checkDigit % elements.length];
+
+        const evenCount = digits.filter(digit => digit % 2 === 0).length;
+        const parityImbalance = Math.abs(evenCount * 2 - digits.length) / digits.length;
+
+        const prefix = digits.slice(0, 3).reduce((value, digit) => value * 10 + digit, 0);
+        const secondary = elements[prefix % elements.length];
+
+        if (parityImbalance >= 0.25 && secondary !== primary) {
+            return [primary, secondary];
+        }
+
+        return [primary];
+    }
+
+    /**
+     * Generates a deterministic moveset from a barcode
+     * Uses its own seeded stream so moves don't mirror the stat and name rolls
+     * @param {string} barcode - Valid barcode string
+     * @param {string[]|null} elements - Creature elements (derived from the barcode if omitted)
+     * @param {number} version - Generator version whose seeding rules to use
+     * @returns {Move[]} Moveset ordered by learn level
+     */
+    generateMoveset(barcode, elements = null, version = this.latestGeneratorVersion) {
+        elements = elements || this.determineElements(barcode, version);
+        const random = this.createSeededRandom(this.generateSeed(barcode, version) + GameConstants.MOVESET_SEED_OFFSET);
+        const [minLevel, maxLevel] = GameConstants.SIGNATURE_MOVE_LEVELS;
+        const primary = elements[0];
+        const secondary = elements[1] || primary;
+
+        const slots = [
+            { kind: 'attack', element: primary, learnLevel: 1 },
+            { kind: 'special', element: secondary, learnLevel: 1 },
+            { kind: 'defend', element: primary, learnLevel: 1 },
+            {
+                kind: random() < 0.5 ? 'attack' : 'special',
+                element: elements[Math.floor(random() * elements.length)],
+                learnLevel: minLevel + Math.floor(random() * (maxLevel - minLevel + 1)),
+                signature: true
+            }
+        ];
+
+        const usedNames = new Set();
+        return slots.map((slot, index) => this.createMove(slot, index, random, usedNames));
+    }
+
+    /**
+     * Rolls a single move for a moveset slot
+     * @param {Object} slot - Slot definition (kind, element, learnLevel, signature)
+     * @param {number} index - Slot index, used for the move id
+     * @param {Function} random - Seeded random function
+     * @param {Set<string>} usedNames - Names already taken in this moveset
+     * @returns {Move} Generated move
+     */
+    createMove(slot, index, random, usedNames) {
+        const profile = GameConstants.MOVE_PROFILES[slot.kind];
+        const roll = ([min, max]) => min + Math.floor(random() * (max - min + 1));
+        const pick = list => list[Math.floor(random() * list.length)];
+
+        let name;
+        let attempts = 0;
+        do {
+            name = `${pick(this.moveWords.elements[slot.element])} ${pick(this.moveWords.kinds[slot.kind])}`;
+            attempts++;
+        } while (usedNames.has(name) && attempts < 10);
+        usedNames.add(name);
+
+        const move = {
+            id: `move_${index + 1}`,
+            name: name,
+            kind: slot.kind,
+            element: slot.element,
+            power: roll(slot.signature ? profile.signaturePower : profile.power),
+            accuracy: roll(profile.accuracy) / 100,
+            cost: slot.signature ? profile.signatureCost : profile.cost,
+            effect: null,
+            learnLevel: slot.learnLevel
+        };
+
+        // Signature moves always carry a side-effect, others only sometimes
+        if (profile.effects.length > 0 && (slot.signature || random() < profile.effectChance)) {
+            const type = pick(profile.effects);
+            move.effect = { type: type, amount: roll(GameConstants.MOVE_EFFECT_AMOUNTS[type]) / 100 };
+        }
+
+        return move;
+    }
+
+    /**
+     * Rolls a barcode's passive traits
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose seed to use
+     * @returns {string[]} Zero to two distinct trait ids (see GameConstants.TRAITS)
+     */
+    generateTraits(barcode, version = this.latestGeneratorVersion) {
+        const random = this.createSeededRandom(this.generateSeed(barcode, version) + GameConstants.TRAIT_SEED_OFFSET);
+
+        let count = 0;
+        let roll = random();
+        while (count < GameConstants.TRAIT_COUNT_CHANCES.length - 1 && roll >= GameConstants.TRAIT_COUNT_CHANCES[count]) {
+            roll -= GameConstants.TRAIT_COUNT_CHANCES[count];
+            count++;
+        }
+
+        const available = Object.keys(GameConstants.TRAITS);
+        const traits = [];
+        while (traits.length < count) {
+            traits.push(available.splice(Math.floor(random() * available.length), 1)[0]);
+        }
+        return traits;
+    }
+
+    /**
+     * Rolls a barcode's growth profile and per-stat growth rates
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose seed to use
+     * @returns {CreatureGrowth} Growth profile id and rates
+     */
+    generateGrowth(barcode, version = this.latestGeneratorVersion) {
+        const random = this.createSeededRandom(this.generateSeed(barcode, version) + GameConstants.GROWTH_SEED_OFFSET);
+
+        const profiles = Object.values(GameConstants.GROWTH_PROFILES);
+        const totalWeight = profiles.reduce((sum, profile) => sum + profile.weight, 0);
+        let pick = random() * totalWeight;
+        let profile = profiles[profiles.length - 1];
+        for (const candidate of profiles) {
+            if (pick < candidate.weight) {
+                profile = candidate;
+                break;
+            }
+            pick -= candidate.weight;
+        }
+
+        // Jitter each rate so creatures sharing a profile still grow differently
+        const rates = {};
+        Object.entries(profile.rates).forEach(([stat, rate]) => {
+            const jitter = 1 + (random() * 2 - 1) * GameConstants.GROWTH_RATE_VARIANCE;
+            rates[stat] = Math.round(rate * jitter * 100) / 100;
+        });
+
+        return { profile: profile.id, rates: rates };
+    }
+
+    /**
+     * Sets which language pack names are built from
+     * @param {string} packId - Language pack id, or 'auto' to pick by barcode region
+     * @returns {boolean} Whether the preference was applied
+     */
+    setLanguagePack(packId) {
+        if (packId !== 'auto' && !LanguagePacks.getPack(packId)) {
+            console.warn(`Unknown language pack: ${packId}`);
+            return false;
+        }
+
+        this.languagePackPreference = packId;
+        return true;
+    }
+
+    /**
+     * Resolves the language pack a barcode's name is built from
+     * @param {string} barcode - Valid barcode string
+     * @param {string|null} packId - Pack to use instead of the current preference
+     * @returns {LanguagePack} Language pack
+     */
+    resolveLanguagePack(barcode, packId = null) {
+        const preference = packId || this.languagePackPreference;
+        const resolvedId = preference === 'auto' ? LanguagePacks.getPackIdForBarcode(barcode) : preference;
+
+        return LanguagePacks.getPack(resolvedId) || LanguagePacks.getPack(LanguagePacks.DEFAULT_PACK);
     }
 
     /**
      * Generates a creature name using syllable-based generation
      * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
+     * @param {string|null} packId - Language pack to use instead of the current preference
      * @returns {string} Generated creature name
      */
-    generateCreatureName(barcode) {
-        const seed = this.generateSeed(barcode);
+    generateCreatureName(barcode, version = this.latestGeneratorVersion, packId = null) {
+        return this.buildCreatureName(barcode, version, packId).name;
+    }
+
+    /**
+     * Builds a creature name and records how it was produced
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
+     * @param {string|null} packId - Language pack to use instead of the current preference
+     * @returns {Object} Name with the pack, rules and parts that produced it
+     */
+    buildCreatureName(barcode, version = this.latestGeneratorVersion, packId = null) {
+        const config = this.getGeneratorConfig(version);
+        const seed = this.generateSeed(barcode, version);
         const random = this.createSeededRandom(seed);
-        
+
+        if (config.naming === 'languagePack') {
+            const pack = this.resolveLanguagePack(barcode, packId);
+            return config.speciesMode
+                ? this.buildSpeciesName(pack, barcode, version)
+                : this.buildLanguagePackName(pack, random);
+        }
+
+        return this.buildSyllableName(config, random);
+    }
+
+    /**
+     * Builds a name with the original shared syllable list and name patterns
+     * @param {Object} config - Generator configuration
+     * @param {Function} random - Seeded random function
+     * @returns {Object} Name details
+     */
+    buildSyllableName({ syllables, namePatterns }, random) {
         // Choose name pattern based on barcode characteristics
-        const patternIndex = Math.floor(random() * this.namePatterns.length);
-        const pattern = this.namePatterns[patternIndex];
+        const patternIndex = Math.floor(random() * namePatterns.length);
+        const pattern = namePatterns[patternIndex];
         
         // Generate name length within pattern range
         const nameLength = pattern.minLength + Math.floor(random() * (pattern.maxLength - pattern.minLength + 1));
         
         let name = '';
         let usedSyllables = new Set(); // Avoid repeating syllables in short names
+        const syllablesUsed = [];
         
         for (let i = 0; i < nameLength; i++) {
             let syllableIndex;
@@ -166,20 +995,131 @@ class BarcodeProcessor {
             
             // For shorter names, try to avoid repeating syllables
             do {
-                syllableIndex = Math.floor(random() * this.syllables.length);
-                syllable = this.syllables[syllableIndex];
+                syllableIndex = Math.floor(random() * syllables.length);
+                syllable = syllables[syllableIndex];
                 attempts++;
             } while (nameLength <= 3 && usedSyllables.has(syllable) && attempts < 10);
             
             usedSyllables.add(syllable);
+            syllablesUsed.push(syllable);
             name += syllable;
         }
         
         // Apply name styling based on pattern
         name = this.applyNameStyling(name, pattern.style, random);
         
-        // Capitalize first letter
-        return name.charAt(0).toUpperCase() + name.slice(1);
+        return {
+            // Capitalize first letter
+            name: name.charAt(0).toUpperCase() + name.slice(1),
+            naming: 'syllables',
+            languagePack: null,
+            rules: pattern,
+            syllables: syllablesUsed,
+            prefix: null,
+            suffix: null,
+            apostrophe: name.includes("'")
+        };
+    }
+
+    /**
+     * Builds a species member's name: the species base name plus a three-syllable variant
+     * The variant is seeded by the item reference and follows the pack's join rules and always
+     * contains a vowel; a sweep of 1,000 products from one company finds 98-100% of names unique
+     * @param {LanguagePack} pack - Language pack
+     * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
+     * @returns {Object} Name details with the species name and variant
+     */
+    buildSpeciesName(pack, barcode, version) {
+        const speciesRandom = this.createSeededRandom(this.getSpeciesSeed(barcode, version));
+        const details = this.buildLanguagePackName(pack, speciesRandom);
+
+        const itemReference = Gs1Prefixes.getItemReference(barcode) || barcode;
+        const variantRandom = this.createSeededRandom(this.generateHashSeed(`variant:${this.getSpeciesId(barcode)}:${itemReference}`));
+        const variantSyllables = [];
+        let variant = '';
+        for (let i = 0; i < 3; i++) {
+            const joinable = pack.syllables.filter(syllable => LanguagePacks.isAllowedJoin(variant, syllable, pack.rules));
+            // Prefer unused syllables, and make the last one give vowel-less syllables like "dr" a vowel
+            const preferred = joinable.filter(syllable => !variantSyllables.includes(syllable) &&
+                (i < 2 || [...variant + syllable].some(char => LanguagePacks.isVowel(char))));
+            const options = preferred.length > 0 ? preferred : joinable;
+            const syllable = options[Math.floor(variantRandom() * options.length)];
+            variantSyllables.push(syllable);
+            variant += syllable;
+        }
+
+        return {
+            ...details,
+            name: `${details.name}-${variant.charAt(0).toUpperCase() + variant.slice(1)}`,
+            speciesName: details.name,
+            variant: variant
+        };
+    }
+
+    /**
+     * Builds a name from a language pack, following its phonotactic rules
+     * @param {LanguagePack} pack - Language pack
+     * @param {Function} random - Seeded random function
+     * @returns {Object} Name details
+     */
+    buildLanguagePackName(pack, random) {
+        const { rules } = pack;
+        const [minSyllables, maxSyllables] = rules.syllableCount;
+        const syllableCount = minSyllables + Math.floor(random() * (maxSyllables - minSyllables + 1));
+        const pick = options => options[Math.floor(random() * options.length)];
+
+        let name = '';
+        let prefix = null;
+        if (rules.prefixes.length > 0 && random() < rules.prefixChance) {
+            prefix = pick(rules.prefixes);
+            name = prefix;
+        }
+
+        // Syllable boundaries are the only places an apostrophe may go
+        const boundaries = [];
+        const syllablesUsed = [];
+
+        for (let i = 0; i < syllableCount; i++) {
+            const allowed = pack.syllables.filter(syllable =>
+                !syllablesUsed.includes(syllable) && LanguagePacks.isAllowedJoin(name, syllable, rules));
+            const syllable = pick(allowed.length > 0 ? allowed : pack.syllables);
+
+            if (name.length > 0) {
+                boundaries.push(name.length);
+            }
+            syllablesUsed.push(syllable);
+            name += syllable;
+        }
+
+        let suffix = null;
+        if (rules.suffixes.length > 0 && random() < rules.suffixChance) {
+            const allowed = rules.suffixes.filter(ending => LanguagePacks.isAllowedJoin(name, ending, rules));
+            if (allowed.length > 0) {
+                suffix = pick(allowed);
+                boundaries.push(name.length);
+                name += suffix;
+            }
+        }
+
+        let apostrophe = false;
+        if (rules.apostrophe && boundaries.length > 0 &&
+            name.length >= rules.apostrophe.minLength && random() < rules.apostrophe.chance) {
+            const position = pick(boundaries);
+            name = name.slice(0, position) + "'" + name.slice(position);
+            apostrophe = true;
+        }
+
+        return {
+            name: name.charAt(0).toUpperCase() + name.slice(1),
+            naming: 'languagePack',
+            languagePack: pack.id,
+            rules: rules,
+            syllables: syllablesUsed,
+            prefix: prefix,
+            suffix: suffix,
+            apostrophe: apostrophe
+        };
     }
     
     /**
@@ -221,69 +1161,96 @@ class BarcodeProcessor {
     /**
      * Gets detailed name generation data for testing/debugging
      * @param {string} barcode - Valid barcode string
-     * @returns {Object} Name generation details
+     * @param {number} version - Generator version whose rules to use
+     * @param {string|null} packId - Language pack to use instead of the current preference
+     * @returns {Object} Name generation details, including the language pack and rules used
      */
-    getNameGenerationData(barcode) {
+    getNameGenerationData(barcode, version = this.latestGeneratorVersion, packId = null) {
         if (!this.validateBarcode(barcode)) {
             return null;
         }
         
-        const seed = this.generateSeed(barcode);
-        const random = this.createSeededRandom(seed);
-        
-        const patternIndex = Math.floor(random() * this.namePatterns.length);
-        const pattern = this.namePatterns[patternIndex];
-        const nameLength = pattern.minLength + Math.floor(random() * (pattern.maxLength - pattern.minLength + 1));
-        
-        // Regenerate to get the syllables used
-        const nameRandom = this.createSeededRandom(seed);
-        nameRandom(); // Skip pattern selection
-        nameRandom(); // Skip length calculation
-        
-        const syllablesUsed = [];
-        for (let i = 0; i < nameLength; i++) {
-            const syllableIndex = Math.floor(nameRandom() * this.syllables.length);
-            syllablesUsed.push(this.syllables[syllableIndex]);
-        }
+        const details = this.buildCreatureName(barcode, version, packId);
         
         return {
             barcode: barcode,
-            seed: seed,
-            pattern: pattern,
-            nameLength: nameLength,
-            syllablesUsed: syllablesUsed,
-            finalName: this.generateCreatureName(barcode)
+            seed: this.generateSeed(barcode, version),
+            generatorVersion: version,
+            naming: details.naming,
+            languagePack: details.languagePack,
+            rules: details.rules,
+            pattern: details.naming === 'syllables' ? details.rules : null,
+            nameLength: details.syllables.length,
+            syllablesUsed: details.syllables,
+            prefix: details.prefix,
+            suffix: details.suffix,
+            apostrophe: details.apostrophe,
+            speciesName: details.speciesName || null,
+            variant: details.variant || null,
+            finalName: details.name
         };
     }
 
     /**
      * Generates a complete creature from a barcode
      * @param {string} barcode - Barcode string to process
+     * @param {number} version - Generator version to use (latest by default)
      * @returns {Creature|null} Generated creature or null if barcode is invalid
      */
-    generateCreature(barcode) {
+    generateCreature(barcode, version = this.latestGeneratorVersion) {
         // Validate barcode first
-        if (!this.validateBarcode(barcode)) {
+        const validation = this.getBarcodeValidation(barcode);
+        if (!validation.valid) {
+            return null;
+        }
+        barcode = validation.normalized;
+
+        if (!this.generatorVersions[version]) {
+            console.error(`Unknown generator version: ${version}`);
             return null;
         }
 
         // Generate creature data
-        const stats = this.calculateStats(barcode);
-        const name = this.generateCreatureName(barcode);
+        const stats = this.calculateStats(barcode, version);
+        const nameDetails = this.buildCreatureName(barcode, version);
+        const config = this.getGeneratorConfig(version);
+        const elements = this.determineElements(barcode, version);
+        const rarity = this.classifyRarity(barcode, version).tier;
+        const { origin, productClass } = this.decodePrefix(barcode);
+        const moves = this.generateMoveset(barcode, elements, version);
+        const traits = this.generateTraits(barcode, version);
+        const growth = this.generateGrowth(barcode, version);
         const id = GameUtils.generateId();
 
         // Create creature object
         const creature = {
             id: id,
-            name: name,
+            name: nameDetails.name,
             barcode: barcode,
+            symbology: validation.format,
+            generatorVersion: version,
+            languagePack: nameDetails.languagePack,
+            // Creatures from versions without species are each a species of their own
+            speciesId: config.speciesMode ? this.getSpeciesId(barcode) : barcode,
+            speciesName: nameDetails.speciesName || nameDetails.name,
+            elements: elements,
+            rarity: rarity,
+            origin: origin,
+            productClass: productClass,
+            moves: moves,
+            traits: traits,
+            growth: growth,
             stats: stats,
             level: 1,
             experience: 0,
             experienceToNext: GameUtils.calculateExperienceToNext(1),
             discoveryDate: new Date(),
             battlesWon: 0,
-            battlesLost: 0
+            battlesLost: 0,
+            baseName: nameDetails.name,
+            evolutionStage: 0,
+            evolutionHistory: [],
+            evolutionLocked: false
         };
 
         // Validate the generated creature
@@ -295,37 +1262,250 @@ class BarcodeProcessor {
         return creature;
     }
 
+    /**
+     * Builds the synthetic barcode of a fusion from both parents' barcodes
+     * The barcodes are sorted first, so the order the parents are given in does not matter
+     * @param {string} barcodeA - First parent's barcode
+     * @param {string} barcodeB - Second parent's barcode
+     * @returns {string} Fusion id such as 'FX-0A1B2C3D'
+     */
+    getFusionBarcode(barcodeA, barcodeB) {
+        const hash = this.generateHashSeed(`fusion:${[barcodeA, barcodeB].sort().join('+')}`);
+        return GameConstants.FUSION_BARCODE_PREFIX + hash.toString(16).toUpperCase().padStart(8, '0');
+    }
+
+    /**
+     * Gets a creature's level 1 stats, including its evolution stage boost
+     * @param {Creature} creature - Creature to inspect
+     * @returns {CreatureStats} Level 1 stats
+     */
+    getBaseStats(creature) {
+        const baseStats = creature.baseStats || this.calculateStats(creature.barcode, creature.generatorVersion);
+        const stage = GameUtils.getEvolutionStage(creature.evolutionStage);
+        const stats = {};
+
+        Object.keys(baseStats).forEach(stat => {
+            stats[stat] = Math.round(baseStats[stat] * stage.statMultiplier);
+        });
+        return stats;
+    }
+
+    /**
+     * Builds a fused name from the front half of one parent's name and the back half of the other's
+     * @param {string} leadName - Name the fusion starts with
+     * @param {string} tailName - Name the fusion ends with
+     * @returns {string} Fused name
+     */
+    buildFusionName(leadName, tailName) {
+        // Only the first word counts, so prefixes, variants and apostrophes are dropped
+        const root = name => (name.replace(/'/g, '').match(/[A-Za-z]+/) || ['Fusion'])[0].toLowerCase();
+        const lead = root(leadName);
+        const tail = root(tailName);
+
+        let head = lead.slice(0, Math.ceil(lead.length / 2));
+        const end = tail.slice(Math.floor(tail.length / 2));
+        if (head[head.length - 1] === end[0]) {
+            head = head.slice(0, -1);
+        }
+
+        const name = head + end;
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Fuses two creatures into a new one
+     * The result only depends on the two parents, not on the order they are given in:
+     * it blends their base stats and names, keeps their primary elements and inherits
+     * each move slot from one of them
+     * @param {Creature} parentA - First parent
+     * @param {Creature} parentB - Second parent
+     * @returns {Creature|null} Fused creature, or null if the parents cannot be fused
+     */
+    fuseCreatures(parentA, parentB) {
+        if (!parentA || !parentB || parentA.barcode === parentB.barcode) {
+            console.error('Fusion needs two creatures with different barcodes');
+            return null;
+        }
+
+        const version = this.latestGeneratorVersion;
+        const [first, second] = [parentA, parentB].sort((a, b) => (a.barcode < b.barcode ? -1 : 1));
+        const barcode = this.getFusionBarcode(first.barcode, second.barcode);
+        const random = this.createSeededRandom(this.generateHashSeed(barcode));
+
+        // Blend each base stat; HP starts full
+        const firstStats = this.getBaseStats(first);
+        const secondStats = this.getBaseStats(second);
+        const [minBlend, maxBlend] = GameConstants.FUSION_BLEND_RANGE;
+        const blend = stat => {
+            const share = minBlend + random() * (maxBlend - minBlend);
+            return Math.round((firstStats[stat] * share + secondStats[stat] * (1 - share)) * GameConstants.FUSION_STAT_BONUS);
+        };
+        const maxHp = blend('maxHp');
+        const baseStats = { hp: maxHp, maxHp: maxHp, attack: blend('attack'), defense: blend('defense'), speed: blend('speed') };
+
+        const [lead, tail] = random() < 0.5 ? [first, second] : [second, first];
+        const name = this.buildFusionName(lead.baseName || lead.name, tail.baseName || tail.name);
+
+        const primaries = [lead, tail]
+            .map(parent => (parent.elements && parent.elements[0]) || null)
+            .filter(element => element !== null);
+        const elements = primaries.length > 0 ? [...new Set(primaries)] : this.determineElements(barcode, version);
+
+        // Each move slot comes from one parent; slots neither parent has are generated
+        const generatedMoves = this.generateMoveset(barcode, elements, version);
+        const moves = generatedMoves.map((generatedMove, index) => {
+            const inherited = [first, second]
+                .map(parent => parent.moves && parent.moves[index])
+                .filter(Boolean);
+            const move = inherited.length > 0 ? inherited[Math.floor(random() * inherited.length)] : generatedMove;
+            return { ...GameUtils.deepClone(move), id: generatedMove.id };
+        });
+
+        const rarityIndex = tier => GameConstants.RARITY_TIERS.findIndex(rarity => rarity.id === tier);
+        const rarity = rarityIndex(first.rarity) >= rarityIndex(second.rarity) ? first.rarity : second.rarity;
+        const level = Math.max(1, Math.floor((first.level + second.level) / 2));
+
+        const creature = {
+            id: GameUtils.generateId(),
+            name: name,
+            barcode: barcode,
+            symbology: GameConstants.BARCODE_FORMATS.FUSION,
+            generatorVersion: version,
+            languagePack: null,
+            // A fusion is a species of its own
+            speciesId: barcode,
+            speciesName: name,
+            elements: elements,
+            rarity: rarity || 'common',
+            origin: null,
+            productClass: 'unclassified',
+            moves: moves,
+            traits: this.generateTraits(barcode, version),
+            growth: this.generateGrowth(barcode, version),
+            baseStats: baseStats,
+            stats: {},
+            level: level,
+            experience: 0,
+            experienceToNext: GameUtils.calculateExperienceToNext(level),
+            discoveryDate: new Date(),
+            battlesWon: 0,
+            battlesLost: 0,
+            baseName: name,
+            evolutionStage: 0,
+            evolutionHistory: [],
+            evolutionLocked: false,
+            fusion: {
+                parents: [first, second].map(parent => ({
+                    id: parent.id,
+                    name: parent.name,
+                    barcode: parent.barcode,
+                    level: parent.level
+                })),
+                date: new Date()
+            }
+        };
+
+        const timing = GameUtils.getGrowthProfile(creature.growth.profile).timing;
+        Object.keys(baseStats).forEach(stat => {
+            creature.stats[stat] = GameUtils.calculateStatAtLevel(
+                baseStats[stat], level, undefined, GameUtils.getGrowthRate(creature.growth, stat), timing
+            );
+        });
+
+        if (!DataValidation.isValidCreature(creature)) {
+            console.error('Fused invalid creature:', creature);
+            return null;
+        }
+
+        return creature;
+    }
+
     /**
      * Gets generation data for debugging/testing purposes
      * @param {string} barcode - Valid barcode string
+     * @param {number} version - Generator version whose rules to use
      * @returns {CreatureGenerationData} Generation data used to create creature
      */
-    getGenerationData(barcode) {
-        if (!this.validateBarcode(barcode)) {
+    getGenerationData(barcode, version = this.latestGeneratorVersion) {
+        const report = this.getGenerationReport(barcode, version);
+        if (!report) {
             return null;
         }
 
-        const seed = this.generateSeed(barcode);
-        const random = this.createSeededRandom(seed);
-        const baseStats = this.calculateStats(barcode);
-        const name = this.generateCreatureName(barcode);
-        
-        // Get syllables used for name generation
-        const nameRandom = this.createSeededRandom(seed);
-        const nameLength = 2 + Math.floor(nameRandom() * 3);
-        const nameSyllables = [];
-        
-        for (let i = 0; i < nameLength; i++) {
-            const syllableIndex = Math.floor(nameRandom() * this.syllables.length);
-            nameSyllables.push(this.syllables[syllableIndex]);
+        return {
+            barcode: report.barcode,
+            seed: report.seed.value,
+            generatorVersion: report.generatorVersion,
+            name: report.name.finalName,
+            languagePack: report.name.languagePack,
+            baseStats: report.stats.result,
+            nameSyllables: report.name.syllablesUsed
+        };
+    }
+
+    /**
+     * Traces every step of generating a creature from a barcode without creating it
+     * Runs the same code paths as generateCreature, so the report always matches the creature
+     * @param {string} barcode - Barcode string to inspect
+     * @param {number} version - Generator version whose rules to use
+     * @param {string|null} packId - Language pack to use instead of the current preference
+     * @returns {GenerationReport|null} Report, or null if the barcode is invalid or the version unknown
+     */
+    getGenerationReport(barcode, version = this.latestGeneratorVersion, packId = null) {
+        const validation = this.getBarcodeValidation(barcode);
+        if (!validation.valid) {
+            return null;
+        }
+        barcode = validation.normalized;
+
+        if (!this.generatorVersions[version]) {
+            console.error(`Unknown generator version: ${version}`);
+            return null;
         }
 
+        const config = this.getGeneratorConfig(version);
+        const statTrace = this.traceStats(barcode, version);
+        const elements = this.determineElements(barcode, version);
+
+        // The original seed sums each character weighted by its position
+        const seedContributions = config.seedMode === 'weightedSum'
+            ? barcode.split('').map((character, index) => ({
+                character: character,
+                value: this.getCharacterSeedValue(character),
+                weight: (index + 1) * 31
+            }))
+            : null;
+
         return {
             barcode: barcode,
-            seed: seed,
-            name: name,
-            baseStats: baseStats,
-            nameSyllables: nameSyllables
+            format: validation.format,
+            generatorVersion: version,
+            description: config.description,
+            itemType: this.classifyItem(barcode, version),
+            seed: {
+                mode: config.seedMode,
+                value: this.generateSeed(barcode, version),
+                contributions: seedContributions
+            },
+            prefix: this.decodePrefix(barcode),
+            rarity: this.classifyRarity(barcode, version),
+            species: {
+                id: config.speciesMode ? this.getSpeciesId(barcode) : barcode,
+                seed: this.getSpeciesSeed(barcode, version),
+                bias: this.getSpeciesBias(barcode, version)
+            },
+            stats: {
+                source: config.statSource,
+                modifiers: this.getStatModifiers(barcode, config),
+                steps: statTrace.steps,
+                result: statTrace.stats
+            },
+            name: this.getNameGenerationData(barcode, version, packId),
+            elements: elements,
+            moves: this.generateMoveset(barcode, elements, version),
+            traits: this.generateTraits(barcode, version),
+            growth: this.generateGrowth(barcode, version),
+            evolutionLevels: this.getEvolutionLevels(barcode)
         };
     }
 }
@@ -0,0 +1,348 @@
+/**
+ * BatchGenerationService - Generates and validates creatures in bulk off the UI thread
+ * Work runs in a Web Worker (js/generation-worker.js) in chunks, reporting progress after each
+ * chunk. Without worker support the same chunks run on the main thread, yielding between them.
+ * Both paths run the tasks in GenerationTasks, so results are identical to the main-thread generator
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [version] - Generator version (latest by default)
+ * @property {string} [languagePack] - Language pack preference ('auto' by default)
+ * @property {Function} [onProgress] - Called with {completed, total} after each chunk
+ */
+
+/**
+ * @typedef {Object} BatchJob
+ * @property {number} id - Job id
+ * @property {Promise<BatchResult>} promise - Settles when the job finishes or is cancelled
+ * @property {Function} cancel - Stops the job after the current chunk
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {boolean} success - Whether every item was processed
+ * @property {boolean} cancelled - Whether the job was cancelled
+ * @property {Array} results - One result per input item, in input order (processed items only if cancelled)
+ * @property {string} [error] - Error message when the job failed
+ */
+
+// Tasks shared by the worker and the main-thread fallback. Each turns one item into one result
+const GenerationTasks = {
+    /**
+     * Generate a creature from a barcode
+     * @param {string} barcode - Barcode to generate from
+     * @param {BarcodeProcessor} barcodeProcessor - Processor configured for the job
+     * @param {Object} options - Job options
+     * @returns {Creature|null} Creature, or null for invalid barcodes
+     */
+    generate(barcode, barcodeProcessor, options) {
+        return barcodeProcessor.generateCreature(barcode, options.version);
+    },
+
+    /**
+     * Validate a stored or imported creature and backfill the fields added since it was saved
+     * @param {Creature} creature - Creature data
+     * @param {BarcodeProcessor} barcodeProcessor - Processor configured for the job
+     * @returns {{valid: boolean, barcodeValid: boolean, reason: string|null, creature: Creature|null}}
+     *          Validation result with the migrated copy of the creature (null when invalid)
+     */
+    migrate(creature, barcodeProcessor) {
+        const validation = DataValidation.validateCreatureBarcode(creature);
+        const valid = validation.valid && DataValidation.isValidCreature(creature);
+        let migrated = null;
+        if (valid) {
+            migrated = GameUtils.deepClone(creature);
+            CreatureManager.migrateCreatureData(migrated, barcodeProcessor);
+        }
+        return {
+            valid: valid,
+            barcodeValid: validation.valid,
+            reason: validation.valid ? null : validation.reason,
+            creature: migrated
+        };
+    },
+
+    /**
+     * Calculate level 1 stats for a barcode under a generator version
+     * @param {{barcode: string, version: number}} request - Barcode and version
+     * @param {BarcodeProcessor} barcodeProcessor - Processor configured for the job
+     * @param {Object} options - Job options (version used when the request has none)
+     * @returns {CreatureStats} Base stats
+     */
+    baseStats(request, barcodeProcessor, options) {
+        return barcodeProcessor.calculateStats(request.barcode, request.version || options.version);
+    }
+};
+
+class BatchGenerationService {
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'js/generation-worker.js';
+        this.chunkSize = options.chunkSize || 100;
+        this.worker = null;
+        this.workerFailed = false;
+        this.jobs = new Map(); // Running worker jobs by id
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Check whether jobs can run in a worker
+     * @returns {boolean} Whether Web Workers are available and have not failed
+     */
+    isWorkerAvailable() {
+        return typeof Worker !== 'undefined' && !this.workerFailed;
+    }
+
+    /**
+     * Generate creatures from barcodes
+     * @param {string[]} barcodes - Barcodes to generate from
+     * @param {BatchOptions} options - Job options
+     * @returns {BatchJob} Job whose results are creatures (null for invalid barcodes)
+     */
+    generateCreatures(barcodes, options = {}) {
+        return this.run('generate', barcodes, options);
+    }
+
+    /**
+     * Validate creatures and backfill the fields added since they were saved, e.g. from a backup being restored
+     * @param {Creature[]} creatures - Creature data
+     * @param {BatchOptions} options - Job options
+     * @returns {BatchJob} Job whose results are {valid, barcodeValid, reason, creature}
+     */
+    migrateCreatures(creatures, options = {}) {
+        return this.run('migrate', creatures, options);
+    }
+
+    /**
+     * Calculate level 1 stats for barcodes, e.g. to regenerate creatures with newer rules
+     * @param {{barcode: string, version: number}[]} requests - Barcodes and generator versions
+     * @param {BatchOptions} options - Job options
+     * @returns {BatchJob} Job whose results are stats
+     */
+    calculateBaseStats(requests, options = {}) {
+        return this.run('baseStats', requests, options);
+    }
+
+    /**
+     * Run a task over a list of items
+     * @param {string} task - Task name in GenerationTasks
+     * @param {Array} items - Items to process
+     * @param {BatchOptions} options - Job options
+     * @returns {BatchJob} Running job
+     */
+    run(task, items, options = {}) {
+        if (!GenerationTasks[task]) {
+            throw new Error(`Unknown batch task: ${task}`);
+        }
+
+        const job = {
+            id: this.nextJobId++,
+            task: task,
+            items: items,
+            options: {
+                version: options.version || null,
+                languagePack: options.languagePack || 'auto'
+            },
+            onProgress: options.onProgress || null,
+            results: [],
+            cancelled: false
+        };
+
+        job.promise = new Promise(resolve => {
+            job.resolve = resolve;
+        });
+
+        if (this.isWorkerAvailable() && this.startWorkerJob(job)) {
+            console.log(`Batch ${task} job ${job.id}: ${items.length} items in a worker`);
+        } else {
+            console.log(`Batch ${task} job ${job.id}: ${items.length} items on the main thread`);
+            this.runOnMainThread(job);
+        }
+
+        return {
+            id: job.id,
+            promise: job.promise,
+            cancel: () => this.cancel(job)
+        };
+    }
+
+    /**
+     * Stop a job after its current chunk
+     * @param {Object} job - Job to cancel
+     */
+    cancel(job) {
+        job.cancelled = true;
+        if (this.jobs.has(job.id) && this.worker) {
+            this.worker.postMessage({ type: 'cancel', jobId: job.id });
+        }
+    }
+
+    /**
+     * Hand a job to the worker, creating it on first use
+     * @param {Object} job - Job to start
+     * @returns {boolean} Whether the worker accepted the job
+     */
+    startWorkerJob(job) {
+        try {
+            if (!this.worker) {
+                this.worker = new Worker(this.workerUrl);
+                this.worker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+                this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+            }
+
+            this.jobs.set(job.id, job);
+            this.worker.postMessage({
+                type: 'start',
+                jobId: job.id,
+                task: job.task,
+                items: job.items,
+                options: job.options,
+                chunkSize: this.chunkSize
+            });
+            return true;
+        } catch (error) {
+            console.warn('Generation worker unavailable, using the main thread:', error);
+            this.jobs.delete(job.id);
+            this.workerFailed = true;
+            return false;
+        }
+    }
+
+    /**
+     * Handle progress and completion messages from the worker
+     * @param {Object} message - Worker message
+     */
+    handleWorkerMessage(message) {
+        const job = this.jobs.get(message.jobId);
+        if (!job) return;
+
+        switch (message.type) {
+            case 'progress':
+                job.results.push(...message.results);
+                this.reportProgress(job);
+                break;
+            case 'done':
+            case 'cancelled':
+                this.jobs.delete(job.id);
+                this.finish(job, message.type === 'cancelled');
+                break;
+            case 'error':
+                this.jobs.delete(job.id);
+                console.error(`Batch ${job.task} job ${job.id} failed:`, message.error);
+                job.resolve({ success: false, cancelled: false, results: job.results, error: message.error });
+                break;
+        }
+    }
+
+    /**
+     * Move the worker's unfinished jobs to the main thread when the worker fails to load or crashes
+     * @param {ErrorEvent} event - Worker error event
+     */
+    handleWorkerError(event) {
+        console.warn('Generation worker failed, finishing jobs on the main thread:', event.message || event);
+        event.preventDefault?.();
+
+        this.workerFailed = true;
+        this.worker.terminate();
+        this.worker = null;
+
+        const jobs = Array.from(this.jobs.values());
+        this.jobs.clear();
+        jobs.forEach(job => this.runOnMainThread(job));
+    }
+
+    /**
+     * Process a job in chunks on the main thread, yielding between chunks so the UI can update
+     * @param {Object} job - Job to run (continues from any results it already has)
+     */
+    runOnMainThread(job) {
+        const barcodeProcessor = BatchGenerationService.createBarcodeProcessor(job.options);
+        const task = GenerationTasks[job.task];
+
+        const processChunk = () => {
+            if (job.cancelled) {
+                this.finish(job, true);
+                return;
+            }
+
+            try {
+                const end = Math.min(job.results.length + this.chunkSize, job.items.length);
+                for (let index = job.results.length; index < end; index++) {
+                    job.results.push(task(job.items[index], barcodeProcessor, job.options));
+                }
+            } catch (error) {
+                console.error(`Batch ${job.task} job ${job.id} failed:`, error);
+                job.resolve({ success: false, cancelled: false, results: job.results, error: error.message });
+                return;
+            }
+
+            this.reportProgress(job);
+            if (job.results.length < job.items.length) {
+                setTimeout(processChunk, 0);
+            } else {
+                this.finish(job, false);
+            }
+        };
+
+        setTimeout(processChunk, 0);
+    }
+
+    /**
+     * Report a job's progress to its listener
+     * @param {Object} job - Running job
+     */
+    reportProgress(job) {
+        if (job.onProgress) {
+            job.onProgress({ completed: job.results.length, total: job.items.length });
+        }
+    }
+
+    /**
+     * Settle a job's promise
+     * @param {Object} job - Finished job
+     * @param {boolean} cancelled - Whether it stopped early
+     */
+    finish(job, cancelled) {
+        if (cancelled) {
+            console.log(`Batch ${job.task} job ${job.id} cancelled after ${job.results.length} items`);
+        }
+        job.resolve({ success: !cancelled, cancelled: cancelled, results: job.results });
+    }
+
+    /**
+     * Stop the worker; later jobs start a new one
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.jobs.forEach(job => this.finish(job, true));
+        this.jobs.clear();
+    }
+
+    /**
+     * Create a barcode processor set up like the one the main thread generates with
+     * @param {Object} options - Job options
+     * @returns {BarcodeProcessor} Configured processor
+     */
+    static createBarcodeProcessor(options) {
+        const barcodeProcessor = new BarcodeProcessor();
+        barcodeProcessor.setLanguagePack(options.languagePack || 'auto');
+        if (!options.version) {
+            options.version = barcodeProcessor.latestGeneratorVersion;
+        }
+        return barcodeProcessor;
+    }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BatchGenerationService, GenerationTasks };
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.BatchGenerationService = BatchGenerationService;
+    window.GenerationTasks = GenerationTasks;
+}
@@ -47,7 +47,10 @@ class BattleEffects {
             damage: this.createDamageSound.bind(this),
             heal: this.createHealSound.bind(this),
             critical: this.createCriticalSound.bind(this),
+            miss: this.createMissSound.bind(this),
+            block: this.createBlockSound.bind(this),
             victory: this.createVictorySound.bind(this),
+            evolution: this.createEvolutionSound.bind(this),
             defeat: this.createDefeatSound.bind(this),
             turnChange: this.createTurnChangeSound.bind(this)
         };
@@ -221,6 +224,58 @@ class BattleEffects {
         }
     }
 
+    /**
+     * Create miss sound effect
+     * @param {number} volume - Volume level
+     */
+    createMissSound(volume = 0.3) {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        // Quick high whoosh that falls away
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(900, this.audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(300, this.audioContext.currentTime + 0.2);
+        
+        gainNode.gain.setValueAtTime(volume * 0.4, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.2);
+        
+        oscillator.start(this.audioContext.currentTime);
+        oscillator.stop(this.audioContext.currentTime + 0.2);
+    }
+
+    /**
+     * Create block sound effect
+     * @param {number} volume - Volume level
+     */
+    createBlockSound(volume = 0.3) {
+        const oscillator1 = this.audioContext.createOscillator();
+        const oscillator2 = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator1.connect(gainNode);
+        oscillator2.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        // Metallic clang: two detuned square waves with a short ring
+        oscillator1.type = 'square';
+        oscillator1.frequency.setValueAtTime(620, this.audioContext.currentTime);
+        
+        oscillator2.type = 'square';
+        oscillator2.frequency.setValueAtTime(930, this.audioContext.currentTime);
+        
+        gainNode.gain.setValueAtTime(volume * 0.6, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.35);
+        
+        oscillator1.start(this.audioContext.currentTime);
+        oscillator1.stop(this.audioContext.currentTime + 0.35);
+        oscillator2.start(this.audioContext.currentTime);
+        oscillator2.stop(this.audioContext.currentTime + 0.35);
+    }
+
     /**
      * Create victory sound effect
      * @param {number} volume - Volume level
@@ -248,6 +303,30 @@ class BattleEffects {
         });
     }
 
+    /**
+     * Create evolution sound effect
+     * @param {number} volume - Volume level
+     */
+    createEvolutionSound(volume = 0.3) {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        // Slow rising sweep while the old form glows
+        oscillator.type = 'triangle';
+        oscillator.frequency.setValueAtTime(220, this.audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(880, this.audioContext.currentTime + 1.5);
+        
+        gainNode.gain.setValueAtTime(volume * 0.5, this.audioContext.currentTime);
+        gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + 1.4);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 1.6);
+        
+        oscillator.start(this.audioContext.currentTime);
+        oscillator.stop(this.audioContext.currentTime + 1.6);
+    }
+
     /**
      * Create defeat sound effect
      * @param {number} volume - Volume level
@@ -380,6 +459,40 @@ class BattleEffects {
         this.playSound('defend');
     }
 
+    /**
+     * Animate a move missing its target: the target sidesteps
+     * @param {string} targetSide - 'player' or 'opponent' (the side that was aimed at)
+     */
+    animateMiss(targetSide) {
+        if (!this.animationsEnabled) return;
+
+        const panel = document.querySelector(`.${targetSide}-panel`);
+        const avatar = panel?.querySelector('.creature-avatar');
+        
+        if (!panel || !avatar) return;
+
+        this.dodgeEffect(avatar);
+        this.showOutcomeText(avatar, 'MISS', 'miss');
+        this.playSound('miss');
+    }
+
+    /**
+     * Animate a defending creature blocking a move completely
+     * @param {string} targetSide - 'player' or 'opponent' (the side that blocked)
+     */
+    animateBlock(targetSide) {
+        if (!this.animationsEnabled) return;
+
+        const panel = document.querySelector(`.${targetSide}-panel`);
+        const avatar = panel?.querySelector('.creature-avatar');
+        
+        if (!panel || !avatar) return;
+
+        this.shieldEffect(panel);
+        this.showOutcomeText(avatar, 'BLOCKED', 'block');
+        this.playSound('block');
+    }
+
     /**
      * Shake element animation
      * @param {HTMLElement} element - Element to shake
@@ -481,6 +594,34 @@ class BattleEffects {
         }, 1500);
     }
 
+    /**
+     * Show a floating outcome label such as MISS or BLOCKED
+     * @param {HTMLElement} parent - Parent element
+     * @param {string} text - Label text
+     * @param {string} variant - 'miss' or 'block'
+     */
+    showOutcomeText(parent, text, variant) {
+        const outcomeElement = document.createElement('div');
+        outcomeElement.className = `outcome-text ${variant}`;
+        outcomeElement.textContent = text;
+        
+        parent.style.position = 'relative';
+        parent.appendChild(outcomeElement);
+        
+        // Animate
+        setTimeout(() => {
+            outcomeElement.style.transform = 'translateY(-50px)';
+            outcomeElement.style.opacity = '0';
+        }, 100);
+        
+        // Remove
+        setTimeout(() => {
+            if (outcomeElement.parentNode) {
+                outcomeElement.parentNode.removeChild(outcomeElement);
+            }
+        }, 1500);
+    }
+
     /**
      * Strike effect animation
      * @param {HTMLElement} element - Element to animate
@@ -505,6 +646,18 @@ class BattleEffects {
         }, 500);
     }
 
+    /**
+     * Dodge effect animation for missed moves
+     * @param {HTMLElement} element - Element to animate
+     */
+    dodgeEffect(element) {
+        element.classList.add('dodge-animation');
+        
+        setTimeout(() => {
+            element.classList.remove('dodge-animation');
+        }, 400);
+    }
+
     /**
      * Shield effect animation
      * @param {HTMLElement} element - Element to animate
@@ -572,6 +725,35 @@ class BattleEffects {
         this.createConfetti();
     }
 
+    /**
+     * Evolution animation: the old form glows and pulses, then the new form bursts in
+     * @param {HTMLElement} element - Element showing the creature
+     * @param {Function} onTransform - Called mid-animation to swap in the evolved form
+     */
+    animateEvolution(element, onTransform) {
+        if (!this.animationsEnabled || !element) {
+            onTransform();
+            return;
+        }
+
+        this.playSound('evolution');
+        this.glowElement(element, '#ffffff');
+        element.classList.add('evolving');
+        
+        setTimeout(() => {
+            element.classList.remove('evolving');
+            onTransform();
+            
+            element.classList.add('evolved-burst');
+            this.glowElement(element, '#ffd700');
+            this.playSound('victory');
+            
+            setTimeout(() => {
+                element.classList.remove('evolved-burst');
+            }, 800);
+        }, 1500);
+    }
+
     /**
      * Defeat animation
      * @param {string} loserSide - 'player' or 'opponent'
@@ -632,6 +814,14 @@ class BattleEffects {
         this.animationsEnabled = enabled;
     }
 
+    /**
+     * Stop the running animations and clear leftover effects when leaving the battle screen
+     */
+    stopAllEffects() {
+        this.activeAnimations.clear();
+        document.querySelectorAll('.confetti-container').forEach(container => container.remove());
+    }
+
     /**
      * Cleanup resources
      */
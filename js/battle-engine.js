@@ -7,7 +7,11 @@ class BattleEngine {
     constructor(difficultyManager = null) {
         this.currentBattle = null;
         this.battleHistory = [];
-        this.random = Math.random; // Can be overridden for testing
+        this.random = Math.random; // Replaced by each battle's seeded stream; can be overridden for testing
+        this.randomStream = null; // Seeded stream the current or next battle draws from (see startRandomStream)
+        this.recordResults = true; // Replays turn this off so they don't count as battles
+        this.listeners = {}; // Event handlers by event name (see on)
+        this.EVENTS = ['battleStarted', 'turnStarted', 'actionChosen', 'damageApplied', 'critical', 'healed', 'statusChanged', 'turnEnded', 'battleEnded'];
         this.aiOpponent = null; // Will be initialized per battle
         this.difficultyManager = difficultyManager; // DifficultyManager instance
         
@@ -18,36 +22,289 @@ class BattleEngine {
         this.SPECIAL_ATTACK_MULTIPLIER = 1.3;
         this.DEFEND_DAMAGE_REDUCTION = 0.5;
         this.SPEED_ADVANTAGE_THRESHOLD = 1.2; // 20% speed advantage for guaranteed first turn
+        this.EVASION_SPEED_FACTOR = 0.3; // Speed difference shifts a move's accuracy by up to ±30%
+        this.MIN_HIT_CHANCE = 0.5;
+        this.DEFEND_BLOCK_CHANCE = 0.2; // Chance a defending creature blocks a hit completely, raised by stance bonuses
         this.EXPERIENCE_BASE_REWARD = 50;
         this.EXPERIENCE_LEVEL_MULTIPLIER = 10;
+        this.elementChart = GameConstants.ELEMENT_EFFECTIVENESS; // Can be overridden with setElementChart
+        this.traitHandlers = this.createTraitHandlers();
     }
 
     /**
-     * Initiate a new battle between two creatures
-     * @param {Creature} playerCreature - Player's creature
-     * @param {Creature} opponentCreature - Opponent's creature
+     * Build the passive trait handlers, keyed by trait id and then by hook
+     * Hooks run for one side: turnStart for the creature about to act, beforeDamage for
+     * the attacker, afterDamage and ko for the creature that was hit or fainted, and
+     * defend for the creature taking a defensive stance. Handlers may change the hook
+     * context and return a message when the trait triggered (empty otherwise)
+     * @returns {Object<string, Object<string, Function>>} Trait handlers
+     */
+    createTraitHandlers() {
+        const traits = GameConstants.TRAITS;
+
+        return {
+            regenerate: {
+                turnStart: (creature, actor) => {
+                    const healed = Math.min(
+                        creature.stats.maxHp - creature.stats.hp,
+                        Math.max(1, Math.floor(creature.stats.maxHp * traits.regenerate.amount))
+                    );
+                    if (healed <= 0 || creature.stats.hp <= 0) {
+                        return '';
+                    }
+                    creature.stats.hp += healed;
+                    this.notifyHeal(actor, healed, 'trait');
+                    return `${creature.name} regenerates ${healed} HP!`;
+                }
+            },
+            thorns: {
+                afterDamage: (creature, actor, context) => {
+                    // Only contact moves are reflected
+                    if (context.move.kind !== 'attack' || context.damage <= 0) {
+                        return '';
+                    }
+                    const reflected = Math.max(1, Math.floor(context.damage * traits.thorns.amount));
+                    context.attacker.stats.hp = Math.max(0, context.attacker.stats.hp - reflected);
+                    this.notifyDamage(actor, actor === 'player' ? 'opponent' : 'player', reflected, 'trait');
+                    return ` ${creature.name}'s Thorns deal ${reflected} damage back!`;
+                }
+            },
+            lucky: {
+                beforeDamage: (creature, actor, context) => {
+                    context.critModifier *= 1 + traits.lucky.amount;
+                    return '';
+                }
+            },
+            ironWall: {
+                defend: (creature, actor, context) => {
+                    context.stanceBonus += traits.ironWall.amount;
+                    return ` ${creature.name}'s Iron Wall hardens its guard!`;
+                }
+            },
+            lastStand: {
+                ko: (creature, actor) => {
+                    if (this.hasUsedLastStand(actor)) {
+                        return '';
+                    }
+                    this.currentBattle.lastStandUsed[actor][this.currentBattle[`${actor}Active`]] = true;
+                    creature.stats.hp = 1;
+                    this.notifyHeal(actor, 1, 'trait');
+                    return `${creature.name} refuses to fall and hangs on with 1 HP!`;
+                }
+            }
+        };
+    }
+
+    /**
+     * Check whether a creature has a passive trait
+     * @param {Creature} creature - Creature to check
+     * @param {string} traitId - Trait id (see GameConstants.TRAITS)
+     * @returns {boolean} Whether the creature has the trait
+     */
+    hasTrait(creature, traitId) {
+        return (creature.traits || []).includes(traitId);
+    }
+
+    /**
+     * Run one side's passive traits for a battle hook
+     * @param {'turnStart'|'beforeDamage'|'afterDamage'|'defend'|'ko'} hook - Hook point
+     * @param {string} actor - Side whose traits run ('player' or 'opponent')
+     * @param {Object} context - Hook data, which handlers may change
+     * @returns {{traitId: string, message: string}[]} Traits that triggered, with their messages
+     */
+    runTraitHook(hook, actor, context = {}) {
+        const creature = this.currentBattle[`${actor}Creature`];
+        const triggered = [];
+
+        (creature.traits || []).forEach(traitId => {
+            const handler = this.traitHandlers[traitId] && this.traitHandlers[traitId][hook];
+            if (!handler) {
+                return;
+            }
+            const message = handler(creature, actor, context);
+            if (message) {
+                triggered.push({ traitId: traitId, message: message });
+            }
+        });
+
+        return triggered;
+    }
+
+    /**
+     * Run a hook whose traits act on their own rather than as part of a move, logging each one
+     * @param {'turnStart'|'ko'} hook - Hook point
+     * @param {string} actor - Side whose traits run ('player' or 'opponent')
+     */
+    runLoggedTraitHook(hook, actor) {
+        this.runTraitHook(hook, actor).forEach(({ traitId, message }) => {
+            this.addBattleLogEntry({
+                type: 'trait',
+                actor: actor,
+                actionType: 'trait',
+                traitId: traitId,
+                traitName: GameConstants.TRAITS[traitId].name,
+                damage: 0,
+                message: message,
+                timestamp: new Date()
+            });
+        });
+    }
+
+    /**
+     * Subscribe to a battle event
+     * Handlers run synchronously while the engine resolves a turn, so a headless consumer
+     * can follow a battle without the DOM. Payload types are in types.js (BattleStartedEvent etc.)
+     * @param {string} eventName - One of this.EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribes the handler
+     */
+    on(eventName, handler) {
+        if (!this.EVENTS.includes(eventName)) {
+            throw new Error(`Unknown battle event: ${eventName}`);
+        }
+
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(handler);
+
+        return () => this.off(eventName, handler);
+    }
+
+    /**
+     * Unsubscribe from a battle event
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Handler passed to on
+     */
+    off(eventName, handler) {
+        const handlers = this.listeners[eventName] || [];
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Call an event's handlers; a failing handler is logged and skipped so it can't break the battle
+     * @param {string} eventName - Event name
+     * @param {Object} payload - Event payload
+     */
+    emit(eventName, payload) {
+        (this.listeners[eventName] || []).slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in ${eventName} handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Emit damageApplied for damage dealt to one side
+     * @param {string} actor - Side that caused the damage
+     * @param {string} target - Side that took it
+     * @param {number} amount - Damage dealt
+     * @param {'move'|'recoil'|'trait'|'status'} source - What dealt the damage
+     * @param {BattleResult|null} result - Result of the move, when a move dealt it
+     */
+    notifyDamage(actor, target, amount, source, result = null) {
+        const creature = this.currentBattle[`${target}Creature`];
+        this.emit('damageApplied', {
+            actor: actor,
+            target: target,
+            amount: amount,
+            hp: creature.stats.hp,
+            maxHp: creature.stats.maxHp,
+            source: source,
+            moveId: result ? result.moveId : null,
+            critical: result ? result.critical : false,
+            effectiveness: result ? result.effectiveness : 1
+        });
+    }
+
+    /**
+     * Emit healed for HP restored to one side
+     * @param {string} target - Side that was healed
+     * @param {number} amount - HP restored
+     * @param {'defend'|'drain'|'item'|'revive'|'trait'} source - What restored it
+     */
+    notifyHeal(target, amount, source) {
+        if (amount <= 0) {
+            return;
+        }
+
+        const creature = this.currentBattle[`${target}Creature`];
+        this.emit('healed', {
+            target: target,
+            amount: amount,
+            hp: creature.stats.hp,
+            maxHp: creature.stats.maxHp,
+            source: source
+        });
+    }
+
+    /**
+     * Start a side's turn: emit turnStarted and run its turn start traits
+     * @param {string} actor - 'player' or 'opponent'
+     * @returns {number} Turn number
+     */
+    beginTurn(actor) {
+        const turn = this.currentBattle.turnCount;
+        this.emit('turnStarted', { actor: actor, turn: turn });
+        this.runLoggedTraitHook('turnStart', actor);
+        return turn;
+    }
+
+    /**
+     * Finish a side's turn: emit turnEnded, then battleEnded if the turn decided the battle
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {number} turn - Turn number from beginTurn
+     * @param {BattleResult} result - Result of the turn's action
+     */
+    endTurn(actor, turn, result) {
+        const battleOver = this.currentBattle.status !== 'active';
+        this.emit('turnEnded', { actor: actor, turn: turn, result: { ...result }, battleOver: battleOver });
+
+        if (battleOver) {
+            this.emit('battleEnded', {
+                battle: GameUtils.deepClone(this.currentBattle),
+                winner: this.currentBattle.winner,
+                experienceReward: this.currentBattle.experienceReward
+            });
+        }
+    }
+
+    /**
+     * Initiate a new battle between two creatures, or two teams
+     * @param {Creature|Creature[]} playerCreature - Player's creature, or a team of up to
+     *                                              GameConstants.MAX_TEAM_SIZE led by the first
+     * @param {Creature|Creature[]} opponentCreature - Opponent's creature or team
      * @param {string} difficulty - Battle difficulty (optional, uses current difficulty if not specified)
      * @returns {Battle} Battle instance
      */
     initiateBattle(playerCreature, opponentCreature, difficulty = null) {
-        if (!DataValidation.isValidCreature(playerCreature)) {
-            throw new Error('Invalid player creature');
-        }
-        
-        if (!DataValidation.isValidCreature(opponentCreature)) {
-            throw new Error('Invalid opponent creature');
-        }
+        const playerTeam = this.buildTeam(playerCreature, 'player');
+        const opponentTeam = this.buildTeam(opponentCreature, 'opponent');
 
         // Get difficulty from DifficultyManager if available
         const battleDifficulty = difficulty || 
             (this.difficultyManager ? this.difficultyManager.getCurrentDifficulty() : 'medium');
 
+        // Each battle draws from its own seeded stream, unless the caller started one for it
+        // (e.g. to generate the opponent from it) or set a custom random function
+        const customRandom = !this.randomStream && this.random !== Math.random;
+        if (!customRandom && (!this.randomStream || this.randomStream.battleId)) {
+            this.startRandomStream();
+        }
+        const stream = this.randomStream;
+        const streamOffset = stream ? stream.draws : 0;
+
         // Initialize AI opponent with appropriate personality
         const aiPersonality = this.difficultyManager ? 
-            this.difficultyManager.selectAIPersonality(battleDifficulty) : 
+            this.difficultyManager.selectAIPersonality(battleDifficulty, this.random) : 
             'Tactical';
         
-        this.aiOpponent = new AIOpponent(battleDifficulty);
+        this.aiOpponent = new AIOpponent(battleDifficulty, this.random);
         // Override personality if DifficultyManager provided one
         if (this.difficultyManager) {
             this.aiOpponent.personality = { 
@@ -57,267 +314,1353 @@ class BattleEngine {
         }
 
         // Create battle instance
+        // The active creatures are the team entries themselves, so changes to one show in the other
         this.currentBattle = {
             id: GameUtils.generateId(),
-            playerCreature: GameUtils.deepClone(playerCreature),
-            opponentCreature: GameUtils.deepClone(opponentCreature),
-            difficulty: difficulty,
-            currentTurn: this.determineTurnOrder(playerCreature, opponentCreature),
+            playerCreature: playerTeam[0],
+            opponentCreature: opponentTeam[0],
+            playerTeam: playerTeam,
+            opponentTeam: opponentTeam,
+            playerActive: 0,
+            opponentActive: 0,
+            participants: { player: [0], opponent: [0] },
+            statuses: { player: playerTeam.map(() => []), opponent: opponentTeam.map(() => []) },
+            lastStandUsed: { player: playerTeam.map(() => false), opponent: opponentTeam.map(() => false) },
+            energy: {
+                player: playerTeam.map(creature => this.createEnergyMeter(creature)),
+                opponent: opponentTeam.map(creature => this.createEnergyMeter(creature))
+            },
+            difficulty: battleDifficulty,
+            currentTurn: this.determineTurnOrder(playerTeam[0], opponentTeam[0]),
             turnCount: 0,
             battleLog: [],
             status: 'active',
             startTime: new Date(),
             playerActions: {
                 lastAction: null,
+                lastMoveId: null,
                 consecutiveDefends: 0,
-                specialAttacksUsed: 0,
-                lastDamageDealt: 0
+                lastDamageDealt: 0,
+                itemsUsed: 0,
+                reviveArmed: false,
+                stanceBonus: 0
             },
             opponentActions: {
                 lastAction: null,
+                lastMoveId: null,
                 consecutiveDefends: 0,
-                specialAttacksUsed: 0,
-                lastDamageDealt: 0
+                lastDamageDealt: 0,
+                itemsUsed: 0,
+                reviveArmed: false,
+                stanceBonus: 0
             },
-            aiInfo: this.aiOpponent.getAIInfo()
+            aiInfo: this.aiOpponent.getAIInfo(),
+            seed: stream ? stream.seed : null,
+            streamOffset: streamOffset,
+            startingCreatures: {
+                player: GameUtils.deepClone(playerTeam),
+                opponent: GameUtils.deepClone(opponentTeam)
+            },
+            inputs: []
         };
 
+        if (stream) {
+            stream.battleId = this.currentBattle.id;
+        }
+
         // Log battle start
         this.addBattleLogEntry({
             type: 'battle_start',
-            message: `Battle begins! ${playerCreature.name} vs ${opponentCreature.name}`,
+            message: `Battle begins! ${playerTeam[0].name} vs ${opponentTeam[0].name}`,
             timestamp: new Date()
         });
 
-        console.log(`Battle initiated: ${playerCreature.name} vs ${opponentCreature.name}`);
+        console.log(`Battle initiated: ${playerTeam.map(creature => creature.name).join(', ')} vs ${opponentTeam.map(creature => creature.name).join(', ')}`);
+        this.emit('battleStarted', { battle: GameUtils.deepClone(this.currentBattle) });
         return GameUtils.deepClone(this.currentBattle);
     }
 
     /**
-     * Determine turn order based on creature speed
-     * @param {Creature} playerCreature - Player's creature
-     * @param {Creature} opponentCreature - Opponent's creature
-     * @returns {string} 'player' or 'opponent'
+     * Validate and copy a side's creatures for a battle
+     * @param {Creature|Creature[]} creatures - A creature or a team
+     * @param {string} side - 'player' or 'opponent'
+     * @returns {Creature[]} Copies of the team's creatures, lead first
+     */
+    buildTeam(creatures, side) {
+        const team = Array.isArray(creatures) ? creatures : [creatures];
+
+        if (team.length === 0 || team.length > GameConstants.MAX_TEAM_SIZE) {
+            throw new Error(`A team needs 1 to ${GameConstants.MAX_TEAM_SIZE} creatures`);
+        }
+
+        team.forEach(creature => {
+            if (!DataValidation.isValidCreature(creature)) {
+                throw new Error(`Invalid ${side} creature`);
+            }
+        });
+
+        return team.map(creature => GameUtils.deepClone(creature));
+    }
+
+    /**
+     * Determine turn order based on creature speed
+     * @param {Creature} playerCreature - Player's creature
+     * @param {Creature} opponentCreature - Opponent's creature
+     * @returns {string} 'player' or 'opponent'
+     */
+    determineTurnOrder(playerCreature, opponentCreature) {
+        const playerSpeed = playerCreature.stats.speed;
+        const opponentSpeed = opponentCreature.stats.speed;
+
+        // If one creature has significant speed advantage, they go first
+        if (playerSpeed >= opponentSpeed * this.SPEED_ADVANTAGE_THRESHOLD) {
+            return 'player';
+        }
+        
+        if (opponentSpeed >= playerSpeed * this.SPEED_ADVANTAGE_THRESHOLD) {
+            return 'opponent';
+        }
+
+        // First Strike wins when neither creature is clearly faster
+        const playerFirstStrike = this.hasTrait(playerCreature, 'firstStrike');
+        if (playerFirstStrike !== this.hasTrait(opponentCreature, 'firstStrike')) {
+            return playerFirstStrike ? 'player' : 'opponent';
+        }
+
+        // Otherwise, random with speed bias
+        const speedDifference = playerSpeed - opponentSpeed;
+        const bias = speedDifference / (playerSpeed + opponentSpeed);
+        const randomValue = this.random() - 0.5; // -0.5 to 0.5
+        
+        return (randomValue + bias) > 0 ? 'player' : 'opponent';
+    }
+
+    /**
+     * Execute a player action
+     * @param {string} actionType - Move id, or a move kind ('attack', 'special', 'defend')
+     * @returns {BattleResult} Result of the action
+     */
+    executePlayerAction(actionType) {
+        if (!this.currentBattle || this.currentBattle.status !== 'active') {
+            throw new Error('No active battle');
+        }
+
+        if (this.currentBattle.currentTurn !== 'player') {
+            throw new Error('Not player turn');
+        }
+
+        const move = this.resolveMove(this.currentBattle.playerCreature, actionType);
+        if (!this.canAffordMove('player', move)) {
+            throw new Error(`Not enough energy for ${move.name}`);
+        }
+
+        this.recordInput('move', actionType);
+        const turn = this.beginTurn('player');
+        this.emit('actionChosen', { actor: 'player', turn: turn, type: 'move', move: { ...move }, itemType: null, switchTo: null });
+
+        // Ailments such as sleep cost the creature its move
+        const blocker = this.getActionBlocker('player');
+        let result;
+        if (blocker) {
+            result = this.loseTurn('player', blocker);
+        } else {
+            result = this.executeAction(
+                this.currentBattle.playerCreature,
+                this.currentBattle.opponentCreature,
+                move,
+                'player'
+            );
+
+            // Update player action tracking
+            this.updateActionTracking('player', move);
+        }
+        this.processTurnEndStatuses('player');
+
+        // Switch to opponent turn unless the battle ended
+        if (!this.checkBattleEnd()) {
+            this.currentBattle.currentTurn = 'opponent';
+            this.currentBattle.turnCount++;
+        }
+
+        this.endTurn('player', turn, result);
+        return result;
+    }
+
+    /**
+     * Use an item from the player's inventory; this takes the player's turn
+     * The caller is responsible for removing the item from the inventory
+     * @param {string} itemType - Item type id (see GameConstants.ITEM_TYPES)
+     * @returns {BattleResult} Result of the action
+     */
+    executeItemAction(itemType) {
+        if (!this.currentBattle || this.currentBattle.status !== 'active') {
+            throw new Error('No active battle');
+        }
+
+        if (this.currentBattle.currentTurn !== 'player') {
+            throw new Error('Not player turn');
+        }
+
+        const item = GameConstants.ITEM_TYPES[itemType];
+        if (!item) {
+            throw new Error(`Unknown item type: ${itemType}`);
+        }
+
+        if (!this.canUseItem('player', itemType)) {
+            throw new Error(`${item.name} cannot be used now`);
+        }
+
+        this.recordInput('item', itemType);
+        const turn = this.beginTurn('player');
+        this.emit('actionChosen', { actor: 'player', turn: turn, type: 'item', move: null, itemType: itemType, switchTo: null });
+
+        const creature = this.currentBattle.playerCreature;
+        const actions = this.currentBattle.playerActions;
+        const result = {
+            actor: 'player',
+            actionType: 'item',
+            itemType: itemType,
+            itemName: item.name,
+            outcome: 'hit',
+            damage: 0,
+            critical: false,
+            blocked: false,
+            missed: false,
+            effectiveness: 1,
+            message: '',
+            attackerHp: creature.stats.hp,
+            defenderHp: this.currentBattle.opponentCreature.stats.hp,
+            timestamp: new Date()
+        };
+
+        switch (item.effect) {
+            case 'heal': {
+                const healAmount = Math.min(
+                    creature.stats.maxHp - creature.stats.hp,
+                    Math.floor(creature.stats.maxHp * item.amount)
+                );
+                creature.stats.hp += healAmount;
+                result.attackerHp = creature.stats.hp;
+                result.healed = healAmount;
+                this.notifyHeal('player', healAmount, 'item');
+                result.message = `${creature.name} drinks a ${item.name} and recovers ${healAmount} HP!`;
+                break;
+            }
+
+            case 'boost': {
+                // Boosts change the battle copy only, so they wear off when the battle ends
+                const boost = Math.max(1, Math.floor(creature.stats[item.stat] * item.amount));
+                creature.stats[item.stat] += boost;
+                result.message = `${creature.name} uses a ${item.name}! ${item.stat.charAt(0).toUpperCase() + item.stat.slice(1)} rose by ${boost}!`;
+                break;
+            }
+
+            case 'revive':
+                actions.reviveArmed = true;
+                result.message = `${creature.name} holds a ${item.name}. It will get back up if it faints!`;
+                break;
+
+            default:
+                throw new Error(`${item.name} cannot be used in battle`);
+        }
+
+        this.addBattleLogEntry({
+            type: 'item',
+            actor: 'player',
+            actionType: 'item',
+            itemType: itemType,
+            itemName: item.name,
+            outcome: result.outcome,
+            damage: 0,
+            message: result.message,
+            timestamp: result.timestamp
+        });
+
+        // An item takes the place of a move, so it also ends any defensive stance
+        actions.lastAction = 'item';
+        actions.lastMoveId = null;
+        actions.consecutiveDefends = 0;
+        actions.itemsUsed++;
+        this.processTurnEndStatuses('player');
+
+        // Switch to opponent turn unless the battle ended
+        if (!this.checkBattleEnd()) {
+            this.currentBattle.currentTurn = 'opponent';
+            this.currentBattle.turnCount++;
+        }
+
+        this.endTurn('player', turn, result);
+        return result;
+    }
+
+    /**
+     * Switch the player's active creature for a benched teammate; this takes the player's turn
+     * @param {number} index - Team index of the creature to bring in
+     * @returns {BattleResult} Result of the switch
+     */
+    executeSwitchAction(index) {
+        if (!this.currentBattle || this.currentBattle.status !== 'active') {
+            throw new Error('No active battle');
+        }
+
+        if (this.currentBattle.currentTurn !== 'player') {
+            throw new Error('Not player turn');
+        }
+
+        if (!this.canSwitch('player', index)) {
+            throw new Error(`Cannot switch to team member ${index}`);
+        }
+
+        this.recordInput('switch', index);
+        const turn = this.beginTurn('player');
+        this.emit('actionChosen', { actor: 'player', turn: turn, type: 'switch', move: null, itemType: null, switchTo: index });
+
+        const result = this.switchCreature('player', index);
+        this.processTurnEndStatuses('player');
+
+        // Switch to opponent turn unless the battle ended
+        if (!this.checkBattleEnd()) {
+            this.currentBattle.currentTurn = 'opponent';
+            this.currentBattle.turnCount++;
+        }
+
+        this.endTurn('player', turn, result);
+        return result;
+    }
+
+    /**
+     * Check whether a side can switch to a team member
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {number} index - Team index
+     * @returns {boolean} Whether the creature is benched and able to fight
+     */
+    canSwitch(actor, index) {
+        if (!this.currentBattle) {
+            return false;
+        }
+
+        const creature = this.currentBattle[`${actor}Team`][index];
+        return Boolean(creature) && index !== this.currentBattle[`${actor}Active`] && creature.stats.hp > 0;
+    }
+
+    /**
+     * Get a side's benched creatures, with how each would fare against the other side's active creature
+     * @param {string} actor - 'player' or 'opponent'
+     * @returns {{index: number, name: string, hp: number, maxHp: number, hpRatio: number, usable: boolean,
+     *            matchup: {offense: number, defense: number}}[]} Benched creatures in team order
+     */
+    getSwitchOptions(actor) {
+        if (!this.currentBattle) {
+            return [];
+        }
+
+        const target = this.currentBattle[actor === 'player' ? 'opponentCreature' : 'playerCreature'];
+        return this.currentBattle[`${actor}Team`]
+            .map((creature, index) => ({
+                index: index,
+                name: creature.name,
+                hp: creature.stats.hp,
+                maxHp: creature.stats.maxHp,
+                hpRatio: creature.stats.hp / creature.stats.maxHp,
+                usable: this.canSwitch(actor, index),
+                matchup: this.getMatchup(creature, target)
+            }))
+            .filter(option => option.index !== this.currentBattle[`${actor}Active`]);
+    }
+
+    /**
+     * Rate how two creatures' elements match up
+     * @param {Creature} creature - Creature being rated
+     * @param {Creature} target - Creature it faces
+     * @returns {{offense: number, defense: number}} Best effectiveness of each side's damaging moves against the other
+     */
+    getMatchup(creature, target) {
+        const bestEffectiveness = (attacker, defender) => {
+            let moves = GameUtils.getLearnedMoves(attacker).filter(move => move.kind !== 'defend');
+            if (moves.length === 0) {
+                moves = [this.getDefaultMove('attack'), this.getDefaultMove('special')];
+            }
+            return Math.max(...moves.map(move => this.getElementEffectiveness(
+                this.getAttackElement(attacker, move.kind === 'special' ? 'special' : 'normal', move), defender)));
+        };
+
+        return {
+            offense: bestEffectiveness(creature, target),
+            defense: bestEffectiveness(target, creature)
+        };
+    }
+
+    /**
+     * Read the team index from a switch action
+     * @param {string} actionType - Action chosen by the AI
+     * @returns {number|null} Team index, or null when the action is not a switch
+     */
+    getSwitchIndex(actionType) {
+        const prefix = GameConstants.SWITCH_ACTION_PREFIX;
+        if (typeof actionType !== 'string' || !actionType.startsWith(prefix)) {
+            return null;
+        }
+
+        const index = parseInt(actionType.slice(prefix.length), 10);
+        return Number.isNaN(index) ? null : index;
+    }
+
+    /**
+     * Withdraw a side's active creature and send in a teammate
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {number} index - Team index of the creature to bring in
+     * @returns {BattleResult} Result of the switch
+     */
+    switchCreature(actor, index) {
+        const outgoing = this.currentBattle[`${actor}Creature`];
+        this.bringIn(actor, index);
+        const incoming = this.currentBattle[`${actor}Creature`];
+
+        const result = {
+            actor: actor,
+            actionType: 'switch',
+            switchTo: index,
+            outcome: 'hit',
+            damage: 0,
+            critical: false,
+            blocked: false,
+            missed: false,
+            effectiveness: 1,
+            message: `${outgoing.name} withdraws and ${incoming.name} takes the field!`,
+            attackerHp: incoming.stats.hp,
+            defenderHp: this.currentBattle[actor === 'player' ? 'opponentCreature' : 'playerCreature'].stats.hp,
+            timestamp: new Date()
+        };
+
+        this.addBattleLogEntry({
+            type: 'switch',
+            actor: actor,
+            actionType: 'switch',
+            switchTo: index,
+            outcome: result.outcome,
+            damage: 0,
+            message: result.message,
+            timestamp: result.timestamp
+        });
+
+        // Switching takes the place of a move, so it also ends any defensive stance
+        this.currentBattle[`${actor}Actions`].lastAction = 'switch';
+        this.currentBattle[`${actor}Actions`].lastMoveId = null;
+
+        return result;
+    }
+
+    /**
+     * Make a team member a side's active creature
+     * Stances and stat stages belong to the creature that took them, so they don't carry over;
+     * ailments stay with the creature on the bench. Last Stand is ready again on every switch-in
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {number} index - Team index
+     */
+    bringIn(actor, index) {
+        const battle = this.currentBattle;
+        const actions = battle[`${actor}Actions`];
+        const outgoing = battle[`${actor}Active`];
+
+        battle.statuses[actor][outgoing] = battle.statuses[actor][outgoing]
+            .filter(status => GameConstants.STATUS_EFFECTS[status.id].kind !== 'stage');
+        battle[`${actor}Active`] = index;
+        battle[`${actor}Creature`] = battle[`${actor}Team`][index];
+        battle.lastStandUsed[actor][index] = false;
+        if (!battle.participants[actor].includes(index)) {
+            battle.participants[actor].push(index);
+        }
+
+        actions.consecutiveDefends = 0;
+        actions.stanceBonus = 0;
+        actions.lastDamageDealt = 0;
+    }
+
+    /**
+     * Send in the next able teammate when a side's active creature has fainted
+     * @param {string} actor - 'player' or 'opponent'
+     * @returns {boolean} Whether the side still has a creature that can fight
+     */
+    replaceFaintedCreature(actor) {
+        const fainted = this.currentBattle[`${actor}Creature`];
+        if (fainted.stats.hp > 0) {
+            return true;
+        }
+
+        // A fainted creature's statuses end with it
+        this.currentBattle.statuses[actor][this.currentBattle[`${actor}Active`]] = [];
+
+        const index = this.currentBattle[`${actor}Team`].findIndex(creature => creature.stats.hp > 0);
+        if (index === -1) {
+            return false;
+        }
+
+        this.bringIn(actor, index);
+        this.currentBattle[`${actor}Actions`].lastAction = 'switch';
+        this.currentBattle[`${actor}Actions`].lastMoveId = null;
+
+        const incoming = this.currentBattle[`${actor}Creature`];
+        this.addBattleLogEntry({
+            type: 'switch',
+            actor: actor,
+            actionType: 'faint',
+            switchTo: index,
+            damage: 0,
+            message: `${fainted.name} fainted! ${incoming.name} takes the field!`,
+            timestamp: new Date()
+        });
+
+        return true;
+    }
+
+    /**
+     * Record a player input so the battle can be replayed
+     * @param {'move'|'item'} type - Input type
+     * @param {string} value - Move id (or kind) or item type id
+     */
+    recordInput(type, value) {
+        this.currentBattle.inputs.push({
+            turn: this.currentBattle.turnCount,
+            type: type,
+            value: value
+        });
+    }
+
+    /**
+     * Check whether an item can be used in the current battle
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {string} itemType - Item type id
+     * @returns {boolean} Whether the item can be used
+     */
+    canUseItem(actor, itemType) {
+        const item = GameConstants.ITEM_TYPES[itemType];
+        if (!this.currentBattle || !item || !item.usableInBattle) {
+            return false;
+        }
+
+        const creature = this.currentBattle[`${actor}Creature`];
+        const actions = this.currentBattle[`${actor}Actions`];
+
+        switch (item.effect) {
+            case 'heal':
+                return creature.stats.hp < creature.stats.maxHp;
+            case 'revive':
+                return !actions.reviveArmed;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Execute an AI opponent action
+     * @param {string|null} decision - Move the AI already chose with makeAIDecision (e.g. to animate it
+     *                                 first); without one the AI decides now. Deciding twice would take
+     *                                 extra draws from the battle's random stream and break replays
+     * @returns {BattleResult} Result of the action
+     */
+    executeAIAction(decision = null) {
+        if (!this.currentBattle || this.currentBattle.status !== 'active') {
+            throw new Error('No active battle');
+        }
+
+        if (this.currentBattle.currentTurn !== 'opponent') {
+            throw new Error('Not opponent turn');
+        }
+
+        // AI decision making (simplified for now, will be enhanced in task 6.2)
+        let actionType = decision || this.makeAIDecision();
+
+        const switchIndex = this.getSwitchIndex(actionType);
+        if (switchIndex !== null) {
+            if (this.canSwitch('opponent', switchIndex)) {
+                const turn = this.beginTurn('opponent');
+                this.emit('actionChosen', { actor: 'opponent', turn: turn, type: 'switch', move: null, itemType: null, switchTo: switchIndex });
+
+                const result = this.switchCreature('opponent', switchIndex);
+                this.processTurnEndStatuses('opponent');
+                if (!this.checkBattleEnd()) {
+                    this.currentBattle.currentTurn = 'player';
+                }
+
+                this.endTurn('opponent', turn, result);
+                return result;
+            }
+            actionType = 'attack';
+        }
+
+        // Fall back to a basic attack if the AI picked something it can't pay for
+        let move = this.resolveMove(this.currentBattle.opponentCreature, actionType);
+        if (!this.canAffordMove('opponent', move)) {
+            move = this.resolveMove(this.currentBattle.opponentCreature, 'attack');
+        }
+
+        const turn = this.beginTurn('opponent');
+        this.emit('actionChosen', { actor: 'opponent', turn: turn, type: 'move', move: { ...move }, itemType: null, switchTo: null });
+
+        const blocker = this.getActionBlocker('opponent');
+        let result;
+        if (blocker) {
+            result = this.loseTurn('opponent', blocker);
+        } else {
+            result = this.executeAction(
+                this.currentBattle.opponentCreature,
+                this.currentBattle.playerCreature,
+                move,
+                'opponent'
+            );
+
+            // Update opponent action tracking
+            this.updateActionTracking('opponent', move);
+        }
+        this.processTurnEndStatuses('opponent');
+
+        // Switch to player turn unless the battle ended
+        if (!this.checkBattleEnd()) {
+            this.currentBattle.currentTurn = 'player';
+        }
+
+        this.endTurn('opponent', turn, result);
+        return result;
+    }
+
+    /**
+     * Execute a battle action
+     * @param {Creature} attacker - Attacking creature
+     * @param {Creature} defender - Defending creature
+     * @param {Move} move - Move being used (see resolveMove)
+     * @param {string} actor - 'player' or 'opponent'
+     * @returns {BattleResult} Result of the action
+     */
+    executeAction(attacker, defender, move, actor) {
+        const result = {
+            actor: actor,
+            actionType: move.kind,
+            moveId: move.id,
+            moveName: move.name,
+            outcome: 'hit',
+            damage: 0,
+            critical: false,
+            blocked: false,
+            missed: false,
+            effectiveness: 1,
+            message: '',
+            attackerHp: attacker.stats.hp,
+            defenderHp: defender.stats.hp,
+            timestamp: new Date()
+        };
+
+        switch (move.kind) {
+            case 'attack':
+            case 'special':
+                this.executeDamagingMove(attacker, defender, move, actor, result);
+                break;
+
+            case 'defend':
+                // Defending reduces incoming damage for the next turn and may restore some HP
+                const healAmount = Math.floor(attacker.stats.maxHp * move.power / 100);
+                const hpBefore = attacker.stats.hp;
+                attacker.stats.hp = Math.min(attacker.stats.maxHp, attacker.stats.hp + healAmount);
+                result.attackerHp = attacker.stats.hp;
+                this.notifyHeal(actor, attacker.stats.hp - hpBefore, 'defend');
+                
+                if (healAmount <= 0) {
+                    result.message = `${attacker.name} takes a defensive stance!`;
+                } else if (this.isDefaultMove(move)) {
+                    result.message = `${attacker.name} defends and recovers ${healAmount} HP!`;
+                } else {
+                    result.message = `${attacker.name} uses ${move.name} and recovers ${healAmount} HP!`;
+                }
+
+                const stance = { stanceBonus: 0 };
+                result.message += this.runTraitHook('defend', actor, stance).map(trait => trait.message).join('');
+                this.currentBattle[`${actor}Actions`].stanceBonus = stance.stanceBonus;
+                break;
+
+            default:
+                throw new Error(`Unknown action type: ${move.kind}`);
+        }
+
+        // Add to battle log
+        this.addBattleLogEntry({
+            type: 'action',
+            actor: actor,
+            actionType: move.kind,
+            moveId: move.id,
+            moveName: move.name,
+            outcome: result.outcome,
+            damage: result.damage,
+            critical: result.critical,
+            blocked: result.blocked,
+            missed: result.missed,
+            effectiveness: result.effectiveness,
+            message: result.message,
+            timestamp: result.timestamp
+        });
+
+        this.applyMoveStatuses(actor, attacker, move, result);
+
+        return result;
+    }
+
+    /**
+     * Resolve an attack or special move, including accuracy and side-effects
+     * @param {Creature} attacker - Attacking creature
+     * @param {Creature} defender - Defending creature
+     * @param {Move} move - Damaging move
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {BattleResult} result - Result to fill in
+     */
+    executeDamagingMove(attacker, defender, move, actor, result) {
+        const attackType = move.kind === 'special' ? 'special' : 'normal';
+        const actions = this.currentBattle[`${actor}Actions`];
+        const defenderSide = actor === 'player' ? 'opponent' : 'player';
+        const defenderActions = this.currentBattle[`${defenderSide}Actions`];
+        const moveText = this.isDefaultMove(move) ? `${attacker.name}'s ${move.kind === 'special' ? 'special attack' : 'attack'}` : `${attacker.name}'s ${move.name}`;
+
+        // Only roll when the move can miss, so sure hits don't use up draws
+        const hitChance = this.getHitChance(actor, move);
+        if (hitChance < 1) {
+            const roll = this.random();
+            if (roll >= hitChance) {
+                result.outcome = 'miss';
+                result.missed = true;
+                actions.lastDamageDealt = 0;
+                // A roll the move's own accuracy would have hit was dodged thanks to speed
+                result.message = roll < move.accuracy
+                    ? `${defender.name} is too quick and dodges ${moveText}!`
+                    : `${attacker.name} uses ${move.name} but misses!`;
+                return;
+            }
+        }
+
+        if (defenderActions.lastAction === 'defend' &&
+            this.random() < this.DEFEND_BLOCK_CHANCE * (1 + (defenderActions.stanceBonus || 0))) {
+            result.outcome = 'blocked';
+            result.blocked = true;
+            actions.lastDamageDealt = 0;
+            result.message = `${defender.name} braces and blocks ${moveText} completely!`;
+            return;
+        }
+
+        result.damage = this.calculateDamage(attacker, defender, actor, attackType, move);
+        result.effectiveness = this.getElementEffectiveness(this.getAttackElement(attacker, attackType, move), defender);
+
+        // Specials crit half as often; critBoost moves and traits raise the chance
+        const hit = { defender: defender, move: move, critModifier: attackType === 'special' ? 0.5 : 1.0 };
+        if (move.effect && move.effect.type === 'critBoost') {
+            hit.critModifier *= 1 + move.effect.amount;
+        }
+        this.runTraitHook('beforeDamage', actor, hit);
+        result.critical = this.checkCriticalHit(attacker, hit.critModifier);
+        
+        if (result.critical) {
+            result.outcome = 'critical';
+            result.damage = Math.floor(result.damage * this.CRITICAL_HIT_MULTIPLIER);
+        }
+        
+        defender.stats.hp = Math.max(0, defender.stats.hp - result.damage);
+        result.defenderHp = defender.stats.hp;
+
+        if (result.critical) {
+            this.emit('critical', { actor: actor, target: defenderSide, damage: result.damage, moveId: move.id });
+        }
+        this.notifyDamage(actor, defenderSide, result.damage, 'move', result);
+        
+        // Track damage dealt for AI analysis
+        actions.lastDamageDealt = result.damage;
+
+        if (this.isDefaultMove(move)) {
+            if (attackType === 'special') {
+                result.message = result.critical
+                    ? `${attacker.name} unleashes a critical special attack for ${result.damage} damage!`
+                    : `${attacker.name} uses a special attack for ${result.damage} damage!`;
+            } else {
+                result.message = result.critical 
+                    ? `${attacker.name} lands a critical hit for ${result.damage} damage!`
+                    : `${attacker.name} attacks for ${result.damage} damage!`;
+            }
+        } else {
+            result.message = result.critical
+                ? `${attacker.name} uses ${move.name} and lands a critical hit for ${result.damage} damage!`
+                : `${attacker.name} uses ${move.name} for ${result.damage} damage!`;
+        }
+        result.message += this.getEffectivenessMessage(result.effectiveness);
+        result.message += this.applyMoveEffect(attacker, move, result);
+
+        const taken = { attacker: attacker, move: move, damage: result.damage };
+        result.message += this.runTraitHook('afterDamage', defenderSide, taken).map(trait => trait.message).join('');
+        result.attackerHp = attacker.stats.hp;
+    }
+
+    /**
+     * Apply a move's drain or recoil side-effect after it hits
+     * @param {Creature} attacker - Creature that used the move
+     * @param {Move} move - Move that hit
+     * @param {BattleResult} result - Result of the hit, updated with the attacker's HP
+     * @returns {string} Message suffix describing the effect (empty when nothing happened)
+     */
+    applyMoveEffect(attacker, move, result) {
+        if (!move.effect || result.damage <= 0) {
+            return '';
+        }
+
+        const amount = Math.max(1, Math.floor(result.damage * move.effect.amount));
+
+        switch (move.effect.type) {
+            case 'drain':
+                const healed = Math.min(amount, attacker.stats.maxHp - attacker.stats.hp);
+                attacker.stats.hp += healed;
+                result.attackerHp = attacker.stats.hp;
+                this.notifyHeal(result.actor, healed, 'drain');
+                return healed > 0 ? ` ${attacker.name} drains ${healed} HP!` : '';
+
+            case 'recoil':
+                attacker.stats.hp = Math.max(0, attacker.stats.hp - amount);
+                result.attackerHp = attacker.stats.hp;
+                this.notifyDamage(result.actor, result.actor, amount, 'recoil');
+                return ` ${attacker.name} takes ${amount} recoil damage!`;
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Get a team member's statuses
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {number|null} index - Team index (the active creature by default)
+     * @returns {ActiveStatus[]} Statuses in the order they were applied
+     */
+    getStatuses(actor, index = null) {
+        if (!this.currentBattle) {
+            return [];
+        }
+
+        const teamIndex = index === null ? this.currentBattle[`${actor}Active`] : index;
+        return this.currentBattle.statuses[actor][teamIndex] || [];
+    }
+
+    /**
+     * Check whether a team member has spent its Last Stand since it last came in
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {number|null} index - Team index (the active creature by default)
+     * @returns {boolean} Whether Last Stand is spent
+     */
+    hasUsedLastStand(actor, index = null) {
+        if (!this.currentBattle) {
+            return false;
+        }
+
+        const teamIndex = index === null ? this.currentBattle[`${actor}Active`] : index;
+        return Boolean(this.currentBattle.lastStandUsed[actor][teamIndex]);
+    }
+
+    /**
+     * Get a side's active creature's stat with its stat stages applied
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {'attack'|'defense'|'speed'} stat - Stat key
+     * @returns {number} Effective stat value
+     */
+    getEffectiveStat(actor, stat) {
+        const modifier = this.getStatuses(actor).reduce((total, status) => {
+            const effect = GameConstants.STATUS_EFFECTS[status.id];
+            return effect.stat === stat ? total + effect.amount * status.stacks : total;
+        }, 0);
+
+        return this.currentBattle[`${actor}Creature`].stats[stat] * (1 + modifier);
+    }
+
+    /**
+     * Get the chance a side's move connects, from the move's accuracy and the speed difference
+     * A faster attacker lands more often; a faster defender evades more often
+     * @param {string} actor - 'player' or 'opponent' (the attacker)
+     * @param {Move} move - Damaging move
+     * @returns {number} Hit chance from MIN_HIT_CHANCE to 1
+     */
+    getHitChance(actor, move) {
+        const defenderSide = actor === 'player' ? 'opponent' : 'player';
+        const attackerSpeed = this.getEffectiveStat(actor, 'speed');
+        const defenderSpeed = this.getEffectiveStat(defenderSide, 'speed');
+        const speedEdge = (attackerSpeed - defenderSpeed) / Math.max(1, attackerSpeed + defenderSpeed);
+
+        const hitChance = move.accuracy * (1 + speedEdge * this.EVASION_SPEED_FACTOR);
+        return Math.max(this.MIN_HIT_CHANCE, Math.min(1, hitChance));
+    }
+
+    /**
+     * Get the status a move can cause (see GameConstants.MOVE_STATUSES)
+     * @param {Creature} creature - Creature using the move
+     * @param {Move} move - Move being used
+     * @returns {{id: string, chance: number, self: boolean}|null} Status id, chance, and whether it lands on the user
+     */
+    getMoveStatus(creature, move) {
+        const element = this.getAttackElement(creature, move.kind === 'special' ? 'special' : 'normal', move);
+        const statuses = element ? GameConstants.MOVE_STATUSES[element] : null;
+        if (!statuses || !statuses[move.kind]) {
+            return null;
+        }
+
+        return {
+            id: statuses[move.kind],
+            chance: GameConstants.MOVE_STATUS_CHANCES[move.kind],
+            self: move.kind === 'defend'
+        };
+    }
+
+    /**
+     * Check whether a status could take hold on a side's active creature
+     * @param {string} target - 'player' or 'opponent'
+     * @param {string} statusId - Status id
+     * @returns {boolean} Whether applying it would change anything
+     */
+    canApplyStatus(target, statusId) {
+        const effect = GameConstants.STATUS_EFFECTS[statusId];
+        if (!this.currentBattle || !effect || this.currentBattle[`${target}Creature`].stats.hp <= 0) {
+            return false;
+        }
+
+        const existing = this.getStatuses(target).find(status => status.id === statusId);
+        if (!existing) {
+            return true;
+        }
+
+        switch (effect.stacking) {
+            case 'none':
+                return false;
+            case 'stage':
+                return existing.stacks < effect.maxStacks;
+            default:
+                return true; // Another dose restarts the duration
+        }
+    }
+
+    /**
+     * Put a status on a side's active creature, following its stacking rule
+     * @param {string} source - Side that caused it
+     * @param {string} target - Side it lands on
+     * @param {string} statusId - Status id
+     */
+    applyStatus(source, target, statusId) {
+        const effect = GameConstants.STATUS_EFFECTS[statusId];
+        const statuses = this.getStatuses(target);
+        // Statuses count down at the end of the affected creature's turns, so one a creature
+        // gives itself gets an extra turn to make up for the turn it was applied in
+        const duration = effect.duration + (source === target ? 1 : 0);
+
+        const opposite = effect.opposite ? statuses.find(status => status.id === effect.opposite) : null;
+        if (opposite) {
+            opposite.stacks--;
+            if (opposite.stacks === 0) {
+                statuses.splice(statuses.indexOf(opposite), 1);
+            }
+            this.logStatus(target, opposite.id, 'reduced', opposite.stacks > 0 ? opposite : null);
+            return;
+        }
+
+        const existing = statuses.find(status => status.id === statusId);
+        if (existing) {
+            if (effect.stacking !== 'refresh') {
+                existing.stacks = Math.min(effect.maxStacks, existing.stacks + 1);
+            }
+            existing.turnsLeft = duration;
+            this.logStatus(target, statusId, effect.stacking === 'refresh' ? 'refreshed' : 'stacked', existing);
+            return;
+        }
+
+        const status = { id: statusId, stacks: 1, turnsLeft: duration };
+        statuses.push(status);
+        this.logStatus(target, statusId, 'applied', status);
+    }
+
+    /**
+     * Take a status off a side's active creature
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {string} statusId - Status id
+     * @param {'cured'|'ended'} change - Whether it was cured or wore off
+     */
+    removeStatus(actor, statusId, change) {
+        const statuses = this.getStatuses(actor);
+        const index = statuses.findIndex(status => status.id === statusId);
+        if (index === -1) {
+            return;
+        }
+
+        statuses.splice(index, 1);
+        this.logStatus(actor, statusId, change, null);
+    }
+
+    /**
+     * Resolve a move's effect on statuses once the move itself has been logged: defending cures
+     * curable ailments, a hit wakes a sleeping target, and the move may cause its element's status
+     * @param {string} actor - Side that used the move
+     * @param {Creature} attacker - Creature that used it
+     * @param {Move} move - Move that was used
+     * @param {BattleResult} result - Result of the move
+     */
+    applyMoveStatuses(actor, attacker, move, result) {
+        const targetSide = actor === 'player' ? 'opponent' : 'player';
+        const hasEffect = (status, flag) => GameConstants.STATUS_EFFECTS[status.id][flag];
+
+        if (move.kind === 'defend') {
+            this.getStatuses(actor)
+                .filter(status => hasEffect(status, 'curable'))
+                .forEach(status => this.removeStatus(actor, status.id, 'cured'));
+        } else if (result.missed || result.blocked) {
+            return;
+        } else if (result.damage > 0) {
+            this.getStatuses(targetSide)
+                .filter(status => hasEffect(status, 'wakesOnHit'))
+                .forEach(status => this.removeStatus(targetSide, status.id, 'cured'));
+        }
+
+        const status = this.getMoveStatus(attacker, move);
+        if (!status) {
+            return;
+        }
+
+        // Only roll when the status could take hold, so a wasted chance doesn't use up a draw
+        const target = status.self ? actor : targetSide;
+        if (this.canApplyStatus(target, status.id) && this.random() < status.chance) {
+            this.applyStatus(actor, target, status.id);
+        }
+    }
+
+    /**
+     * Get the status that keeps a side's active creature from using a move this turn
+     * Items and switches still go ahead, since the trainer makes those
+     * @param {string} actor - 'player' or 'opponent'
+     * @returns {string|null} Status id, or null when the creature can move
+     */
+    getActionBlocker(actor) {
+        const blocker = this.getStatuses(actor).find(status => GameConstants.STATUS_EFFECTS[status.id].skipsTurn);
+        return blocker ? blocker.id : null;
+    }
+
+    /**
+     * Turn start status check: the creature loses its move to the blocking ailment
+     * A lost move ends any defensive stance, like any other action
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {string} statusId - Blocking status from getActionBlocker
+     * @returns {BattleResult} Result of the lost turn
      */
-    determineTurnOrder(playerCreature, opponentCreature) {
-        const playerSpeed = playerCreature.stats.speed;
-        const opponentSpeed = opponentCreature.stats.speed;
+    loseTurn(actor, statusId) {
+        const creature = this.currentBattle[`${actor}Creature`];
+        const actions = this.currentBattle[`${actor}Actions`];
+        const status = this.getStatuses(actor).find(candidate => candidate.id === statusId);
 
-        // If one creature has significant speed advantage, they go first
-        if (playerSpeed >= opponentSpeed * this.SPEED_ADVANTAGE_THRESHOLD) {
-            return 'player';
-        }
-        
-        if (opponentSpeed >= playerSpeed * this.SPEED_ADVANTAGE_THRESHOLD) {
-            return 'opponent';
-        }
+        actions.lastAction = null;
+        actions.lastMoveId = null;
+        actions.consecutiveDefends = 0;
+        actions.lastDamageDealt = 0;
 
-        // Otherwise, random with speed bias
-        const speedDifference = playerSpeed - opponentSpeed;
-        const bias = speedDifference / (playerSpeed + opponentSpeed);
-        const randomValue = this.random() - 0.5; // -0.5 to 0.5
-        
-        return (randomValue + bias) > 0 ? 'player' : 'opponent';
+        return {
+            actor: actor,
+            actionType: 'status',
+            statusId: statusId,
+            outcome: 'miss', // The move never happened
+            damage: 0,
+            critical: false,
+            blocked: false,
+            missed: false,
+            effectiveness: 1,
+            message: this.logStatus(actor, statusId, 'blocked', status),
+            attackerHp: creature.stats.hp,
+            defenderHp: this.currentBattle[actor === 'player' ? 'opponentCreature' : 'playerCreature'].stats.hp,
+            timestamp: new Date()
+        };
     }
 
     /**
-     * Execute a player action
-     * @param {string} actionType - Type of action ('attack', 'special', 'defend')
-     * @returns {BattleResult} Result of the action
+     * Turn end status processing: ailments deal their damage, then every status counts down
+     * a turn and the ones that run out wear off
+     * @param {string} actor - Side whose turn is ending
      */
-    executePlayerAction(actionType) {
-        if (!this.currentBattle || this.currentBattle.status !== 'active') {
-            throw new Error('No active battle');
-        }
+    processTurnEndStatuses(actor) {
+        const creature = this.currentBattle[`${actor}Creature`];
+        const statuses = this.getStatuses(actor);
 
-        if (this.currentBattle.currentTurn !== 'player') {
-            throw new Error('Not player turn');
+        // Once the foe's whole team is down the battle is won; an ailment shouldn't turn it into a loss
+        const foeTeam = this.currentBattle[actor === 'player' ? 'opponentTeam' : 'playerTeam'];
+        if (foeTeam.every(member => member.stats.hp <= 0)) {
+            return;
         }
 
-        const result = this.executeAction(
-            this.currentBattle.playerCreature,
-            this.currentBattle.opponentCreature,
-            actionType,
-            'player'
-        );
+        statuses.slice().forEach(status => {
+            const effect = GameConstants.STATUS_EFFECTS[status.id];
+            if (effect.kind !== 'ailment' || effect.amount <= 0 || creature.stats.hp <= 0) {
+                return;
+            }
 
-        // Update player action tracking
-        this.updateActionTracking('player', actionType);
+            const damage = Math.min(
+                creature.stats.hp,
+                Math.max(1, Math.floor(creature.stats.maxHp * effect.amount * status.stacks))
+            );
+            creature.stats.hp -= damage;
+            this.notifyDamage(actor, actor, damage, 'status');
+            this.logStatus(actor, status.id, 'damage', status, damage);
+        });
 
-        // Check if battle ended
-        if (this.checkBattleEnd()) {
-            return result;
-        }
+        statuses.slice().forEach(status => {
+            status.turnsLeft--;
+            if (status.turnsLeft <= 0) {
+                this.removeStatus(actor, status.id, 'ended');
+            }
+        });
+    }
+
+    /**
+     * Log a status change and emit statusChanged
+     * @param {string} target - Side whose creature the status is on
+     * @param {string} statusId - Status id
+     * @param {string} change - Kind of change (see StatusChangedEvent)
+     * @param {ActiveStatus|null} status - The status afterwards, or null once it is gone
+     * @param {number} damage - Damage dealt, for turn end damage
+     * @returns {string} Message describing the change
+     */
+    logStatus(target, statusId, change, status, damage = 0) {
+        const effect = GameConstants.STATUS_EFFECTS[statusId];
+        const message = this.getStatusMessage(this.currentBattle[`${target}Creature`], effect, change, damage);
+
+        this.addBattleLogEntry({
+            type: 'status',
+            actor: target,
+            actionType: change,
+            statusId: statusId,
+            statusName: effect.name,
+            damage: damage,
+            message: message,
+            timestamp: new Date()
+        });
 
-        // Switch to opponent turn
-        this.currentBattle.currentTurn = 'opponent';
-        this.currentBattle.turnCount++;
+        this.emit('statusChanged', {
+            target: target,
+            statusId: statusId,
+            change: change,
+            stacks: status ? status.stacks : 0,
+            turnsLeft: status ? status.turnsLeft : 0,
+            message: message
+        });
 
-        return result;
+        return message;
     }
 
     /**
-     * Execute an AI opponent action
-     * @returns {BattleResult} Result of the action
+     * Describe a status change
+     * @param {Creature} creature - Creature the status is on
+     * @param {Object} effect - Status definition from GameConstants.STATUS_EFFECTS
+     * @param {string} change - Kind of change (see StatusChangedEvent)
+     * @param {number} damage - Damage dealt, for turn end damage
+     * @returns {string} Message
      */
-    executeAIAction() {
-        if (!this.currentBattle || this.currentBattle.status !== 'active') {
-            throw new Error('No active battle');
+    getStatusMessage(creature, effect, change, damage) {
+        const name = creature.name;
+
+        if (effect.kind === 'stage') {
+            const stat = effect.stat.charAt(0).toUpperCase() + effect.stat.slice(1);
+            const raised = effect.amount > 0;
+            switch (change) {
+                case 'applied':
+                    return `${name}'s ${stat} ${raised ? 'rose' : 'fell'}!`;
+                case 'stacked':
+                    return `${name}'s ${stat} ${raised ? 'rose' : 'fell'} further!`;
+                case 'reduced':
+                    return raised ? `${name}'s ${stat} boost weakens!` : `${name}'s ${stat} recovers a little!`;
+                default:
+                    return `${name}'s ${stat} returns to normal.`;
+            }
         }
 
-        if (this.currentBattle.currentTurn !== 'opponent') {
-            throw new Error('Not opponent turn');
+        const ailment = effect.name.toLowerCase();
+        switch (change) {
+            case 'applied':
+                return `${name} ${effect.applied}!`;
+            case 'stacked':
+                return `${name}'s ${ailment} gets worse!`;
+            case 'refreshed':
+                return `${name} ${effect.applied} again!`;
+            case 'blocked':
+                return `${name} ${effect.blocked}`;
+            case 'damage':
+                return `${name} takes ${damage} damage from ${ailment}!`;
+            case 'cured':
+                return effect.wakesOnHit ? `${name} ${effect.ended}!` : `${name} shakes off the ${ailment}!`;
+            default:
+                return `${name} ${effect.ended}.`;
         }
+    }
 
-        // AI decision making (simplified for now, will be enhanced in task 6.2)
-        const actionType = this.makeAIDecision();
+    /**
+     * Resolve an action to one of the creature's moves
+     * Accepts a move id, or a move kind which maps to the creature's first learned
+     * move of that kind (or the basic move for creatures without a moveset)
+     * @param {Creature} creature - Creature using the move
+     * @param {string} actionType - Move id or kind ('attack', 'special', 'defend')
+     * @returns {Move} Resolved move
+     */
+    resolveMove(creature, actionType) {
+        const learnedMoves = GameUtils.getLearnedMoves(creature);
+        const move = learnedMoves.find(candidate => candidate.id === actionType) ||
+            learnedMoves.find(candidate => candidate.kind === actionType) ||
+            this.getDefaultMove(actionType);
+
+        if (!move) {
+            throw new Error(`Unknown action type: ${actionType}`);
+        }
 
-        const result = this.executeAction(
-            this.currentBattle.opponentCreature,
-            this.currentBattle.playerCreature,
-            actionType,
-            'opponent'
-        );
+        return move;
+    }
 
-        // Update opponent action tracking
-        this.updateActionTracking('opponent', actionType);
+    /**
+     * Get the basic move used when a creature has no learned move of a kind
+     * @param {string} kind - 'attack', 'special' or 'defend'
+     * @returns {Move|null} Basic move or null for unknown kinds
+     */
+    getDefaultMove(kind) {
+        const defaults = {
+            attack: { name: 'Attack', power: 100, cost: 0 },
+            special: { name: 'Special', power: Math.round(this.SPECIAL_ATTACK_MULTIPLIER * 100), cost: 1 },
+            defend: { name: 'Defend', power: 10, cost: 0 }
+        };
 
-        // Check if battle ended
-        if (this.checkBattleEnd()) {
-            return result;
+        if (!defaults[kind]) {
+            return null;
         }
 
-        // Switch to player turn
-        this.currentBattle.currentTurn = 'player';
+        return {
+            id: kind,
+            kind: kind,
+            element: null,
+            accuracy: 1,
+            effect: null,
+            learnLevel: 1,
+            ...defaults[kind]
+        };
+    }
 
-        return result;
+    /**
+     * Check whether a move is one of the basic fallback moves
+     * @param {Move} move - Move to check
+     * @returns {boolean} Whether the move is a basic move
+     */
+    isDefaultMove(move) {
+        return move.id === move.kind;
     }
 
     /**
-     * Execute a battle action
-     * @param {Creature} attacker - Attacking creature
-     * @param {Creature} defender - Defending creature
-     * @param {string} actionType - Type of action
+     * Get the moves a side can choose from this turn
+     * Each move is annotated with its energy cost and whether it is affordable, its elemental
+     * matchup and its chance to hit against the other side's creature
      * @param {string} actor - 'player' or 'opponent'
-     * @returns {BattleResult} Result of the action
+     * @returns {Array<Move & {energyCost: number, usable: boolean, effectiveness: number, hitChance: number,
+     *          status: {id: string, chance: number, self: boolean, applicable: boolean}|null}>} Available moves,
+     *          with the status each can cause and whether it could take hold right now
      */
-    executeAction(attacker, defender, actionType, actor) {
-        const result = {
-            actor: actor,
-            actionType: actionType,
-            damage: 0,
-            critical: false,
-            blocked: false,
-            message: '',
-            attackerHp: attacker.stats.hp,
-            defenderHp: defender.stats.hp,
-            timestamp: new Date()
-        };
-
-        switch (actionType) {
-            case 'attack':
-                result.damage = this.calculateDamage(attacker, defender, 'normal');
-                result.critical = this.checkCriticalHit(attacker);
-                
-                if (result.critical) {
-                    result.damage = Math.floor(result.damage * this.CRITICAL_HIT_MULTIPLIER);
-                }
-                
-                defender.stats.hp = Math.max(0, defender.stats.hp - result.damage);
-                result.defenderHp = defender.stats.hp;
-                
-                // Track damage dealt for AI analysis
-                if (actor === 'player') {
-                    this.currentBattle.playerActions.lastDamageDealt = result.damage;
-                } else {
-                    this.currentBattle.opponentActions.lastDamageDealt = result.damage;
-                }
-                
-                result.message = result.critical 
-                    ? `${attacker.name} lands a critical hit for ${result.damage} damage!`
-                    : `${attacker.name} attacks for ${result.damage} damage!`;
-                break;
-
-            case 'special':
-                result.damage = this.calculateDamage(attacker, defender, 'special');
-                result.critical = this.checkCriticalHit(attacker, 0.5); // Reduced crit chance for special
-                
-                if (result.critical) {
-                    result.damage = Math.floor(result.damage * this.CRITICAL_HIT_MULTIPLIER);
-                }
-                
-                defender.stats.hp = Math.max(0, defender.stats.hp - result.damage);
-                result.defenderHp = defender.stats.hp;
-                
-                // Track damage dealt for AI analysis
-                if (actor === 'player') {
-                    this.currentBattle.playerActions.lastDamageDealt = result.damage;
-                } else {
-                    this.currentBattle.opponentActions.lastDamageDealt = result.damage;
-                }
-                
-                result.message = result.critical
-                    ? `${attacker.name} unleashes a critical special attack for ${result.damage} damage!`
-                    : `${attacker.name} uses a special attack for ${result.damage} damage!`;
-                break;
+    getAvailableMoves(actor) {
+        if (!this.currentBattle) {
+            return [];
+        }
 
-            case 'defend':
-                // Defending reduces incoming damage for the next turn and may restore some HP
-                const healAmount = Math.floor(attacker.stats.maxHp * 0.1); // 10% heal
-                attacker.stats.hp = Math.min(attacker.stats.maxHp, attacker.stats.hp + healAmount);
-                result.attackerHp = attacker.stats.hp;
-                
-                result.message = healAmount > 0 
-                    ? `${attacker.name} defends and recovers ${healAmount} HP!`
-                    : `${attacker.name} takes a defensive stance!`;
-                break;
+        const creature = this.currentBattle[`${actor}Creature`];
+        const target = this.currentBattle[actor === 'player' ? 'opponentCreature' : 'playerCreature'];
+        let moves = GameUtils.getLearnedMoves(creature);
 
-            default:
-                throw new Error(`Unknown action type: ${actionType}`);
+        if (moves.length === 0) {
+            moves = ['attack', 'special', 'defend'].map(kind => this.getDefaultMove(kind));
         }
 
-        // Add to battle log
-        this.addBattleLogEntry({
-            type: 'action',
-            actor: actor,
-            actionType: actionType,
-            damage: result.damage,
-            critical: result.critical,
-            message: result.message,
-            timestamp: result.timestamp
+        const targetSide = actor === 'player' ? 'opponent' : 'player';
+        return moves.map(move => {
+            const status = this.getMoveStatus(creature, move);
+            return {
+                ...GameUtils.deepClone(move),
+                energyCost: this.getEnergyCost(move),
+                usable: this.canAffordMove(actor, move),
+                effectiveness: move.kind === 'defend'
+                    ? 1
+                    : this.getElementEffectiveness(this.getAttackElement(creature, move.kind === 'special' ? 'special' : 'normal', move), target),
+                hitChance: move.kind === 'defend' ? 1 : this.getHitChance(actor, move),
+                status: status
+                    ? { ...status, applicable: this.canApplyStatus(status.self ? actor : targetSide, status.id) }
+                    : null
+            };
         });
+    }
 
-        return result;
+    /**
+     * Create a full energy meter for a creature entering a battle
+     * @param {Creature} creature - Creature to size the meter for
+     * @returns {EnergyMeter} Full meter
+     */
+    createEnergyMeter(creature) {
+        const max = GameConstants.ENERGY.base +
+            Math.floor((creature.stats.maxHp + creature.stats.speed) / GameConstants.ENERGY.statDivisor);
+        return { current: max, max: max };
+    }
+
+    /**
+     * Get a team member's energy meter
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {number|null} index - Team index (the active creature by default)
+     * @returns {EnergyMeter} Live energy meter
+     */
+    getEnergy(actor, index = null) {
+        const teamIndex = index === null ? this.currentBattle[`${actor}Active`] : index;
+        return this.currentBattle.energy[actor][teamIndex];
+    }
+
+    /**
+     * Get the energy a move costs
+     * @param {Move} move - Move to check
+     * @returns {number} Energy spent per use
+     */
+    getEnergyCost(move) {
+        return move.cost * GameConstants.ENERGY.costPerPoint;
+    }
+
+    /**
+     * Check whether a side's active creature has the energy for a move
+     * @param {string} actor - 'player' or 'opponent'
+     * @param {Move} move - Move to check
+     * @returns {boolean} Whether the move's cost fits in the creature's energy
+     */
+    canAffordMove(actor, move) {
+        return this.getEnergyCost(move) <= this.getEnergy(actor).current;
     }
 
     /**
      * Calculate damage for an attack
      * @param {Creature} attacker - Attacking creature
      * @param {Creature} defender - Defending creature
+     * @param {string} actor - Attacker's side, 'player' or 'opponent'
      * @param {string} attackType - 'normal' or 'special'
+     * @param {Move|null} move - Move being used; its power replaces the attack type multiplier
      * @returns {number} Damage amount
      */
-    calculateDamage(attacker, defender, attackType = 'normal') {
-        let baseDamage = attacker.stats.attack;
-        let defense = defender.stats.defense;
-
-        // Apply attack type multiplier
-        if (attackType === 'special') {
+    calculateDamage(attacker, defender, actor, attackType = 'normal', move = null) {
+        const defenderSide = actor === 'player' ? 'opponent' : 'player';
+        let baseDamage = this.getEffectiveStat(actor, 'attack');
+        let defense = this.getEffectiveStat(defenderSide, 'defense');
+
+        // Apply move power or attack type multiplier
+        if (move) {
+            baseDamage *= move.power / 100;
+        } else if (attackType === 'special') {
             baseDamage *= this.SPECIAL_ATTACK_MULTIPLIER;
         }
 
         // Check if defender is defending (reduce damage)
-        const defenderActions = this.currentBattle[
-            this.currentBattle.currentTurn === 'player' ? 'opponentActions' : 'playerActions'
-        ];
+        const defenderActions = this.currentBattle[`${defenderSide}Actions`];
         
         if (defenderActions.lastAction === 'defend') {
-            defense *= (1 + this.DEFEND_DAMAGE_REDUCTION);
+            defense *= (1 + this.DEFEND_DAMAGE_REDUCTION + (defenderActions.stanceBonus || 0));
         }
 
         // Calculate base damage with defense
         let damage = Math.max(1, baseDamage - defense);
 
+        // Apply elemental matchup
+        damage *= this.getElementEffectiveness(this.getAttackElement(attacker, attackType, move), defender);
+
         // Add random variance (±20%)
         const variance = 0.2;
         const randomMultiplier = 1 + (this.random() - 0.5) * variance * 2;
@@ -327,6 +1670,60 @@ class BattleEngine {
         return Math.max(1, damage);
     }
 
+    /**
+     * Get the element an attack is channelled through
+     * Moves carry their own element; otherwise special attacks use the secondary element
+     * when the creature has one
+     * @param {Creature} attacker - Attacking creature
+     * @param {string} attackType - 'normal' or 'special'
+     * @param {Move|null} move - Move being used
+     * @returns {string|null} Element name or null for creatures without elements
+     */
+    getAttackElement(attacker, attackType = 'normal', move = null) {
+        if (move && move.element) {
+            return move.element;
+        }
+
+        const elements = attacker.elements || [];
+        if (attackType === 'special' && elements.length > 1) {
+            return elements[1];
+        }
+        return elements[0] || null;
+    }
+
+    /**
+     * Calculate the elemental damage multiplier against a defender
+     * Dual-element defenders multiply both matchups together
+     * @param {string|null} attackElement - Element of the attack
+     * @param {Creature} defender - Defending creature
+     * @returns {number} Damage multiplier (1 is neutral)
+     */
+    getElementEffectiveness(attackElement, defender) {
+        if (!attackElement || !this.elementChart[attackElement]) {
+            return 1;
+        }
+
+        return (defender.elements || []).reduce((multiplier, element) => {
+            const matchup = this.elementChart[attackElement][element];
+            return multiplier * (typeof matchup === 'number' ? matchup : 1);
+        }, 1);
+    }
+
+    /**
+     * Get the message suffix describing an elemental matchup
+     * @param {number} effectiveness - Damage multiplier from getElementEffectiveness
+     * @returns {string} Message suffix (empty for neutral matchups)
+     */
+    getEffectivenessMessage(effectiveness) {
+        if (effectiveness > 1) {
+            return ' It\'s super effective!';
+        }
+        if (effectiveness < 1) {
+            return ' It\'s not very effective...';
+        }
+        return '';
+    }
+
     /**
      * Check if an attack is a critical hit
      * @param {Creature} attacker - Attacking creature
@@ -349,7 +1746,7 @@ class BattleEngine {
 
     /**
      * Advanced AI decision making using AIOpponent system
-     * @returns {string} Action type
+     * @returns {string} Move id or move kind
      */
     makeAIDecision() {
         if (!this.aiOpponent) {
@@ -367,7 +1764,15 @@ class BattleEngine {
             lastDamageToAI: this.currentBattle.playerActions.lastDamageDealt,
             lastDamageToPlayer: this.currentBattle.opponentActions.lastDamageDealt,
             turnCount: this.currentBattle.turnCount,
-            difficulty: this.currentBattle.difficulty
+            difficulty: this.currentBattle.difficulty,
+            availableMoves: this.getAvailableMoves('opponent'),
+            matchup: this.getMatchup(this.currentBattle.opponentCreature, this.currentBattle.playerCreature),
+            switchOptions: this.getSwitchOptions('opponent'),
+            playerStatuses: this.getStatuses('player'),
+            opponentStatuses: this.getStatuses('opponent'),
+            playerEnergy: this.getEnergy('player'),
+            opponentEnergy: this.getEnergy('opponent'),
+            playerLastStandUsed: this.hasUsedLastStand('player')
         };
 
         return this.aiOpponent.makeDecision(battleState);
@@ -391,8 +1796,10 @@ class BattleEngine {
             }
         }
 
-        // Use special attack occasionally (but not too often)
-        if (opponentActions.specialAttacksUsed < 3 && this.random() < 0.25) {
+        // Use special attacks occasionally, and always when a full meter would waste the next regeneration
+        const energy = this.getEnergy('opponent');
+        const energyFull = energy.current + GameConstants.ENERGY.regen.attack > energy.max;
+        if (this.canAffordMove('opponent', this.resolveMove(opponent, 'special')) && (energyFull || this.random() < 0.25)) {
             return 'special';
         }
 
@@ -403,21 +1810,27 @@ class BattleEngine {
     /**
      * Update action tracking for a player
      * @param {string} actor - 'player' or 'opponent'
-     * @param {string} actionType - Action type
+     * @param {Move} move - Move that was used
      */
-    updateActionTracking(actor, actionType) {
+    updateActionTracking(actor, move) {
         const actions = this.currentBattle[`${actor}Actions`];
         
-        actions.lastAction = actionType;
+        actions.lastAction = move.kind;
+        actions.lastMoveId = move.id;
         
-        if (actionType === 'defend') {
+        if (move.kind === 'defend') {
             actions.consecutiveDefends++;
         } else {
             actions.consecutiveDefends = 0;
         }
         
-        if (actionType === 'special') {
-            actions.specialAttacksUsed++;
+        // Moves with a cost spend energy; free basic attacks and defending regenerate it
+        const energy = this.getEnergy(actor);
+        const cost = this.getEnergyCost(move);
+        if (cost > 0) {
+            energy.current -= cost;
+        } else {
+            energy.current = Math.min(energy.max, energy.current + (GameConstants.ENERGY.regen[move.kind] || 0));
         }
     }
 
@@ -430,15 +1843,22 @@ class BattleEngine {
             return true;
         }
 
-        const playerHp = this.currentBattle.playerCreature.stats.hp;
-        const opponentHp = this.currentBattle.opponentCreature.stats.hp;
+        ['player', 'opponent'].forEach(actor => {
+            if (this.currentBattle[`${actor}Creature`].stats.hp <= 0) {
+                this.runLoggedTraitHook('ko', actor);
+            }
+        });
+
+        this.tryRevive('player');
+        this.tryRevive('opponent');
 
-        if (playerHp <= 0) {
+        // A side only loses once its whole team has fainted
+        if (!this.replaceFaintedCreature('player')) {
             this.endBattle('opponent');
             return true;
         }
 
-        if (opponentHp <= 0) {
+        if (!this.replaceFaintedCreature('opponent')) {
             this.endBattle('player');
             return true;
         }
@@ -446,6 +1866,38 @@ class BattleEngine {
         return false;
     }
 
+    /**
+     * Bring a fainted creature back if it is holding a revive item
+     * @param {string} actor - 'player' or 'opponent'
+     * @returns {boolean} Whether the creature was revived
+     */
+    tryRevive(actor) {
+        const creature = this.currentBattle[`${actor}Creature`];
+        const actions = this.currentBattle[`${actor}Actions`];
+
+        if (creature.stats.hp > 0 || !actions.reviveArmed) {
+            return false;
+        }
+
+        const revive = GameConstants.ITEM_TYPES.revive;
+        creature.stats.hp = Math.max(1, Math.floor(creature.stats.maxHp * revive.amount));
+        actions.reviveArmed = false;
+        this.notifyHeal(actor, creature.stats.hp, 'revive');
+
+        this.addBattleLogEntry({
+            type: 'item',
+            actor: actor,
+            actionType: 'revive',
+            itemType: revive.id,
+            itemName: revive.name,
+            damage: 0,
+            message: `${creature.name} fainted, but the ${revive.name} brings it back with ${creature.stats.hp} HP!`,
+            timestamp: new Date()
+        });
+
+        return true;
+    }
+
     /**
      * End the current battle
      * @param {string} winner - 'player' or 'opponent'
@@ -463,6 +1915,7 @@ class BattleEngine {
         // Calculate experience reward
         const experienceReward = this.calculateExperienceReward(winner);
         this.currentBattle.experienceReward = experienceReward;
+        this.currentBattle.experienceShares = this.getExperienceShares(experienceReward);
 
         // Add final battle log entry
         const winnerCreature = winner === 'player' 
@@ -482,19 +1935,10 @@ class BattleEngine {
             this.currentBattle.aiAnalysis = this.aiOpponent.getBattleAnalysis();
         }
 
-        // Record battle result in DifficultyManager
-        if (this.difficultyManager) {
-            this.difficultyManager.recordBattleResult({
-                won: winner === 'player',
-                difficulty: this.currentBattle.difficulty,
-                experienceReward: experienceReward,
-                turnCount: this.currentBattle.turnCount,
-                battleDuration: this.currentBattle.duration
-            });
-        }
-
         // Add to battle history
-        this.battleHistory.push(GameUtils.deepClone(this.currentBattle));
+        if (this.recordResults) {
+            this.battleHistory.push(GameUtils.deepClone(this.currentBattle));
+        }
 
         console.log(`Battle ended: ${winner} wins! Experience reward: ${experienceReward}`);
         
@@ -514,18 +1958,21 @@ class BattleEngine {
             return 0; // No experience for losing
         }
 
-        const opponentLevel = this.currentBattle.opponentCreature.level;
-        const playerLevel = this.currentBattle.playerCreature.level;
+        // Level differences are measured against the strongest creature the player fielded
+        const battle = this.currentBattle;
+        const playerLevel = Math.max(...battle.participants.player.map(index => battle.playerTeam[index].level));
         
-        // Base reward plus level difference bonus
-        let experience = this.EXPERIENCE_BASE_REWARD;
-        experience += opponentLevel * this.EXPERIENCE_LEVEL_MULTIPLIER;
-        
-        // Bonus for fighting higher level opponents
-        if (opponentLevel > playerLevel) {
-            const levelDifference = opponentLevel - playerLevel;
-            experience += levelDifference * 20;
-        }
+        // Base reward plus level difference bonus for each defeated opponent
+        let experience = battle.opponentTeam.reduce((total, opponent) => {
+            let reward = this.EXPERIENCE_BASE_REWARD + opponent.level * this.EXPERIENCE_LEVEL_MULTIPLIER;
+            
+            // Bonus for fighting higher level opponents
+            if (opponent.level > playerLevel) {
+                const levelDifference = opponent.level - playerLevel;
+                reward += levelDifference * 20;
+            }
+            return total + reward;
+        }, 0);
 
         // Apply difficulty multiplier from DifficultyManager
         if (this.difficultyManager) {
@@ -544,6 +1991,21 @@ class BattleEngine {
         return Math.floor(experience);
     }
 
+    /**
+     * Split a battle's experience reward evenly between the player's creatures that took the field
+     * @param {number} experienceReward - Total experience reward
+     * @returns {{creatureId: string, experience: number}[]} Experience for each participant
+     */
+    getExperienceShares(experienceReward) {
+        const participants = this.currentBattle.participants.player;
+        const share = Math.floor(experienceReward / participants.length);
+
+        return participants.map(index => ({
+            creatureId: this.currentBattle.playerTeam[index].id,
+            experience: share
+        }));
+    }
+
     /**
      * Add entry to battle log
      * @param {Object} entry - Log entry
@@ -615,12 +2077,155 @@ class BattleEngine {
         };
     }
 
+    /**
+     * Replay a recorded battle turn for turn and check that it plays out the same way
+     * Runs on a separate engine, so the current battle, battle history and difficulty progress are untouched
+     * @param {Battle} record - Battle from getBattleHistory or getCurrentBattle
+     * @returns {BattleReplay} Replay outcome
+     */
+    replayBattle(record) {
+        if (!record || !record.seed || !record.startingCreatures || !Array.isArray(record.inputs)) {
+            throw new Error('Battle record has no replay data');
+        }
+
+        const engine = new BattleEngine(this.difficultyManager);
+        engine.recordResults = false;
+        engine.setElementChart(this.elementChart);
+
+        // Skip the draws taken before the battle began, such as opponent generation
+        engine.startRandomStream(record.seed);
+        for (let i = 0; i < record.streamOffset; i++) {
+            engine.random();
+        }
+
+        let error = null;
+        try {
+            engine.initiateBattle(record.startingCreatures.player, record.startingCreatures.opponent, record.difficulty);
+            const battle = engine.currentBattle;
+            let inputIndex = 0;
+
+            while (battle.status === 'active') {
+                // A battle recorded mid-fight stops where the record does
+                const inputsDone = inputIndex >= record.inputs.length;
+                if (inputsDone && record.status === 'active' && battle.currentTurn === record.currentTurn) {
+                    break;
+                }
+
+                if (battle.currentTurn === 'opponent') {
+                    engine.executeAIAction();
+                } else if (!inputsDone) {
+                    const input = record.inputs[inputIndex++];
+                    if (input.type === 'item') {
+                        engine.executeItemAction(input.value);
+                    } else if (input.type === 'switch') {
+                        engine.executeSwitchAction(input.value);
+                    } else {
+                        engine.executePlayerAction(input.value);
+                    }
+                } else {
+                    break;
+                }
+            }
+        } catch (replayError) {
+            error = replayError.message;
+        }
+
+        const replayed = GameUtils.deepClone(engine.currentBattle);
+        const differences = replayed ? this.compareBattles(record, replayed) : [];
+        if (error) {
+            console.warn(`Replay of battle ${record.id} stopped early:`, error);
+        }
+
+        return {
+            matches: !error && differences.length === 0,
+            differences: differences,
+            battle: replayed,
+            ...(error ? { error: error } : {})
+        };
+    }
+
+    /**
+     * List where a replayed battle differs from its record
+     * @param {Battle} expected - Recorded battle
+     * @param {Battle} actual - Replayed battle
+     * @returns {{field: string, expected: *, actual: *}[]} Differences, empty when they match
+     */
+    compareBattles(expected, actual) {
+        const differences = [];
+        const compare = (field, expectedValue, actualValue) => {
+            if (JSON.stringify(expectedValue) !== JSON.stringify(actualValue)) {
+                differences.push({ field: field, expected: expectedValue, actual: actualValue });
+            }
+        };
+
+        compare('status', expected.status, actual.status);
+        compare('winner', expected.winner, actual.winner);
+        compare('turnCount', expected.turnCount, actual.turnCount);
+        compare('inputs', expected.inputs, actual.inputs);
+        compare('playerHp', expected.playerCreature.stats.hp, actual.playerCreature.stats.hp);
+        compare('opponentHp', expected.opponentCreature.stats.hp, actual.opponentCreature.stats.hp);
+        ['player', 'opponent'].forEach(side => {
+            const teamHp = battle => (battle[`${side}Team`] || [battle[`${side}Creature`]]).map(creature => creature.stats.hp);
+            compare(`${side}TeamHp`, teamHp(expected), teamHp(actual));
+        });
+        compare('statuses', expected.statuses, actual.statuses);
+        compare('energy', expected.energy, actual.energy);
+        compare('experienceReward', expected.experienceReward, actual.experienceReward);
+
+        // Report only the first log entry that differs; everything after it will too
+        const logLength = Math.max(expected.battleLog.length, actual.battleLog.length);
+        for (let i = 0; i < logLength; i++) {
+            const expectedEntry = expected.battleLog[i] ? expected.battleLog[i].message : null;
+            const actualEntry = actual.battleLog[i] ? actual.battleLog[i].message : null;
+            if (expectedEntry !== actualEntry) {
+                compare(`battleLog[${i}]`, expectedEntry, actualEntry);
+                break;
+            }
+        }
+
+        return differences;
+    }
+
+    /**
+     * Start a seeded random stream for the next battle
+     * Everything random in a battle draws from this one stream: the AI's personality and decisions,
+     * turn order and damage rolls, plus opponent generation when the caller uses the returned function.
+     * The seed is stored in the battle record so replayBattle can reproduce it
+     * @param {number|null} seed - Seed to use, or null for a new random seed
+     * @returns {Function} The stream's random function
+     */
+    startRandomStream(seed = null) {
+        const stream = {
+            seed: seed || GameUtils.generateSeed(),
+            draws: 0,
+            battleId: null
+        };
+        const next = GameUtils.createSeededRandom(stream.seed);
+
+        this.randomStream = stream;
+        this.random = () => {
+            stream.draws++;
+            return next();
+        };
+        return this.random;
+    }
+
     /**
      * Set random function (for testing)
+     * Battles started afterwards use it instead of a seeded stream, so they can't be replayed
      * @param {Function} randomFunc - Random function
      */
     setRandomFunction(randomFunc) {
         this.random = randomFunc;
+        this.randomStream = null;
+    }
+
+    /**
+     * Set the element effectiveness matrix
+     * @param {Object} chart - Map of attacking element to { defendingElement: multiplier }
+     */
+    setElementChart(chart) {
+        this.elementChart = chart;
     }
 }
 
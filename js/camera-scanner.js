@@ -11,8 +11,10 @@ class CameraScanner {
         this.stream = null;
         this.onBarcodeDetectedCallback = null;
         this.onErrorCallback = null;
+        this.onBarcodeRejectedCallback = null;
         this.scanCount = 0;
         this.lastScannedBarcode = null;
+        this.lastRejectedBarcode = null;
         this.scanConfidenceThreshold = 0.75;
         this.duplicateScanDelay = 2000; // 2 seconds
         
@@ -255,8 +257,11 @@ class CameraScanner {
             return;
         }
 
-        // Validate barcode format
-        if (!this.isValidBarcodeFormat(code)) {
+        // Validate barcode format and check digit
+        const expectedFormat = this.getExpectedFormat(result.codeResult.format, code);
+        const validation = DataValidation.validateBarcode(code, expectedFormat);
+        if (!validation.valid) {
+            this.handleRejectedBarcode(code, validation);
             return;
         }
 
@@ -273,7 +278,9 @@ class CameraScanner {
             this.onBarcodeDetectedCallback(code, {
                 confidence: confidence,
                 scanCount: this.scanCount,
-                format: result.codeResult.format
+                format: result.codeResult.format,
+                symbology: validation.format,
+                normalized: validation.normalized
             });
         }
 
@@ -326,16 +333,69 @@ class CameraScanner {
     /**
      * Check if barcode format is valid
      * @param {string} code - Barcode string
+     * @param {string|null} format - QuaggaJS format name, if known
      * @returns {boolean} Whether the barcode format is valid
      */
-    isValidBarcodeFormat(code) {
-        // Check if it's a string and has reasonable length
-        if (typeof code !== 'string' || code.length < 8 || code.length > 20) {
-            return false;
+    isValidBarcodeFormat(code, format = null) {
+        return DataValidation.validateBarcode(code, this.getExpectedFormat(format, code)).valid;
+    }
+
+    /**
+     * Map a QuaggaJS format name to the symbology the validator should enforce
+     * @param {string|null} quaggaFormat - Format reported by QuaggaJS (e.g. 'ean_13')
+     * @param {string} code - Decoded barcode
+     * @returns {string|null} Format from GameConstants.BARCODE_FORMATS, or null to auto-detect
+     */
+    getExpectedFormat(quaggaFormat, code) {
+        const formats = GameConstants.BARCODE_FORMATS;
+
+        switch (quaggaFormat) {
+            case 'ean_13':
+                return /^97[89]/.test(code) ? formats.ISBN_13 : formats.EAN_13;
+            case 'ean_8':
+                return formats.EAN_8;
+            case 'upc_a':
+                return formats.UPC_A;
+            case 'upc_e':
+                return formats.UPC_E;
+            case 'code_128':
+                return formats.CODE_128;
+            case 'code_39':
+            case 'code_39_vin':
+                return formats.CODE_39;
+            case 'codabar':
+                return formats.CODABAR;
+            case 'i2of5':
+                // Interleaved 2 of 5 only carries a check digit as ITF-14
+                return code && code.length === 14 ? formats.ITF_14 : formats.NUMERIC;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Report a decoded barcode that failed validation, once per code
+     * @param {string} code - Decoded barcode
+     * @param {BarcodeValidationResult} validation - Failed validation result
+     */
+    handleRejectedBarcode(code, validation) {
+        // Misreads repeat every frame, so only report each code once per delay window
+        if (this.lastRejectedBarcode === code) {
+            return;
         }
 
-        // Check if it contains only digits
-        return /^\d+$/.test(code);
+        this.lastRejectedBarcode = code;
+        console.warn(`Barcode rejected: ${code} (${validation.reason})`);
+
+        if (this.onBarcodeRejectedCallback) {
+            this.onBarcodeRejectedCallback(code, validation);
+        }
+
+        setTimeout(() => {
+            if (this.lastRejectedBarcode === code) {
+                this.lastRejectedBarcode = null;
+            }
+        }, this.duplicateScanDelay);
     }
 
     /**
@@ -355,6 +415,14 @@ class CameraScanner {
         this.onBarcodeDetectedCallback = callback;
     }
 
+    /**
+     * Set callback for decoded barcodes that fail validation
+     * @param {Function} callback - Callback function (barcode, validation) => void
+     */
+    onBarcodeRejected(callback) {
+        this.onBarcodeRejectedCallback = callback;
+    }
+
     /**
      * Set callback for errors
      * @param {Function} callback - Error callback function (type, error) => void
@@ -411,6 +479,7 @@ class CameraScanner {
         this.stopScanning();
         this.onBarcodeDetectedCallback = null;
         this.onErrorCallback = null;
+        this.onBarcodeRejectedCallback = null;
         this.videoElement = null;
     }
 }
@@ -134,6 +134,10 @@ class CreatureManager {
                     comparison = a.stats.speed - b.stats.speed;
                     break;
                     
+                case 'rarity':
+                    comparison = this.getRarityRank(a) - this.getRarityRank(b);
+                    break;
+                    
                 default:
                     console.warn(`Unknown sort criteria: ${criteria}`);
                     return 0;
@@ -197,11 +201,16 @@ class CreatureManager {
             levelsGained: creature.level - oldLevel,
             oldStats: oldStats,
             newStats: GameUtils.deepClone(creature.stats),
-            statGains: this.calculateStatGains(oldStats, creature.stats)
+            statGains: this.calculateStatGains(oldStats, creature.stats),
+            levelGains: levelUpResult.levelGains,
+            learnedMoves: this.getMovesLearnedBetween(creature, oldLevel, creature.level),
+            evolutions: levelUpResult.evolutions
         };
         
         if (levelUpResult.leveledUp) {
             console.log(`${creature.name} gained ${experienceGained} XP and leveled up to ${creature.level}!`);
+            result.learnedMoves.forEach(move => console.log(`${creature.name} learned ${move.name}!`));
+            result.evolutions.forEach(evolution => console.log(`${evolution.fromName} evolved into ${evolution.toName}!`));
         } else {
             console.log(`${creature.name} gained ${experienceGained} XP (${creature.experience}/${creature.experienceToNext})`);
         }
@@ -217,6 +226,7 @@ class CreatureManager {
     checkLevelUp(creature) {
         let leveledUp = false;
         let levelsGained = 0;
+        const levelGains = [];
         
         // Keep leveling up while creature has enough experience
         while (creature.experience >= creature.experienceToNext) {
@@ -226,7 +236,9 @@ class CreatureManager {
             leveledUp = true;
             
             // Update stats for new level
+            const statsBefore = GameUtils.deepClone(creature.stats);
             this.updateStatsForLevel(creature);
+            levelGains.push({ level: creature.level, gains: this.calculateStatGains(statsBefore, creature.stats) });
             
             // Calculate experience needed for next level
             creature.experienceToNext = GameUtils.calculateExperienceToNext(creature.level);
@@ -241,8 +253,140 @@ class CreatureManager {
         return {
             leveledUp: leveledUp,
             levelsGained: levelsGained,
-            newLevel: creature.level
+            newLevel: creature.level,
+            levelGains: levelGains,
+            evolutions: leveledUp ? this.checkEvolution(creature) : []
+        };
+    }
+
+    /**
+     * Evolve a creature through every stage its level has reached
+     * Creatures whose owner opted out of evolution are left as they are
+     * @param {Creature} creature - Creature to check
+     * @returns {EvolutionRecord[]} Evolutions applied, in order
+     */
+    checkEvolution(creature) {
+        const evolutions = [];
+        if (creature.evolutionLocked) {
+            return evolutions;
+        }
+        
+        let nextLevel = this.getNextEvolutionLevel(creature);
+        while (nextLevel !== null && creature.level >= nextLevel) {
+            evolutions.push(this.applyEvolution(creature, 'level'));
+            nextLevel = this.getNextEvolutionLevel(creature);
+        }
+        
+        return evolutions;
+    }
+
+    /**
+     * Get the level a creature evolves to its next stage at
+     * @param {Creature} creature - Creature to inspect
+     * @returns {number|null} Evolution level, or null once the creature reached its final stage
+     */
+    getNextEvolutionLevel(creature) {
+        const stage = creature.evolutionStage || 0;
+        if (stage >= GameConstants.EVOLUTION_STAGES.length - 1) {
+            return null;
+        }
+        
+        const barcodeProcessor = new BarcodeProcessor();
+        return barcodeProcessor.getEvolutionLevels(creature.barcode)[stage];
+    }
+
+    /**
+     * Evolve a creature to its next stage right away, e.g. with an Evolution Catalyst
+     * This is an explicit choice, so it also works on creatures opted out of level-up evolution
+     * @param {string} creatureId - ID of the creature
+     * @param {'level'|'catalyst'} trigger - What caused the evolution
+     * @returns {Object} Evolution result with the new record
+     */
+    evolveCreature(creatureId, trigger = 'catalyst') {
+        const creature = this.creatures.get(creatureId);
+        if (!creature) {
+            console.error(`Creature not found: ${creatureId}`);
+            return { success: false, error: 'Creature not found' };
+        }
+        
+        if (this.getNextEvolutionLevel(creature) === null) {
+            console.warn(`${creature.name} is already fully evolved`);
+            return { success: false, error: 'Creature is fully evolved' };
+        }
+        
+        const oldStats = GameUtils.deepClone(creature.stats);
+        const evolution = this.applyEvolution(creature, trigger);
+        this.saveCreatures();
+        
+        console.log(`${evolution.fromName} evolved into ${evolution.toName}!`);
+        return {
+            success: true,
+            evolution: evolution,
+            oldStats: oldStats,
+            newStats: GameUtils.deepClone(creature.stats),
+            statGains: this.calculateStatGains(oldStats, creature.stats)
+        };
+    }
+
+    /**
+     * Move a creature to its next evolution stage and record it
+     * The id, barcode and species are never changed, so the creature keeps its identity
+     * @param {Creature} creature - Creature to evolve, updated in place
+     * @param {'level'|'catalyst'} trigger - What caused the evolution
+     * @returns {EvolutionRecord} The new evolution record
+     */
+    applyEvolution(creature, trigger) {
+        const fromStage = creature.evolutionStage || 0;
+        const stage = GameUtils.getEvolutionStage(fromStage + 1);
+        const baseName = creature.baseName || creature.name;
+        
+        const evolution = {
+            fromStage: fromStage,
+            toStage: stage.stage,
+            fromName: creature.name,
+            toName: `${stage.prefix}${baseName}${stage.suffix}`,
+            level: creature.level,
+            trigger: trigger,
+            date: new Date()
         };
+        
+        creature.baseName = baseName;
+        creature.name = evolution.toName;
+        creature.evolutionStage = stage.stage;
+        creature.evolutionHistory = [...(creature.evolutionHistory || []), evolution];
+        this.updateStatsForLevel(creature);
+        
+        return evolution;
+    }
+
+    /**
+     * Opt a creature in or out of evolving when it levels up
+     * @param {string} creatureId - ID of the creature
+     * @param {boolean} locked - Whether to keep the creature from evolving
+     * @returns {boolean} Success status
+     */
+    setEvolutionLocked(creatureId, locked) {
+        const creature = this.creatures.get(creatureId);
+        if (!creature) {
+            console.error(`Creature not found: ${creatureId}`);
+            return false;
+        }
+        
+        creature.evolutionLocked = Boolean(locked);
+        this.saveCreatures();
+        
+        return true;
+    }
+
+    /**
+     * Get moves unlocked by levelling from one level to another
+     * @param {Creature} creature - Creature that levelled up
+     * @param {number} oldLevel - Level before the level up
+     * @param {number} newLevel - Level after the level up
+     * @returns {Move[]} Newly learned moves
+     */
+    getMovesLearnedBetween(creature, oldLevel, newLevel) {
+        return (creature.moves || []).filter(move => move.learnLevel > oldLevel && move.learnLevel <= newLevel);
     }
 
     /**
@@ -250,27 +394,246 @@ class CreatureManager {
      * @param {Creature} creature - Creature to update
      */
     updateStatsForLevel(creature) {
-        // Get base stats from barcode (level 1 stats)
-        const barcodeProcessor = new BarcodeProcessor();
-        const baseStats = barcodeProcessor.calculateStats(creature.barcode);
+        Object.assign(creature.stats, CreatureManager.calculateStatsAtLevel(creature, creature.generatorVersion));
+    }
+
+    /**
+     * Calculate a creature's stats at its current level under a generator version
+     * Evolved creatures get their stage's boosted base stats and growth rate, which
+     * the creature's growth profile then scales per stat along its growth curve.
+     * Static so batch jobs can run it in the generation worker
+     * @param {Creature} creature - Creature to calculate stats for
+     * @param {number} generatorVersion - Generator version whose base stats to use
+     * @param {CreatureStats|null} levelOneStats - Barcode stats already calculated for the version, if any
+     * @returns {CreatureStats} Stats at the creature's level, keeping its current HP ratio
+     */
+    static calculateStatsAtLevel(creature, generatorVersion, levelOneStats = null) {
+        // Get base stats from barcode (level 1 stats); fusions carry their own
+        const baseStats = creature.baseStats || levelOneStats ||
+            new BarcodeProcessor().calculateStats(creature.barcode, generatorVersion);
+        const stage = GameUtils.getEvolutionStage(creature.evolutionStage);
+        const timing = GameUtils.getGrowthProfile(creature.growth && creature.growth.profile).timing;
+        const statAtLevel = (base, stat) => GameUtils.calculateStatAtLevel(
+            Math.round(base * stage.statMultiplier), creature.level, stage.growthPerLevel,
+            GameUtils.getGrowthRate(creature.growth, stat), timing
+        );
         
         // Calculate stats at current level
-        const newMaxHp = GameUtils.calculateStatAtLevel(baseStats.maxHp, creature.level);
-        const newAttack = GameUtils.calculateStatAtLevel(baseStats.attack, creature.level);
-        const newDefense = GameUtils.calculateStatAtLevel(baseStats.defense, creature.level);
-        const newSpeed = GameUtils.calculateStatAtLevel(baseStats.speed, creature.level);
+        const newMaxHp = statAtLevel(baseStats.maxHp, 'maxHp');
         
         // Calculate HP increase to maintain current HP ratio
         const hpRatio = creature.stats.hp / creature.stats.maxHp;
         
-        // Update stats
-        creature.stats.maxHp = newMaxHp;
-        creature.stats.attack = newAttack;
-        creature.stats.defense = newDefense;
-        creature.stats.speed = newSpeed;
+        return {
+            hp: Math.max(1, Math.floor(newMaxHp * hpRatio)),
+            maxHp: newMaxHp,
+            attack: statAtLevel(baseStats.attack, 'attack'),
+            defense: statAtLevel(baseStats.defense, 'defense'),
+            speed: statAtLevel(baseStats.speed, 'speed')
+        };
+    }
+
+    /**
+     * Preview regenerating outdated creatures with a newer generator version
+     * Growth profiles and traits are rolled again and stats are recalculated at each
+     * creature's current level along the new growth curve; names, moves and progress
+     * are kept. Fusions are skipped as their stats come from their parents
+     * @param {number|null} targetVersion - Generator version to move to (latest if null)
+     * @returns {Object[]} One entry per outdated creature with its old and new stats, growth and traits
+     */
+    previewRegeneration(targetVersion = null) {
+        const version = this.resolveRegenerationVersion(targetVersion);
+        
+        return this.getOutdatedCreatures(version)
+            .map(creature => this.buildRegenerationPreview(creature, version));
+    }
+
+    /**
+     * Preview regeneration like previewRegeneration, calculating stats in a batch job
+     * so large collections don't block the UI
+     * @param {number|null} targetVersion - Generator version to move to (latest if null)
+     * @param {BatchGenerationService} batchService - The app's shared service (UIController.batchGenerationService)
+     * @param {Function|null} onProgress - Called with {completed, total} as stats are calculated
+     * @returns {{promise: Promise<Object>, cancel: Function}} Job; the promise resolves to
+     *          {success, cancelled, previews} or {success: false, error}
+     */
+    previewRegenerationInBatches(targetVersion, batchService, onProgress = null) {
+        let version;
+        try {
+            version = this.resolveRegenerationVersion(targetVersion);
+        } catch (error) {
+            console.error('Error previewing regeneration:', error);
+            return { promise: Promise.resolve({ success: false, error: error.message }), cancel: () => {} };
+        }
+        
+        const creatures = this.getOutdatedCreatures(version);
+        const job = batchService.calculateBaseStats(
+            creatures.map(creature => ({ barcode: creature.barcode, version: version })),
+            { version: version, onProgress: onProgress }
+        );
+        
+        const promise = job.promise.then(batch => {
+            if (!batch.success) {
+                return { success: false, cancelled: batch.cancelled, error: batch.error || 'Cancelled' };
+            }
+            return {
+                success: true,
+                cancelled: false,
+                previews: creatures.map((creature, index) =>
+                    this.buildRegenerationPreview(creature, version, batch.results[index]))
+            };
+        });
+        
+        return { promise: promise, cancel: job.cancel };
+    }
+
+    /**
+     * Check a regeneration target version
+     * @param {number|null} targetVersion - Generator version to move to (latest if null)
+     * @returns {number} Generator version
+     */
+    resolveRegenerationVersion(targetVersion) {
+        const barcodeProcessor = new BarcodeProcessor();
+        const version = targetVersion || barcodeProcessor.latestGeneratorVersion;
+        barcodeProcessor.getGeneratorConfig(version); // Throws for unknown versions
+        return version;
+    }
+
+    /**
+     * Get creatures generated with a different generator version
+     * Fusions are never outdated as their stats come from their parents
+     * @param {number} version - Generator version to compare with
+     * @returns {Creature[]} Outdated creatures
+     */
+    getOutdatedCreatures(version) {
+        return Array.from(this.creatures.values())
+            .filter(creature => creature.generatorVersion !== version && !creature.fusion);
+    }
+
+    /**
+     * Build the regeneration preview for one creature
+     * @param {Creature} creature - Outdated creature
+     * @param {number} version - Generator version to move to
+     * @param {CreatureStats|null} levelOneStats - Barcode stats already calculated for the version, if any
+     * @returns {Object} Preview with the creature's old and new stats, growth and traits
+     */
+    buildRegenerationPreview(creature, version, levelOneStats = null) {
+        const barcodeProcessor = new BarcodeProcessor();
+        const newGrowth = barcodeProcessor.generateGrowth(creature.barcode, version);
+        const newStats = CreatureManager.calculateStatsAtLevel({ ...creature, growth: newGrowth }, version, levelOneStats);
+        return {
+            creatureId: creature.id,
+            name: creature.name,
+            barcode: creature.barcode,
+            fromVersion: creature.generatorVersion,
+            toVersion: version,
+            oldStats: GameUtils.deepClone(creature.stats),
+            newStats: newStats,
+            statChanges: this.calculateStatGains(creature.stats, newStats),
+            oldGrowth: creature.growth ? GameUtils.deepClone(creature.growth) : null,
+            newGrowth: newGrowth,
+            oldTraits: (creature.traits || []).slice(),
+            newTraits: barcodeProcessor.generateTraits(creature.barcode, version)
+        };
+    }
+
+    /**
+     * Regenerate outdated creatures with a newer generator version
+     * @param {number|null} targetVersion - Generator version to move to (latest if null)
+     * @param {string[]|null} creatureIds - Limit regeneration to these creatures (all outdated if null)
+     * @param {Object[]|null} precomputedPreviews - Previews from previewRegenerationInBatches to apply
+     *                                             instead of recalculating them
+     * @returns {Object} Result with the number of creatures regenerated and their previews
+     */
+    applyRegeneration(targetVersion = null, creatureIds = null, precomputedPreviews = null) {
+        let previews;
+        try {
+            previews = precomputedPreviews || this.previewRegeneration(targetVersion);
+        } catch (error) {
+            console.error('Error regenerating creatures:', error);
+            return { success: false, error: error.message };
+        }
+        
+        // Creatures removed since the preview was made are skipped
+        previews = previews.filter(preview => this.creatures.has(preview.creatureId));
+        
+        if (creatureIds) {
+            previews = previews.filter(preview => creatureIds.includes(preview.creatureId));
+        }
+        
+        previews.forEach(preview => {
+            const creature = this.creatures.get(preview.creatureId);
+            creature.stats = preview.newStats;
+            creature.growth = preview.newGrowth;
+            creature.traits = preview.newTraits;
+            creature.generatorVersion = preview.toVersion;
+        });
+        
+        if (previews.length > 0) {
+            this.saveCreatures();
+            console.log(`Regenerated ${previews.length} creatures with generator version ${previews[0].toVersion}`);
+        }
         
-        // Update current HP maintaining the same ratio (but at least 1)
-        creature.stats.hp = Math.max(1, Math.floor(newMaxHp * hpRatio));
+        return {
+            success: true,
+            regenerated: previews.length,
+            changes: previews
+        };
+    }
+
+    /**
+     * Preview fusing two creatures without changing the collection
+     * @param {string} creatureIdA - ID of the first parent
+     * @param {string} creatureIdB - ID of the second parent
+     * @returns {Object} Result with the creature the fusion would make
+     */
+    previewFusion(creatureIdA, creatureIdB) {
+        const parentA = this.creatures.get(creatureIdA);
+        const parentB = this.creatures.get(creatureIdB);
+        if (!parentA || !parentB) {
+            console.error(`Creature not found: ${!parentA ? creatureIdA : creatureIdB}`);
+            return { success: false, error: 'Creature not found' };
+        }
+
+        if (creatureIdA === creatureIdB) {
+            return { success: false, error: 'Choose two different creatures' };
+        }
+
+        const barcodeProcessor = new BarcodeProcessor();
+        const creature = barcodeProcessor.fuseCreatures(parentA, parentB);
+        if (!creature) {
+            return { success: false, error: 'These creatures cannot be fused' };
+        }
+
+        // The same pair of barcodes always fuses into the same creature
+        if (this.findCreatureByBarcode(creature.barcode)) {
+            return { success: false, error: 'You already own this fusion' };
+        }
+
+        return { success: true, creature: creature };
+    }
+
+    /**
+     * Fuse two creatures into a new one; both parents are removed from the collection
+     * @param {string} creatureIdA - ID of the first parent
+     * @param {string} creatureIdB - ID of the second parent
+     * @returns {Object} Result with the fused creature
+     */
+    fuseCreatures(creatureIdA, creatureIdB) {
+        const preview = this.previewFusion(creatureIdA, creatureIdB);
+        if (!preview.success) {
+            return preview;
+        }
+
+        const creature = preview.creature;
+        this.creatures.delete(creatureIdA);
+        this.creatures.delete(creatureIdB);
+        this.creatures.set(creature.id, creature);
+        this.saveCreatures();
+
+        const [parentA, parentB] = creature.fusion.parents;
+        console.log(`Fused ${parentA.name} and ${parentB.name} into ${creature.name}`);
+        return { success: true, creature: GameUtils.deepClone(creature) };
     }
 
     /**
@@ -299,6 +662,7 @@ class CreatureManager {
         
         // Update stats for new level
         this.updateStatsForLevel(creature);
+        const evolutions = this.checkEvolution(creature);
         
         // Update experience requirements
         creature.experienceToNext = GameUtils.calculateExperienceToNext(creature.level);
@@ -313,7 +677,8 @@ class CreatureManager {
             levelsGained: levels,
             oldStats: oldStats,
             newStats: GameUtils.deepClone(creature.stats),
-            statGains: this.calculateStatGains(oldStats, creature.stats)
+            statGains: this.calculateStatGains(oldStats, creature.stats),
+            evolutions: evolutions
         };
         
         console.log(`${creature.name} leveled up from ${oldLevel} to ${creature.level}!`);
@@ -362,6 +727,16 @@ class CreatureManager {
         return totalBattles > 0 ? creature.battlesWon / totalBattles : 0;
     }
 
+    /**
+     * Get the position of a creature's rarity tier (0 = Common)
+     * @param {Creature} creature - Creature to rank
+     * @returns {number} Rarity rank
+     */
+    getRarityRank(creature) {
+        const rank = GameConstants.RARITY_TIERS.findIndex(tier => tier.id === creature.rarity);
+        return Math.max(0, rank);
+    }
+
     /**
      * Calculate stat gains between two stat objects
      * @param {CreatureStats} oldStats - Previous stats
@@ -392,6 +767,7 @@ class CreatureManager {
                 totalVictories: 0,
                 overallWinRate: 0,
                 highestLevel: 0,
+                speciesDiscovered: 0,
                 oldestDiscovery: null,
                 newestDiscovery: null
             };
@@ -413,11 +789,50 @@ class CreatureManager {
             totalVictories: totalVictories,
             overallWinRate: totalBattles > 0 ? totalVictories / totalBattles : 0,
             highestLevel: highestLevel,
+            speciesDiscovered: this.getSpeciesGroups().length,
             oldestDiscovery: oldestDiscovery,
             newestDiscovery: newestDiscovery
         };
     }
 
+    /**
+     * Group the collection by species
+     * @returns {Object[]} One entry per species ({speciesId, speciesName, count, creatures}),
+     *          largest species first
+     */
+    getSpeciesGroups() {
+        const groups = new Map();
+        
+        for (const creature of this.creatures.values()) {
+            const speciesId = creature.speciesId || creature.barcode;
+            if (!groups.has(speciesId)) {
+                groups.set(speciesId, {
+                    speciesId: speciesId,
+                    speciesName: creature.speciesName || creature.name,
+                    count: 0,
+                    creatures: []
+                });
+            }
+            
+            const group = groups.get(speciesId);
+            group.count++;
+            group.creatures.push(creature);
+        }
+        
+        return Array.from(groups.values())
+            .sort((a, b) => b.count - a.count || a.speciesName.localeCompare(b.speciesName));
+    }
+
+    /**
+     * Get all creatures of a species
+     * @param {string} speciesId - Species id
+     * @returns {Creature[]} Creatures of that species
+     */
+    getCreaturesBySpecies(speciesId) {
+        return Array.from(this.creatures.values())
+            .filter(creature => (creature.speciesId || creature.barcode) === speciesId);
+    }
+
     /**
      * Remove a creature from the collection
      * @param {string} creatureId - ID of the creature to remove
@@ -455,18 +870,32 @@ class CreatureManager {
     loadCreatures() {
         try {
             const creaturesArray = this.storageManager.loadData(GameConstants.STORAGE_KEYS.CREATURES, []);
+            const barcodeProcessor = new BarcodeProcessor(); // Shared by every creature that needs backfilling
+            let migratedCount = 0;
+            
+            // Reloads (e.g. after a restore) replace the in-memory collection
+            this.creatures.clear();
             
             // Validate and load each creature
             for (const creatureData of creaturesArray) {
                 if (DataValidation.isValidCreature(creatureData)) {
                     // Convert discoveryDate back to Date object
                     creatureData.discoveryDate = new Date(creatureData.discoveryDate);
+                    if (CreatureManager.migrateCreatureData(creatureData, barcodeProcessor)) {
+                        migratedCount++;
+                    }
                     this.creatures.set(creatureData.id, creatureData);
                 } else {
                     console.warn('Invalid creature data found in storage:', creatureData);
                 }
             }
             
+            // Persist backfilled fields so the migration only runs once
+            if (migratedCount > 0) {
+                console.log(`Migrated ${migratedCount} creatures to the current data format`);
+                this.saveCreatures();
+            }
+            
             console.log(`Loaded ${this.creatures.size} creatures from storage`);
         } catch (error) {
             console.error('Error loading creatures from storage:', error);
@@ -474,6 +903,92 @@ class CreatureManager {
         }
     }
 
+    /**
+     * Backfill fields added after a creature was first saved
+     * Static so restores and imports can run it in the generation worker (see GenerationTasks.migrate)
+     * @param {Creature} creatureData - Stored creature data, updated in place
+     * @param {BarcodeProcessor} barcodeProcessor - Processor shared by the whole migration run
+     * @returns {boolean} Whether any field was backfilled
+     */
+    static migrateCreatureData(creatureData, barcodeProcessor) {
+        let migrated = false;
+
+        // Creatures saved before generator versioning were all made by version 1
+        if (!creatureData.generatorVersion) {
+            creatureData.generatorVersion = 1;
+            migrated = true;
+        }
+
+        // Names are never rebuilt; creatures named before language packs just record none
+        if (creatureData.languagePack === undefined) {
+            creatureData.languagePack = null;
+            migrated = true;
+        }
+
+        if (!creatureData.symbology) {
+            const validation = DataValidation.validateCreatureBarcode(creatureData);
+            creatureData.symbology = validation.format || GameConstants.BARCODE_FORMATS.NUMERIC;
+            migrated = true;
+        }
+
+        if (!Array.isArray(creatureData.elements) || creatureData.elements.length === 0) {
+            creatureData.elements = barcodeProcessor.determineElements(creatureData.barcode, creatureData.generatorVersion);
+            migrated = true;
+        }
+
+        if (!creatureData.rarity) {
+            creatureData.rarity = barcodeProcessor.classifyRarity(creatureData.barcode, creatureData.generatorVersion).tier;
+            migrated = true;
+        }
+
+        if (creatureData.productClass === undefined) {
+            const { origin, productClass } = Gs1Prefixes.decode(creatureData.barcode);
+            creatureData.origin = origin;
+            creatureData.productClass = productClass;
+            migrated = true;
+        }
+
+        // Before species, every barcode was a species of its own
+        if (!creatureData.speciesId) {
+            creatureData.speciesId = creatureData.barcode;
+            creatureData.speciesName = creatureData.name;
+            migrated = true;
+        }
+
+        // Creatures from before evolution start at the first stage and may evolve on their next level up
+        if (creatureData.evolutionStage === undefined) {
+            creatureData.baseName = creatureData.name;
+            creatureData.evolutionStage = 0;
+            creatureData.evolutionHistory = [];
+            creatureData.evolutionLocked = false;
+            migrated = true;
+        }
+
+        if (!Array.isArray(creatureData.moves) || creatureData.moves.length === 0) {
+            creatureData.moves = barcodeProcessor.generateMoveset(creatureData.barcode, creatureData.elements, creatureData.generatorVersion);
+            migrated = true;
+        }
+
+        if (!Array.isArray(creatureData.traits)) {
+            creatureData.traits = barcodeProcessor.generateTraits(creatureData.barcode, creatureData.generatorVersion);
+            migrated = true;
+        }
+
+        // Creatures from before growth profiles grew the same flat amount every level,
+        // so their stats are recalculated along their new growth curve
+        if (!creatureData.growth) {
+            creatureData.growth = barcodeProcessor.generateGrowth(creatureData.barcode, creatureData.generatorVersion);
+            if (creatureData.stats) {
+                const levelOneStats = creatureData.baseStats ? null :
+                    barcodeProcessor.calculateStats(creatureData.barcode, creatureData.generatorVersion);
+                Object.assign(creatureData.stats, CreatureManager.calculateStatsAtLevel(creatureData, creatureData.generatorVersion, levelOneStats));
+            }
+            migrated = true;
+        }
+
+        return migrated;
+    }
+
     /**
      * Save creatures to storage
      */
@@ -518,39 +1033,113 @@ class CreatureManager {
                 return { success: false, error: 'Invalid import data format' };
             }
 
-            if (!merge) {
-                this.creatures.clear();
+            return this.addImportedCreatures(importData.creatures, merge);
+
+        } catch (error) {
+            console.error('Error importing collection:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Import collection data like importCollection, validating and migrating the creatures
+     * in a batch job so large backups don't block the UI
+     * @param {string} jsonData - JSON string of collection data
+     * @param {boolean} merge - Whether to merge with existing collection
+     * @param {BatchGenerationService} batchService - The app's shared service (UIController.batchGenerationService)
+     * @param {Function|null} onProgress - Called with {completed, total} as creatures are migrated
+     * @returns {{promise: Promise<Object>, cancel: Function}} Job; the promise resolves to the import result.
+     *          Nothing is imported if the job is cancelled
+     */
+    importCollectionInBatches(jsonData, merge, batchService, onProgress = null) {
+        let importData;
+        try {
+            importData = JSON.parse(jsonData);
+        } catch (error) {
+            console.error('Error importing collection:', error);
+            return { promise: Promise.resolve({ success: false, error: error.message }), cancel: () => {} };
+        }
+        
+        if (!importData.creatures || !Array.isArray(importData.creatures)) {
+            return { promise: Promise.resolve({ success: false, error: 'Invalid import data format' }), cancel: () => {} };
+        }
+        
+        const job = batchService.migrateCreatures(importData.creatures, { onProgress: onProgress });
+        const promise = job.promise.then(batch => {
+            if (!batch.success) {
+                return { success: false, cancelled: batch.cancelled, error: batch.error || 'Import cancelled' };
             }
+            return this.addImportedCreatures(importData.creatures, merge, batch.results);
+        });
+        
+        return { promise: promise, cancel: job.cancel };
+    }
 
+    /**
+     * Add creatures from an import to the collection
+     * @param {Creature[]} creatures - Imported creature data
+     * @param {boolean} merge - Whether to merge with existing collection
+     * @param {Object[]|null} migrations - Results of GenerationTasks.migrate per creature, if already run in a batch job
+     * @returns {Object} Import result
+     */
+    addImportedCreatures(creatures, merge, migrations = null) {
+        try {
             let imported = 0;
             let skipped = 0;
+            const rejected = [];
+            const accepted = [];
 
-            for (const creatureData of importData.creatures) {
-                if (DataValidation.isValidCreature(creatureData)) {
+            if (!migrations) {
+                const barcodeProcessor = new BarcodeProcessor(); // Shared by every creature that needs backfilling
+                migrations = creatures.map(creatureData => GenerationTasks.migrate(creatureData, barcodeProcessor));
+            }
+
+            // Validate everything first so a failed import never leaves the collection cleared
+            creatures.forEach((creatureData, index) => {
+                const validation = migrations[index];
+
+                // Reject creatures whose barcode is malformed
+                if (!validation.barcodeValid) {
+                    console.warn(`Rejected creature barcode in import: ${validation.reason}`, creatureData);
+                    rejected.push({ barcode: creatureData && creatureData.barcode, reason: validation.reason });
+                    skipped++;
+                    return;
+                }
+
+                if (validation.valid) {
                     // Convert discoveryDate back to Date object
-                    creatureData.discoveryDate = new Date(creatureData.discoveryDate);
-                    
-                    // Check for duplicates if merging
-                    if (merge && this.creatures.has(creatureData.id)) {
-                        skipped++;
-                        continue;
-                    }
-                    
-                    this.creatures.set(creatureData.id, creatureData);
-                    imported++;
+                    const migrated = validation.creature;
+                    migrated.discoveryDate = new Date(migrated.discoveryDate);
+                    accepted.push(migrated);
                 } else {
                     console.warn('Invalid creature data in import:', creatureData);
                     skipped++;
                 }
+            });
+
+            if (!merge) {
+                this.creatures.clear();
             }
 
+            accepted.forEach(creatureData => {
+                // Check for duplicates if merging
+                if (merge && this.creatures.has(creatureData.id)) {
+                    skipped++;
+                    return;
+                }
+                
+                this.creatures.set(creatureData.id, creatureData);
+                imported++;
+            });
+
             this.saveCreatures();
 
             return {
                 success: true,
                 imported: imported,
                 skipped: skipped,
-                total: importData.creatures.length
+                rejected: rejected,
+                total: creatures.length
             };
 
         } catch (error) {
@@ -565,443 +1154,6 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = CreatureManager;
 }
 
-// Make available globally in browser
-if (typeof window !== 'undefined') {
-    window.CreatureManager = CreatureManager;
-}/**
- * CreatureManager - Manages creature collection and operations
- * Handles creature storage, retrieval, leveling, and collection management
- */
-
-class CreatureManager {
-    constructor() {
-        this.creatures = new Map(); // Use Map for efficient lookups by ID
-        this.loadCreatures();
-    }
-
-    /**
-     * Adds a creature to the collection
-     * @param {Creature} creature - Creature to add
-     * @returns {boolean} Whether the creature was successfully added
-     */
-    addCreature(creature) {
-        // Validate creature data
-        if (!DataValidation.isValidCreature(creature)) {
-            console.error('Invalid creature data:', creature);
-            return false;
-        }
-
-        // Check if creature with same barcode already exists
-        const existingCreature = this.findCreatureByBarcode(creature.barcode);
-        if (existingCreature) {
-            console.log(`Creature with barcode ${creature.barcode} already exists:`, existingCreature.name);
-            return false;
-        }
-
-        // Add creature to collection
-        this.creatures.set(creature.id, creature);
-        
-        // Save to localStorage
-        this.saveCreatures();
-        
-        console.log(`Added creature ${creature.name} to collection`);
-        return true;
-    }
-
-    /**
-     * Gets a creature by ID
-     * @param {string} creatureId - ID of the creature to retrieve
-     * @returns {Creature|null} The creature or null if not found
-     */
-    getCreature(creatureId) {
-        return this.creatures.get(creatureId) || null;
-    }
-
-    /**
-     * Gets all creatures in the collection
-     * @returns {Creature[]} Array of all creatures
-     */
-    getCollection() {
-        return Array.from(this.creatures.values());
-    }
-
-    /**
-     * Finds a creature by barcode
-     * @param {string} barcode - Barcode to search for
-     * @returns {Creature|null} The creature or null if not found
-     */
-    findCreatureByBarcode(barcode) {
-        for (const creature of this.creatures.values()) {
-            if (creature.barcode === barcode) {
-                return creature;
-            }
-        }
-        return null;
-    }
-
-    /**
-     * Removes a creature from the collection
-     * @param {string} creatureId - ID of the creature to remove
-     * @returns {boolean} Whether the creature was successfully removed
-     */
-    removeCreature(creatureId) {
-        const creature = this.creatures.get(creatureId);
-        if (!creature) {
-            return false;
-        }
-
-        this.creatures.delete(creatureId);
-        this.saveCreatures();
-        
-        console.log(`Removed creature ${creature.name} from collection`);
-        return true;
-    }
-
-    /**
-     * Levels up a creature and increases its stats
-     * @param {string} creatureId - ID of the creature to level up
-     * @param {number} experienceGained - Experience points to add
-     * @returns {boolean} Whether the creature leveled up
-     */
-    levelUpCreature(creatureId, experienceGained) {
-        const creature = this.getCreature(creatureId);
-        if (!creature) {
-            console.error(`Creature with ID ${creatureId} not found`);
-            return false;
-        }
-
-        // Add experience
-        creature.experience += experienceGained;
-        
-        let leveledUp = false;
-        
-        // Check for level ups
-        while (creature.experience >= creature.experienceToNext) {
-            creature.experience -= creature.experienceToNext;
-            creature.level++;
-            leveledUp = true;
-            
-            // Increase stats
-            this.increaseCreatureStats(creature);
-            
-            // Calculate new experience requirement
-            creature.experienceToNext = GameUtils.calculateExperienceToNext(creature.level);
-            
-            console.log(`${creature.name} leveled up to level ${creature.level}!`);
-        }
-
-        // Save changes
-        this.saveCreatures();
-        
-        return leveledUp;
-    }
-
-    /**
-     * Increases creature stats when leveling up
-     * @param {Creature} creature - Creature to increase stats for
-     */
-    increaseCreatureStats(creature) {
-        const statIncrease = GameConstants.STAT_GROWTH_PER_LEVEL;
-        
-        // Increase all stats
-        creature.stats.maxHp += statIncrease;
-        creature.stats.hp = creature.stats.maxHp; // Heal to full on level up
-        creature.stats.attack += statIncrease;
-        creature.stats.defense += statIncrease;
-        creature.stats.speed += statIncrease;
-    }
-
-    /**
-     * Heals a creature to full HP
-     * @param {string} creatureId - ID of the creature to heal
-     * @returns {boolean} Whether the creature was successfully healed
-     */
-    healCreature(creatureId) {
-        const creature = this.getCreature(creatureId);
-        if (!creature) {
-            return false;
-        }
-
-        creature.stats.hp = creature.stats.maxHp;
-        this.saveCreatures();
-        
-        return true;
-    }
-
-    /**
-     * Updates creature battle statistics
-     * @param {string} creatureId - ID of the creature
-     * @param {boolean} won - Whether the creature won the battle
-     */
-    updateBattleStats(creatureId, won) {
-        const creature = this.getCreature(creatureId);
-        if (!creature) {
-            return;
-        }
-
-        if (won) {
-            creature.battlesWon++;
-        } else {
-            creature.battlesLost++;
-        }
-
-        this.saveCreatures();
-    }
-
-    /**
-     * Sorts the creature collection by specified criteria
-     * @param {string} criteria - Sort criteria ('name', 'level', 'discovery', 'barcode')
-     * @param {boolean} ascending - Whether to sort in ascending order
-     * @returns {Creature[]} Sorted array of creatures
-     */
-    sortCollection(criteria, ascending = true) {
-        const creatures = this.getCollection();
-        
-        creatures.sort((a, b) => {
-            let valueA, valueB;
-            
-            switch (criteria) {
-                case 'name':
-                    valueA = a.name.toLowerCase();
-                    valueB = b.name.toLowerCase();
-                    break;
-                case 'level':
-                    valueA = a.level;
-                    valueB = b.level;
-                    break;
-                case 'discovery':
-                    valueA = new Date(a.discoveryDate);
-                    valueB = new Date(b.discoveryDate);
-                    break;
-                case 'barcode':
-                    valueA = a.barcode;
-                    valueB = b.barcode;
-                    break;
-                case 'hp':
-                    valueA = a.stats.maxHp;
-                    valueB = b.stats.maxHp;
-                    break;
-                case 'attack':
-                    valueA = a.stats.attack;
-                    valueB = b.stats.attack;
-                    break;
-                case 'defense':
-                    valueA = a.stats.defense;
-                    valueB = b.stats.defense;
-                    break;
-                case 'speed':
-                    valueA = a.stats.speed;
-                    valueB = b.stats.speed;
-                    break;
-                default:
-                    console.warn(`Unknown sort criteria: ${criteria}`);
-                    return 0;
-            }
-            
-            if (valueA < valueB) return ascending ? -1 : 1;
-            if (valueA > valueB) return ascending ? 1 : -1;
-            return 0;
-        });
-        
-        return creatures;
-    }
-
-    /**
-     * Filters creatures by various criteria
-     * @param {Object} filters - Filter criteria
-     * @returns {Creature[]} Filtered array of creatures
-     */
-    filterCreatures(filters = {}) {
-        let creatures = this.getCollection();
-        
-        // Filter by minimum level
-        if (filters.minLevel) {
-            creatures = creatures.filter(c => c.level >= filters.minLevel);
-        }
-        
-        // Filter by maximum level
-        if (filters.maxLevel) {
-            creatures = creatures.filter(c => c.level <= filters.maxLevel);
-        }
-        
-        // Filter by name (partial match)
-        if (filters.name) {
-            const searchName = filters.name.toLowerCase();
-            creatures = creatures.filter(c => c.name.toLowerCase().includes(searchName));
-        }
-        
-        // Filter by barcode (partial match)
-        if (filters.barcode) {
-            creatures = creatures.filter(c => c.barcode.includes(filters.barcode));
-        }
-        
-        // Filter by battle experience (creatures that have battled)
-        if (filters.hasBattled) {
-            creatures = creatures.filter(c => (c.battlesWon + c.battlesLost) > 0);
-        }
-        
-        return creatures;
-    }
-
-    /**
-     * Gets collection statistics
-     * @returns {Object} Collection statistics
-     */
-    getCollectionStats() {
-        const creatures = this.getCollection();
-        
-        if (creatures.length === 0) {
-            return {
-                totalCreatures: 0,
-                averageLevel: 0,
-                highestLevel: 0,
-                totalBattles: 0,
-                winRate: 0
-            };
-        }
-        
-        const totalLevel = creatures.reduce((sum, c) => sum + c.level, 0);
-        const totalWins = creatures.reduce((sum, c) => sum + c.battlesWon, 0);
-        const totalLosses = creatures.reduce((sum, c) => sum + c.battlesLost, 0);
-        const totalBattles = totalWins + totalLosses;
-        
-        return {
-            totalCreatures: creatures.length,
-            averageLevel: totalLevel / creatures.length,
-            highestLevel: Math.max(...creatures.map(c => c.level)),
-            totalBattles: totalBattles,
-            winRate: totalBattles > 0 ? (totalWins / totalBattles) * 100 : 0
-        };
-    }
-
-    /**
-     * Loads creatures from localStorage
-     */
-    loadCreatures() {
-        try {
-            const stored = localStorage.getItem(GameConstants.STORAGE_KEYS.CREATURES);
-            if (stored) {
-                const creaturesData = JSON.parse(stored);
-                
-                // Validate and load each creature
-                creaturesData.forEach(creatureData => {
-                    // Convert date strings back to Date objects
-                    if (creatureData.discoveryDate) {
-                        creatureData.discoveryDate = new Date(creatureData.discoveryDate);
-                    }
-                    
-                    if (DataValidation.isValidCreature(creatureData)) {
-                        this.creatures.set(creatureData.id, creatureData);
-                    } else {
-                        console.warn('Invalid creature data found in storage:', creatureData);
-                    }
-                });
-                
-                console.log(`Loaded ${this.creatures.size} creatures from storage`);
-            }
-        } catch (error) {
-            console.error('Error loading creatures from storage:', error);
-        }
-    }
-
-    /**
-     * Saves creatures to localStorage
-     */
-    saveCreatures() {
-        try {
-            const creaturesArray = Array.from(this.creatures.values());
-            localStorage.setItem(GameConstants.STORAGE_KEYS.CREATURES, JSON.stringify(creaturesArray));
-        } catch (error) {
-            console.error('Error saving creatures to storage:', error);
-            
-            // Handle storage quota exceeded
-            if (error.name === 'QuotaExceededError') {
-                console.warn('Storage quota exceeded. Consider implementing data cleanup.');
-                // Could implement cleanup logic here
-            }
-        }
-    }
-
-    /**
-     * Clears all creatures from the collection
-     * @returns {boolean} Whether the collection was successfully cleared
-     */
-    clearCollection() {
-        this.creatures.clear();
-        
-        try {
-            localStorage.removeItem(GameConstants.STORAGE_KEYS.CREATURES);
-            console.log('Collection cleared');
-            return true;
-        } catch (error) {
-            console.error('Error clearing collection:', error);
-            return false;
-        }
-    }
-
-    /**
-     * Exports creature collection data
-     * @returns {string} JSON string of creature data
-     */
-    exportData() {
-        const creaturesArray = Array.from(this.creatures.values());
-        return JSON.stringify({
-            exportDate: new Date().toISOString(),
-            version: '1.0',
-            creatures: creaturesArray
-        }, null, 2);
-    }
-
-    /**
-     * Imports creature collection data
-     * @param {string} jsonData - JSON string of creature data
-     * @returns {boolean} Whether the import was successful
-     */
-    importData(jsonData) {
-        try {
-            const data = JSON.parse(jsonData);
-            
-            if (!data.creatures || !Array.isArray(data.creatures)) {
-                throw new Error('Invalid data format');
-            }
-            
-            // Clear existing collection
-            this.creatures.clear();
-            
-            // Import creatures
-            let importedCount = 0;
-            data.creatures.forEach(creatureData => {
-                // Convert date strings back to Date objects
-                if (creatureData.discoveryDate) {
-                    creatureData.discoveryDate = new Date(creatureData.discoveryDate);
-                }
-                
-                if (DataValidation.isValidCreature(creatureData)) {
-                    this.creatures.set(creatureData.id, creatureData);
-                    importedCount++;
-                } else {
-                    console.warn('Invalid creature data in import:', creatureData);
-                }
-            });
-            
-            // Save imported data
-            this.saveCreatures();
-            
-            console.log(`Imported ${importedCount} creatures`);
-            return true;
-            
-        } catch (error) {
-            console.error('Error importing data:', error);
-            return false;
-        }
-    }
-}
-
-// Export for use in other modules (if using modules)
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = CreatureManager;
-}
-
 // Make available globally in browser
 if (typeof window !== 'undefined') {
     window.CreatureManager = CreatureManager;
@@ -225,19 +225,20 @@ class DifficultyManager {
     /**
      * Select AI personality based on difficulty weights
      * @param {string} difficulty - Difficulty level (optional)
+     * @param {Function} random - Random function (the battle's seeded stream when called by BattleEngine)
      * @returns {string} Selected personality type
      */
-    selectAIPersonality(difficulty = null) {
+    selectAIPersonality(difficulty = null, random = Math.random) {
         const config = this.getDifficultyConfig(difficulty);
         const weights = config.aiPersonalityWeights;
         
         // Weighted random selection
         const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
-        let random = Math.random() * totalWeight;
+        let roll = random() * totalWeight;
         
         for (const [personality, weight] of Object.entries(weights)) {
-            random -= weight;
-            if (random <= 0) {
+            roll -= weight;
+            if (roll <= 0) {
                 return personality;
             }
         }
@@ -0,0 +1,253 @@
+/**
+ * GenerationAnalyzer - Sweeps barcode ranges and reports on creature generation
+ * Used to check seed and name collisions and stat balance before changing generation rules
+ */
+
+class GenerationAnalyzer {
+    constructor(barcodeProcessor = null) {
+        this.barcodeProcessor = barcodeProcessor || new BarcodeProcessor();
+        this.stats = ['hp', 'attack', 'defense', 'speed'];
+    }
+
+    /**
+     * Build a sequential range of check-digit valid numeric barcodes
+     * @param {Object} options - Range options
+     * @param {string} options.prefix - Leading digits shared by every barcode (e.g. a GS1 prefix)
+     * @param {number} options.start - First counter value after the prefix
+     * @param {number} options.count - Number of barcodes to build
+     * @param {number} options.step - Counter increment between barcodes
+     * @param {number} options.length - Total barcode length including the check digit
+     * @returns {string[]} Barcodes
+     */
+    buildBarcodeRange({ prefix = '', start = 0, count = 1000, step = 1, length = 13 } = {}) {
+        const bodyLength = length - 1;
+        const counterLength = bodyLength - prefix.length;
+
+        if (counterLength <= 0) {
+            console.error(`Prefix ${prefix} leaves no room for a counter in ${length}-digit barcodes`);
+            return [];
+        }
+
+        const barcodes = [];
+        const maxCounter = Math.pow(10, counterLength);
+
+        for (let i = 0; i < count; i++) {
+            const counter = start + i * step;
+            if (counter >= maxCounter) {
+                break;
+            }
+
+            const body = prefix + String(counter).padStart(counterLength, '0');
+            barcodes.push(body + DataValidation.calculateCheckDigit(body));
+        }
+
+        return barcodes;
+    }
+
+    /**
+     * Analyze creature generation for a set of barcodes
+     * @param {string[]} barcodes - Barcodes to analyze (invalid ones are counted and skipped)
+     * @param {Object} options - Analysis options
+     * @param {number} options.version - Generator version to analyze (latest by default)
+     * @param {number} options.bins - Number of histogram buckets per stat
+     * @param {number} options.topCollisions - How many of the largest collision groups to list
+     * @returns {Object} Analysis report
+     */
+    analyze(barcodes, { version = this.barcodeProcessor.latestGeneratorVersion, bins = 10, topCollisions = 5 } = {}) {
+        const processor = this.barcodeProcessor;
+        const seedGroups = new Map();
+        const nameGroups = new Map();
+        const statProfileGroups = new Map();
+        const statValues = {};
+        const rarityCounts = {};
+        const elementCounts = {};
+        let invalid = 0;
+
+        this.stats.forEach(stat => {
+            statValues[stat] = [];
+        });
+
+        barcodes.forEach(rawBarcode => {
+            const validation = processor.getBarcodeValidation(rawBarcode);
+            if (!validation.valid) {
+                invalid++;
+                return;
+            }
+
+            const barcode = validation.normalized;
+            const seed = processor.generateSeed(barcode, version);
+            const name = processor.generateCreatureName(barcode, version);
+            const stats = processor.calculateStats(barcode, version);
+            const rarity = processor.classifyRarity(barcode, version).tier;
+            const profile = this.stats.map(stat => stats[stat]).join('/');
+
+            this.addToGroup(seedGroups, seed, barcode);
+            this.addToGroup(nameGroups, name, barcode);
+            this.addToGroup(statProfileGroups, profile, barcode);
+
+            this.stats.forEach(stat => {
+                statValues[stat].push(stats[stat]);
+            });
+
+            rarityCounts[rarity] = (rarityCounts[rarity] || 0) + 1;
+            processor.determineElements(barcode, version).forEach(element => {
+                elementCounts[element] = (elementCounts[element] || 0) + 1;
+            });
+        });
+
+        const histograms = {};
+        this.stats.forEach(stat => {
+            histograms[stat] = this.summarizeValues(statValues[stat], bins);
+        });
+
+        return {
+            version: version,
+            sampleSize: barcodes.length - invalid,
+            invalid: invalid,
+            seeds: this.summarizeCollisions(seedGroups, topCollisions),
+            names: this.summarizeCollisions(nameGroups, topCollisions),
+            statProfiles: this.summarizeCollisions(statProfileGroups, topCollisions),
+            stats: histograms,
+            rarity: rarityCounts,
+            elements: elementCounts
+        };
+    }
+
+    /**
+     * Analyze the same barcodes under several generator versions
+     * @param {string[]} barcodes - Barcodes to analyze
+     * @param {number[]|null} versions - Versions to compare (all registered versions if null)
+     * @param {Object} options - Options passed to analyze
+     * @returns {Object<number, Object>} Reports keyed by version
+     */
+    compareVersions(barcodes, versions = null, options = {}) {
+        const versionList = versions || this.barcodeProcessor.getGeneratorVersions().map(info => info.version);
+        const reports = {};
+
+        versionList.forEach(version => {
+            reports[version] = this.analyze(barcodes, { ...options, version: version });
+        });
+
+        return reports;
+    }
+
+    /**
+     * Add a barcode to the group for a key
+     * @param {Map} groups - Groups keyed by seed, name or stat profile
+     * @param {*} key - Group key
+     * @param {string} barcode - Barcode to add
+     */
+    addToGroup(groups, key, barcode) {
+        const group = groups.get(key);
+        if (group) {
+            group.push(barcode);
+        } else {
+            groups.set(key, [barcode]);
+        }
+    }
+
+    /**
+     * Summarize how many barcodes share a key
+     * @param {Map} groups - Groups keyed by seed, name or stat profile
+     * @param {number} topCollisions - How many of the largest groups to list
+     * @returns {Object} Unique key count, colliding barcode count, collision rate and largest groups
+     */
+    summarizeCollisions(groups, topCollisions) {
+        let total = 0;
+        let colliding = 0;
+        const collisionGroups = [];
+
+        groups.forEach((barcodes, key) => {
+            total += barcodes.length;
+            if (barcodes.length > 1) {
+                colliding += barcodes.length;
+                collisionGroups.push({ key: key, count: barcodes.length, examples: barcodes.slice(0, 3) });
+            }
+        });
+
+        collisionGroups.sort((a, b) => b.count - a.count);
+
+        return {
+            unique: groups.size,
+            colliding: colliding,
+            collisionRate: total > 0 ? colliding / total : 0,
+            largest: collisionGroups.slice(0, topCollisions)
+        };
+    }
+
+    /**
+     * Summarize a list of stat values with a histogram
+     * @param {number[]} values - Stat values
+     * @param {number} bins - Number of histogram buckets
+     * @returns {Object} Min, max, mean, standard deviation and histogram buckets
+     */
+    summarizeValues(values, bins) {
+        if (values.length === 0) {
+            return { min: 0, max: 0, mean: 0, stdDev: 0, histogram: [] };
+        }
+
+        // Reduce rather than spread: large sample sizes overflow the call stack
+        const min = values.reduce((lowest, value) => Math.min(lowest, value), Infinity);
+        const max = values.reduce((highest, value) => Math.max(highest, value), -Infinity);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+
+        const bucketSize = Math.max(1, Math.ceil((max - min + 1) / bins));
+        const histogram = [];
+        for (let from = min; from <= max; from += bucketSize) {
+            histogram.push({ from: from, to: Math.min(max, from + bucketSize - 1), count: 0 });
+        }
+        values.forEach(value => {
+            histogram[Math.floor((value - min) / bucketSize)].count++;
+        });
+
+        return {
+            min: min,
+            max: max,
+            mean: Math.round(mean * 100) / 100,
+            stdDev: Math.round(Math.sqrt(variance) * 100) / 100,
+            histogram: histogram
+        };
+    }
+
+    /**
+     * Format a report as plain text for the console
+     * @param {Object} report - Report from analyze
+     * @returns {string} Readable report
+     */
+    formatReport(report) {
+        const percent = rate => `${(rate * 100).toFixed(2)}%`;
+        const lines = [
+            `Generator v${report.version}: ${report.sampleSize} barcodes (${report.invalid} invalid skipped)`,
+            `Seeds: ${report.seeds.unique} unique, ${percent(report.seeds.collisionRate)} of barcodes share a seed`,
+            `Names: ${report.names.unique} unique, ${percent(report.names.collisionRate)} of barcodes share a name`,
+            `Stat profiles: ${report.statProfiles.unique} unique, ${percent(report.statProfiles.collisionRate)} of barcodes share all four stats`
+        ];
+
+        this.stats.forEach(stat => {
+            const summary = report.stats[stat];
+            lines.push(`${stat.toUpperCase()}: ${summary.min}-${summary.max}, mean ${summary.mean}, sd ${summary.stdDev}`);
+
+            const largestBucket = Math.max(1, ...summary.histogram.map(bucket => bucket.count));
+            summary.histogram.forEach(bucket => {
+                const bar = '#'.repeat(Math.round((bucket.count / largestBucket) * 30));
+                lines.push(`  ${String(bucket.from).padStart(3)}-${String(bucket.to).padEnd(3)} ${bar} ${bucket.count}`);
+            });
+        });
+
+        lines.push(`Rarity: ${Object.entries(report.rarity).map(([tier, count]) => `${tier} ${count}`).join(', ')}`);
+        lines.push(`Elements: ${Object.entries(report.elements).map(([element, count]) => `${element} ${count}`).join(', ')}`);
+
+        return lines.join('\n');
+    }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GenerationAnalyzer;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.GenerationAnalyzer = GenerationAnalyzer;
+}
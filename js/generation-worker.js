@@ -0,0 +1,65 @@
+/**
+ * Generation worker - Runs BatchGenerationService jobs off the UI thread
+ * Loads the same generator scripts as the page, so results match the main thread exactly
+ */
+
+importScripts('types.js', 'gs1-prefixes.js', 'language-packs.js', 'barcode-processor.js', 'batch-generation-service.js', 'creature-manager.js');
+
+const cancelledJobs = new Set();
+
+/**
+ * Process a job in chunks, posting each chunk's results as progress
+ * Chunks are scheduled with setTimeout so cancel messages are handled between them
+ * @param {Object} message - Start message with jobId, task, items, options and chunkSize
+ */
+function runJob({ jobId, task, items, options, chunkSize }) {
+    const barcodeProcessor = BatchGenerationService.createBarcodeProcessor(options);
+    let completed = 0;
+
+    const processChunk = () => {
+        if (cancelledJobs.has(jobId)) {
+            cancelledJobs.delete(jobId);
+            self.postMessage({ type: 'cancelled', jobId: jobId });
+            return;
+        }
+
+        try {
+            const end = Math.min(completed + chunkSize, items.length);
+            const results = [];
+            for (let index = completed; index < end; index++) {
+                results.push(GenerationTasks[task](items[index], barcodeProcessor, options));
+            }
+            completed = end;
+
+            self.postMessage({ type: 'progress', jobId: jobId, completed: completed, total: items.length, results: results });
+        } catch (error) {
+            self.postMessage({ type: 'error', jobId: jobId, error: error.message });
+            return;
+        }
+
+        if (completed < items.length) {
+            setTimeout(processChunk, 0);
+        } else {
+            self.postMessage({ type: 'done', jobId: jobId });
+        }
+    };
+
+    processChunk();
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'start':
+            if (!GenerationTasks[message.task]) {
+                self.postMessage({ type: 'error', jobId: message.jobId, error: `Unknown batch task: ${message.task}` });
+                return;
+            }
+            runJob(message);
+            break;
+        case 'cancel':
+            cancelledJobs.add(message.jobId);
+            break;
+    }
+});
@@ -0,0 +1,346 @@
+/**
+ * GS1 prefix table for decoding where a barcode was issued and what kind of product it marks
+ * Offline copy of the GS1 company prefix ranges (first three digits of EAN-13/UPC codes)
+ */
+
+const Gs1Prefixes = {
+    // Company prefixes are 6-10 digits in practice; without the GS1 registry a fixed
+    // length keeps one brand's products together for most manufacturers
+    COMPANY_PREFIX_LENGTH: 7,
+
+    // Regions group origins for habitat labels
+    REGIONS: {
+        'north-america': { name: 'North America', habitat: 'Prairie' },
+        'latin-america': { name: 'Latin America', habitat: 'Rainforest' },
+        'western-europe': { name: 'Western Europe', habitat: 'Old Forest' },
+        'northern-europe': { name: 'Northern Europe', habitat: 'Fjords' },
+        'southern-europe': { name: 'Southern Europe', habitat: 'Sunny Coast' },
+        'eastern-europe': { name: 'Eastern Europe', habitat: 'Steppe' },
+        'middle-east': { name: 'Middle East', habitat: 'Desert' },
+        'africa': { name: 'Africa', habitat: 'Savanna' },
+        'east-asia': { name: 'East Asia', habitat: 'Mountain Temples' },
+        'south-asia': { name: 'South Asia', habitat: 'Jungle' },
+        'southeast-asia': { name: 'Southeast Asia', habitat: 'Islands' },
+        'oceania': { name: 'Oceania', habitat: 'Outback' }
+    },
+
+    // Product classes marked by reserved prefixes. statModifiers are applied by
+    // generator versions with productClassTweaks enabled
+    PRODUCT_CLASSES: {
+        retail: {
+            id: 'retail',
+            name: 'Retail product',
+            archetype: null,
+            habitat: null,
+            statModifiers: null
+        },
+        book: {
+            id: 'book',
+            name: 'Book',
+            archetype: 'scholar',
+            habitat: 'Library',
+            statModifiers: { defense: 1.15, speed: 0.9 }
+        },
+        periodical: {
+            id: 'periodical',
+            name: 'Periodical',
+            archetype: 'courier',
+            habitat: 'Newsstand',
+            statModifiers: { speed: 1.15, hp: 0.95 }
+        },
+        restricted: {
+            id: 'restricted',
+            name: 'In-store code',
+            archetype: 'stowaway',
+            habitat: 'Stockroom',
+            statModifiers: { hp: 1.1, attack: 0.95 }
+        },
+        coupon: {
+            id: 'coupon',
+            name: 'Coupon',
+            archetype: 'trickster',
+            habitat: 'Bargain Bin',
+            statModifiers: { attack: 1.1, defense: 0.9 }
+        },
+        unclassified: {
+            id: 'unclassified',
+            name: 'Unclassified code',
+            archetype: null,
+            habitat: 'Wilds',
+            statModifiers: null
+        }
+    },
+
+    // Reserved EAN-13 prefix ranges that mark a product class instead of a country
+    CLASS_RANGES: [
+        { from: 20, to: 29, productClass: 'restricted' },     // Restricted distribution
+        { from: 40, to: 49, productClass: 'restricted' },     // Restricted distribution within a company
+        { from: 50, to: 59, productClass: 'coupon' },         // Coupons
+        { from: 200, to: 299, productClass: 'restricted' },   // In-store numbers
+        { from: 977, to: 977, productClass: 'periodical' },   // ISSN serial publications
+        { from: 978, to: 979, productClass: 'book' },         // ISBN Bookland
+        { from: 980, to: 980, productClass: 'coupon' },       // Refund receipts
+        { from: 981, to: 984, productClass: 'coupon' },       // Common currency coupons
+        { from: 990, to: 999, productClass: 'coupon' }        // Coupons
+    ],
+
+    // Country and territory prefix ranges
+    ORIGINS: [
+        { from: 0, to: 19, code: 'US', name: 'USA & Canada', region: 'north-america' },
+        { from: 30, to: 39, code: 'US', name: 'USA & Canada', region: 'north-america' },
+        { from: 60, to: 139, code: 'US', name: 'USA & Canada', region: 'north-america' },
+        { from: 300, to: 379, code: 'FR', name: 'France', region: 'western-europe' },
+        { from: 380, to: 380, code: 'BG', name: 'Bulgaria', region: 'eastern-europe' },
+        { from: 383, to: 383, code: 'SI', name: 'Slovenia', region: 'eastern-europe' },
+        { from: 385, to: 385, code: 'HR', name: 'Croatia', region: 'eastern-europe' },
+        { from: 387, to: 387, code: 'BA', name: 'Bosnia and Herzegovina', region: 'eastern-europe' },
+        { from: 389, to: 389, code: 'ME', name: 'Montenegro', region: 'eastern-europe' },
+        { from: 400, to: 440, code: 'DE', name: 'Germany', region: 'western-europe' },
+        { from: 450, to: 459, code: 'JP', name: 'Japan', region: 'east-asia' },
+        { from: 460, to: 469, code: 'RU', name: 'Russia', region: 'eastern-europe' },
+        { from: 470, to: 470, code: 'KG', name: 'Kyrgyzstan', region: 'eastern-europe' },
+        { from: 471, to: 471, code: 'TW', name: 'Taiwan', region: 'east-asia' },
+        { from: 474, to: 474, code: 'EE', name: 'Estonia', region: 'northern-europe' },
+        { from: 475, to: 475, code: 'LV', name: 'Latvia', region: 'northern-europe' },
+        { from: 476, to: 476, code: 'AZ', name: 'Azerbaijan', region: 'middle-east' },
+        { from: 477, to: 477, code: 'LT', name: 'Lithuania', region: 'northern-europe' },
+        { from: 478, to: 478, code: 'UZ', name: 'Uzbekistan', region: 'middle-east' },
+        { from: 479, to: 479, code: 'LK', name: 'Sri Lanka', region: 'south-asia' },
+        { from: 480, to: 480, code: 'PH', name: 'Philippines', region: 'southeast-asia' },
+        { from: 481, to: 481, code: 'BY', name: 'Belarus', region: 'eastern-europe' },
+        { from: 482, to: 482, code: 'UA', name: 'Ukraine', region: 'eastern-europe' },
+        { from: 484, to: 484, code: 'MD', name: 'Moldova', region: 'eastern-europe' },
+        { from: 485, to: 485, code: 'AM', name: 'Armenia', region: 'middle-east' },
+        { from: 486, to: 486, code: 'GE', name: 'Georgia', region: 'middle-east' },
+        { from: 487, to: 487, code: 'KZ', name: 'Kazakhstan', region: 'eastern-europe' },
+        { from: 488, to: 488, code: 'TJ', name: 'Tajikistan', region: 'middle-east' },
+        { from: 489, to: 489, code: 'HK', name: 'Hong Kong', region: 'east-asia' },
+        { from: 490, to: 499, code: 'JP', name: 'Japan', region: 'east-asia' },
+        { from: 500, to: 509, code: 'GB', name: 'United Kingdom', region: 'western-europe' },
+        { from: 520, to: 521, code: 'GR', name: 'Greece', region: 'southern-europe' },
+        { from: 528, to: 528, code: 'LB', name: 'Lebanon', region: 'middle-east' },
+        { from: 529, to: 529, code: 'CY', name: 'Cyprus', region: 'southern-europe' },
+        { from: 530, to: 530, code: 'AL', name: 'Albania', region: 'southern-europe' },
+        { from: 531, to: 531, code: 'MK', name: 'North Macedonia', region: 'southern-europe' },
+        { from: 535, to: 535, code: 'MT', name: 'Malta', region: 'southern-europe' },
+        { from: 539, to: 539, code: 'IE', name: 'Ireland', region: 'western-europe' },
+        { from: 540, to: 549, code: 'BE', name: 'Belgium & Luxembourg', region: 'western-europe' },
+        { from: 560, to: 560, code: 'PT', name: 'Portugal', region: 'southern-europe' },
+        { from: 569, to: 569, code: 'IS', name: 'Iceland', region: 'northern-europe' },
+        { from: 570, to: 579, code: 'DK', name: 'Denmark', region: 'northern-europe' },
+        { from: 590, to: 590, code: 'PL', name: 'Poland', region: 'eastern-europe' },
+        { from: 594, to: 594, code: 'RO', name: 'Romania', region: 'eastern-europe' },
+        { from: 599, to: 599, code: 'HU', name: 'Hungary', region: 'eastern-europe' },
+        { from: 600, to: 601, code: 'ZA', name: 'South Africa', region: 'africa' },
+        { from: 603, to: 603, code: 'GH', name: 'Ghana', region: 'africa' },
+        { from: 604, to: 604, code: 'SN', name: 'Senegal', region: 'africa' },
+        { from: 608, to: 608, code: 'BH', name: 'Bahrain', region: 'middle-east' },
+        { from: 609, to: 609, code: 'MU', name: 'Mauritius', region: 'africa' },
+        { from: 611, to: 611, code: 'MA', name: 'Morocco', region: 'africa' },
+        { from: 613, to: 613, code: 'DZ', name: 'Algeria', region: 'africa' },
+        { from: 615, to: 615, code: 'NG', name: 'Nigeria', region: 'africa' },
+        { from: 616, to: 616, code: 'KE', name: 'Kenya', region: 'africa' },
+        { from: 618, to: 618, code: 'CI', name: 'Ivory Coast', region: 'africa' },
+        { from: 619, to: 619, code: 'TN', name: 'Tunisia', region: 'africa' },
+        { from: 621, to: 621, code: 'SY', name: 'Syria', region: 'middle-east' },
+        { from: 622, to: 622, code: 'EG', name: 'Egypt', region: 'africa' },
+        { from: 625, to: 625, code: 'JO', name: 'Jordan', region: 'middle-east' },
+        { from: 626, to: 626, code: 'IR', name: 'Iran', region: 'middle-east' },
+        { from: 627, to: 627, code: 'KW', name: 'Kuwait', region: 'middle-east' },
+        { from: 628, to: 628, code: 'SA', name: 'Saudi Arabia', region: 'middle-east' },
+        { from: 629, to: 629, code: 'AE', name: 'United Arab Emirates', region: 'middle-east' },
+        { from: 640, to: 649, code: 'FI', name: 'Finland', region: 'northern-europe' },
+        { from: 690, to: 699, code: 'CN', name: 'China', region: 'east-asia' },
+        { from: 700, to: 709, code: 'NO', name: 'Norway', region: 'northern-europe' },
+        { from: 729, to: 729, code: 'IL', name: 'Israel', region: 'middle-east' },
+        { from: 730, to: 739, code: 'SE', name: 'Sweden', region: 'northern-europe' },
+        { from: 740, to: 740, code: 'GT', name: 'Guatemala', region: 'latin-america' },
+        { from: 741, to: 741, code: 'SV', name: 'El Salvador', region: 'latin-america' },
+        { from: 742, to: 742, code: 'HN', name: 'Honduras', region: 'latin-america' },
+        { from: 743, to: 743, code: 'NI', name: 'Nicaragua', region: 'latin-america' },
+        { from: 744, to: 744, code: 'CR', name: 'Costa Rica', region: 'latin-america' },
+        { from: 745, to: 745, code: 'PA', name: 'Panama', region: 'latin-america' },
+        { from: 746, to: 746, code: 'DO', name: 'Dominican Republic', region: 'latin-america' },
+        { from: 750, to: 750, code: 'MX', name: 'Mexico', region: 'latin-america' },
+        { from: 754, to: 755, code: 'CA', name: 'Canada', region: 'north-america' },
+        { from: 759, to: 759, code: 'VE', name: 'Venezuela', region: 'latin-america' },
+        { from: 760, to: 769, code: 'CH', name: 'Switzerland', region: 'western-europe' },
+        { from: 770, to: 771, code: 'CO', name: 'Colombia', region: 'latin-america' },
+        { from: 773, to: 773, code: 'UY', name: 'Uruguay', region: 'latin-america' },
+        { from: 775, to: 775, code: 'PE', name: 'Peru', region: 'latin-america' },
+        { from: 777, to: 777, code: 'BO', name: 'Bolivia', region: 'latin-america' },
+        { from: 778, to: 779, code: 'AR', name: 'Argentina', region: 'latin-america' },
+        { from: 780, to: 780, code: 'CL', name: 'Chile', region: 'latin-america' },
+        { from: 784, to: 784, code: 'PY', name: 'Paraguay', region: 'latin-america' },
+        { from: 786, to: 786, code: 'EC', name: 'Ecuador', region: 'latin-america' },
+        { from: 789, to: 790, code: 'BR', name: 'Brazil', region: 'latin-america' },
+        { from: 800, to: 839, code: 'IT', name: 'Italy', region: 'southern-europe' },
+        { from: 840, to: 849, code: 'ES', name: 'Spain', region: 'southern-europe' },
+        { from: 850, to: 850, code: 'CU', name: 'Cuba', region: 'latin-america' },
+        { from: 858, to: 858, code: 'SK', name: 'Slovakia', region: 'eastern-europe' },
+        { from: 859, to: 859, code: 'CZ', name: 'Czechia', region: 'eastern-europe' },
+        { from: 860, to: 860, code: 'RS', name: 'Serbia', region: 'eastern-europe' },
+        { from: 865, to: 865, code: 'MN', name: 'Mongolia', region: 'east-asia' },
+        { from: 867, to: 867, code: 'KP', name: 'North Korea', region: 'east-asia' },
+        { from: 868, to: 869, code: 'TR', name: 'Türkiye', region: 'middle-east' },
+        { from: 870, to: 879, code: 'NL', name: 'Netherlands', region: 'western-europe' },
+        { from: 880, to: 880, code: 'KR', name: 'South Korea', region: 'east-asia' },
+        { from: 884, to: 884, code: 'KH', name: 'Cambodia', region: 'southeast-asia' },
+        { from: 885, to: 885, code: 'TH', name: 'Thailand', region: 'southeast-asia' },
+        { from: 888, to: 888, code: 'SG', name: 'Singapore', region: 'southeast-asia' },
+        { from: 890, to: 890, code: 'IN', name: 'India', region: 'south-asia' },
+        { from: 893, to: 893, code: 'VN', name: 'Vietnam', region: 'southeast-asia' },
+        { from: 896, to: 896, code: 'PK', name: 'Pakistan', region: 'south-asia' },
+        { from: 899, to: 899, code: 'ID', name: 'Indonesia', region: 'southeast-asia' },
+        { from: 900, to: 919, code: 'AT', name: 'Austria', region: 'western-europe' },
+        { from: 930, to: 939, code: 'AU', name: 'Australia', region: 'oceania' },
+        { from: 940, to: 949, code: 'NZ', name: 'New Zealand', region: 'oceania' },
+        { from: 955, to: 955, code: 'MY', name: 'Malaysia', region: 'southeast-asia' },
+        { from: 958, to: 958, code: 'MO', name: 'Macau', region: 'east-asia' }
+    ],
+
+    /**
+     * Decode the origin and product class of a barcode from its GS1 prefix
+     * Only numeric EAN-13, UPC-A and EAN-8 codes carry a GS1 prefix
+     * @param {string} barcode - Normalized barcode
+     * @returns {{prefix: string|null, origin: string|null, productClass: string}} Prefix digits,
+     *          origin code (null when the prefix names no country) and product class id
+     */
+    decode(barcode) {
+        if (!/^\d+$/.test(barcode) || ![8, 12, 13].includes(barcode.length)) {
+            return { prefix: null, origin: null, productClass: 'unclassified' };
+        }
+
+        // UPC-A codes are EAN-13 codes with an implied leading zero
+        const ean = barcode.length === 12 ? '0' + barcode : barcode;
+        const prefix = ean.slice(0, 3);
+        const prefixNumber = parseInt(prefix, 10);
+
+        // EAN-8 reserves 0xx and 2xx for in-store and velocity codes
+        if (ean.length === 8 && (prefix[0] === '0' || prefix[0] === '2')) {
+            return { prefix: prefix, origin: null, productClass: 'restricted' };
+        }
+
+        const classRange = this.findRange(this.CLASS_RANGES, prefixNumber);
+        if (classRange) {
+            return { prefix: prefix, origin: null, productClass: classRange.productClass };
+        }
+
+        const origin = this.findRange(this.ORIGINS, prefixNumber);
+        return { prefix: prefix, origin: origin ? origin.code : null, productClass: 'retail' };
+    },
+
+    /**
+     * Get the company prefix portion of an EAN-13 or UPC-A barcode
+     * EAN-8 and non-GS1 codes have no company prefix
+     * @param {string} barcode - Normalized barcode
+     * @returns {string|null} Company prefix (in EAN-13 form) or null
+     */
+    getCompanyPrefix(barcode) {
+        if (!/^\d+$/.test(barcode) || ![12, 13].includes(barcode.length)) {
+            return null;
+        }
+
+        const ean = barcode.length === 12 ? '0' + barcode : barcode;
+        return ean.slice(0, this.COMPANY_PREFIX_LENGTH);
+    },
+
+    /**
+     * Get the item reference portion of an EAN-13 or UPC-A barcode
+     * This is what follows the company prefix, without the check digit
+     * @param {string} barcode - Normalized barcode
+     * @returns {string|null} Item reference or null
+     */
+    getItemReference(barcode) {
+        if (this.getCompanyPrefix(barcode) === null) {
+            return null;
+        }
+
+        const ean = barcode.length === 12 ? '0' + barcode : barcode;
+        return ean.slice(this.COMPANY_PREFIX_LENGTH, -1);
+    },
+
+    /**
+     * Find the range containing a prefix
+     * @param {Object[]} ranges - Ranges with inclusive from/to bounds
+     * @param {number} prefixNumber - Three-digit prefix as a number
+     * @returns {Object|null} Matching range or null
+     */
+    findRange(ranges, prefixNumber) {
+        return ranges.find(range => prefixNumber >= range.from && prefixNumber <= range.to) || null;
+    },
+
+    /**
+     * Get display information for an origin code
+     * @param {string|null} originCode - Origin code from decode
+     * @returns {{code: string, name: string, region: string}|null} Origin or null if unknown
+     */
+    getOrigin(originCode) {
+        const origin = this.ORIGINS.find(range => range.code === originCode);
+        return origin ? { code: origin.code, name: origin.name, region: origin.region } : null;
+    },
+
+    /**
+     * Get a product class by id
+     * @param {string} productClass - Product class id
+     * @returns {Object} Product class (unclassified for unknown ids)
+     */
+    getProductClass(productClass) {
+        return this.PRODUCT_CLASSES[productClass] || this.PRODUCT_CLASSES.unclassified;
+    },
+
+    /**
+     * Get the habitat label for a creature's origin and product class
+     * Product classes with their own habitat win over the origin's region
+     * @param {string|null} originCode - Origin code
+     * @param {string} productClass - Product class id
+     * @returns {string} Habitat label
+     */
+    getHabitat(originCode, productClass) {
+        const classInfo = this.getProductClass(productClass);
+        if (classInfo.habitat) {
+            return classInfo.habitat;
+        }
+
+        const origin = this.getOrigin(originCode);
+        return origin ? this.REGIONS[origin.region].habitat : this.PRODUCT_CLASSES.unclassified.habitat;
+    },
+
+    /**
+     * Build flavor text describing where a creature came from
+     * @param {string|null} originCode - Origin code
+     * @param {string} productClass - Product class id
+     * @returns {string} Flavor text
+     */
+    describe(originCode, productClass) {
+        const origin = this.getOrigin(originCode);
+        const habitat = this.getHabitat(originCode, productClass);
+
+        switch (productClass) {
+            case 'book':
+                return 'A scholar creature that slipped out from between the pages of a book. Its skin is as tough as a hardback cover.';
+            case 'periodical':
+                return 'A courier creature born from a magazine, always in a hurry to reach the next issue.';
+            case 'restricted':
+                return `A stowaway creature from an in-store label that never left the ${habitat.toLowerCase()}.`;
+            case 'coupon':
+                return 'A trickster creature printed on a coupon, always looking to strike a bargain.';
+            case 'retail':
+                return origin
+                    ? `Hatched from goods registered in ${origin.name}, it feels most at home in the ${habitat.toLowerCase()}.`
+                    : 'Hatched from goods whose country of origin nobody can trace.';
+            default:
+                return `A creature from a code that belongs on no shop shelf. It roams the ${habitat.toLowerCase()}.`;
+        }
+    }
+};
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Gs1Prefixes;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.Gs1Prefixes = Gs1Prefixes;
+}
@@ -0,0 +1,170 @@
+/**
+ * InventoryManager - Holds the items scanned from item barcodes
+ * Items are stacked by type; each item barcode can only be redeemed once
+ */
+
+class InventoryManager {
+    constructor(storageManager = null) {
+        this.items = {}; // Count held per item type id
+        this.redeemedBarcodes = new Set();
+        this.storageManager = storageManager || new StorageManager();
+
+        this.loadInventory();
+    }
+
+    /**
+     * Add a scanned item to the inventory
+     * @param {Item} item - Item generated by BarcodeProcessor.generateItem
+     * @returns {boolean} Whether the item was added (false for unknown types and already redeemed barcodes)
+     */
+    addItem(item) {
+        if (!item || !GameConstants.ITEM_TYPES[item.type]) {
+            console.error('Invalid item data:', item);
+            return false;
+        }
+
+        if (this.redeemedBarcodes.has(item.barcode)) {
+            console.warn('Item barcode already redeemed:', item.barcode);
+            return false;
+        }
+
+        this.items[item.type] = (this.items[item.type] || 0) + 1;
+        this.redeemedBarcodes.add(item.barcode);
+        this.saveInventory();
+
+        console.log(`Added ${item.name} to inventory`);
+        return true;
+    }
+
+    /**
+     * Remove one item of a type from the inventory
+     * @param {string} itemType - Item type id
+     * @returns {boolean} Whether an item was removed
+     */
+    consumeItem(itemType) {
+        if (!this.hasItem(itemType)) {
+            console.warn(`No ${itemType} in inventory`);
+            return false;
+        }
+
+        this.items[itemType]--;
+        if (this.items[itemType] === 0) {
+            delete this.items[itemType];
+        }
+        this.saveInventory();
+
+        return true;
+    }
+
+    /**
+     * Check whether the inventory holds an item type
+     * @param {string} itemType - Item type id
+     * @returns {boolean} Whether at least one is held
+     */
+    hasItem(itemType) {
+        return this.getItemCount(itemType) > 0;
+    }
+
+    /**
+     * Get how many items of a type are held
+     * @param {string} itemType - Item type id
+     * @returns {number} Item count
+     */
+    getItemCount(itemType) {
+        return this.items[itemType] || 0;
+    }
+
+    /**
+     * Get the held items with their type details
+     * @param {Object} filters - Filter options
+     * @param {boolean} filters.usableInBattle - Only list items that can (true) or cannot (false) be used in battle
+     * @returns {Object[]} Item types from GameConstants.ITEM_TYPES with a count, in ITEM_TYPES order
+     */
+    getInventory(filters = {}) {
+        return Object.values(GameConstants.ITEM_TYPES)
+            .filter(itemType => this.hasItem(itemType.id))
+            .filter(itemType => filters.usableInBattle === undefined || itemType.usableInBattle === filters.usableInBattle)
+            .map(itemType => ({ ...itemType, count: this.getItemCount(itemType.id) }));
+    }
+
+    /**
+     * Get the total number of items held
+     * @returns {number} Item count across all types
+     */
+    getTotalItemCount() {
+        return Object.values(this.items).reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Empty the inventory and forget redeemed barcodes
+     * @returns {boolean} Success status
+     */
+    clearInventory() {
+        this.items = {};
+        this.redeemedBarcodes.clear();
+        this.saveInventory();
+
+        console.log('Cleared inventory');
+        return true;
+    }
+
+    /**
+     * Load inventory from storage
+     */
+    loadInventory() {
+        // Reloads (e.g. after a restore or reset) replace the in-memory inventory
+        this.items = {};
+        this.redeemedBarcodes.clear();
+
+        try {
+            const inventory = this.storageManager.loadData(GameConstants.STORAGE_KEYS.INVENTORY, {
+                items: {},
+                redeemedBarcodes: []
+            });
+
+            // Drop item types that no longer exist
+            Object.entries(inventory.items || {}).forEach(([itemType, count]) => {
+                if (GameConstants.ITEM_TYPES[itemType] && count > 0) {
+                    this.items[itemType] = count;
+                } else {
+                    console.warn('Invalid inventory entry found in storage:', itemType, count);
+                }
+            });
+            this.redeemedBarcodes = new Set(inventory.redeemedBarcodes || []);
+
+            console.log(`Loaded ${this.getTotalItemCount()} items from storage`);
+        } catch (error) {
+            console.error('Error loading inventory from storage:', error);
+            this.items = {};
+            this.redeemedBarcodes.clear();
+        }
+    }
+
+    /**
+     * Save inventory to storage
+     */
+    saveInventory() {
+        try {
+            const success = this.storageManager.saveData(GameConstants.STORAGE_KEYS.INVENTORY, {
+                items: this.items,
+                redeemedBarcodes: Array.from(this.redeemedBarcodes)
+            });
+
+            if (!success) {
+                console.warn('Failed to save inventory to storage');
+            }
+        } catch (error) {
+            console.error('Error saving inventory to storage:', error);
+        }
+    }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InventoryManager;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.InventoryManager = InventoryManager;
+}
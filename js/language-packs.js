@@ -0,0 +1,282 @@
+/**
+ * Language packs for creature name generation
+ * Each pack is a named syllable set plus the phonotactic rules used to join syllables into names
+ */
+
+/**
+ * @typedef {Object} LanguagePackRules
+ * @property {number[]} syllableCount - Inclusive [min, max] number of syllables
+ * @property {boolean} alternation - Only join syllables where vowels and consonants alternate,
+ *                                   unless the join forms an allowed cluster or vowel pair
+ * @property {string[]} allowedClusters - Consonant pairs allowed across a syllable join
+ * @property {string[]} allowedVowelPairs - Vowel pairs allowed across a syllable join
+ * @property {string[]} prefixes - Optional name openings (lowercase, joined without a space)
+ * @property {number} prefixChance - Chance (0-1) of using a prefix
+ * @property {string[]} suffixes - Optional name endings
+ * @property {number} suffixChance - Chance (0-1) of using a suffix
+ * @property {{chance: number, minLength: number}|null} apostrophe - Chance of an apostrophe at a
+ *                                   syllable boundary for names of at least minLength letters
+ */
+
+/**
+ * @typedef {Object} LanguagePack
+ * @property {string} id - Pack identifier
+ * @property {string} name - Display name
+ * @property {string[]} syllables - Syllable set (no duplicates)
+ * @property {LanguagePackRules} rules - Phonotactic rules
+ */
+
+const LanguagePacks = {
+    DEFAULT_PACK: 'classic',
+
+    VOWELS: 'aeiouy',
+
+    // Names use at least three syllables: a few thousand barcodes use up the two-syllable
+    // combinations of a pack, and GenerationAnalyzer.compareVersions shows them colliding
+    packs: {
+        classic: {
+            id: 'classic',
+            name: 'Classic',
+            syllables: [
+                'ka', 'ri', 'mo', 'na', 'zu', 'te', 'lo', 'xi', 'ba', 'do',
+                'fe', 'gu', 'hi', 'ja', 'ko', 'lu', 'me', 'no', 'po', 'qu',
+                'ra', 'si', 'tu', 'vo', 'wa', 'xe', 'ya', 'zi', 'bo', 'cu',
+                'da', 'el', 'fi', 'go', 'hu', 'iv', 'jo', 'ke', 'li', 'ma',
+                'ar', 'en', 'or', 'un', 'al', 'er', 'in', 'on', 'at', 'ed',
+                'is', 'it', 'ou', 'an', 'he', 'fo', 'ro', 'ur', 'la', 'ne',
+                'mi', 'co', 'de', 'le', 'se', 'ti', 've', 're'
+            ],
+            rules: {
+                syllableCount: [3, 4],
+                alternation: true,
+                allowedClusters: ['nd', 'ng', 'st', 'th', 'rk', 'lt', 'rn'],
+                allowedVowelPairs: ['ia', 'eo', 'ou', 'ai'],
+                prefixes: [],
+                prefixChance: 0,
+                suffixes: ['ix', 'on', 'ar'],
+                suffixChance: 0.15,
+                apostrophe: { chance: 0.15, minLength: 6 }
+            }
+        },
+        anglic: {
+            id: 'anglic',
+            name: 'Anglic',
+            syllables: [
+                'bram', 'ble', 'wick', 'thorn', 'ton', 'ley', 'mor', 'ash', 'fen', 'gar',
+                'wyn', 'ric', 'hol', 'den', 'by', 'ford', 'kin', 'stan', 'wel', 'ridge',
+                'crow', 'pip', 'tum', 'mug', 'bel', 'nor', 'ald', 'bur', 'cot', 'dun',
+                'elm', 'ham', 'hurst', 'lan', 'mere', 'oak', 'pen', 'quill', 'shaw', 'stow',
+                'tad', 'wor', 'bry', 'cob', 'dale', 'fin', 'hay', 'mill', 'nut', 'rook',
+                'sed', 'tham', 'ver', 'win', 'brock', 'chet', 'ger', 'lyn', 'moss', 'wood'
+            ],
+            rules: {
+                syllableCount: [3, 3],
+                alternation: false,
+                allowedClusters: [],
+                allowedVowelPairs: [],
+                prefixes: ['ed', 'al'],
+                prefixChance: 0.05,
+                suffixes: ['kins', 'ster', 'let'],
+                suffixChance: 0.2,
+                apostrophe: null
+            }
+        },
+        nordic: {
+            id: 'nordic',
+            name: 'Nordic',
+            syllables: [
+                'thor', 'bjor', 'sk', 'fen', 'rik', 'ulf', 'hel', 'ga', 'ar', 'run',
+                'sig', 'ny', 'vald', 'jo', 'dr', 'ka', 'storm', 'is', 'frey', 'ha',
+                'vik', 'ol', 'gr', 'ein', 'ald', 'ing', 'ask', 'olf', 'und', 'orm',
+                'eid', 'yr', 'ove', 'ari', 'bra', 'sva', 'fro', 'lo', 'ste', 'ra',
+                've', 'to', 'gu', 'da', 'ki', 'bo', 'ta', 'ma', 'li', 'berg',
+                'dal', 'sten', 'vor', 'grim', 'holm', 'tyr', 'mund', 'kjel', 'stav', 'hild',
+                'finn', 'lund', 'vard', 'rag', 'svein', 'gun'
+            ],
+            rules: {
+                syllableCount: [3, 3],
+                alternation: true,
+                allowedClusters: [
+                    'rk', 'rs', 'gr', 'dr', 'sk', 'st', 'nd', 'ld', 'lf', 'rn', 'kv', 'fr', 'gn',
+                    'rb', 'rg', 'rv', 'rh', 'lb', 'lg', 'lm', 'lv', 'lh', 'ls', 'ng', 'nh', 'ns',
+                    'nv', 'mb', 'ms', 'gs', 'ks', 'ds', 'dv', 'fs', 'gh'
+                ],
+                allowedVowelPairs: ['ei', 'ja', 'jo', 'ey'],
+                prefixes: ['ys', 'jor'],
+                prefixChance: 0.1,
+                suffixes: ['heim', 'gar', 'dottir', 'son'],
+                suffixChance: 0.25,
+                apostrophe: null
+            }
+        },
+        romance: {
+            id: 'romance',
+            name: 'Romance',
+            syllables: [
+                'bel', 'la', 'ro', 'ma', 'si', 'no', 'ci', 'ta', 'vi', 'lu',
+                'ra', 'do', 'fe', 'li', 'ca', 'mi', 'to', 'ne', 'sol', 'ren',
+                'ga', 'tri', 'pe', 'zo', 'al', 'en', 'or', 'ar', 'io', 'el',
+                'an', 'es', 'ul', 'be', 'ce', 'da', 'fa', 'gi', 'le', 'mo',
+                'na', 'pa', 'ri', 'sa', 'te', 'va', 've', 'bri', 'chia', 'gio',
+                'lor', 'mar', 'ser', 'tor', 'val', 'cor', 'dan', 'fio'
+            ],
+            rules: {
+                syllableCount: [3, 4],
+                alternation: true,
+                allowedClusters: ['ll', 'nt', 'rt', 'nc', 'tr', 'lv', 'rm', 'nz'],
+                allowedVowelPairs: ['io', 'ia', 'ea', 'au'],
+                prefixes: ['del', 'san'],
+                prefixChance: 0.1,
+                suffixes: ['ino', 'etta', 'ello', 'ara'],
+                suffixChance: 0.3,
+                apostrophe: { chance: 0.1, minLength: 7 }
+            }
+        },
+        eastern: {
+            id: 'eastern',
+            name: 'Eastern',
+            syllables: [
+                'ka', 'ki', 'ku', 'ko', 'sa', 'shi', 'su', 'ta', 'chi', 'tsu',
+                'na', 'ni', 'mo', 'ha', 'hi', 'ri', 'ru', 'yo', 'ya', 'to',
+                'mi', 'ze', 'ro', 'ma', 'a', 'i', 'u', 'e', 'o', 'ke',
+                'se', 'so', 'te', 'ne', 'nu', 'no', 'he', 'fu', 'ho', 'me',
+                'mu', 'ra', 're', 'wa', 'ga', 'gi', 'go', 'za', 'ji', 'zu',
+                'da', 'de', 'do', 'ba', 'bi', 'bo', 'ryu', 'kyo', 'sho'
+            ],
+            rules: {
+                syllableCount: [3, 4],
+                alternation: true,
+                allowedClusters: [],
+                allowedVowelPairs: ['ai', 'ou', 'ei'],
+                prefixes: [],
+                prefixChance: 0,
+                suffixes: ['n', 'maru', 'ko'],
+                suffixChance: 0.2,
+                apostrophe: null
+            }
+        },
+        arcane: {
+            id: 'arcane',
+            name: 'Arcane',
+            syllables: [
+                'xal', 'zor', 'vex', 'qua', 'yth', 'kry', 'zar', 'oth', 'ulm', 'vra',
+                'nyx', 'thal', 'ix', 'mor', 'ska', 'zu', 'rha', 'gol', 'aex', 'bael',
+                'cyr', 'drav', 'eth', 'fyr', 'gha', 'ith', 'jorr', 'kael', 'lyx', 'myr',
+                'nex', 'orr', 'phae', 'quor', 'ryn', 'syl', 'tor', 'umb', 'vel', 'wyr',
+                'xan', 'yl', 'zeth', 'axi', 'obr'
+            ],
+            rules: {
+                syllableCount: [3, 3],
+                alternation: false,
+                allowedClusters: [],
+                allowedVowelPairs: [],
+                prefixes: ['ur', 'xa'],
+                prefixChance: 0.15,
+                suffixes: ['oth', 'ax', 'ium'],
+                suffixChance: 0.25,
+                apostrophe: { chance: 0.4, minLength: 5 }
+            }
+        }
+    },
+
+    // GS1 prefix ranges (first three digits of EAN-13/UPC codes) mapped to packs
+    REGION_PACKS: [
+        { from: 0, to: 139, pack: 'anglic' },       // USA & Canada
+        { from: 300, to: 379, pack: 'romance' },    // France
+        { from: 400, to: 440, pack: 'nordic' },     // Germany
+        { from: 450, to: 459, pack: 'eastern' },    // Japan
+        { from: 490, to: 499, pack: 'eastern' },    // Japan
+        { from: 500, to: 509, pack: 'anglic' },     // United Kingdom
+        { from: 560, to: 560, pack: 'romance' },    // Portugal
+        { from: 570, to: 579, pack: 'nordic' },     // Denmark
+        { from: 640, to: 649, pack: 'nordic' },     // Finland
+        { from: 690, to: 699, pack: 'eastern' },    // China
+        { from: 700, to: 709, pack: 'nordic' },     // Norway
+        { from: 730, to: 739, pack: 'nordic' },     // Sweden
+        { from: 800, to: 839, pack: 'romance' },    // Italy
+        { from: 840, to: 849, pack: 'romance' },    // Spain
+        { from: 880, to: 880, pack: 'eastern' },    // South Korea
+        { from: 930, to: 939, pack: 'anglic' },     // Australia
+        { from: 940, to: 949, pack: 'anglic' }      // New Zealand
+    ],
+
+    /**
+     * Get a language pack by id
+     * @param {string} packId - Pack identifier
+     * @returns {LanguagePack|null} Pack or null if unknown
+     */
+    getPack(packId) {
+        return this.packs[packId] || null;
+    },
+
+    /**
+     * List available packs for settings menus
+     * @returns {{id: string, name: string}[]} Pack ids and display names
+     */
+    listPacks() {
+        return Object.values(this.packs).map(pack => ({ id: pack.id, name: pack.name }));
+    },
+
+    /**
+     * Pick a pack from the barcode's GS1 region prefix
+     * Alphanumeric and unregistered prefixes fall back to the default pack
+     * @param {string} barcode - Normalized barcode
+     * @returns {string} Pack id
+     */
+    getPackIdForBarcode(barcode) {
+        if (!/^\d+$/.test(barcode) || barcode.length < 12) {
+            return this.DEFAULT_PACK;
+        }
+
+        // UPC-A codes are EAN-13 codes with an implied leading zero
+        const ean = barcode.length === 12 ? '0' + barcode : barcode;
+        const prefix = parseInt(ean.slice(0, 3), 10);
+        const region = this.REGION_PACKS.find(range => prefix >= range.from && prefix <= range.to);
+
+        return region ? region.pack : this.DEFAULT_PACK;
+    },
+
+    /**
+     * Check whether a character is a vowel
+     * @param {string} char - Single character
+     * @returns {boolean} Whether the character is a vowel
+     */
+    isVowel(char) {
+        return this.VOWELS.includes(char.toLowerCase());
+    },
+
+    /**
+     * Check whether two name parts may be joined under a pack's rules
+     * @param {string} left - Name built so far
+     * @param {string} right - Syllable or suffix to append
+     * @param {LanguagePackRules} rules - Pack rules
+     * @returns {boolean} Whether the join is allowed
+     */
+    isAllowedJoin(left, right, rules) {
+        if (!rules.alternation || left.length === 0) {
+            return true;
+        }
+
+        const last = left[left.length - 1].toLowerCase();
+        const first = right[0].toLowerCase();
+        const pair = last + first;
+
+        if (this.isVowel(last) !== this.isVowel(first)) {
+            return true;
+        }
+
+        return this.isVowel(last)
+            ? rules.allowedVowelPairs.includes(pair)
+            : rules.allowedClusters.includes(pair);
+    }
+};
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LanguagePacks;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.LanguagePacks = LanguagePacks;
+}
@@ -0,0 +1,192 @@
+/**
+ * LoreGenerator - Writes short encyclopedia entries for creatures
+ * Entries are expanded from the template grammars in LoreTemplates with a barcode-seeded
+ * random, so a barcode always gets the same entry
+ */
+
+/**
+ * @typedef {Object} LoreEntry
+ * @property {{id: string, name: string, text: string}[]} sections - One paragraph per LoreTemplates.SECTIONS entry
+ * @property {number} heightM - Height in metres
+ * @property {number} weightKg - Weight in kilograms
+ * @property {string} text - All sections joined into one paragraph
+ */
+
+class LoreGenerator {
+    constructor(barcodeProcessor = null) {
+        this.barcodeProcessor = barcodeProcessor || new BarcodeProcessor();
+        this.maxExpansionDepth = 5;
+    }
+
+    /**
+     * Generate a creature's encyclopedia entry
+     * Only facts that never change for a barcode are used (base stats, not levelled ones),
+     * so the entry stays the same as the creature levels up and evolves
+     * @param {Creature} creature - Creature to describe
+     * @returns {LoreEntry} Encyclopedia entry
+     */
+    generateEntry(creature) {
+        const random = this.barcodeProcessor.createSeededRandom(
+            this.barcodeProcessor.generateHashSeed(`lore:${creature.barcode}`)
+        );
+        const context = this.buildContext(creature, random);
+
+        const sections = LoreTemplates.SECTIONS.map(section => {
+            const template = this.selectTemplate(LoreTemplates.templates[section.id], context, random);
+            return {
+                id: section.id,
+                name: section.name,
+                text: template ? this.expandTemplate(template.text, context, random) : ''
+            };
+        });
+
+        return {
+            sections: sections,
+            heightM: context.heightM,
+            weightKg: context.weightKg,
+            text: sections.map(section => section.text).filter(Boolean).join(' ')
+        };
+    }
+
+    /**
+     * Gather the creature facts templates can use
+     * @param {Creature} creature - Creature to describe
+     * @param {Function} random - Seeded random function
+     * @returns {Object} Template context: conditions plus {variable} values
+     */
+    buildContext(creature, random) {
+        const baseStats = creature.baseStats ||
+            this.barcodeProcessor.calculateStats(creature.barcode, creature.generatorVersion);
+        const statKeys = Object.keys(LoreTemplates.STAT_LABELS);
+        const byValue = [...statKeys].sort((a, b) => baseStats[b] - baseStats[a]);
+        const topStat = byValue[0];
+        const lowStat = byValue[byValue.length - 1];
+
+        // Bulky creatures are big and heavy; the random spread keeps a species from being identical
+        const bulk = baseStats.maxHp + baseStats.defense;
+        const heightM = Math.round((0.2 + bulk / 150) * (0.8 + random() * 0.4) * 10) / 10;
+        const weightKg = Math.round((bulk * bulk / 500) * (0.7 + random() * 0.6) * 10) / 10;
+
+        const origin = Gs1Prefixes.getOrigin(creature.origin);
+        const elements = creature.elements || [];
+        const moves = creature.moves || [];
+        const rarity = this.barcodeProcessor.getRarityTier(creature.rarity);
+
+        return {
+            // Conditions
+            element: elements[0] || null,
+            rarity: rarity.id,
+            productClass: creature.productClass || 'unclassified',
+            topStat: topStat,
+            lowStat: lowStat,
+            fusion: Boolean(creature.fusion),
+            hasOrigin: origin !== null,
+            size: this.getSizeClass(heightM),
+            heightM: heightM,
+            weightKg: weightKg,
+
+            // Variables
+            vars: {
+                name: creature.baseName || creature.name,
+                species: creature.speciesName || creature.baseName || creature.name,
+                habitat: Gs1Prefixes.getHabitat(creature.origin, creature.productClass).toLowerCase(),
+                origin: origin ? origin.name : 'parts unknown',
+                element: elements[0] || 'plain',
+                rarity: rarity.name.toLowerCase(),
+                topStat: LoreTemplates.STAT_LABELS[topStat],
+                lowStat: LoreTemplates.STAT_LABELS[lowStat],
+                height: `${heightM.toFixed(1)} m`,
+                weight: `${weightKg.toFixed(1)} kg`,
+                // The signature move is always the last slot
+                move: moves.length > 0 ? moves[moves.length - 1].name : 'a wild tackle'
+            }
+        };
+    }
+
+    /**
+     * Classify a height for size conditions
+     * @param {number} heightM - Height in metres
+     * @returns {string} 'small', 'medium' or 'large'
+     */
+    getSizeClass(heightM) {
+        if (heightM < LoreTemplates.SIZE_THRESHOLDS.small) return 'small';
+        if (heightM >= LoreTemplates.SIZE_THRESHOLDS.large) return 'large';
+        return 'medium';
+    }
+
+    /**
+     * Check whether a template's conditions match the creature
+     * @param {LoreTemplate} template - Template to check
+     * @param {Object} context - Template context
+     * @returns {boolean} Whether every condition matches
+     */
+    matchesConditions(template, context) {
+        return Object.entries(template.when || {}).every(([key, expected]) => {
+            return Array.isArray(expected)
+                ? expected.includes(context[key])
+                : context[key] === expected;
+        });
+    }
+
+    /**
+     * Pick a template whose conditions match, by weight
+     * @param {LoreTemplate[]} templates - Section templates
+     * @param {Object} context - Template context
+     * @param {Function} random - Seeded random function
+     * @returns {LoreTemplate|null} Selected template, or null if none match
+     */
+    selectTemplate(templates = [], context, random) {
+        const candidates = templates.filter(template => this.matchesConditions(template, context));
+        const totalWeight = candidates.reduce((sum, template) => sum + (template.weight || 1), 0);
+
+        // Always draw, even with no candidates, so later sections don't shift
+        let pick = random() * totalWeight;
+        for (const template of candidates) {
+            pick -= template.weight || 1;
+            if (pick < 0) {
+                return template;
+            }
+        }
+
+        return candidates[candidates.length - 1] || null;
+    }
+
+    /**
+     * Expand grammar symbols and variables in a template
+     * @param {string} text - Template text
+     * @param {Object} context - Template context
+     * @param {Function} random - Seeded random function
+     * @param {number} depth - Current expansion depth (symbols may contain symbols)
+     * @returns {string} Expanded text; the full template gets its first letter capitalized
+     */
+    expandTemplate(text, context, random, depth = 0) {
+        let expanded = text.replace(/#(\w+)#/g, (match, symbol) => {
+            const alternatives = LoreTemplates.grammar[symbol];
+            if (!alternatives || alternatives.length === 0) {
+                console.warn(`Unknown lore grammar symbol: ${symbol}`);
+                return '';
+            }
+
+            const alternative = alternatives[Math.floor(random() * alternatives.length)];
+            return depth < this.maxExpansionDepth
+                ? this.expandTemplate(alternative, context, random, depth + 1)
+                : alternative;
+        });
+
+        expanded = expanded.replace(/\{(\w+)\}/g, (match, variable) => {
+            return context.vars[variable] !== undefined ? context.vars[variable] : match;
+        });
+
+        return depth === 0 ? expanded.charAt(0).toUpperCase() + expanded.slice(1) : expanded;
+    }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoreGenerator;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.LoreGenerator = LoreGenerator;
+}
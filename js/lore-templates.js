@@ -0,0 +1,125 @@
+/**
+ * Template grammars for creature encyclopedia entries
+ * Each section lists templates; LoreGenerator picks one per section and expands it
+ */
+
+/**
+ * @typedef {Object} LoreTemplate
+ * @property {string} text - Template text. {variable} inserts a creature fact (see LoreGenerator.buildContext),
+ *                           #symbol# expands a random alternative from the grammar
+ * @property {Object} [when] - Conditions the creature must meet, all optional:
+ *                           element (primary element ids), rarity (tier ids), productClass (ids),
+ *                           topStat / lowStat (stat keys), size ('small', 'medium' or 'large'),
+ *                           fusion (boolean), hasOrigin (boolean)
+ * @property {number} [weight] - Relative chance of being picked among matching templates (default 1)
+ */
+
+const LoreTemplates = {
+    // Sections of an entry, in display order
+    SECTIONS: [
+        { id: 'habitat', name: 'Habitat' },
+        { id: 'temperament', name: 'Temperament' },
+        { id: 'size', name: 'Size' },
+        { id: 'behavior', name: 'Signature Behavior' }
+    ],
+
+    // Heights (m) below small and from large on pick the size condition; medium in between
+    SIZE_THRESHOLDS: { small: 1.0, large: 1.5 },
+
+    // Display labels for stat keys used in {topStat} and {lowStat}
+    STAT_LABELS: {
+        maxHp: 'stamina',
+        attack: 'strength',
+        defense: 'toughness',
+        speed: 'speed'
+    },
+
+    templates: {
+        habitat: [
+            { text: 'Found in the {habitat}, where it #habitatHabit#.' },
+            { text: 'Most sightings come from the {habitat} of {origin}, where it #habitatHabit#.', when: { hasOrigin: true }, weight: 2 },
+            { text: 'Native to {origin}, it has spread wherever goods from the {habitat} are shipped.', when: { hasOrigin: true } },
+            { text: 'It seeks out #fireHaunt# in the {habitat}.', when: { element: ['fire'] }, weight: 2 },
+            { text: 'It is rarely far from #waterHaunt#, even in the {habitat}.', when: { element: ['water'] }, weight: 2 },
+            { text: 'It nests among #natureHaunt# across the {habitat}.', when: { element: ['nature'] }, weight: 2 },
+            { text: 'It gathers near #electricHaunt# on the edge of the {habitat}.', when: { element: ['electric'] }, weight: 2 },
+            { text: 'It burrows beneath #earthHaunt# in the {habitat}.', when: { element: ['earth'] }, weight: 2 },
+            { text: 'It has never been seen in the wild; it exists only where its parents were fused.', when: { fusion: true }, weight: 6 }
+        ],
+        temperament: [
+            { text: '#temperament# by nature, it #temperamentHabit#.' },
+            { text: 'Known for its {topStat}, it is #temperament# but #flaw#.' },
+            { text: 'Bold and #temperament#, it charges at anything that moves.', when: { topStat: ['attack'] }, weight: 2 },
+            { text: 'Patient and #temperament#, it would rather outlast a rival than chase it.', when: { topStat: ['defense', 'maxHp'] }, weight: 2 },
+            { text: 'Restless and #temperament#, it never stays in one place for long.', when: { topStat: ['speed'] }, weight: 2 },
+            { text: 'Its {lowStat} lets it down, so it avoids fights it cannot win quickly.', when: { lowStat: ['defense', 'maxHp'] } },
+            { text: 'So few have been recorded that its temperament is mostly rumor. It is said to be #temperament#.', when: { rarity: ['epic', 'legendary'] }, weight: 3 },
+            { text: 'Its two natures pull against each other; some days it is #temperament#, others #temperament#.', when: { fusion: true }, weight: 3 }
+        ],
+        size: [
+            { text: 'Adults stand about {height} tall and weigh around {weight}.' },
+            { text: 'Typically {height} tall and {weight}, it is #smallRemark#.', when: { size: ['small'] }, weight: 2 },
+            { text: 'At {height} and {weight}, it is #mediumRemark#.', when: { size: ['medium'] }, weight: 2 },
+            { text: 'Standing {height} tall and weighing {weight}, it is #largeRemark#.', when: { size: ['large'] }, weight: 2 }
+        ],
+        behavior: [
+            { text: 'When threatened, it unleashes {move}, #behaviorTail#.' },
+            { text: 'It practices {move} at dawn, #behaviorTail#.' },
+            { text: 'It #fireBehavior# before using {move}.', when: { element: ['fire'] }, weight: 2 },
+            { text: 'It #waterBehavior# before using {move}.', when: { element: ['water'] }, weight: 2 },
+            { text: 'It #natureBehavior# before using {move}.', when: { element: ['nature'] }, weight: 2 },
+            { text: 'It #electricBehavior# before using {move}.', when: { element: ['electric'] }, weight: 2 },
+            { text: 'It #earthBehavior# before using {move}.', when: { element: ['earth'] }, weight: 2 },
+            { text: 'It hides inside the pages of a book and bursts out with {move}.', when: { productClass: ['book'] }, weight: 3 },
+            { text: 'It trades favors with other creatures and pays them back with {move}.', when: { productClass: ['coupon'] }, weight: 3 }
+        ]
+    },
+
+    grammar: {
+        habitatHabit: [
+            'keeps to well-worn trails',
+            'marks its territory with scuffed labels',
+            'sleeps through the hottest part of the day',
+            'follows delivery routes from town to town',
+            'waits out storms in abandoned crates'
+        ],
+        fireHaunt: ['sun-baked rocks', 'the embers of old campfires', 'warm chimney tops'],
+        waterHaunt: ['running streams', 'rain-filled gutters', 'quiet harbors'],
+        natureHaunt: ['tangled hedgerows', 'overgrown orchards', 'moss-covered logs'],
+        electricHaunt: ['humming power lines', 'flickering shop signs', 'storm-struck hilltops'],
+        earthHaunt: ['loose gravel', 'forgotten quarries', 'the roots of old stone walls'],
+        temperament: ['curious', 'stubborn', 'gentle', 'proud', 'skittish', 'playful', 'wary', 'loyal'],
+        temperamentHabit: [
+            'rarely strays from its trainer',
+            'sulks when it loses a battle',
+            'greets every new creature it meets',
+            'hoards anything that crinkles',
+            'watches strangers from a distance'
+        ],
+        flaw: ['easily distracted', 'quick to sulk', 'slow to trust', 'prone to showing off', 'hopeless at sharing'],
+        smallRemark: ['small enough to ride on a shoulder', 'easy to lose in a shopping basket', 'heavier than it looks'],
+        mediumRemark: ['about as tall as a shop counter', 'surprisingly light on its feet', 'heavier than it looks'],
+        largeRemark: ['hard to miss in a crowd', 'too big for most doorways', 'surprisingly light on its feet'],
+        behaviorTail: [
+            'a move no two trainers describe the same way',
+            'leaving a faint smell of cardboard behind',
+            'then acts as if nothing happened',
+            'and expects to be praised for it'
+        ],
+        fireBehavior: ['stamps its feet until sparks fly', 'breathes slow puffs of smoke', 'glows a dull orange'],
+        waterBehavior: ['shakes itself dry', 'hums like a dripping tap', 'hides in the nearest puddle'],
+        natureBehavior: ['rustles like dry leaves', 'plants its feet like roots', 'sheds a shower of petals'],
+        electricBehavior: ['crackles with static', 'blinks out of sight for a moment', 'makes the lights flicker'],
+        earthBehavior: ['digs in its heels', 'rumbles like a distant rockslide', 'rolls into a stony ball']
+    }
+};
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoreTemplates;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.LoreTemplates = LoreTemplates;
+}
@@ -25,6 +25,7 @@ class UIController {
                 allowBack: true,
                 requiresAuth: false,
                 preload: true,
+                init: () => this.initializeScanner(),
                 cleanup: () => this.cleanupScanner()
             },
             'collection-screen': {
@@ -56,7 +57,7 @@ class UIController {
                 allowBack: true,
                 requiresAuth: false,
                 preload: false,
-                init: () => this.updateBattleDisplay(),
+                init: () => this.initializeBattleScreen(),
                 cleanup: () => this.cleanupBattle()
             },
             'settings-screen': {
@@ -66,23 +67,44 @@ class UIController {
                 requiresAuth: false,
                 preload: true,
                 init: () => this.loadSettingsUI()
+            },
+            'fusion-screen': {
+                id: 'fusion-screen',
+                title: 'Fusion Lab',
+                allowBack: true,
+                requiresAuth: false,
+                preload: false,
+                init: () => this.setupFusionScreen()
+            },
+            'barcode-lab-screen': {
+                id: 'barcode-lab-screen',
+                title: 'Barcode Lab',
+                allowBack: true,
+                requiresAuth: false,
+                preload: false,
+                init: () => this.setupBarcodeLab()
             }
         };
         
         // Navigation state
         this.isNavigating = false;
         this.navigationQueue = [];
+        this.scannerInitialized = false; // Scanner listeners are attached on the first visit only
         
         // Initialize managers
         this.storageManager = new StorageManager();
         this.barcodeProcessor = new BarcodeProcessor();
+        this.spriteGenerator = new SpriteGenerator(this.barcodeProcessor);
+        this.loreGenerator = new LoreGenerator(this.barcodeProcessor);
         this.creatureManager = new CreatureManager(this.storageManager);
+        this.inventoryManager = new InventoryManager(this.storageManager);
+        this.batchGenerationService = new BatchGenerationService();
+        this.fusionPreview = null; // Parent ids of the fusion shown in the Fusion Lab
         this.cameraScanner = new CameraScanner();
         this.difficultyManager = new DifficultyManager();
         this.battleEngine = new BattleEngine(this.difficultyManager);
         this.battleEffects = new BattleEffects();
         this.accessibilityManager = new AccessibilityManager();
-        this.optimizationUtils = new OptimizationUtils();
         
         // Bind methods for event listeners
         this.handleKeyboardNavigation = this.handleKeyboardNavigation.bind(this);
@@ -100,6 +122,9 @@ class UIController {
             this.setupNavigationListeners();
             this.setupKeyboardNavigation();
             
+            // Let the battle screen, effects and persistence follow battles through engine events
+            this.setupBattleEngineEvents();
+            
             // Load user settings
             this.loadSettings();
             
@@ -346,6 +371,14 @@ class UIController {
             this.showScreen('settings-screen');
         });
 
+        document.getElementById('fusion-lab-btn')?.addEventListener('click', () => {
+            this.showScreen('fusion-screen');
+        });
+
+        document.getElementById('barcode-lab-btn')?.addEventListener('click', () => {
+            this.showScreen('barcode-lab-screen');
+        });
+
         // Back button navigation
         document.getElementById('back-from-scanner')?.addEventListener('click', () => {
             this.showScreen('home-screen');
@@ -371,6 +404,14 @@ class UIController {
             this.showScreen('home-screen');
         });
 
+        document.getElementById('back-from-fusion')?.addEventListener('click', () => {
+            this.showScreen('home-screen');
+        });
+
+        document.getElementById('back-from-lab')?.addEventListener('click', () => {
+            this.showScreen('home-screen');
+        });
+
         // Settings toggles
         document.getElementById('high-contrast-toggle')?.addEventListener('change', (e) => {
             this.toggleHighContrast(e.target.checked);
@@ -381,6 +422,15 @@ class UIController {
             this.saveSettings();
         });
 
+        document.getElementById('language-pack-select')?.addEventListener('change', (e) => {
+            this.barcodeProcessor.setLanguagePack(e.target.value);
+            this.saveSettings();
+        });
+
+        document.getElementById('regenerate-creatures-btn')?.addEventListener('click', () => {
+            this.showRegenerationPreview();
+        });
+
         // Data management buttons
         document.getElementById('backup-data-btn')?.addEventListener('click', () => {
             this.createBackup();
@@ -407,21 +457,64 @@ class UIController {
         // Creature detail battle button
         document.getElementById('battle-with-creature')?.addEventListener('click', () => {
             if (this.selectedCreature) {
-                this.startBattleWithCreature(this.selectedCreature);
+                this.showTeamPicker(this.selectedCreature);
             }
         });
 
-        // Battle action buttons
-        document.getElementById('attack-btn')?.addEventListener('click', () => {
-            this.executeBattleAction('attack');
+        // Battle move buttons are rendered per creature, so listen on the container
+        document.getElementById('battle-actions')?.addEventListener('click', (e) => {
+            const moveButton = e.target.closest('.action-btn[data-move-id]');
+            if (moveButton && !moveButton.disabled) {
+                this.executeBattleAction(moveButton.dataset.moveId);
+            }
+            
+            const itemButton = e.target.closest('.action-btn[data-action="use-item"]');
+            if (itemButton && !itemButton.disabled) {
+                this.showBattleItemPicker();
+            }
+            
+            const switchButton = e.target.closest('.action-btn[data-action="switch"]');
+            if (switchButton && !switchButton.disabled) {
+                this.showBattleSwitchPicker();
+            }
         });
-
-        document.getElementById('special-attack-btn')?.addEventListener('click', () => {
-            this.executeBattleAction('special');
+        
+        document.getElementById('use-item-btn')?.addEventListener('click', () => {
+            if (this.selectedCreature) {
+                this.showCreatureItemPicker(this.selectedCreature);
+            }
         });
-
-        document.getElementById('defend-btn')?.addEventListener('click', () => {
-            this.executeBattleAction('defend');
+        
+        document.getElementById('evolution-lock-btn')?.addEventListener('click', () => {
+            if (this.selectedCreature) {
+                this.toggleEvolutionLock(this.selectedCreature);
+            }
+        });
+        
+        ['fusion-parent-a', 'fusion-parent-b'].forEach(selectId => {
+            document.getElementById(selectId)?.addEventListener('change', () => {
+                this.updateFusionPreview();
+            });
+        });
+        
+        document.getElementById('confirm-fusion-btn')?.addEventListener('click', () => {
+            this.confirmFusion();
+        });
+        
+        document.getElementById('lab-inspect-btn')?.addEventListener('click', () => {
+            this.inspectBarcode();
+        });
+        
+        document.getElementById('lab-barcode-input')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.inspectBarcode();
+            }
+        });
+        
+        document.getElementById('lab-version-select')?.addEventListener('change', () => {
+            if (document.getElementById('lab-barcode-input')?.value.trim()) {
+                this.inspectBarcode();
+            }
         });
 
         document.getElementById('battle-continue-btn')?.addEventListener('click', () => {
@@ -826,14 +919,6 @@ class UIController {
         // This method is now handled by the screen config init functions
         console.log(`Screen shown: ${screenId}`);
     }
-            case 'settings-screen':
-                this.loadSettingsUI();
-                break;
-            case 'battle-screen':
-                this.initializeBattleScreen();
-                break;
-        }
-    }
     
     /**
      * Initialize battle screen
@@ -846,6 +931,79 @@ class UIController {
         }
     }
 
+    /**
+     * Subscribe the battle screen, effects, screen reader announcements and persistence to battle engine events
+     */
+    setupBattleEngineEvents() {
+        const engine = this.battleEngine;
+
+        // Effects
+        engine.on('damageApplied', (event) => {
+            this.battleEffects.animateDamage(event.target, event.amount, event.critical);
+            if (event.source === 'move') {
+                this.showEffectivenessEffect({ damage: event.amount, effectiveness: event.effectiveness });
+            }
+        });
+        engine.on('healed', (event) => {
+            this.battleEffects.animateHeal(event.target, event.amount);
+        });
+        engine.on('critical', () => {
+            this.addBattleEffect('⚡ Critical hit!', 'critical');
+        });
+
+        // Status changes happen during a turn; they are announced after the turn's action
+        let statusMessages = [];
+        engine.on('statusChanged', (event) => {
+            if (event.change === 'applied') {
+                const effect = GameConstants.STATUS_EFFECTS[event.statusId];
+                this.addBattleEffect(`${effect.icon} ${effect.name}!`, 'system');
+            }
+            // A lost turn is the turn's own message
+            if (event.change !== 'blocked') {
+                statusMessages.push(event.message);
+            }
+        });
+
+        // Battle screen and announcements
+        engine.on('turnEnded', (event) => {
+            // A turn lost to a status is a miss too, but the status already explains it
+            const targetSide = event.result.actor === 'player' ? 'opponent' : 'player';
+            if (event.result.outcome === 'miss' && event.result.actionType !== 'status') {
+                this.battleEffects.animateMiss(targetSide);
+                this.addBattleEffect('💨 Missed!', 'system');
+            } else if (event.result.outcome === 'blocked') {
+                this.battleEffects.animateBlock(targetSide);
+                this.addBattleEffect('🛡️ Blocked!', 'blocked');
+            }
+
+            const battle = engine.getCurrentBattle();
+            this.updateBattleUI(battle);
+            this.battleEffects.animateHPChange('player', battle.playerCreature.stats.hp, battle.playerCreature.stats.maxHp);
+            this.battleEffects.animateHPChange('opponent', battle.opponentCreature.stats.hp, battle.opponentCreature.stats.maxHp);
+            this.announceToScreenReader([event.result.message, ...statusMessages].join(' '), 'polite');
+            statusMessages = [];
+        });
+        engine.on('battleEnded', (event) => {
+            const winner = event.winner === 'player' ? event.battle.playerCreature : event.battle.opponentCreature;
+            this.announceToScreenReader(`Battle over. ${winner.name} wins!`, 'assertive');
+        });
+
+        // Persistence and analytics
+        engine.on('battleStarted', (event) => {
+            this.trackBattleStart(event.battle.difficulty);
+        });
+        engine.on('battleEnded', (event) => {
+            this.difficultyManager.recordBattleResult({
+                won: event.winner === 'player',
+                difficulty: event.battle.difficulty,
+                experienceReward: event.experienceReward,
+                turnCount: event.battle.turnCount,
+                battleDuration: event.battle.duration
+            });
+            this.trackBattleCompletion(event);
+        });
+    }
+
     /**
      * Go back to the previous screen using history
      */
@@ -871,7 +1029,9 @@ class UIController {
             'creature-detail-screen': 'collection-screen',
             'difficulty-screen': 'collection-screen',
             'battle-screen': 'difficulty-screen',
-            'settings-screen': 'home-screen'
+            'settings-screen': 'home-screen',
+            'fusion-screen': 'home-screen',
+            'barcode-lab-screen': 'home-screen'
         };
 
         const fallbackScreen = backNavigation[this.currentScreen];
@@ -990,22 +1150,6 @@ class UIController {
         // This is now handled by the screen config cleanup functions
         console.log(`Screen left: ${screenId}`);
     }
-                    this.cameraScanner.stopScanning();
-                    
-                    const cameraButton = document.getElementById('toggle-camera-btn');
-                    if (cameraButton) {
-                        cameraButton.textContent = 'Start Camera';
-                        cameraButton.classList.remove('active');
-                    }
-                    
-                    const cameraContainer = document.getElementById('camera-container');
-                    if (cameraContainer) {
-                        cameraContainer.classList.remove('scanning');
-                    }
-                }
-                break;
-        }
-    }
 
     /**
      * Focus the first interactive element in a screen for accessibility
@@ -1135,6 +1279,8 @@ class UIController {
      * Initialize scanner screen with camera and manual input
      */
     async initializeScanner() {
+        if (this.scannerInitialized) return;
+        this.scannerInitialized = true;
         console.log('Scanner screen initialized');
         
         // Set up camera scanner
@@ -1181,6 +1327,11 @@ class UIController {
             this.handleScannedBarcode(barcode, metadata);
         });
         
+        this.cameraScanner.onBarcodeRejected((barcode, validation) => {
+            this.showFeedback(`Barcode ${barcode} rejected: ${validation.reason}`, 'error');
+            this.announceToScreenReader(`Barcode rejected: ${validation.reason}`, 'polite');
+        });
+        
         this.cameraScanner.onError((type, error) => {
             this.handleCameraError(type, error);
         });
@@ -1247,24 +1398,27 @@ class UIController {
     handleScannedBarcode(barcode, metadata) {
         console.log(`Scanned barcode: ${barcode}`, metadata);
         
-        // Validate barcode
-        if (!this.barcodeProcessor.validateBarcode(barcode)) {
-            this.showFeedback(`Invalid barcode scanned: ${barcode}`, 'error');
-            this.announceToScreenReader(`Invalid barcode scanned: ${barcode}`, 'assertive');
+        // Validate barcode, enforcing the symbology the scanner decoded
+        const validation = this.barcodeProcessor.getBarcodeValidation(barcode, metadata && metadata.symbology);
+        if (!validation.valid) {
+            this.showFeedback(`Invalid barcode scanned: ${barcode} (${validation.reason})`, 'error');
+            this.announceToScreenReader(`Invalid barcode scanned: ${validation.reason}`, 'assertive');
+            return;
+        }
+        
+        // Item barcodes go to the inventory instead of the collection
+        if (this.collectItemBarcode(validation.normalized)) {
             return;
         }
         
         // Generate creature with full integration
         try {
-            const creature = this.barcodeProcessor.generateCreature(barcode);
+            const creature = this.barcodeProcessor.generateCreature(validation.normalized);
             
             if (creature) {
-                // Add to collection with storage integration
+                // Add to collection; the creature manager saves it to storage
                 const added = this.creatureManager.addCreature(creature);
                 
-                // Trigger storage save
-                this.storageManager.saveCreatureCollection(this.creatureManager.getCollection());
-                
                 // Show comprehensive feedback
                 if (added) {
                     this.showScannedCreatureFeedback(creature, metadata, true);
@@ -1304,6 +1458,34 @@ class UIController {
         }
     }
     
+    /**
+     * Add the item from an item barcode to the inventory
+     * @param {string} barcode - Normalized barcode
+     * @returns {boolean} Whether the barcode was an item barcode (and so makes no creature); barcodes of owned creatures never are
+     */
+    collectItemBarcode(barcode) {
+        // Barcodes the player already owns as creatures stay creatures
+        if (this.creatureManager.findCreatureByBarcode(barcode)) {
+            return false;
+        }
+        
+        const item = this.barcodeProcessor.generateItem(barcode);
+        if (!item) {
+            return false;
+        }
+        
+        const itemType = GameConstants.ITEM_TYPES[item.type];
+        if (this.inventoryManager.addItem(item)) {
+            this.showFeedback(`Found an item: ${itemType.icon} ${itemType.name}! ${itemType.description}.`, 'success');
+            this.announceToScreenReader(`Found an item: ${itemType.name}`, 'polite');
+        } else {
+            this.showFeedback(`The ${itemType.name} from this barcode was already collected`, 'error');
+            this.announceToScreenReader(`Item already collected: ${itemType.name}`, 'polite');
+        }
+        
+        return true;
+    }
+    
     /**
      * Handle camera errors
      * @param {string} type - Error type
@@ -1368,7 +1550,7 @@ class UIController {
                         <div class="scan-format">Format: ${metadata.format || 'Unknown'}</div>
                     </div>
                     <div class="creature-preview">
-                        <div class="creature-name">${creature.name}</div>
+                        <div class="creature-name">${GameUtils.escapeHtml(creature.name)}</div>
                         <div class="creature-stats-mini">
                             HP: ${creature.stats.hp} | ATK: ${creature.stats.attack} | 
                             DEF: ${creature.stats.defense} | SPD: ${creature.stats.speed}
@@ -1390,7 +1572,7 @@ class UIController {
                         <div class="scan-confidence">Confidence: ${confidencePercent}%</div>
                     </div>
                     <div class="creature-preview">
-                        <div class="creature-name">${creature.name}</div>
+                        <div class="creature-name">${GameUtils.escapeHtml(creature.name)}</div>
                         <div class="creature-level">Level ${creature.level}</div>
                     </div>
                     <div class="creature-actions">
@@ -1487,58 +1669,42 @@ class UIController {
             return;
         }
         
-        // Check for non-numeric characters
-        if (!/^\d*$/.test(value)) {
-            input.classList.add('invalid');
-            validationIcon.classList.add('invalid');
-            validationMessage.classList.add('error');
-            validationMessage.textContent = 'Only numeric characters are allowed';
-            button.disabled = true;
-            return;
-        }
-        
-        // Check length requirements
-        if (value.length < 8) {
-            input.classList.add('invalid');
-            validationIcon.classList.add('invalid');
-            validationMessage.classList.add('error');
-            validationMessage.textContent = `Need ${8 - value.length} more digit${8 - value.length !== 1 ? 's' : ''}`;
-            button.disabled = true;
-            return;
-        }
+        const validation = this.barcodeProcessor.getBarcodeValidation(value);
         
-        if (value.length > 20) {
+        if (!validation.valid) {
             input.classList.add('invalid');
             validationIcon.classList.add('invalid');
             validationMessage.classList.add('error');
-            validationMessage.textContent = 'Maximum 20 digits allowed';
+            
+            // Keep the typing hint friendly while the code is still too short
+            const digits = value.replace(/[\s-]/g, '');
+            const missing = GameConstants.MIN_BARCODE_LENGTH - digits.length;
+            if (/^\d+$/.test(digits) && missing > 0) {
+                validationMessage.textContent = `Need ${missing} more digit${missing !== 1 ? 's' : ''}`;
+            } else {
+                validationMessage.textContent = validation.reason;
+            }
+            
             button.disabled = true;
             return;
         }
         
         // Valid barcode
-        const isValid = this.barcodeProcessor.validateBarcode(value);
-        if (isValid) {
-            input.classList.add('valid');
-            validationIcon.classList.add('valid');
-            validationMessage.classList.add('success');
-            
-            // Check if creature already exists
-            const existingCreature = this.creatureManager.findCreatureByBarcode(value);
-            if (existingCreature) {
-                validationMessage.textContent = `${existingCreature.name} already in collection`;
-            } else {
-                validationMessage.textContent = 'Ready to generate creature!';
-            }
-            
-            button.disabled = false;
+        input.classList.add('valid');
+        validationIcon.classList.add('valid');
+        validationMessage.classList.add('success');
+        
+        // Check if creature already exists
+        const existingCreature = this.creatureManager.findCreatureByBarcode(validation.normalized);
+        if (existingCreature) {
+            validationMessage.textContent = `${existingCreature.name} already in collection`;
+        } else if (validation.format !== GameConstants.BARCODE_FORMATS.NUMERIC) {
+            validationMessage.textContent = `Valid ${validation.format} - ready to generate creature!`;
         } else {
-            input.classList.add('invalid');
-            validationIcon.classList.add('invalid');
-            validationMessage.classList.add('error');
-            validationMessage.textContent = 'Invalid barcode format';
-            button.disabled = true;
+            validationMessage.textContent = 'Ready to generate creature!';
         }
+        
+        button.disabled = false;
     }
     
     /**
@@ -1552,13 +1718,15 @@ class UIController {
         
         if (!input || !button) return;
         
-        const barcode = input.value.trim();
+        const validation = this.barcodeProcessor.getBarcodeValidation(input.value);
         
-        if (!this.barcodeProcessor.validateBarcode(barcode)) {
-            this.showFeedback('Invalid barcode. Please check your input.', 'error');
+        if (!validation.valid) {
+            this.showFeedback(`Invalid barcode: ${validation.reason}`, 'error');
             return;
         }
         
+        const barcode = validation.normalized;
+        
         // Show loading state
         button.disabled = true;
         btnText.classList.add('hidden');
@@ -1567,6 +1735,12 @@ class UIController {
         // Simulate processing delay for better UX
         setTimeout(() => {
             try {
+                if (this.collectItemBarcode(barcode)) {
+                    input.value = '';
+                    this.validateBarcodeInput('');
+                    return;
+                }
+                
                 const creature = this.barcodeProcessor.generateCreature(barcode);
                 
                 if (creature) {
@@ -1623,7 +1797,7 @@ class UIController {
                 <div class="creature-generated">
                     <h4>🎉 New Creature Discovered!</h4>
                     <div class="creature-preview">
-                        <div class="creature-name">${creature.name}</div>
+                        <div class="creature-name">${GameUtils.escapeHtml(creature.name)}</div>
                         <div class="creature-stats-mini">
                             HP: ${creature.stats.hp} | ATK: ${creature.stats.attack} | 
                             DEF: ${creature.stats.defense} | SPD: ${creature.stats.speed}
@@ -1642,7 +1816,7 @@ class UIController {
                 <div class="creature-exists">
                     <h4>Creature Already Exists</h4>
                     <div class="creature-preview">
-                        <div class="creature-name">${creature.name}</div>
+                        <div class="creature-name">${GameUtils.escapeHtml(creature.name)}</div>
                         <div class="creature-level">Level ${creature.level}</div>
                     </div>
                     <div class="creature-actions">
@@ -1688,7 +1862,10 @@ class UIController {
         
         // Sort creatures based on selected criteria
         const sortCriteria = sortSelect ? sortSelect.value : 'name';
-        const sortedCreatures = this.creatureManager.sortCollection(sortCriteria, false); // Descending by default
+        const sortOrder = sortCriteria === 'name' ? 'asc' : 'desc'; // Strongest first, names A-Z
+        const sortedCreatures = this.creatureManager.getSortedCollection(sortCriteria, sortOrder);
+        
+        this.updateOriginFilter(creatures);
         
         // Generate creature cards with enhanced information
         grid.innerHTML = sortedCreatures.map(creature => {
@@ -1697,13 +1874,18 @@ class UIController {
             const experiencePercentage = creature.experienceToNext > 0 ? 
                 (creature.experience / creature.experienceToNext) * 100 : 100;
             
+            const rarity = this.barcodeProcessor.getRarityTier(creature.rarity);
+            
             return `
-                <div class="creature-card" data-creature-id="${creature.id}" 
-                     tabindex="0" role="button" aria-label="View details for ${creature.name}">
+                <div class="creature-card rarity-${rarity.id}" data-creature-id="${creature.id}" data-origin="${GameUtils.escapeHtml(creature.origin || 'unknown')}" 
+                     tabindex="0" role="button" aria-label="View details for ${GameUtils.escapeHtml(creature.name)}, ${rarity.name}">
                     <div class="creature-card-header">
-                        <h3 class="creature-name">${creature.name}</h3>
+                        <h3 class="creature-name">${GameUtils.escapeHtml(creature.name)}</h3>
                         <span class="creature-level">Lv.${creature.level}</span>
                     </div>
+                    <div class="creature-sprite">${this.spriteGenerator.getSprite(creature)}</div>
+                    <span class="rarity-badge rarity-${rarity.id}">${rarity.name}</span>
+                    <div class="creature-elements">${this.renderElementBadges(creature.elements)}</div>
                     <div class="creature-stats-summary">
                         <div class="stat-bar">
                             <span class="stat-label">HP</span>
@@ -1726,7 +1908,7 @@ class UIController {
                         </div>
                     </div>
                     <div class="creature-card-footer">
-                        <span class="creature-barcode">Barcode: ${creature.barcode}</span>
+                        <span class="creature-barcode">Barcode: ${GameUtils.escapeHtml(creature.barcode)}</span>
                         <span class="creature-battles">
                             W:${creature.battlesWon} L:${creature.battlesLost} 
                             ${winRate > 0 ? `(${Math.round(winRate * 100)}%)` : ''}
@@ -1776,6 +1958,20 @@ class UIController {
             });
         }
         
+        // Set up origin filter
+        const originFilter = document.getElementById('origin-filter');
+        if (originFilter) {
+            const newOriginFilter = originFilter.cloneNode(true);
+            originFilter.parentNode.replaceChild(newOriginFilter, originFilter);
+            
+            newOriginFilter.addEventListener('change', () => {
+                this.filterCollection(document.getElementById('creature-search')?.value || '');
+            });
+        }
+        
+        // Keep the current search and origin filter applied after re-rendering
+        this.filterCollection(document.getElementById('creature-search')?.value || '');
+        
         // Show collection stats
         this.updateCollectionStats();
     }
@@ -1791,14 +1987,36 @@ class UIController {
     }
     
     /**
-     * Filter collection display based on search term
+     * Rebuild the origin filter options from the origins in the collection
+     * @param {Creature[]} creatures - Creatures in the collection
+     */
+    updateOriginFilter(creatures) {
+        const originFilter = document.getElementById('origin-filter');
+        if (!originFilter) return;
+        
+        const selected = originFilter.value || 'all';
+        const origins = new Map();
+        creatures.forEach(creature => {
+            const origin = Gs1Prefixes.getOrigin(creature.origin);
+            origins.set(origin ? origin.code : 'unknown', origin ? origin.name : 'Unknown origin');
+        });
+        
+        const options = [...origins.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+        originFilter.innerHTML = '<option value="all">All origins</option>' +
+            options.map(([code, name]) => `<option value="${code}">${name}</option>`).join('');
+        originFilter.value = origins.has(selected) ? selected : 'all';
+    }
+    
+    /**
+     * Filter collection display based on search term and the selected origin
      * @param {string} searchTerm - Search term to filter by
      */
     filterCollection(searchTerm) {
         const cards = document.querySelectorAll('.creature-card');
         const term = searchTerm.toLowerCase().trim();
+        const origin = document.getElementById('origin-filter')?.value || 'all';
         
-        if (!term) {
+        if (!term && origin === 'all') {
             // Show all cards if search is empty
             cards.forEach(card => {
                 card.style.display = 'block';
@@ -1810,7 +2028,10 @@ class UIController {
             const creatureName = card.querySelector('.creature-name').textContent.toLowerCase();
             const creatureBarcode = card.querySelector('.creature-barcode').textContent.toLowerCase();
             
-            if (creatureName.includes(term) || creatureBarcode.includes(term)) {
+            const matchesTerm = creatureName.includes(term) || creatureBarcode.includes(term);
+            const matchesOrigin = origin === 'all' || card.dataset.origin === origin;
+            
+            if (matchesTerm && matchesOrigin) {
                 card.style.display = 'block';
             } else {
                 card.style.display = 'none';
@@ -1864,15 +2085,75 @@ class UIController {
         // Update creature detail screen
         document.getElementById('creature-detail-name').textContent = creature.name;
         document.getElementById('detail-level').textContent = creature.level;
+        this.updateEvolutionDetail(creature);
         document.getElementById('detail-hp').textContent = `${creature.stats.hp}/${creature.stats.maxHp}`;
         document.getElementById('detail-attack').textContent = creature.stats.attack;
         document.getElementById('detail-defense').textContent = creature.stats.defense;
         document.getElementById('detail-speed').textContent = creature.stats.speed;
         document.getElementById('detail-experience').textContent = `${creature.experience}/${creature.experienceToNext}`;
-        document.getElementById('detail-barcode').textContent = creature.barcode;
+        document.getElementById('detail-barcode').textContent = creature.symbology ?
+            `${creature.barcode} (${creature.symbology})` : creature.barcode;
         document.getElementById('detail-battles-won').textContent = creature.battlesWon;
         document.getElementById('detail-battles-lost').textContent = creature.battlesLost;
         
+        const rarity = this.barcodeProcessor.getRarityTier(creature.rarity);
+        const rarityElement = document.getElementById('detail-rarity');
+        if (rarityElement) {
+            rarityElement.textContent = rarity.name;
+            rarityElement.className = `stat-value rarity-badge rarity-${rarity.id}`;
+        }
+        
+        const elementsElement = document.getElementById('detail-elements');
+        if (elementsElement) {
+            elementsElement.innerHTML = this.renderElementBadges(creature.elements);
+        }
+        
+        const traitsElement = document.getElementById('detail-traits');
+        if (traitsElement) {
+            traitsElement.innerHTML = this.renderTraitBadges(creature.traits);
+        }
+        
+        const growthElement = document.getElementById('detail-growth');
+        if (growthElement) {
+            const growthProfile = GameUtils.getGrowthProfile(creature.growth && creature.growth.profile);
+            growthElement.textContent = growthProfile.name;
+            growthElement.title = growthProfile.description;
+        }
+        
+        this.renderCreatureSprite(document.getElementById('detail-sprite'), creature);
+        
+        const speciesElement = document.getElementById('detail-species');
+        if (speciesElement) {
+            const speciesCount = this.creatureManager.getCreaturesBySpecies(creature.speciesId || creature.barcode).length;
+            speciesElement.textContent = speciesCount > 1
+                ? `${creature.speciesName || creature.name} (${speciesCount} owned)`
+                : creature.speciesName || creature.name;
+        }
+        
+        const origin = Gs1Prefixes.getOrigin(creature.origin);
+        const productClass = Gs1Prefixes.getProductClass(creature.productClass);
+        const originElement = document.getElementById('detail-origin');
+        if (originElement) {
+            originElement.textContent = creature.fusion ? 'Fusion Lab' : origin ? origin.name : productClass.name;
+        }
+        const habitatElement = document.getElementById('detail-habitat');
+        if (habitatElement) {
+            habitatElement.textContent = Gs1Prefixes.getHabitat(creature.origin, creature.productClass);
+        }
+        const flavorElement = document.getElementById('detail-flavor');
+        if (flavorElement) {
+            flavorElement.textContent = creature.fusion
+                ? `Fused from ${creature.fusion.parents.map(parent => parent.name).join(' and ')}.`
+                : Gs1Prefixes.describe(creature.origin, creature.productClass);
+        }
+        
+        const loreElement = document.getElementById('detail-lore');
+        if (loreElement) {
+            loreElement.innerHTML = this.loreGenerator.generateEntry(creature).sections
+                .map(section => `<dt>${section.name}</dt><dd>${GameUtils.escapeHtml(section.text)}</dd>`)
+                .join('');
+        }
+        
         // Store current creature for battle
         this.selectedCreature = creature;
         
@@ -1881,101 +2162,582 @@ class UIController {
     }
     
     /**
-     * Updates collection statistics display
+     * Show a creature's evolution stage and opt-out state on the detail screen
+     * @param {Creature} creature - Creature being shown
      */
-    updateCollectionStats() {
-        const stats = this.creatureManager.getCollectionStats();
-        console.log('Collection stats:', stats);
-        
-        // Add collection stats to the collection screen header
-        const collectionScreen = document.getElementById('collection-screen');
-        let statsDisplay = collectionScreen.querySelector('.collection-stats');
-        
-        if (!statsDisplay) {
-            statsDisplay = document.createElement('div');
-            statsDisplay.className = 'collection-stats';
-            
-            const controlsContainer = collectionScreen.querySelector('.collection-controls');
-            if (controlsContainer) {
-                controlsContainer.parentNode.insertBefore(statsDisplay, controlsContainer);
+    updateEvolutionDetail(creature) {
+        const stage = GameUtils.getEvolutionStage(creature.evolutionStage);
+        const nextLevel = this.creatureManager.getNextEvolutionLevel(creature);
+        
+        const evolutionElement = document.getElementById('detail-evolution');
+        if (evolutionElement) {
+            let progress = 'Final form';
+            if (nextLevel !== null) {
+                progress = creature.evolutionLocked ? 'Evolution stopped' : `Evolves at Lv. ${nextLevel}`;
             }
+            evolutionElement.textContent = `${stage.name} · ${progress}`;
         }
         
-        if (stats.totalCreatures > 0) {
-            statsDisplay.innerHTML = `
-                <div class="stats-summary">
-                    <div class="stat-item">
-                        <span class="stat-number">${stats.totalCreatures}</span>
-                        <span class="stat-label">Creatures</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-number">${stats.averageLevel}</span>
-                        <span class="stat-label">Avg Level</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-number">${stats.totalBattles}</span>
-                        <span class="stat-label">Battles</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-number">${Math.round(stats.overallWinRate * 100)}%</span>
-                        <span class="stat-label">Win Rate</span>
-                    </div>
-                </div>
-            `;
-        } else {
-            statsDisplay.innerHTML = '';
+        const lockButton = document.getElementById('evolution-lock-btn');
+        if (lockButton) {
+            lockButton.textContent = creature.evolutionLocked ? '✨ Allow Evolving' : '🔒 Stop Evolving';
+            lockButton.setAttribute('aria-pressed', String(Boolean(creature.evolutionLocked)));
+            lockButton.hidden = nextLevel === null;
         }
     }
-
+    
     /**
-     * Load settings into the UI
+     * Opt a creature in or out of evolving when it levels up
+     * @param {Creature} creature - Creature to toggle
      */
-    loadSettingsUI() {
-        const settings = this.loadSettings();
-        
-        // Update UI elements with current settings
-        const difficultySelect = document.getElementById('difficulty-select');
-        const soundToggle = document.getElementById('sound-toggle');
-        const contrastToggle = document.getElementById('high-contrast-toggle');
-        
-        if (difficultySelect) difficultySelect.value = settings.difficulty;
-        if (soundToggle) soundToggle.checked = settings.soundEnabled;
-        if (contrastToggle) contrastToggle.checked = settings.highContrastMode;
+    toggleEvolutionLock(creature) {
+        const locked = !creature.evolutionLocked;
+        if (!this.creatureManager.setEvolutionLocked(creature.id, locked)) {
+            this.showFeedback('Failed to update evolution setting', 'error');
+            return;
+        }
         
-        // Update storage information
-        this.updateStorageInfo();
+        const message = locked ? `${creature.name} will no longer evolve` : `${creature.name} can evolve again`;
+        this.showFeedback(message, 'success');
+        this.announceToScreenReader(message, 'polite');
+        this.showCreatureDetail(creature.id);
     }
     
     /**
-     * Update storage information display
+     * Show a creature's evolutions on its detail screen, animating from its previous form
+     * @param {string} creatureId - ID of the creature that evolved
+     * @param {EvolutionRecord[]} evolutions - Evolutions that just happened, in order
      */
-    updateStorageInfo() {
-        const storageStats = document.getElementById('storage-stats');
-        if (!storageStats) return;
+    showEvolution(creatureId, evolutions) {
+        const first = evolutions[0];
+        const last = evolutions[evolutions.length - 1];
+        
+        this.showCreatureDetail(creatureId);
+        const creature = this.selectedCreature;
+        const nameElement = document.getElementById('creature-detail-name');
+        const spriteElement = document.getElementById('detail-sprite');
+        
+        // Start from the form the creature had before evolving
+        nameElement.textContent = first.fromName;
+        this.renderCreatureSprite(spriteElement, { ...creature, evolutionStage: first.fromStage });
+        
+        this.battleEffects.animateEvolution(spriteElement, () => {
+            nameElement.textContent = creature.name;
+            this.renderCreatureSprite(spriteElement, creature);
+        });
         
-        const summary = this.storageManager.getDataSummary();
-        const storageInfo = this.storageManager.getStorageInfo();
+        const message = `${first.fromName} evolved into ${last.toName}!`;
+        this.showFeedback(message, 'success');
+        this.announceToScreenReader(message, 'assertive');
+    }
+    
+    /**
+     * Fill the Fusion Lab's parent pickers with the collection
+     */
+    setupFusionScreen() {
+        const creatures = this.creatureManager.getCollection()
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const options = creatures.map(creature =>
+            `<option value="${creature.id}">${GameUtils.escapeHtml(creature.name)} (Lv. ${creature.level})</option>`
+        ).join('');
+        
+        ['fusion-parent-a', 'fusion-parent-b'].forEach((selectId, index) => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            select.innerHTML = `<option value="">Choose a creature</option>${options}`;
+            // Start with the first two creatures picked so there is something to preview
+            select.value = creatures[index] ? creatures[index].id : '';
+        });
         
-        if (!summary.available) {
-            storageStats.innerHTML = '<p>Storage not available</p>';
+        this.updateFusionPreview();
+    }
+    
+    /**
+     * Show what the chosen parents would fuse into
+     */
+    updateFusionPreview() {
+        const preview = document.getElementById('fusion-preview');
+        const confirmButton = document.getElementById('confirm-fusion-btn');
+        const parentIdA = document.getElementById('fusion-parent-a')?.value;
+        const parentIdB = document.getElementById('fusion-parent-b')?.value;
+        if (!preview || !confirmButton) return;
+        
+        confirmButton.disabled = true;
+        this.fusionPreview = null;
+        
+        if (!parentIdA || !parentIdB) {
+            preview.innerHTML = '<p class="fusion-message">Pick two creatures to see what they fuse into.</p>';
             return;
         }
         
-        const usagePercentage = storageInfo.usagePercentage || 0;
-        const usageColor = usagePercentage > 80 ? '#f44336' : usagePercentage > 60 ? '#FFC107' : '#4CAF50';
+        const result = this.creatureManager.previewFusion(parentIdA, parentIdB);
+        if (!result.success) {
+            preview.innerHTML = `<p class="fusion-message">${result.error}</p>`;
+            return;
+        }
         
-        storageStats.innerHTML = `
-            <div class="storage-stat-item">
-                <span class="storage-stat-label">Creatures:</span>
-                <span class="storage-stat-value">${summary.creatures.count}</span>
-            </div>
-            <div class="storage-stat-item">
-                <span class="storage-stat-label">Average Level:</span>
-                <span class="storage-stat-value">${summary.creatures.averageLevel.toFixed(1)}</span>
+        const creature = result.creature;
+        const [parentA, parentB] = creature.fusion.parents;
+        preview.innerHTML = `
+            <div class="creature-sprite fusion-sprite"></div>
+            <h3 class="fusion-name">${GameUtils.escapeHtml(creature.name)}</h3>
+            <div class="creature-elements">${this.renderElementBadges(creature.elements)}</div>
+            <div class="creature-stats">
+                <div class="stat-item"><span class="stat-label">Level</span><span class="stat-value">${creature.level}</span></div>
+                <div class="stat-item"><span class="stat-label">HP</span><span class="stat-value">${creature.stats.maxHp}</span></div>
+                <div class="stat-item"><span class="stat-label">Attack</span><span class="stat-value">${creature.stats.attack}</span></div>
+                <div class="stat-item"><span class="stat-label">Defense</span><span class="stat-value">${creature.stats.defense}</span></div>
+                <div class="stat-item"><span class="stat-label">Speed</span><span class="stat-value">${creature.stats.speed}</span></div>
+                <div class="stat-item"><span class="stat-label">Moves</span><span class="stat-value">${creature.moves.map(move => move.name).join(', ')}</span></div>
             </div>
-            <div class="storage-stat-item">
-                <span class="storage-stat-label">Battles:</span>
-                <span class="storage-stat-value">${summary.battles.count}</span>
+            <p class="fusion-message">${GameUtils.escapeHtml(parentA.name)} and ${GameUtils.escapeHtml(parentB.name)} will be consumed.</p>
+        `;
+        this.renderCreatureSprite(preview.querySelector('.fusion-sprite'), creature);
+        
+        this.fusionPreview = { parentIdA, parentIdB };
+        confirmButton.disabled = false;
+    }
+    
+    /**
+     * Fuse the previewed parents and show the new creature
+     */
+    confirmFusion() {
+        if (!this.fusionPreview) return;
+        
+        const { parentIdA, parentIdB } = this.fusionPreview;
+        const result = this.creatureManager.fuseCreatures(parentIdA, parentIdB);
+        this.fusionPreview = null;
+        
+        if (!result.success) {
+            this.showFeedback(`Fusion failed: ${result.error}`, 'error');
+            this.updateFusionPreview();
+            return;
+        }
+        
+        const message = `Created ${result.creature.name} in the Fusion Lab!`;
+        this.showFeedback(message, 'success');
+        this.announceToScreenReader(message, 'polite');
+        this.refreshCollection();
+        this.showCreatureDetail(result.creature.id);
+    }
+    
+    /**
+     * Fill the Barcode Lab's generator version picker
+     */
+    setupBarcodeLab() {
+        const select = document.getElementById('lab-version-select');
+        if (!select || select.options.length > 0) return;
+        
+        select.innerHTML = this.barcodeProcessor.getGeneratorVersions().map(version =>
+            `<option value="${version.version}">v${version.version}${version.latest ? ' (latest)' : ''}</option>`
+        ).join('');
+        select.value = String(this.barcodeProcessor.latestGeneratorVersion);
+    }
+    
+    /**
+     * Preview the creature a barcode generates, with every generation step explained
+     * The creature is never added to the collection
+     */
+    inspectBarcode() {
+        const report = document.getElementById('lab-report');
+        const barcode = document.getElementById('lab-barcode-input')?.value || '';
+        const version = parseInt(document.getElementById('lab-version-select')?.value, 10) ||
+            this.barcodeProcessor.latestGeneratorVersion;
+        if (!report) return;
+        
+        const validation = this.barcodeProcessor.getBarcodeValidation(barcode);
+        if (!validation.valid) {
+            report.innerHTML = '<p class="lab-message"></p>';
+            report.querySelector('.lab-message').textContent = `Barcode rejected: ${validation.reason}`;
+            return;
+        }
+        
+        const generation = this.barcodeProcessor.getGenerationReport(barcode, version);
+        const creature = this.barcodeProcessor.generateCreature(barcode, version);
+        if (!generation || !creature) {
+            report.innerHTML = '<p class="lab-message">This barcode could not be generated.</p>';
+            return;
+        }
+        
+        report.innerHTML = this.renderGenerationReport(generation, creature);
+        this.renderCreatureSprite(report.querySelector('.lab-sprite'), creature);
+        this.announceToScreenReader(`${creature.name} previewed in the Barcode Lab`, 'polite');
+    }
+    
+    /**
+     * Render a generation report as Barcode Lab sections
+     * @param {GenerationReport} generation - Report from BarcodeProcessor.getGenerationReport
+     * @param {Creature} creature - Creature generated from the same barcode and version
+     * @returns {string} Report HTML
+     */
+    renderGenerationReport(generation, creature) {
+        const section = (title, body) => `<section class="lab-section"><h3>${title}</h3>${body}</section>`;
+        const row = (label, value) =>
+            `<div class="stat-item"><span class="stat-label">${label}</span><span class="stat-value">${value}</span></div>`;
+        
+        const item = generation.itemType ? GameConstants.ITEM_TYPES[generation.itemType] : null;
+        const summary = `
+            <div class="lab-summary">
+                <div class="creature-sprite lab-sprite"></div>
+                <h3 class="fusion-name">${GameUtils.escapeHtml(creature.name)}</h3>
+                <div class="creature-elements">${this.renderElementBadges(creature.elements)}</div>
+                ${item ? `<p class="lab-message">Scanning this barcode gives a ${item.name} item instead of this creature.</p>` : ''}
+            </div>`;
+        
+        const { seed } = generation;
+        const seedBody = `<div class="creature-stats">
+                ${row('Barcode', `<span class="creature-barcode">${GameUtils.escapeHtml(generation.barcode)}</span> (${generation.format})`)}
+                ${row('Generator', `v${generation.generatorVersion}: ${generation.description}`)}
+                ${row('Seed mode', seed.mode === 'weightedSum' ? 'Position-weighted sum' : 'FNV-1a hash')}
+                ${row('Seed', seed.value)}
+            </div>` +
+            (seed.contributions
+                ? `<p class="lab-trace">${seed.contributions.map(part =>
+                    `${GameUtils.escapeHtml(part.character)}: ${part.value} × ${part.weight}`).join(' + ')} = ${seed.value}</p>`
+                : '');
+        
+        const bias = generation.species.bias;
+        const originBody = `<div class="creature-stats">
+                ${row('GS1 prefix', generation.prefix.prefix || 'None')}
+                ${row('Origin', Gs1Prefixes.getOrigin(generation.prefix.origin)?.name || 'Unknown')}
+                ${row('Product class', Gs1Prefixes.getProductClass(generation.prefix.productClass).name)}
+                ${row('Rarity', `${this.barcodeProcessor.getRarityTier(generation.rarity.tier).name} (score ${generation.rarity.score}${
+                    generation.rarity.patterns.length > 0 ? `: ${generation.rarity.patterns.join(', ')}` : ''})`)}
+                ${row('Species', GameUtils.escapeHtml(generation.species.id))}
+                ${row('Species bias', bias ? `+${bias.favored}, -${bias.weak}` : 'None')}
+            </div>`;
+        
+        const statRows = generation.stats.steps.map(step => {
+            const source = step.digits
+                ? `${step.digits.digits.map(digit => `[${digit.index}] ${GameUtils.escapeHtml(digit.character)}→${digit.digit}`).join(' + ')} = ${step.digits.sum}/${step.digits.maxSum}`
+                : 'Seeded roll';
+            return `<tr>
+                    <th scope="row">${step.stat}</th>
+                    <td>${source}</td>
+                    <td>${step.base}</td>
+                    <td>${step.varianceRoll >= 0 ? '+' : ''}${step.varianceRoll} (±${step.variance})</td>
+                    <td>${step.preClamp}</td>
+                    <td>${step.clamped} [${step.range[0]}-${step.ceiling}]</td>
+                    <td>×${Math.round(step.modifier * 100) / 100}</td>
+                    <td>${step.value}</td>
+                </tr>`;
+        }).join('');
+        const statsBody = `<table class="lab-table">
+                <thead><tr><th>Stat</th><th>Source</th><th>Base</th><th>Variance</th><th>Pre-clamp</th><th>Clamped</th><th>Modifier</th><th>Final</th></tr></thead>
+                <tbody>${statRows}</tbody>
+            </table>`;
+        
+        const name = generation.name;
+        const nameBody = `<div class="creature-stats">
+                ${row('Method', name.naming === 'languagePack'
+                    ? `Language pack: ${LanguagePacks.getPack(name.languagePack)?.name || name.languagePack}`
+                    : `Syllables, ${name.pattern.style} pattern (${name.pattern.minLength}-${name.pattern.maxLength})`)}
+                ${row('Syllables', name.syllablesUsed.join(' · '))}
+                ${row('Prefix / suffix', `${name.prefix || '—'} / ${name.suffix || '—'}`)}
+                ${row('Apostrophe', name.apostrophe ? 'Yes' : 'No')}
+                ${name.speciesName ? row('Species name', `${name.speciesName} + ${name.variant}`) : ''}
+                ${row('Final name', GameUtils.escapeHtml(name.finalName))}
+            </div>`;
+        
+        const growthProfile = GameUtils.getGrowthProfile(generation.growth.profile);
+        const extrasBody = `<div class="creature-stats">
+                ${row('Moves', generation.moves.map(move => `${move.name} (Lv. ${move.learnLevel})`).join(', '))}
+                ${row('Traits', this.renderTraitBadges(generation.traits))}
+                ${row('Growth', `${growthProfile.name}: ${Object.entries(generation.growth.rates)
+                    .map(([stat, rate]) => `${stat} ×${rate}`).join(', ')}`)}
+                ${row('Evolves at', generation.evolutionLevels.map(level => `Lv. ${level}`).join(', '))}
+            </div>`;
+        
+        return summary +
+            section('Seed', seedBody) +
+            section('Origin & Rarity', originBody) +
+            section('Stats', statsBody) +
+            section('Name', nameBody) +
+            section('Moves, Traits & Growth', extrasBody);
+    }
+    
+    /**
+     * Show the items that can be used outside battle and use the chosen one on a creature
+     * @param {Creature} creature - Creature to use the item on
+     */
+    showCreatureItemPicker(creature) {
+        const items = this.inventoryManager.getInventory({ usableInBattle: false });
+        if (items.length === 0) {
+            this.showFeedback('No items to use outside battle', 'error');
+            return;
+        }
+        
+        const modal = this.showModal(`Use Item on ${GameUtils.escapeHtml(creature.name)}`, this.renderItemOptions(items, () => true));
+        modal.querySelectorAll('.item-option').forEach(button => {
+            button.addEventListener('click', () => {
+                modal.querySelector('.modal-close').click();
+                this.useItemOnCreature(button.dataset.itemType, creature.id);
+            });
+        });
+    }
+    
+    /**
+     * Use an item on a creature outside battle
+     * @param {string} itemType - Item type id
+     * @param {string} creatureId - Creature to use the item on
+     */
+    useItemOnCreature(itemType, creatureId) {
+        const item = GameConstants.ITEM_TYPES[itemType];
+        if (!item || item.usableInBattle || !this.inventoryManager.hasItem(itemType)) {
+            this.showFeedback('That item cannot be used here', 'error');
+            return;
+        }
+        
+        if (item.effect === 'evolve') {
+            const evolveResult = this.creatureManager.evolveCreature(creatureId, 'catalyst');
+            if (!evolveResult.success) {
+                this.showFeedback(`${item.name} had no effect: ${evolveResult.error}`, 'error');
+                return;
+            }
+            
+            this.inventoryManager.consumeItem(itemType);
+            this.showEvolution(creatureId, [evolveResult.evolution]);
+            return;
+        }
+        
+        const result = this.creatureManager.awardExperience(creatureId, item.amount);
+        if (!result.success) {
+            this.showFeedback(`Failed to use ${item.name}`, 'error');
+            return;
+        }
+        
+        this.inventoryManager.consumeItem(itemType);
+        
+        const creature = this.creatureManager.getCreature(creatureId);
+        const learned = result.learnedMoves.map(move => move.name);
+        this.showFeedback(
+            `${creature.name} gained ${item.amount} experience` +
+            (result.levelsGained > 0 ? ` and ${result.levelsGained} level(s)! ${this.formatStatGains(result.statGains)}` : '!') +
+            (learned.length > 0 ? ` Learned ${learned.join(', ')}!` : ''),
+            'success'
+        );
+        
+        if (result.evolutions.length > 0) {
+            this.showEvolution(creatureId, result.evolutions);
+        } else {
+            this.showCreatureDetail(creatureId);
+        }
+    }
+    
+    /**
+     * Updates collection statistics display
+     */
+    updateCollectionStats() {
+        const stats = this.creatureManager.getCollectionStats();
+        console.log('Collection stats:', stats);
+        
+        // Add collection stats to the collection screen header
+        const collectionScreen = document.getElementById('collection-screen');
+        let statsDisplay = collectionScreen.querySelector('.collection-stats');
+        
+        if (!statsDisplay) {
+            statsDisplay = document.createElement('div');
+            statsDisplay.className = 'collection-stats';
+            
+            const controlsContainer = collectionScreen.querySelector('.collection-controls');
+            if (controlsContainer) {
+                controlsContainer.parentNode.insertBefore(statsDisplay, controlsContainer);
+            }
+        }
+        
+        if (stats.totalCreatures > 0) {
+            statsDisplay.innerHTML = `
+                <div class="stats-summary">
+                    <div class="stat-item">
+                        <span class="stat-number">${stats.totalCreatures}</span>
+                        <span class="stat-label">Creatures</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">${stats.speciesDiscovered}</span>
+                        <span class="stat-label">Species</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">${this.inventoryManager.getTotalItemCount()}</span>
+                        <span class="stat-label">Items</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">${stats.averageLevel}</span>
+                        <span class="stat-label">Avg Level</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">${stats.totalBattles}</span>
+                        <span class="stat-label">Battles</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">${Math.round(stats.overallWinRate * 100)}%</span>
+                        <span class="stat-label">Win Rate</span>
+                    </div>
+                </div>
+            `;
+        } else {
+            statsDisplay.innerHTML = '';
+        }
+    }
+
+    /**
+     * Load settings into the UI
+     */
+    loadSettingsUI() {
+        const settings = this.loadSettings();
+        
+        // Update UI elements with current settings
+        const difficultySelect = document.getElementById('difficulty-select');
+        const soundToggle = document.getElementById('sound-toggle');
+        const contrastToggle = document.getElementById('high-contrast-toggle');
+        const languagePackSelect = document.getElementById('language-pack-select');
+        
+        if (difficultySelect) difficultySelect.value = settings.difficulty;
+        if (soundToggle) soundToggle.checked = settings.soundEnabled;
+        if (contrastToggle) contrastToggle.checked = settings.highContrastMode;
+        if (languagePackSelect) languagePackSelect.value = settings.languagePack || 'auto';
+        
+        this.updateGeneratorVersionInfo();
+        
+        // Update storage information
+        this.updateStorageInfo();
+    }
+    
+    /**
+     * Update the creature generation summary in settings
+     */
+    updateGeneratorVersionInfo() {
+        const versionInfo = document.getElementById('generator-version-info');
+        if (!versionInfo) return;
+        
+        const latestVersion = this.barcodeProcessor.latestGeneratorVersion;
+        const outdatedCount = this.creatureManager.getOutdatedCreatures(latestVersion).length;
+        
+        versionInfo.textContent = outdatedCount > 0
+            ? `Rules v${latestVersion}. ${outdatedCount} creature(s) were generated with older rules.`
+            : `Rules v${latestVersion}. All creatures use the latest rules.`;
+    }
+    
+    /**
+     * Calculate regenerated stats for creatures made with older generation rules
+     * in a batch job, then show the preview
+     */
+    showRegenerationPreview() {
+        const outdatedCount = this.creatureManager.getOutdatedCreatures(this.barcodeProcessor.latestGeneratorVersion).length;
+        if (outdatedCount === 0) {
+            this.showFeedback('All creatures already use the latest generation rules', 'success');
+            return;
+        }
+        
+        let job = null;
+        const progress = outdatedCount > this.batchGenerationService.chunkSize
+            ? this.showBatchProgress('Regenerate Creatures', `Calculating new stats for ${outdatedCount} creature(s)...`, () => job.cancel())
+            : null;
+        
+        job = this.creatureManager.previewRegenerationInBatches(
+            null,
+            this.batchGenerationService,
+            progress ? progress.update : null
+        );
+        
+        job.promise.then(result => {
+            if (progress) progress.close();
+            
+            if (result.success) {
+                this.renderRegenerationPreview(result.previews);
+            } else if (!result.cancelled) {
+                this.showFeedback(`Regeneration preview failed: ${result.error}`, 'error');
+            }
+        });
+    }
+    
+    /**
+     * Show old vs new stats for creatures made with older generation rules,
+     * and let the player apply the regeneration
+     * @param {Object[]} previews - Previews from CreatureManager.previewRegenerationInBatches
+     */
+    renderRegenerationPreview(previews) {
+        
+        const statLabels = { maxHp: 'HP', attack: 'ATK', defense: 'DEF', speed: 'SPD' };
+        const formatChange = change => change > 0 ? `+${change}` : `${change}`;
+        const growthName = growth => GameUtils.getGrowthProfile(growth && growth.profile).name;
+        const traitNames = traits => traits.map(traitId => GameConstants.TRAITS[traitId])
+            .filter(Boolean).map(trait => trait.name).join(', ') || 'None';
+        
+        const rows = previews.map(preview => `
+            <tr>
+                <td>
+                    ${GameUtils.escapeHtml(preview.name)}<br><small>v${preview.fromVersion} → v${preview.toVersion}</small>
+                    <br><small>Growth: ${growthName(preview.oldGrowth)} → ${growthName(preview.newGrowth)}</small>
+                    <br><small>Traits: ${traitNames(preview.oldTraits)} → ${traitNames(preview.newTraits)}</small>
+                </td>
+                ${Object.keys(statLabels).map(stat => `
+                    <td class="${preview.statChanges[stat] > 0 ? 'stat-up' : preview.statChanges[stat] < 0 ? 'stat-down' : ''}">
+                        ${preview.oldStats[stat]} → ${preview.newStats[stat]}
+                        <small>(${formatChange(preview.statChanges[stat])})</small>
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('');
+        
+        const content = `
+            <p>${previews.length} creature(s) will be regenerated with the latest rules: growth profiles and traits are rolled again and stats follow the new growth. Names, moves, levels and battle records are kept.</p>
+            <table class="regeneration-preview">
+                <thead>
+                    <tr>
+                        <th>Creature</th>
+                        ${Object.values(statLabels).map(label => `<th>${label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <button id="apply-regeneration-btn" class="btn primary">Apply Regeneration</button>
+        `;
+        
+        const modal = this.showModal('Regenerate Creatures', content);
+        modal.querySelector('#apply-regeneration-btn').addEventListener('click', () => {
+            const result = this.creatureManager.applyRegeneration(null, null, previews);
+            modal.querySelector('.modal-close').click();
+            
+            if (result.success) {
+                this.showFeedback(`Regenerated ${result.regenerated} creature(s)`, 'success');
+                this.updateGeneratorVersionInfo();
+                this.refreshCollection();
+            } else {
+                this.showFeedback(`Regeneration failed: ${result.error}`, 'error');
+            }
+        });
+    }
+    
+    /**
+     * Update storage information display
+     */
+    updateStorageInfo() {
+        const storageStats = document.getElementById('storage-stats');
+        if (!storageStats) return;
+        
+        const summary = this.storageManager.getDataSummary();
+        const storageInfo = this.storageManager.getStorageInfo();
+        
+        if (!summary.available) {
+            storageStats.innerHTML = '<p>Storage not available</p>';
+            return;
+        }
+        
+        const usagePercentage = storageInfo.usagePercentage || 0;
+        const usageColor = usagePercentage > 80 ? '#f44336' : usagePercentage > 60 ? '#FFC107' : '#4CAF50';
+        
+        storageStats.innerHTML = `
+            <div class="storage-stat-item">
+                <span class="storage-stat-label">Creatures:</span>
+                <span class="storage-stat-value">${summary.creatures.count}</span>
+            </div>
+            <div class="storage-stat-item">
+                <span class="storage-stat-label">Average Level:</span>
+                <span class="storage-stat-value">${summary.creatures.averageLevel.toFixed(1)}</span>
+            </div>
+            <div class="storage-stat-item">
+                <span class="storage-stat-label">Battles:</span>
+                <span class="storage-stat-value">${summary.battles.count}</span>
             </div>
             <div class="storage-stat-item">
                 <span class="storage-stat-label">Storage Used:</span>
@@ -2042,24 +2804,41 @@ class UIController {
         
         const reader = new FileReader();
         reader.onload = (e) => {
-            try {
-                const backupData = e.target.result;
-                const result = this.storageManager.restoreFromBackup(backupData, false);
+            let job = null;
+            const progress = this.showBatchProgress('Restore Backup', 'Checking the creatures in your backup...', () => job.cancel());
+            
+            job = this.storageManager.restoreFromBackupInBatches(
+                e.target.result,
+                false,
+                this.batchGenerationService,
+                progress.update
+            );
+            
+            job.promise.then(result => {
+                progress.close();
                 
-                if (result.success) {
-                    this.showFeedback(`Backup restored! ${result.restored} items restored.`, 'success');
+                if (result.cancelled) {
+                    this.showFeedback('Restore cancelled. Your data was not changed.', 'success');
+                } else if (result.success) {
+                    if (result.rejected.length > 0) {
+                        const firstRejection = result.rejected[0];
+                        this.showFeedback(`Backup restored! ${result.restored} items restored, ${result.rejected.length} creature(s) rejected (${firstRejection.barcode}: ${firstRejection.reason}).`, 'success');
+                    } else {
+                        this.showFeedback(`Backup restored! ${result.restored} items restored.`, 'success');
+                    }
                     
                     // Refresh the UI
                     this.creatureManager.loadCreatures();
+                    this.inventoryManager.loadInventory();
                     this.refreshCollection();
                     this.updateStorageInfo();
                 } else {
                     this.showFeedback(`Restore failed: ${result.error}`, 'error');
                 }
-            } catch (error) {
+            }).catch(error => {
                 console.error('Error restoring backup:', error);
                 this.showFeedback('Invalid backup file', 'error');
-            }
+            });
         };
         
         reader.readAsText(file);
@@ -2088,6 +2867,7 @@ class UIController {
             if (success) {
                 // Reload managers with fresh data
                 this.creatureManager.loadCreatures();
+                this.inventoryManager.loadInventory();
                 
                 // Refresh UI
                 this.refreshCollection();
@@ -2114,6 +2894,7 @@ class UIController {
             soundEnabled: true,
             highContrastMode: false,
             cameraEnabled: true,
+            languagePack: 'auto',
             lastBackupDate: null
         };
 
@@ -2130,6 +2911,9 @@ class UIController {
                 this.battleEffects.setSoundEnabled(settings.soundEnabled);
             }
             
+            // Apply name language pack (settings saved before packs existed have none)
+            this.barcodeProcessor.setLanguagePack(settings.languagePack || 'auto');
+            
             return settings;
         } catch (error) {
             console.error('Error loading settings:', error);
@@ -2146,6 +2930,7 @@ class UIController {
             soundEnabled: document.getElementById('sound-toggle')?.checked || true,
             highContrastMode: document.getElementById('high-contrast-toggle')?.checked || false,
             cameraEnabled: true,
+            languagePack: document.getElementById('language-pack-select')?.value || 'auto',
             lastBackupDate: new Date().toISOString()
         };
 
@@ -2177,52 +2962,72 @@ class UIController {
             }, 3000);
         }
     }
-}
 
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize UI Controller
-    window.uiController = new UIController();
-    
-    console.log('Barcode Battler Game initialized');
-    console.log('Current screen:', window.uiController.currentScreen);
-    
-    // Test functionality
-    console.log('--- System Tests ---');
-    console.log('BarcodeProcessor loaded:', typeof window.uiController.barcodeProcessor);
-    console.log('CreatureManager loaded:', typeof window.uiController.creatureManager);
-    
-    // Show collection stats
-    const stats = window.uiController.creatureManager.getCollectionStats();
-    console.log('Collection stats:', stats);
-    
-    // Test creature generation and management
-    const testCreature = window.uiController.barcodeProcessor.generateCreature('12345678');
-    if (testCreature) {
-        console.log('Test creature generated:', testCreature.name, testCreature.stats);
+    /**
+     * Let the player pick teammates to battle alongside a creature
+     * @param {Creature} lead - Creature that leads the team
+     */
+    showTeamPicker(lead) {
+        const maxTeammates = GameConstants.MAX_TEAM_SIZE - 1;
+        const candidates = this.creatureManager.getCollection().filter(creature => creature.id !== lead.id);
+        if (candidates.length === 0) {
+            this.startBattleWithCreature(lead);
+            return;
+        }
         
-        // Test adding to collection
-        const added = window.uiController.creatureManager.addCreature(testCreature);
-        console.log('Added to collection:', added);
+        const content = `
+            <p>${GameUtils.escapeHtml(lead.name)} leads the team. Pick up to ${maxTeammates} teammates to bring in when it faints or when you switch, or battle alone.</p>
+            <div class="team-options">
+                ${candidates.map(creature => `
+                    <label class="team-option">
+                        <input type="checkbox" value="${creature.id}">
+                        <span class="team-option-name">${GameUtils.escapeHtml(creature.name)} <small>Lv. ${creature.level}</small></span>
+                        ${this.renderElementBadges(creature.elements)}
+                    </label>
+                `).join('')}
+            </div>
+            <button id="start-team-battle-btn" class="btn primary">⚔️ Battle</button>
+        `;
         
-        if (added) {
-            console.log('Collection size:', window.uiController.creatureManager.getCollection().length);
-        }
+        const modal = this.showModal('Choose Your Team', content);
+        const checkboxes = Array.from(modal.querySelectorAll('.team-option input'));
+        
+        // Once the team is full, the remaining creatures can't be picked
+        checkboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const full = checkboxes.filter(box => box.checked).length >= maxTeammates;
+                checkboxes.forEach(box => {
+                    box.disabled = full && !box.checked;
+                });
+            });
+        });
+        
+        modal.querySelector('#start-team-battle-btn').addEventListener('click', () => {
+            const teammates = checkboxes
+                .filter(box => box.checked)
+                .map(box => candidates.find(creature => creature.id === box.value));
+            modal.querySelector('.modal-close').click();
+            this.startBattleWithCreature(lead, teammates);
+        });
     }
-});   
- /**
+    
+    /**
      * Start battle with selected creature
-     * @param {Creature} creature - Player's creature
+     * @param {Creature} creature - Player's creature, which leads the team
+     * @param {Creature[]} teammates - Creatures that can be switched in (up to GameConstants.MAX_TEAM_SIZE - 1)
      */
-    startBattleWithCreature(creature) {
+    startBattleWithCreature(creature, teammates = []) {
         try {
-            // Generate opponent creature based on difficulty
+            // Generate one opponent per team member based on difficulty
             const settings = this.loadSettings();
             const difficulty = settings.difficulty || 'medium';
-            const opponent = this.generateOpponentCreature(difficulty);
+            const team = [creature, ...teammates];
+            // Opponents come from the battle's seeded stream so the whole battle can be replayed
+            const random = this.battleEngine.startRandomStream();
+            const opponents = team.map(() => this.generateOpponentCreature(difficulty, random));
             
             // Start battle
-            const battle = this.battleEngine.initiateBattle(creature, opponent, difficulty);
+            const battle = this.battleEngine.initiateBattle(team, opponents, difficulty);
             
             // Update battle UI
             this.updateBattleUI(battle);
@@ -2240,15 +3045,17 @@ document.addEventListener('DOMContentLoaded', () => {
     /**
      * Generate opponent creature based on difficulty
      * @param {string} difficulty - Battle difficulty
+     * @param {Function} random - Random function (the battle's seeded stream)
      * @returns {Creature} Generated opponent creature
      */
-    generateOpponentCreature(difficulty) {
+    generateOpponentCreature(difficulty, random = Math.random) {
         // Generate a random barcode for opponent
-        const barcodeLength = 8 + Math.floor(Math.random() * 5); // 8-12 digits
+        const barcodeLength = 8 + Math.floor(random() * 5); // 8-12 digits
         let barcode = '';
-        for (let i = 0; i < barcodeLength; i++) {
-            barcode += Math.floor(Math.random() * 10);
+        for (let i = 0; i < barcodeLength - 1; i++) {
+            barcode += Math.floor(random() * 10);
         }
+        barcode += DataValidation.calculateCheckDigit(barcode); // Keep EAN-8/UPC-A lengths valid
         
         const opponent = this.barcodeProcessor.generateCreature(barcode);
         if (!opponent) {
@@ -2293,7 +3100,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const turnIndicator = document.getElementById('current-turn-indicator');
         const isPlayerTurn = battle.currentTurn === 'player';
         turnIndicator.textContent = isPlayerTurn ? 'Your Turn' : 'Opponent\'s Turn';
-        turnIndicator.className = isPlayerTurn ? '' : 'opponent-turn';
+        turnIndicator.classList.toggle('opponent-turn', !isPlayerTurn);
         
         // Update creature panels
         this.updateCreaturePanel('player', battle.playerCreature, battle, isPlayerTurn);
@@ -2331,6 +3138,17 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('opponent-ai-type').textContent = aiType;
         }
         
+        // Update element badges
+        const elementsElement = document.getElementById(`${side}-elements`);
+        if (elementsElement) {
+            elementsElement.innerHTML = this.renderElementBadges(creature.elements);
+        }
+        
+        this.renderCreatureSprite(document.getElementById(`${side}-sprite`), creature);
+        this.renderBattleTeam(side, battle);
+        this.renderBattleStatuses(side, battle);
+        this.renderEnergyMeter(side, battle);
+        
         // Update panel active state
         const panel = document.querySelector(`.${side}-panel`);
         if (panel) {
@@ -2354,22 +3172,141 @@ document.addEventListener('DOMContentLoaded', () => {
             statusElement.textContent = status;
         }
         
-        // Update HP bars and text
-        this.updateCreatureHP('player', battle.playerCreature);
-        this.updateCreatureHP('opponent', battle.opponentCreature);
+        // Update HP bars and text
+        this.updateCreatureHP('player', battle.playerCreature);
+        this.updateCreatureHP('opponent', battle.opponentCreature);
+        
+        // Update stats
+        document.getElementById(`${side}-attack`).textContent = creature.stats.attack;
+        document.getElementById(`${side}-defense`).textContent = creature.stats.defense;
+        document.getElementById(`${side}-speed`).textContent = creature.stats.speed;
+    }
+    
+    /**
+     * Show a side's team under its creature panel, one marker per creature
+     * @param {string} side - 'player' or 'opponent'
+     * @param {Battle} battle - Current battle
+     */
+    renderBattleTeam(side, battle) {
+        const teamElement = document.getElementById(`${side}-team`);
+        if (!teamElement) return;
+        
+        const team = battle[`${side}Team`] || [];
+        if (team.length < 2) {
+            teamElement.innerHTML = '';
+            return;
+        }
+        
+        const activeIndex = battle[`${side}Active`];
+        teamElement.innerHTML = team.map((creature, index) => {
+            const state = index === activeIndex ? 'active' : creature.stats.hp > 0 ? 'ready' : 'fainted';
+            const label = `${GameUtils.escapeHtml(creature.name)}: ${creature.stats.hp}/${creature.stats.maxHp} HP${state === 'active' ? ' (in battle)' : ''}`;
+            return `<span class="team-slot ${state}" title="${label}" aria-label="${label}"></span>`;
+        }).join('');
+    }
+    
+    /**
+     * Show the status icons of a side's active creature, with a text description for screen readers
+     * @param {string} side - 'player' or 'opponent'
+     * @param {Battle} battle - Current battle
+     */
+    renderBattleStatuses(side, battle) {
+        const statusesElement = document.getElementById(`${side}-statuses`);
+        if (!statusesElement) return;
+        
+        const statuses = battle.statuses ? battle.statuses[side][battle[`${side}Active`]] : [];
+        statusesElement.innerHTML = statuses.map(status => {
+            const effect = GameConstants.STATUS_EFFECTS[status.id];
+            const stacks = status.stacks > 1 ? ` ×${status.stacks}` : '';
+            const label = `${effect.name}${stacks}, ${status.turnsLeft} turn${status.turnsLeft === 1 ? '' : 's'} left. ${effect.description}`;
+            const className = `status-badge status-${effect.kind}${effect.amount < 0 ? ' status-down' : ''}`;
+            return `<span class="${className}" title="${label}"><span aria-hidden="true">${effect.icon}${stacks}</span><span class="sr-only">${label}</span></span>`;
+        }).join('');
+    }
+    
+    /**
+     * Show the energy meter of a side's active creature
+     * @param {string} side - 'player' or 'opponent'
+     * @param {Battle} battle - Current battle
+     */
+    renderEnergyMeter(side, battle) {
+        const energyFill = document.getElementById(`${side}-energy-fill`);
+        const energyText = document.getElementById(`${side}-energy-text`);
+        if (!energyFill || !energyText || !battle.energy) return;
+        
+        const energy = battle.energy[side][battle[`${side}Active`]];
+        energyFill.style.width = `${(energy.current / energy.max) * 100}%`;
+        energyText.textContent = `${energy.current}/${energy.max}`;
+    }
+    
+    /**
+     * Render a creature's sprite into a container
+     * Skips the DOM update when the container already shows that sprite, since battle
+     * panels are refreshed every turn
+     * @param {HTMLElement|null} container - Element to render into
+     * @param {Creature} creature - Creature to draw
+     */
+    renderCreatureSprite(container, creature) {
+        if (!container) return;
+        
+        const spriteKey = this.spriteGenerator.getCacheKey(creature);
+        if (container.dataset.spriteKey === spriteKey) return;
+        
+        container.innerHTML = this.spriteGenerator.getSprite(creature);
+        container.dataset.spriteKey = spriteKey;
+    }
+    
+    /**
+     * Render element badges for a creature
+     * @param {string[]} elements - Creature elements
+     * @returns {string} Badge HTML
+     */
+    renderElementBadges(elements = []) {
+        return (elements || []).map(element => {
+            const icon = GameConstants.ELEMENT_ICONS[element] || '';
+            const label = element.charAt(0).toUpperCase() + element.slice(1);
+            return `<span class="element-badge element-${element}">${icon} ${label}</span>`;
+        }).join('');
+    }
+    
+    /**
+     * Render passive trait badges for a creature
+     * @param {string[]} traits - Creature trait ids
+     * @returns {string} Badge HTML ('None' when the creature has no traits)
+     */
+    renderTraitBadges(traits = []) {
+        const badges = (traits || [])
+            .map(traitId => GameConstants.TRAITS[traitId])
+            .filter(Boolean)
+            .map(trait => `<span class="trait-badge" title="${trait.description}">${trait.icon} ${trait.name}</span>`);
+        
+        return badges.length > 0 ? badges.join('') : 'None';
+    }
+    
+    /**
+     * Format level up stat gains for feedback messages
+     * @param {Object} statGains - Stat gains from CreatureManager.calculateStatGains
+     * @returns {string} Gains such as "HP +7, ATK +4, DEF +3, SPD +5"
+     */
+    formatStatGains(statGains) {
+        const labels = { maxHp: 'HP', attack: 'ATK', defense: 'DEF', speed: 'SPD' };
         
-        // Update stats
-        document.getElementById('player-attack').textContent = creature.stats.attack;
-        document.getElementById('player-defense').textContent = creature.stats.defense;
-        document.getElementById('player-speed').textContent = creature.stats.speed;
+        return Object.entries(labels)
+            .map(([stat, label]) => `${label} +${statGains[stat] || 0}`)
+            .join(', ');
+    }
+    
+    /**
+     * Show the elemental matchup of an attack as a battle effect
+     * @param {BattleResult} result - Action result
+     */
+    showEffectivenessEffect(result) {
+        if (!result.effectiveness || result.damage === 0) return;
         
-        if (side === 'player') {
-            const specialUsesLeft = 3 - battle.playerActions.specialAttacksUsed;
-            document.getElementById('player-special-uses').textContent = specialUsesLeft;
-        } else {
-            document.getElementById('opponent-attack').textContent = creature.stats.attack;
-            document.getElementById('opponent-defense').textContent = creature.stats.defense;
-            document.getElementById('opponent-speed').textContent = creature.stats.speed;
+        if (result.effectiveness > 1) {
+            this.addBattleEffect('💥 Super effective!', 'critical');
+        } else if (result.effectiveness < 1) {
+            this.addBattleEffect('Not very effective...', 'system');
         }
     }
     
@@ -2413,9 +3350,23 @@ document.addEventListener('DOMContentLoaded', () => {
             let className = 'log-entry';
             if (entry.type === 'action' && entry.damage > 0) {
                 className += entry.critical ? ' critical' : ' damage';
+                if (entry.effectiveness > 1) {
+                    className += ' super-effective';
+                }
+            } else if (entry.type === 'item') {
+                className += ' heal';
+            } else if (entry.type === 'trait') {
+                className += ' trait';
+            } else if (entry.type === 'status') {
+                className += ' status';
+            }
+            if (entry.outcome === 'miss') {
+                className += ' miss';
+            } else if (entry.outcome === 'blocked') {
+                className += ' blocked';
             }
             
-            return `<div class="${className}">${entry.message}</div>`;
+            return `<div class="${className}">${GameUtils.escapeHtml(entry.message)}</div>`;
         }).join('');
         
         // Scroll to bottom
@@ -2466,41 +3417,146 @@ document.addEventListener('DOMContentLoaded', () => {
     
     /**
      * Execute player battle action
-     * @param {string} actionType - Type of action
+     * @param {string} moveId - Id of the chosen move
      */
-    executeBattleAction(actionType) {
+    executeBattleAction(moveId) {
+        const handleError = error => {
+            console.error('Error executing player action:', error);
+            this.showFeedback('Failed to execute action', 'error');
+            this.unlockBattleActions();
+        };
+        
         try {
-            // Animate player action
-            this.battleEffects.animateAttack('player', actionType);
+            // The move resolves after its animation, so don't take another one meanwhile
+            this.lockBattleActions();
             
-            // Small delay for animation
-            setTimeout(() => {
-                const result = this.battleEngine.executePlayerAction(actionType);
-                
-                // Animate effects based on result
-                if (result.damage > 0) {
-                    this.battleEffects.animateDamage('opponent', result.damage, result.critical);
-                }
-                
-                if (actionType === 'defend' && result.attackerHp > result.attackerHp - 10) {
-                    this.battleEffects.animateHeal('player', 10);
-                }
-                
-                // Update UI with result
-                const battle = this.battleEngine.getCurrentBattle();
-                this.updateBattleUI(battle);
-                
-                // Animate HP changes
-                this.battleEffects.animateHPChange('opponent', battle.opponentCreature.stats.hp, battle.opponentCreature.stats.maxHp);
-                if (actionType === 'defend') {
-                    this.battleEffects.animateHPChange('player', battle.playerCreature.stats.hp, battle.playerCreature.stats.maxHp);
-                }
+            // Animate player action
+            // A creature held back by an ailment doesn't get to attack
+            if (!this.battleEngine.getActionBlocker('player')) {
+                const move = this.battleEngine.resolveMove(this.battleEngine.getCurrentBattle().playerCreature, moveId);
+                this.battleEffects.animateAttack('player', move.kind);
+            }
+        } catch (error) {
+            handleError(error);
+            return;
+        }
+        
+        // Small delay for animation; errors thrown in the timeout don't reach the catch above
+        setTimeout(() => {
+            try {
+                // Effects and the battle screen update from the engine's events (see setupBattleEngineEvents)
+                const result = this.battleEngine.executePlayerAction(moveId);
                 
                 console.log('Player action result:', result);
-            }, 300);
+            } catch (error) {
+                handleError(error);
+            }
+        }, 300);
+    }
+    
+    /**
+     * Show the items that can be used in battle and use the chosen one
+     */
+    showBattleItemPicker() {
+        const items = this.inventoryManager.getInventory({ usableInBattle: true });
+        if (items.length === 0) {
+            this.showFeedback('No battle items in your inventory', 'error');
+            return;
+        }
+        
+        const modal = this.showModal('Use Item', this.renderItemOptions(items,
+            item => this.battleEngine.canUseItem('player', item.id)));
+        modal.querySelectorAll('.item-option').forEach(button => {
+            button.addEventListener('click', () => {
+                modal.querySelector('.modal-close').click();
+                this.executeBattleItem(button.dataset.itemType);
+            });
+        });
+    }
+    
+    /**
+     * Render inventory items as buttons for an item picker
+     * @param {Object[]} items - Items from InventoryManager.getInventory
+     * @param {Function} isUsable - Returns whether an item can be used right now
+     * @returns {string} Item list HTML
+     */
+    renderItemOptions(items, isUsable) {
+        return `
+            <div class="item-options">
+                ${items.map(item => `
+                    <button class="item-option" data-item-type="${item.id}" ${isUsable(item) ? '' : 'disabled'}>
+                        <span class="item-icon">${item.icon}</span>
+                        <span class="item-info">
+                            <span class="item-name">${item.name} ×${item.count}</span>
+                            <span class="item-description">${item.description}</span>
+                        </span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Show the player's benched teammates and switch to the chosen one
+     */
+    showBattleSwitchPicker() {
+        const describeMatchup = matchup => {
+            if (matchup.offense > matchup.defense) return ' · Good matchup';
+            if (matchup.offense < matchup.defense) return ' · Poor matchup';
+            return '';
+        };
+        
+        const options = this.battleEngine.getSwitchOptions('player');
+        const modal = this.showModal('Switch Creature', `
+            <div class="item-options">
+                ${options.map(option => `
+                    <button class="item-option" data-team-index="${option.index}" ${option.usable ? '' : 'disabled'}>
+                        <span class="item-icon">${option.hp > 0 ? '🔄' : '💤'}</span>
+                        <span class="item-info">
+                            <span class="item-name">${option.name}</span>
+                            <span class="item-description">${option.hp}/${option.maxHp} HP${option.hp > 0 ? describeMatchup(option.matchup) : ' · Fainted'}</span>
+                        </span>
+                    </button>
+                `).join('')}
+            </div>
+        `);
+        modal.querySelectorAll('.item-option').forEach(button => {
+            button.addEventListener('click', () => {
+                modal.querySelector('.modal-close').click();
+                this.executeBattleSwitch(parseInt(button.dataset.teamIndex, 10));
+            });
+        });
+    }
+    
+    /**
+     * Switch the player's active creature; this takes the player's turn
+     * @param {number} index - Team index of the creature to send in
+     */
+    executeBattleSwitch(index) {
+        try {
+            // The battle screen updates from the engine's events (see setupBattleEngineEvents)
+            const result = this.battleEngine.executeSwitchAction(index);
+            
+            console.log('Player switch result:', result);
         } catch (error) {
-            console.error('Error executing player action:', error);
-            this.showFeedback('Failed to execute action', 'error');
+            console.error('Error switching creature:', error);
+            this.showFeedback('Failed to switch creature', 'error');
+        }
+    }
+    
+    /**
+     * Use an item in battle; this takes the player's turn
+     * @param {string} itemType - Item type id
+     */
+    executeBattleItem(itemType) {
+        try {
+            const result = this.battleEngine.executeItemAction(itemType);
+            this.inventoryManager.consumeItem(itemType);
+            
+            console.log('Player item result:', result);
+        } catch (error) {
+            console.error('Error using item:', error);
+            this.showFeedback('Failed to use item', 'error');
         }
     }
     
@@ -2511,32 +3567,25 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             // Animate AI action
             const battle = this.battleEngine.getCurrentBattle();
+            if (!battle || battle.status !== 'active' || battle.currentTurn !== 'opponent') {
+                return; // The battle ended or was left while the AI was thinking
+            }
+            // Decide once and hand the decision to the engine, keeping the battle's random stream replayable
             const aiActionType = this.battleEngine.makeAIDecision();
-            
-            this.battleEffects.animateAttack('opponent', aiActionType);
+            if (this.battleEngine.getSwitchIndex(aiActionType) === null && !this.battleEngine.getActionBlocker('opponent')) {
+                const aiMove = this.battleEngine.resolveMove(battle.opponentCreature, aiActionType);
+                this.battleEffects.animateAttack('opponent', aiMove.kind);
+            }
             
             // Small delay for animation
             setTimeout(() => {
-                const result = this.battleEngine.executeAIAction();
-                
-                // Animate effects based on result
-                if (result.damage > 0) {
-                    this.battleEffects.animateDamage('player', result.damage, result.critical);
-                }
-                
-                if (result.actionType === 'defend' && result.attackerHp > result.attackerHp - 10) {
-                    this.battleEffects.animateHeal('opponent', 10);
+                const current = this.battleEngine.getCurrentBattle();
+                if (!current || current.id !== battle.id) {
+                    return;
                 }
                 
-                // Update UI with result
-                const updatedBattle = this.battleEngine.getCurrentBattle();
-                this.updateBattleUI(updatedBattle);
-                
-                // Animate HP changes
-                this.battleEffects.animateHPChange('player', updatedBattle.playerCreature.stats.hp, updatedBattle.playerCreature.stats.maxHp);
-                if (result.actionType === 'defend') {
-                    this.battleEffects.animateHPChange('opponent', updatedBattle.opponentCreature.stats.hp, updatedBattle.opponentCreature.stats.maxHp);
-                }
+                // Effects and the battle screen update from the engine's events (see setupBattleEngineEvents)
+                const result = this.battleEngine.executeAIAction(aiActionType);
                 
                 console.log('AI action result:', result);
             }, 300);
@@ -2575,7 +3624,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // Update battle statistics
-        const duration = battle.endTime - battle.startTime;
+        const duration = battle.duration; // Set by the engine when the battle ends
         const minutes = Math.floor(duration / 60000);
         const seconds = Math.floor((duration % 60000) / 1000);
         
@@ -2604,19 +3653,31 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     handleBattleEnd() {
         const battle = this.battleEngine.getCurrentBattle();
+        const levelUps = [];
+        const evolved = [];
         
         if (battle && battle.status === 'won') {
-            // Award experience to player creature
-            const experienceResult = this.creatureManager.awardExperience(
-                battle.playerCreature.id,
-                battle.experienceReward
-            );
-            
-            if (experienceResult.success && experienceResult.levelsGained > 0) {
-                this.showFeedback(
-                    `${battle.playerCreature.name} gained ${experienceResult.levelsGained} level(s)!`,
-                    'success'
+            // Award experience to every creature that took the field
+            battle.experienceShares.forEach(share => {
+                const experienceResult = this.creatureManager.awardExperience(share.creatureId, share.experience);
+                if (!experienceResult.success || experienceResult.levelsGained === 0) {
+                    return;
+                }
+                
+                const creature = battle.playerTeam.find(member => member.id === share.creatureId);
+                const learned = experienceResult.learnedMoves.map(move => move.name);
+                levelUps.push(
+                    `${creature.name} gained ${experienceResult.levelsGained} level(s)! ` +
+                    this.formatStatGains(experienceResult.statGains) +
+                    (learned.length > 0 ? ` Learned ${learned.join(', ')}!` : '')
                 );
+                if (experienceResult.evolutions.length > 0) {
+                    evolved.push({ creatureId: share.creatureId, evolutions: experienceResult.evolutions });
+                }
+            });
+            
+            if (levelUps.length > 0) {
+                this.showFeedback(levelUps.join(' '), 'success');
             }
         }
         
@@ -2624,38 +3685,150 @@ document.addEventListener('DOMContentLoaded', () => {
         this.battleEngine.resetBattle();
         this.showScreen('collection-screen');
         this.refreshCollection();
+        
+        // The detail screen shows one evolution at a time; the first creature to evolve gets it
+        if (evolved.length > 0) {
+            this.showEvolution(evolved[0].creatureId, evolved[0].evolutions);
+        }
     }
-} 
-   /**
-     * Update action damage previews
+
+    /**
+     * Render the player's move buttons
      * @param {Battle} battle - Current battle
      */
     updateActionPreviews(battle) {
-        const playerCreature = battle.playerCreature;
-        const opponentCreature = battle.opponentCreature;
+        const actionsContainer = document.getElementById('battle-actions');
+        if (!actionsContainer) return;
+        
+        const moves = this.battleEngine.getAvailableMoves('player');
+        actionsContainer.innerHTML = moves.map(move => this.renderMoveButton(move, battle.playerCreature)).join('') +
+            this.renderItemButton() +
+            this.renderSwitchButton();
         
-        // Calculate approximate damage values
-        const baseDamage = Math.max(1, playerCreature.stats.attack - opponentCreature.stats.defense);
-        const specialDamage = Math.floor(baseDamage * 1.3);
-        const healAmount = Math.floor(playerCreature.stats.maxHp * 0.1);
+        // Actions only open up on the player's turn
+        if (battle.status !== 'active' || battle.currentTurn !== 'player') {
+            this.lockBattleActions();
+        }
+    }
+    
+    /**
+     * Disable the battle action buttons until they are rendered again for the player's next turn
+     */
+    lockBattleActions() {
+        document.querySelectorAll('#battle-actions .action-btn').forEach(button => {
+            button.disabled = true;
+        });
+    }
+    
+    /**
+     * Render the battle action buttons again after a failed action, so the player can pick another
+     * They stay locked if the failed action already passed the turn to the opponent
+     */
+    unlockBattleActions() {
+        const battle = this.battleEngine.getCurrentBattle();
+        if (battle) {
+            this.updateActionPreviews(battle);
+        }
+    }
+    
+    /**
+     * Render the Switch button (team battles only)
+     * @returns {string} Button HTML, empty when the player has no teammates
+     */
+    renderSwitchButton() {
+        const options = this.battleEngine.getSwitchOptions('player');
+        if (options.length === 0) {
+            return '';
+        }
         
-        // Update preview values
-        document.getElementById('attack-damage-preview').textContent = baseDamage;
-        document.getElementById('special-damage-preview').textContent = specialDamage;
-        document.getElementById('defend-heal-preview').textContent = healAmount;
+        const ready = options.filter(option => option.usable).length;
+        return `
+            <button class="action-btn defensive" data-action="switch" ${ready > 0 ? '' : 'disabled'}>
+                <div class="action-icon">🔄</div>
+                <div class="action-content">
+                    <div class="action-name">Switch</div>
+                    <div class="action-description">Uses your turn</div>
+                    <div class="action-stats">${ready > 0 ? `${ready} teammate(s) ready` : 'No teammates left'}</div>
+                </div>
+            </button>
+        `;
+    }
+    
+    /**
+     * Render the Use Item button
+     * @returns {string} Button HTML
+     */
+    renderItemButton() {
+        const itemCount = this.inventoryManager.getInventory({ usableInBattle: true })
+            .reduce((sum, item) => sum + item.count, 0);
+        
+        return `
+            <button class="action-btn defensive" data-action="use-item" ${itemCount > 0 ? '' : 'disabled'}>
+                <div class="action-icon">🎒</div>
+                <div class="action-content">
+                    <div class="action-name">Use Item</div>
+                    <div class="action-description">Uses your turn</div>
+                    <div class="action-stats">${itemCount > 0 ? `${itemCount} item(s)` : 'No battle items'}</div>
+                </div>
+            </button>
+        `;
+    }
+    
+    /**
+     * Render a single move button
+     * @param {Move} move - Available move from BattleEngine.getAvailableMoves
+     * @param {Creature} creature - Creature using the move
+     * @returns {string} Button HTML
+     */
+    renderMoveButton(move, creature) {
+        const kindStyles = {
+            attack: { className: 'primary', icon: '⚔️' },
+            special: { className: 'secondary', icon: '✨' },
+            defend: { className: 'defensive', icon: '🛡️' }
+        };
+        const style = kindStyles[move.kind];
+        const elementIcon = move.element ? `${GameConstants.ELEMENT_ICONS[move.element]} ` : '';
         
-        // Update special uses left
-        const specialUsesLeft = 3 - battle.playerActions.specialAttacksUsed;
-        document.getElementById('special-uses-left').textContent = specialUsesLeft;
+        let stats;
+        if (move.kind === 'defend') {
+            stats = `Heals ${Math.floor(creature.stats.maxHp * move.power / 100)} HP`;
+        } else {
+            // Hit chance includes the speed matchup against the current opponent
+            stats = `Pow ${move.power} · Acc ${Math.round(move.hitChance * 100)}%`;
+        }
+        if (move.cost > 0) {
+            stats += move.usable ? ` · ${move.energyCost} energy` : ' · Not enough energy';
+        }
         
-        // Disable special attack if no uses left
-        const specialBtn = document.getElementById('special-attack-btn');
-        if (specialBtn) {
-            specialBtn.disabled = specialUsesLeft <= 0;
-            if (specialUsesLeft <= 0) {
-                specialBtn.querySelector('.action-stats').textContent = 'No uses remaining';
-            }
+        const effectDescriptions = {
+            drain: amount => `Drains ${amount}% of damage dealt`,
+            recoil: amount => `Takes ${amount}% of damage dealt as recoil`,
+            critBoost: amount => `+${amount}% critical hit chance`
+        };
+        let description = '';
+        if (move.effect && effectDescriptions[move.effect.type]) {
+            description = effectDescriptions[move.effect.type](Math.round(move.effect.amount * 100));
         }
+        if (move.status) {
+            const status = `${Math.round(move.status.chance * 100)}% ${GameConstants.STATUS_EFFECTS[move.status.id].name}`;
+            description = description ? `${description} · ${status}` : status;
+        }
+        if (move.effectiveness > 1) {
+            description = `Super effective${description ? ' · ' + description : ''}`;
+        } else if (move.effectiveness < 1) {
+            description = `Not very effective${description ? ' · ' + description : ''}`;
+        }
+        
+        return `
+            <button class="action-btn ${style.className}" data-move-id="${move.id}" ${move.usable ? '' : 'disabled'}>
+                <div class="action-icon">${style.icon}</div>
+                <div class="action-content">
+                    <div class="action-name">${elementIcon}${move.name}</div>
+                    ${description ? `<div class="action-description">${description}</div>` : ''}
+                    <div class="action-stats">${stats}</div>
+                </div>
+            </button>
+        `;
     }
     
     /**
@@ -2675,6 +3848,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         const playerHpPercent = battle.playerCreature.stats.hp / battle.playerCreature.stats.maxHp;
         const opponentHpPercent = battle.opponentCreature.stats.hp / battle.opponentCreature.stats.maxHp;
+        const playerEnergy = battle.energy.player[battle.playerActive];
         
         let suggestion = '';
         
@@ -2682,8 +3856,8 @@ document.addEventListener('DOMContentLoaded', () => {
             suggestion = 'Your HP is low - consider defending to recover health';
         } else if (opponentHpPercent < 0.3) {
             suggestion = 'Opponent is weakened - finish them with a strong attack!';
-        } else if (battle.playerActions.specialAttacksUsed === 0) {
-            suggestion = 'Try using a special attack for extra damage';
+        } else if (playerEnergy.current === playerEnergy.max) {
+            suggestion = 'Your energy is full - spend it on a special attack for extra damage';
         } else {
             suggestion = 'Choose your action wisely - every move counts!';
         }
@@ -2736,13 +3910,14 @@ document.addEventListener('DOMContentLoaded', () => {
         const battle = this.battleEngine.getCurrentBattle();
         if (!battle) return;
         
-        // Reset battle with same creatures
-        const playerCreature = battle.playerCreature;
-        const opponent = this.generateOpponentCreature(battle.difficulty);
+        // Reset battle with the same team, as it entered the last battle
+        const team = battle.startingCreatures.player;
+        this.battleEngine.resetBattle();
+        const random = this.battleEngine.startRandomStream();
+        const opponents = team.map(() => this.generateOpponentCreature(battle.difficulty, random));
         
         // Start new battle
-        this.battleEngine.resetBattle();
-        const newBattle = this.battleEngine.initiateBattle(playerCreature, opponent, battle.difficulty);
+        const newBattle = this.battleEngine.initiateBattle(team, opponents, battle.difficulty);
         
         // Update UI
         this.updateBattleUI(newBattle);
@@ -2752,8 +3927,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         this.showFeedback('Rematch started!', 'success');
     }
-} 
-   /**
+
+    /**
      * Set up difficulty selection screen
      */
     setupDifficultyScreen() {
@@ -2971,8 +4146,8 @@ document.addEventListener('DOMContentLoaded', () => {
             // Ensure creature is at full health before battle
             this.selectedCreature.stats.hp = this.selectedCreature.stats.maxHp;
             
-            // Generate opponent using difficulty manager with random barcode
-            const randomBarcode = this.generateRandomBarcode();
+            // Generate opponent using difficulty manager with a barcode from the battle's seeded stream
+            const randomBarcode = this.generateRandomBarcode(this.battleEngine.startRandomStream());
             const baseOpponent = this.barcodeProcessor.generateCreature(randomBarcode);
             const opponent = this.difficultyManager.generateOpponent(baseOpponent, difficulty);
 
@@ -2988,9 +4163,6 @@ document.addEventListener('DOMContentLoaded', () => {
             // Save battle start to storage
             this.saveBattleState();
             
-            // Track battle analytics
-            this.trackBattleStart(difficulty);
-            
             // Show battle screen with announcement
             this.showScreen('battle-screen');
             this.announceToScreenReader(`Battle started: ${this.selectedCreature.name} vs ${opponent.name} on ${difficulty} difficulty`, 'polite');
@@ -3005,52 +4177,20 @@ document.addEventListener('DOMContentLoaded', () => {
             this.showFeedback('Failed to start battle', 'error');
             this.logError('battle_start', error, { difficulty, creature: this.selectedCreature?.id });
         }
-    }// In
-itialize UIController when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Create global UIController instance
-    window.uiController = new UIController();
-    
-    // Expose navigation methods globally for inline event handlers
-    window.showScreen = (screenId, options) => window.uiController.showScreen(screenId, options);
-    window.goBack = () => window.uiController.goBack();
-    
-    console.log('Barcode Battler Game initialized');
-});
-
-// Handle page visibility changes
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-        // Page is hidden - pause any ongoing operations
-        if (window.uiController?.cameraScanner?.isScanning) {
-            window.uiController.cameraScanner.stopScanning();
-        }
-    } else {
-        // Page is visible again - resume if needed
-        console.log('Page became visible again');
     }
-});
 
-// Export UIController for module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = UIController;
-}
-
-// Make UIController available globally
-if (typeof window !== 'undefined') {
-    window.UIController = UIController;
-}    /
-**
+    /**
      * Generate random barcode for opponent creation
+     * @param {Function} random - Random function (the battle's seeded stream)
      * @returns {string} Random barcode
      */
-    generateRandomBarcode() {
-        const length = 12; // Standard barcode length
+    generateRandomBarcode(random = Math.random) {
+        const length = 12; // Standard UPC-A length
         let barcode = '';
-        for (let i = 0; i < length; i++) {
-            barcode += Math.floor(Math.random() * 10);
+        for (let i = 0; i < length - 1; i++) {
+            barcode += Math.floor(random() * 10);
         }
-        return barcode;
+        return barcode + DataValidation.calculateCheckDigit(barcode);
     }
 
     /**
@@ -3213,26 +4353,6 @@ if (typeof window !== 'undefined') {
         this.updateBattleLog(actionData);
     }
 
-    /**
-     * Handle battle end events
-     * @param {Object} battleResult - Battle result data
-     */
-    handleBattleEnd(battleResult) {
-        // Update creature stats and experience
-        if (battleResult.winner === 'player') {
-            this.creatureManager.addExperience(this.selectedCreature.id, battleResult.experienceGained);
-        }
-        
-        // Save updated collection
-        this.storageManager.saveCreatureCollection(this.creatureManager.getCollection());
-        
-        // Track battle completion
-        this.trackBattleCompletion(battleResult);
-        
-        // Show battle results
-        this.showBattleResults(battleResult);
-    }
-
     /**
      * Save current battle state
      */
@@ -3404,18 +4524,6 @@ if (typeof window !== 'undefined') {
         }
     }
 
-    /**
-     * Save user settings
-     * @param {Object} settings - Settings to save
-     */
-    saveSettings(settings) {
-        try {
-            localStorage.setItem('barcodeBattler_settings', JSON.stringify(settings));
-        } catch (error) {
-            console.warn('Failed to save settings:', error);
-        }
-    }
-
     /**
      * Add keyboard shortcuts for desktop users
      */
@@ -3486,6 +4594,7 @@ if (typeof window !== 'undefined') {
      * Show modal dialog
      * @param {string} title - Modal title
      * @param {string} content - Modal content
+     * @returns {HTMLElement} Modal overlay element
      */
     showModal(title, content) {
         const modal = document.createElement('div');
@@ -3535,6 +4644,60 @@ if (typeof window !== 'undefined') {
         if (firstButton) {
             firstButton.focus();
         }
+        
+        return modal;
+    }
+    
+    /**
+     * Show a progress dialog for a batch generation job
+     * Closing the dialog cancels the job
+     * @param {string} title - Dialog title
+     * @param {string} message - What the job is doing
+     * @param {Function} onCancel - Called once if the player cancels
+     * @returns {{update: Function, close: Function}} update takes {completed, total}; close removes the dialog
+     */
+    showBatchProgress(title, message, onCancel) {
+        const modal = this.showModal(title, `
+            <p>${message}</p>
+            <progress class="batch-progress" max="1" value="0"></progress>
+            <p class="batch-progress-count" aria-live="polite"></p>
+            <button class="btn secondary batch-cancel-btn">Cancel</button>
+        `);
+        
+        let finished = false;
+        const cancel = () => {
+            if (finished) return;
+            finished = true;
+            document.removeEventListener('keydown', escapeHandler);
+            onCancel();
+        };
+        const escapeHandler = (e) => {
+            if (e.key === 'Escape') cancel();
+        };
+        
+        modal.querySelectorAll('.modal-close').forEach(button => button.addEventListener('click', cancel));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) cancel();
+        });
+        document.addEventListener('keydown', escapeHandler);
+        modal.querySelector('.batch-cancel-btn').addEventListener('click', () => {
+            modal.querySelector('.modal-close').click();
+        });
+        
+        return {
+            update: ({ completed, total }) => {
+                modal.querySelector('.batch-progress').value = total > 0 ? completed / total : 1;
+                modal.querySelector('.batch-progress-count').textContent = `${completed} / ${total}`;
+            },
+            close: () => {
+                if (finished) return;
+                finished = true;
+                document.removeEventListener('keydown', escapeHandler);
+                if (modal.isConnected) {
+                    document.body.removeChild(modal);
+                }
+            }
+        };
     }
 
     /**
@@ -3561,7 +4724,7 @@ if (typeof window !== 'undefined') {
             () => this.barcodeProcessor && typeof this.barcodeProcessor.generateCreature === 'function',
             () => this.creatureManager && typeof this.creatureManager.addCreature === 'function',
             () => this.battleEngine && typeof this.battleEngine.initiateBattle === 'function',
-            () => this.storageManager && typeof this.storageManager.saveCreatureCollection === 'function',
+            () => this.storageManager && typeof this.storageManager.saveData === 'function',
             () => this.difficultyManager && typeof this.difficultyManager.getCurrentDifficulty === 'function',
             () => this.cameraScanner && typeof this.cameraScanner.startScanning === 'function',
             () => this.battleEffects && typeof this.battleEffects.playActionEffect === 'function'
@@ -3593,4 +4756,40 @@ if (typeof window !== 'undefined') {
             text.textContent = 'Integration issues detected';
             statusElement.classList.remove('hidden');
         }
-    }
\ No newline at end of file
+    }
+}
+
+// Initialize UIController when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // Create global UIController instance
+    window.uiController = new UIController();
+    
+    // Expose navigation methods globally for inline event handlers
+    window.showScreen = (screenId, options) => window.uiController.showScreen(screenId, options);
+    window.goBack = () => window.uiController.goBack();
+    
+    console.log('Barcode Battler Game initialized');
+});
+
+// Handle page visibility changes
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        // Page is hidden - pause any ongoing operations
+        if (window.uiController?.cameraScanner?.isScanning) {
+            window.uiController.cameraScanner.stopScanning();
+        }
+    } else {
+        // Page is visible again - resume if needed
+        console.log('Page became visible again');
+    }
+});
+
+// Export UIController for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UIController;
+}
+
+// Make UIController available globally
+if (typeof window !== 'undefined') {
+    window.UIController = UIController;
+}
\ No newline at end of file
@@ -0,0 +1,481 @@
+/**
+ * SpriteGenerator - Builds deterministic SVG creature sprites from barcode seeds
+ * The same creature always gets the same sprite; generated SVG is cached by creature identity
+ */
+
+class SpriteGenerator {
+    constructor(barcodeProcessor = null, maxCacheSize = 500) {
+        this.barcodeProcessor = barcodeProcessor || new BarcodeProcessor();
+        this.cache = new Map(); // Insertion order doubles as least-recently-used order
+        this.maxCacheSize = maxCacheSize;
+        this.cacheHits = 0;
+        this.cacheMisses = 0;
+
+        // Offset keeps sprite rolls independent from stat, name and move rolls
+        this.SPRITE_SEED_OFFSET = 104729;
+
+        // Body size gained per evolution stage, as a fraction of the base radii
+        this.EVOLUTION_GROWTH = 0.05;
+
+        // Body silhouettes: radii ranges, outline wobble and whether edges are smoothed
+        this.bodyShapes = {
+            round: { rx: [26, 32], ry: [24, 30], wobble: 0.08, points: 10, smooth: true },
+            tall: { rx: [19, 24], ry: [30, 35], wobble: 0.1, points: 10, smooth: true },
+            wide: { rx: [33, 38], ry: [19, 24], wobble: 0.1, points: 12, smooth: true },
+            blob: { rx: [25, 31], ry: [23, 29], wobble: 0.22, points: 9, smooth: true },
+            angular: { rx: [24, 30], ry: [24, 30], wobble: 0.15, points: 6, smooth: false }
+        };
+
+        // Hue ranges (degrees) and saturation per element; creatures without elements use the neutral palette
+        this.elementPalettes = {
+            fire: { hue: [0, 28], saturation: 80 },
+            water: { hue: [190, 220], saturation: 70 },
+            nature: { hue: [90, 135], saturation: 55 },
+            electric: { hue: [45, 60], saturation: 90 },
+            earth: { hue: [22, 40], saturation: 40 },
+            neutral: { hue: [0, 360], saturation: 45 }
+        };
+
+        // Aura colour for tiers above Common
+        this.rarityAuras = {
+            uncommon: '#8BC34A',
+            rare: '#2196F3',
+            epic: '#9C27B0',
+            legendary: '#FFC107'
+        };
+    }
+
+    /**
+     * Get the sprite for a creature, generating it on first use
+     * @param {Creature} creature - Creature to draw
+     * @returns {string} SVG markup
+     */
+    getSprite(creature) {
+        const key = this.getCacheKey(creature);
+
+        if (this.cache.has(key)) {
+            // Re-insert so the entry counts as recently used
+            const cached = this.cache.get(key);
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            this.cacheHits++;
+            return cached;
+        }
+
+        this.cacheMisses++;
+        const sprite = this.generateSprite(creature);
+        this.cache.set(key, sprite);
+
+        if (this.cache.size > this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        return sprite;
+    }
+
+    /**
+     * Build the cache key for a creature; everything the sprite depends on is part of it
+     * @param {Creature} creature - Creature to draw
+     * @returns {string} Cache key
+     */
+    getCacheKey(creature) {
+        return [
+            creature.barcode,
+            creature.generatorVersion || this.barcodeProcessor.latestGeneratorVersion,
+            (creature.elements || []).join('+'),
+            creature.rarity || 'common',
+            creature.evolutionStage || 0
+        ].join('|');
+    }
+
+    /**
+     * Clear cached sprites
+     */
+    clearCache() {
+        this.cache.clear();
+        this.cacheHits = 0;
+        this.cacheMisses = 0;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {{size: number, maxSize: number, hits: number, misses: number}} Cache statistics
+     */
+    getCacheStats() {
+        return {
+            size: this.cache.size,
+            maxSize: this.maxCacheSize,
+            hits: this.cacheHits,
+            misses: this.cacheMisses
+        };
+    }
+
+    /**
+     * Generate the SVG sprite for a creature
+     * @param {Creature} creature - Creature to draw
+     * @returns {string} SVG markup
+     */
+    generateSprite(creature) {
+        const version = creature.generatorVersion || this.barcodeProcessor.latestGeneratorVersion;
+        const seed = this.barcodeProcessor.generateSeed(creature.barcode, version);
+        const random = this.barcodeProcessor.createSeededRandom(seed + this.SPRITE_SEED_OFFSET);
+        const spriteId = `sprite-${seed.toString(36)}`;
+
+        // Members of a species share a silhouette; colours and markings stay individual
+        const speciesSeed = this.barcodeProcessor.getSpeciesSeed(creature.barcode, version);
+        const shapeRandom = speciesSeed === null
+            ? random
+            : this.barcodeProcessor.createSeededRandom(speciesSeed + this.SPRITE_SEED_OFFSET);
+
+        const elements = creature.elements && creature.elements.length > 0 ? creature.elements : ['neutral'];
+        const palette = this.createPalette(elements, random);
+        const shapeNames = Object.keys(this.bodyShapes);
+        const shape = this.bodyShapes[shapeNames[Math.floor(shapeRandom() * shapeNames.length)]];
+        // Evolved forms keep their silhouette but grow a little with each stage
+        const growth = 1 + (creature.evolutionStage || 0) * this.EVOLUTION_GROWTH;
+        const body = {
+            cx: 50,
+            cy: 58,
+            rx: this.randomBetween(shapeRandom, shape.rx) * growth,
+            ry: this.randomBetween(shapeRandom, shape.ry) * growth
+        };
+
+        const layers = [
+            this.drawAura(creature.rarity, spriteId),
+            this.drawLimbs(body, palette, shapeRandom),
+            `<path d="${this.createBodyPath(body, shape, shapeRandom)}" fill="url(#${spriteId}-body)" stroke="${palette.outline}" stroke-width="2"/>`,
+            this.drawBelly(body, palette, random),
+            this.drawPattern(body, palette, random),
+            this.drawElementAccessory(elements[0], body, palette),
+            this.drawEyes(body, palette, random),
+            this.drawMouth(body, palette, random),
+            this.drawRarityAccessory(creature.rarity, body)
+        ];
+
+        return `<svg class="creature-sprite-svg" viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${creature.name}">` +
+            '<defs>' +
+            `<linearGradient id="${spriteId}-body" x1="0" y1="0" x2="0" y2="1">` +
+            `<stop offset="0%" stop-color="${palette.light}"/>` +
+            `<stop offset="100%" stop-color="${palette.main}"/>` +
+            '</linearGradient>' +
+            `<radialGradient id="${spriteId}-aura">` +
+            `<stop offset="40%" stop-color="${this.rarityAuras[creature.rarity] || 'transparent'}" stop-opacity="0.6"/>` +
+            `<stop offset="100%" stop-color="${this.rarityAuras[creature.rarity] || 'transparent'}" stop-opacity="0"/>` +
+            '</radialGradient>' +
+            '</defs>' +
+            layers.join('') +
+            '</svg>';
+    }
+
+    /**
+     * Pick body, accent and outline colours from the creature's elements
+     * @param {string[]} elements - Creature elements ('neutral' when it has none)
+     * @param {Function} random - Seeded random function
+     * @returns {Object} Palette colours
+     */
+    createPalette(elements, random) {
+        const primary = this.elementPalettes[elements[0]] || this.elementPalettes.neutral;
+        const secondary = this.elementPalettes[elements[1]] || primary;
+        const hue = this.randomBetween(random, primary.hue);
+        const accentHue = elements[1] ? this.randomBetween(random, secondary.hue) : (hue + 30 + random() * 60) % 360;
+
+        return {
+            main: `hsl(${hue}, ${primary.saturation}%, 50%)`,
+            light: `hsl(${hue}, ${primary.saturation}%, 68%)`,
+            belly: `hsl(${hue}, ${Math.round(primary.saturation / 2)}%, 85%)`,
+            accent: `hsl(${accentHue}, ${secondary.saturation}%, 45%)`,
+            outline: `hsl(${hue}, ${primary.saturation}%, 22%)`,
+            eye: random() < 0.8 ? '#222' : `hsl(${accentHue}, 70%, 30%)`
+        };
+    }
+
+    /**
+     * Build the body outline as a wobbly closed path
+     * @param {Object} body - Body centre and radii
+     * @param {Object} shape - Body shape definition
+     * @param {Function} random - Seeded random function
+     * @returns {string} SVG path data
+     */
+    createBodyPath(body, shape, random) {
+        const points = [];
+        for (let i = 0; i < shape.points; i++) {
+            const angle = (i / shape.points) * Math.PI * 2 - Math.PI / 2;
+            const scale = 1 + (random() * 2 - 1) * shape.wobble;
+            points.push({
+                x: body.cx + Math.cos(angle) * body.rx * scale,
+                y: body.cy + Math.sin(angle) * body.ry * scale
+            });
+        }
+
+        if (!shape.smooth) {
+            return `M${points.map(point => this.formatPoint(point)).join(' L')} Z`;
+        }
+
+        // Curve through the midpoints, using each outline point as the control point
+        const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const start = midpoint(points[points.length - 1], points[0]);
+        let path = `M${this.formatPoint(start)}`;
+        points.forEach((point, index) => {
+            const next = points[(index + 1) % points.length];
+            path += ` Q${this.formatPoint(point)} ${this.formatPoint(midpoint(point, next))}`;
+        });
+
+        return `${path} Z`;
+    }
+
+    /**
+     * Draw the rarity aura behind the creature
+     * @param {string} rarity - Rarity tier id
+     * @param {string} spriteId - Sprite id prefix for gradient references
+     * @returns {string} SVG markup
+     */
+    drawAura(rarity, spriteId) {
+        if (!this.rarityAuras[rarity]) {
+            return '';
+        }
+        return `<circle cx="50" cy="55" r="48" fill="url(#${spriteId}-aura)"/>`;
+    }
+
+    /**
+     * Draw legs and optional arms behind the body
+     * @param {Object} body - Body centre and radii
+     * @param {Object} palette - Palette colours
+     * @param {Function} random - Seeded random function
+     * @returns {string} SVG markup
+     */
+    drawLimbs(body, palette, random) {
+        const legCount = random() < 0.7 ? 2 : 4;
+        const hasArms = random() < 0.6;
+        const legLength = 6 + random() * 8;
+        const legWidth = 5 + random() * 4;
+        const bottom = body.cy + body.ry * 0.8;
+        let markup = '';
+
+        for (let i = 0; i < legCount; i++) {
+            const offset = ((i + 0.5) / legCount - 0.5) * body.rx * 1.3;
+            markup += `<rect x="${(body.cx + offset - legWidth / 2).toFixed(1)}" y="${bottom.toFixed(1)}" ` +
+                `width="${legWidth.toFixed(1)}" height="${legLength.toFixed(1)}" rx="${(legWidth / 2).toFixed(1)}" ` +
+                `fill="${palette.accent}" stroke="${palette.outline}" stroke-width="1.5"/>`;
+        }
+
+        if (hasArms) {
+            const armY = body.cy + (random() * 0.4 - 0.1) * body.ry;
+            const armLength = 8 + random() * 8;
+            [-1, 1].forEach(side => {
+                const shoulderX = body.cx + side * body.rx * 0.9;
+                markup += `<ellipse cx="${(shoulderX + side * armLength / 2).toFixed(1)}" cy="${armY.toFixed(1)}" ` +
+                    `rx="${(armLength / 2 + 2).toFixed(1)}" ry="3.5" fill="${palette.accent}" ` +
+                    `stroke="${palette.outline}" stroke-width="1.5"/>`;
+            });
+        }
+
+        return markup;
+    }
+
+    /**
+     * Draw a lighter belly patch
+     * @param {Object} body - Body centre and radii
+     * @param {Object} palette - Palette colours
+     * @param {Function} random - Seeded random function
+     * @returns {string} SVG markup
+     */
+    drawBelly(body, palette, random) {
+        if (random() < 0.3) {
+            return '';
+        }
+        return `<ellipse cx="${body.cx}" cy="${(body.cy + body.ry * 0.3).toFixed(1)}" ` +
+            `rx="${(body.rx * 0.55).toFixed(1)}" ry="${(body.ry * 0.5).toFixed(1)}" fill="${palette.belly}" opacity="0.9"/>`;
+    }
+
+    /**
+     * Draw spots or stripes on the body
+     * @param {Object} body - Body centre and radii
+     * @param {Object} palette - Palette colours
+     * @param {Function} random - Seeded random function
+     * @returns {string} SVG markup
+     */
+    drawPattern(body, palette, random) {
+        const pattern = random();
+        let markup = '';
+
+        if (pattern < 0.35) {
+            const spotCount = 2 + Math.floor(random() * 4);
+            for (let i = 0; i < spotCount; i++) {
+                const side = i % 2 === 0 ? -1 : 1;
+                const x = body.cx + side * body.rx * (0.45 + random() * 0.3);
+                const y = body.cy + (random() * 1.2 - 0.6) * body.ry;
+                markup += `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${(2 + random() * 3).toFixed(1)}" ` +
+                    `fill="${palette.accent}" opacity="0.7"/>`;
+            }
+        } else if (pattern < 0.55) {
+            const stripeCount = 2 + Math.floor(random() * 2);
+            for (let i = 0; i < stripeCount; i++) {
+                const y = body.cy - body.ry * 0.7 + i * 5;
+                markup += `<path d="M${(body.cx - 6).toFixed(1)} ${y.toFixed(1)} Q${body.cx} ${(y + 4).toFixed(1)} ` +
+                    `${(body.cx + 6).toFixed(1)} ${y.toFixed(1)}" stroke="${palette.accent}" stroke-width="2.5" ` +
+                    'fill="none" stroke-linecap="round"/>';
+            }
+        }
+
+        return markup;
+    }
+
+    /**
+     * Draw the head accessory for the creature's primary element
+     * @param {string} element - Primary element ('neutral' when the creature has none)
+     * @param {Object} body - Body centre and radii
+     * @param {Object} palette - Palette colours
+     * @returns {string} SVG markup
+     */
+    drawElementAccessory(element, body, palette) {
+        const top = body.cy - body.ry;
+        const cx = body.cx;
+
+        switch (element) {
+            case 'fire':
+                return `<path d="M${cx - 7} ${top + 3} Q${cx - 9} ${top - 8} ${cx - 2} ${top - 14} ` +
+                    `Q${cx} ${top - 6} ${cx + 4} ${top - 10} Q${cx + 9} ${top - 3} ${cx + 7} ${top + 3} Z" ` +
+                    'fill="#FF7043" stroke="#BF360C" stroke-width="1.5"/>';
+            case 'water':
+                return `<path d="M${cx - 6} ${top + 3} Q${cx} ${top - 16} ${cx + 8} ${top + 3} Z" ` +
+                    `fill="${palette.accent}" stroke="${palette.outline}" stroke-width="1.5"/>`;
+            case 'nature':
+                return `<line x1="${cx}" y1="${top + 2}" x2="${cx}" y2="${top - 7}" stroke="#33691E" stroke-width="2"/>` +
+                    `<ellipse cx="${cx + 5}" cy="${top - 9}" rx="6" ry="3" fill="#7CB342" stroke="#33691E" stroke-width="1" ` +
+                    `transform="rotate(-25 ${cx + 5} ${top - 9})"/>`;
+            case 'electric':
+                return `<polyline points="${cx - 4},${top + 2} ${cx - 8},${top - 6} ${cx - 3},${top - 6} ${cx - 7},${top - 15}" ` +
+                    'fill="none" stroke="#FBC02D" stroke-width="2.5" stroke-linejoin="round"/>' +
+                    `<polyline points="${cx + 4},${top + 2} ${cx + 8},${top - 6} ${cx + 3},${top - 6} ${cx + 7},${top - 15}" ` +
+                    'fill="none" stroke="#FBC02D" stroke-width="2.5" stroke-linejoin="round"/>';
+            case 'earth':
+                return `<path d="M${cx - 12} ${top + 5} L${cx - 16} ${top - 8} L${cx - 6} ${top + 2} Z" ` +
+                    `fill="#8D6E63" stroke="${palette.outline}" stroke-width="1.5"/>` +
+                    `<path d="M${cx + 12} ${top + 5} L${cx + 16} ${top - 8} L${cx + 6} ${top + 2} Z" ` +
+                    `fill="#8D6E63" stroke="${palette.outline}" stroke-width="1.5"/>`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Draw one to three eyes in one of several styles
+     * @param {Object} body - Body centre and radii
+     * @param {Object} palette - Palette colours
+     * @param {Function} random - Seeded random function
+     * @returns {string} SVG markup
+     */
+    drawEyes(body, palette, random) {
+        const roll = random();
+        const eyeCount = roll < 0.12 ? 1 : roll < 0.9 ? 2 : 3;
+        const eyeSize = 3.5 + random() * 3;
+        const spacing = Math.min(body.rx * 0.45, 12);
+        const eyeY = body.cy - body.ry * (0.25 + random() * 0.2);
+        const styleRoll = random();
+        const style = styleRoll < 0.6 ? 'round' : styleRoll < 0.8 ? 'sleepy' : 'angry';
+        let markup = '';
+
+        for (let i = 0; i < eyeCount; i++) {
+            const x = eyeCount === 1 ? body.cx : body.cx + (i / (eyeCount - 1) - 0.5) * spacing * 2;
+            const y = eyeCount === 3 && i === 1 ? eyeY - eyeSize : eyeY;
+
+            markup += `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${eyeSize.toFixed(1)}" fill="#fff" ` +
+                `stroke="${palette.outline}" stroke-width="1"/>`;
+            markup += `<circle cx="${(x + eyeSize * 0.2).toFixed(1)}" cy="${(y + eyeSize * 0.15).toFixed(1)}" ` +
+                `r="${(eyeSize * 0.5).toFixed(1)}" fill="${palette.eye}"/>`;
+
+            if (style === 'sleepy') {
+                markup += `<path d="M${(x - eyeSize).toFixed(1)} ${y.toFixed(1)} A${eyeSize.toFixed(1)} ${eyeSize.toFixed(1)} 0 0 1 ` +
+                    `${(x + eyeSize).toFixed(1)} ${y.toFixed(1)} Z" fill="${palette.main}" stroke="${palette.outline}" stroke-width="1"/>`;
+            } else if (style === 'angry') {
+                const inward = x < body.cx ? 1 : -1;
+                markup += `<line x1="${(x - eyeSize * inward).toFixed(1)}" y1="${(y - eyeSize - 2).toFixed(1)}" ` +
+                    `x2="${(x + eyeSize * inward).toFixed(1)}" y2="${(y - eyeSize + 1).toFixed(1)}" ` +
+                    `stroke="${palette.outline}" stroke-width="2" stroke-linecap="round"/>`;
+            }
+        }
+
+        return markup;
+    }
+
+    /**
+     * Draw the mouth, sometimes with fangs
+     * @param {Object} body - Body centre and radii
+     * @param {Object} palette - Palette colours
+     * @param {Function} random - Seeded random function
+     * @returns {string} SVG markup
+     */
+    drawMouth(body, palette, random) {
+        const width = 5 + random() * 7;
+        const y = body.cy + body.ry * 0.05;
+        const curve = random() < 0.75 ? 5 : -3; // Mostly smiles, sometimes a frown
+        let markup = `<path d="M${(body.cx - width).toFixed(1)} ${y.toFixed(1)} Q${body.cx} ${(y + curve).toFixed(1)} ` +
+            `${(body.cx + width).toFixed(1)} ${y.toFixed(1)}" stroke="${palette.outline}" stroke-width="2" ` +
+            'fill="none" stroke-linecap="round"/>';
+
+        if (random() < 0.35) {
+            [-1, 1].forEach(side => {
+                const x = body.cx + side * width * 0.5;
+                const fangY = y + curve / 2;
+                markup += `<path d="M${(x - 1.5).toFixed(1)} ${fangY.toFixed(1)} L${x.toFixed(1)} ${(fangY + 4).toFixed(1)} ` +
+                    `L${(x + 1.5).toFixed(1)} ${fangY.toFixed(1)} Z" fill="#fff" stroke="${palette.outline}" stroke-width="0.8"/>`;
+            });
+        }
+
+        return markup;
+    }
+
+    /**
+     * Draw extra flourishes for the rarest tiers
+     * @param {string} rarity - Rarity tier id
+     * @param {Object} body - Body centre and radii
+     * @returns {string} SVG markup
+     */
+    drawRarityAccessory(rarity, body) {
+        const sparkle = (x, y) => `<path d="M${x} ${y - 4} L${x + 1} ${y - 1} L${x + 4} ${y} L${x + 1} ${y + 1} ` +
+            `L${x} ${y + 4} L${x - 1} ${y + 1} L${x - 4} ${y} L${x - 1} ${y - 1} Z" fill="#FFF59D"/>`;
+
+        if (rarity === 'legendary') {
+            const top = body.cy - body.ry - 4;
+            return `<path d="M${body.cx - 10} ${top} L${body.cx - 10} ${top - 8} L${body.cx - 5} ${top - 4} ` +
+                `L${body.cx} ${top - 10} L${body.cx + 5} ${top - 4} L${body.cx + 10} ${top - 8} L${body.cx + 10} ${top} Z" ` +
+                'fill="#FFC107" stroke="#FF8F00" stroke-width="1.5"/>' +
+                sparkle(14, 20) + sparkle(86, 28) + sparkle(80, 84);
+        }
+
+        if (rarity === 'epic') {
+            return sparkle(16, 22) + sparkle(84, 30);
+        }
+
+        return '';
+    }
+
+    /**
+     * Pick a number in an inclusive range
+     * @param {Function} random - Seeded random function
+     * @param {number[]} range - [min, max]
+     * @returns {number} Value in the range
+     */
+    randomBetween(random, [min, max]) {
+        return Math.round(min + random() * (max - min));
+    }
+
+    /**
+     * Format a point for SVG path data
+     * @param {{x: number, y: number}} point - Point to format
+     * @returns {string} "x y" with one decimal place
+     */
+    formatPoint(point) {
+        return `${point.x.toFixed(1)} ${point.y.toFixed(1)}`;
+    }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpriteGenerator;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.SpriteGenerator = SpriteGenerator;
+}
@@ -271,9 +271,11 @@ class StorageManager {
      * Restore data from a backup
      * @param {string} backupString - JSON string of backup data
      * @param {boolean} merge - Whether to merge with existing data
+     * @param {Object[]|null} creatureMigrations - Results of GenerationTasks.migrate per backed up creature, if already run.
+     *        Their migrated creatures are saved; without them creatures are saved as backed up and migrate on load
      * @returns {Object} Restore result with details
      */
-    restoreFromBackup(backupString, merge = false) {
+    restoreFromBackup(backupString, merge = false, creatureMigrations = null) {
         if (!this.isAvailable) {
             return {
                 success: false,
@@ -296,16 +298,23 @@ class StorageManager {
                 success: true,
                 restored: 0,
                 skipped: 0,
+                rejected: [],
                 errors: []
             };
 
+            // Drop invalid creatures before anything is cleared
+            const backedUpData = { ...backupData.data };
+            if (Array.isArray(backedUpData.CREATURES)) {
+                backedUpData.CREATURES = this.filterInvalidCreatures(backedUpData.CREATURES, result, creatureMigrations);
+            }
+
             // Clear existing data if not merging
             if (!merge) {
                 this.clearAllData();
             }
 
             // Restore each data type
-            Object.entries(backupData.data).forEach(([name, data]) => {
+            Object.entries(backedUpData).forEach(([name, data]) => {
                 const key = this.storageKeys[name];
                 if (key) {
                     try {
@@ -339,6 +348,61 @@ class StorageManager {
         }
     }
 
+    /**
+     * Restore data from a backup like restoreFromBackup, validating and migrating the backed up
+     * creatures in a batch job so large backups don't block the UI
+     * @param {string} backupString - JSON string of backup data
+     * @param {boolean} merge - Whether to merge with existing data
+     * @param {BatchGenerationService} batchService - The app's shared service (UIController.batchGenerationService)
+     * @param {Function|null} onProgress - Called with {completed, total} as creatures are migrated
+     * @returns {{promise: Promise<Object>, cancel: Function}} Job; the promise resolves to the restore result.
+     *          Nothing is restored if the job is cancelled
+     */
+    restoreFromBackupInBatches(backupString, merge, batchService, onProgress = null) {
+        let creatures = [];
+        try {
+            const backupData = JSON.parse(backupString);
+            creatures = (backupData.data && Array.isArray(backupData.data.CREATURES)) ? backupData.data.CREATURES : [];
+        } catch (error) {
+            // restoreFromBackup reports the parse error
+            return { promise: Promise.resolve(this.restoreFromBackup(backupString, merge)), cancel: () => {} };
+        }
+
+        const job = batchService.migrateCreatures(creatures, { onProgress: onProgress });
+        const promise = job.promise.then(batch => {
+            if (!batch.success) {
+                return { success: false, cancelled: batch.cancelled, error: batch.error || 'Restore cancelled' };
+            }
+            return this.restoreFromBackup(backupString, merge, batch.results);
+        });
+
+        return { promise: promise, cancel: job.cancel };
+    }
+
+    /**
+     * Drop backed up creatures whose barcode fails validation
+     * @param {Array} creatures - Creatures from the backup
+     * @param {Object} result - Restore result that collects rejections
+     * @param {Object[]|null} migrations - Results of GenerationTasks.migrate per creature, if already run
+     * @returns {Array} Creatures with valid barcodes, migrated when migrations are given
+     */
+    filterInvalidCreatures(creatures, result, migrations = null) {
+        const kept = [];
+        creatures.forEach((creature, index) => {
+            const validation = migrations
+                ? { valid: migrations[index].barcodeValid, reason: migrations[index].reason }
+                : DataValidation.validateCreatureBarcode(creature);
+            if (!validation.valid) {
+                result.rejected.push({ barcode: creature && creature.barcode, reason: validation.reason });
+                result.errors.push(`Rejected creature ${creature && creature.barcode}: ${validation.reason}`);
+                return;
+            }
+            // Creatures that fail the full data check are kept as backed up; loading them drops them
+            kept.push(migrations && migrations[index].creature ? migrations[index].creature : creature);
+        });
+        return kept;
+    }
+
     /**
      * Merge creature arrays, avoiding duplicates
      * @param {Array} existing - Existing creatures
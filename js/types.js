@@ -17,6 +17,18 @@
  * @property {string} id - Unique identifier for the creature
  * @property {string} name - Generated name of the creature
  * @property {string} barcode - Source barcode used to generate this creature
+ * @property {string} symbology - Barcode symbology the creature was generated from (e.g. 'EAN-13', 'Code 128')
+ * @property {number} generatorVersion - BarcodeProcessor generator version that produced the creature
+ * @property {string|null} languagePack - Language pack the name was built from (null for versions before language packs)
+ * @property {string[]} elements - One or two elements (see GameConstants.ELEMENTS), primary first
+ * @property {string} rarity - Rarity tier id (see GameConstants.RARITY_TIERS)
+ * @property {string} speciesId - Species the creature belongs to: its GS1 company prefix, or its own barcode
+ * @property {string} speciesName - Base name shared by the species
+ * @property {string|null} origin - GS1 origin code decoded from the barcode prefix (see Gs1Prefixes.ORIGINS)
+ * @property {string} productClass - GS1 product class id (see Gs1Prefixes.PRODUCT_CLASSES)
+ * @property {Move[]} moves - Generated moveset, including moves not yet learned
+ * @property {string[]} traits - Zero to two passive trait ids (see GameConstants.TRAITS)
+ * @property {CreatureGrowth} growth - How the creature's stats grow with level
  * @property {CreatureStats} stats - Creature's combat statistics
  * @property {number} level - Current level of the creature
  * @property {number} experience - Current experience points
@@ -24,11 +36,74 @@
  * @property {Date} discoveryDate - When this creature was first discovered
  * @property {number} battlesWon - Number of battles won
  * @property {number} battlesLost - Number of battles lost
+ * @property {string} baseName - Name before any evolution; evolved names are built from it
+ * @property {number} evolutionStage - Index into GameConstants.EVOLUTION_STAGES
+ * @property {EvolutionRecord[]} evolutionHistory - Evolutions so far, oldest first
+ * @property {boolean} evolutionLocked - Whether the owner opted out of level-up evolutions
+ * @property {CreatureStats} [baseStats] - Level 1 stats for creatures whose stats do not come from their barcode (fusions)
+ * @property {FusionRecord} [fusion] - How a fused creature was made; only present on fusions
+ */
+
+/**
+ * @typedef {Object} FusionRecord
+ * @property {{id: string, name: string, barcode: string, level: number}[]} parents - Consumed parents, sorted by barcode
+ * @property {Date} date - When the creatures were fused
+ */
+
+/**
+ * @typedef {Object} CreatureGrowth
+ * @property {string} profile - Growth profile id (see GameConstants.GROWTH_PROFILES)
+ * @property {{hp: number, attack: number, defense: number, speed: number}} rates - Per-stat growth rates
+ */
+
+/**
+ * @typedef {Object} EvolutionRecord
+ * @property {number} fromStage - Stage before evolving
+ * @property {number} toStage - Stage after evolving
+ * @property {string} fromName - Name before evolving
+ * @property {string} toName - Name after evolving
+ * @property {number} level - Level the creature evolved at
+ * @property {'level'|'catalyst'} trigger - What caused the evolution
+ * @property {Date} date - When the creature evolved
+ */
+
+/**
+ * @typedef {Object} MoveEffect
+ * @property {'drain'|'recoil'|'critBoost'} type - Side-effect applied when the move hits
+ * @property {number} amount - Effect strength as a fraction (share of damage drained or taken as recoil, or critical chance bonus)
+ */
+
+/**
+ * @typedef {Object} Move
+ * @property {string} id - Identifier unique within the creature's moveset
+ * @property {string} name - Generated move name
+ * @property {'attack'|'special'|'defend'} kind - How the move is resolved in battle
+ * @property {string|null} element - Element the move is channelled through (null uses the creature's own)
+ * @property {number} power - Damage as a percentage of attack; for defend moves, HP restored as a percentage of max HP
+ * @property {number} accuracy - Chance to hit from 0 to 1
+ * @property {number} cost - Energy points spent per use, each worth GameConstants.ENERGY.costPerPoint energy
+ * @property {MoveEffect|null} effect - Optional side-effect
+ * @property {number} learnLevel - Level at which the creature learns the move
+ */
+
+/**
+ * @typedef {Object} Item
+ * @property {string} id - Unique identifier for this scan
+ * @property {string} type - Item type id (see GameConstants.ITEM_TYPES)
+ * @property {string} name - Item display name
+ * @property {string} barcode - Barcode the item was scanned from
+ * @property {Date} discoveryDate - When the item was scanned
+ */
+
+/**
+ * @typedef {Object} Inventory
+ * @property {Object<string, number>} items - Count held per item type id
+ * @property {string[]} redeemedBarcodes - Item barcodes already scanned (each can be redeemed once)
  */
 
 /**
  * @typedef {Object} BattleAction
- * @property {'attack'|'special'|'defend'} type - Type of action performed
+ * @property {'attack'|'special'|'defend'} type - Kind of move performed
  * @property {number} damage - Damage dealt (0 for non-damaging actions)
  * @property {boolean} critical - Whether this was a critical hit
  * @property {Date} timestamp - When the action was performed
@@ -40,8 +115,14 @@
 /**
  * @typedef {Object} Battle
  * @property {string} id - Unique identifier for the battle
- * @property {Creature} playerCreature - Player's creature in battle
- * @property {Creature} opponentCreature - Opponent's creature in battle
+ * @property {Creature} playerCreature - Player's active creature (the playerTeam entry at playerActive)
+ * @property {Creature} opponentCreature - Opponent's active creature (the opponentTeam entry at opponentActive)
+ * @property {Creature[]} playerTeam - Player's team; 1v1 battles have a team of one
+ * @property {Creature[]} opponentTeam - Opponent's team
+ * @property {number} playerActive - Team index of the player's active creature
+ * @property {number} opponentActive - Team index of the opponent's active creature
+ * @property {{player: number[], opponent: number[]}} participants - Team indexes of creatures that took the field
+ * @property {{creatureId: string, experience: number}[]} [experienceShares] - Experience for each player participant, once the battle ends
  * @property {'player'|'opponent'} currentTurn - Whose turn it is
  * @property {number} turnCount - Current turn number
  * @property {BattleAction[]} battleLog - History of all actions in this battle
@@ -49,6 +130,120 @@
  * @property {string} difficulty - Difficulty level of the battle
  * @property {Date} startTime - When the battle began
  * @property {Date|null} endTime - When the battle ended (null if active)
+ * @property {number|null} seed - Seed of the battle's random stream (null when a custom random function was set)
+ * @property {number} streamOffset - Draws taken from the stream before the battle began (e.g. by opponent generation)
+ * @property {{player: Creature[], opponent: Creature[]}} startingCreatures - Both teams as they entered the battle
+ * @property {BattleInput[]} inputs - Player inputs in the order they were made
+ * @property {{player: ActiveStatus[][], opponent: ActiveStatus[][]}} statuses - Each team member's statuses, by team index
+ * @property {{player: EnergyMeter[], opponent: EnergyMeter[]}} energy - Each team member's energy, by team index
+ * @property {{player: boolean[], opponent: boolean[]}} lastStandUsed - Whether each team member has spent Last Stand since it came in, by team index
+ */
+
+/**
+ * @typedef {Object} EnergyMeter
+ * @property {number} current - Energy left to spend on moves with a cost
+ * @property {number} max - Capacity, set from the creature's stats when the battle starts
+ */
+
+/**
+ * @typedef {Object} ActiveStatus
+ * @property {string} id - Status id (see GameConstants.STATUS_EFFECTS)
+ * @property {number} stacks - Poison stacks or stat stages (1 for other statuses)
+ * @property {number} turnsLeft - Turns of the affected creature until it wears off
+ */
+
+/**
+ * @typedef {Object} BattleInput
+ * @property {number} turn - Turn count when the input was made
+ * @property {'move'|'item'|'switch'} type - Whether a move, an item or a switch was used
+ * @property {string|number} value - Move id (or kind), item type id, or team index switched to
+ */
+
+/**
+ * @typedef {Object} BattleReplay
+ * @property {boolean} matches - Whether the replay reproduced the recorded battle exactly
+ * @property {{field: string, expected: *, actual: *}[]} differences - Fields that came out differently
+ * @property {Battle} battle - Battle state at the end of the replay
+ * @property {string} [error] - Error that stopped the replay early
+ */
+
+/**
+ * BattleEngine event payloads (see BattleEngine.on). Sides are 'player' or 'opponent'
+ * @typedef {Object} BattleStartedEvent
+ * @property {Battle} battle - Battle as it begins
+ */
+
+/**
+ * @typedef {Object} TurnStartedEvent
+ * @property {string} actor - Side taking the turn
+ * @property {number} turn - Turn number
+ */
+
+/**
+ * @typedef {Object} ActionChosenEvent
+ * @property {string} actor - Side taking the turn
+ * @property {number} turn - Turn number
+ * @property {'move'|'item'|'switch'} type - Whether a move, an item or a switch is being used
+ * @property {Move|null} move - Move being used
+ * @property {string|null} itemType - Item type id being used
+ * @property {number|null} switchTo - Team index being switched to
+ */
+
+/**
+ * @typedef {Object} DamageAppliedEvent
+ * @property {string} actor - Side that caused the damage
+ * @property {string} target - Side that took it (the actor itself for recoil and statuses)
+ * @property {number} amount - Damage dealt
+ * @property {number} hp - Target's HP afterwards
+ * @property {number} maxHp - Target's max HP
+ * @property {'move'|'recoil'|'trait'|'status'} source - What dealt the damage
+ * @property {string|null} moveId - Move that hit, for move damage
+ * @property {boolean} critical - Whether the hit was critical
+ * @property {number} effectiveness - Elemental effectiveness multiplier
+ */
+
+/**
+ * @typedef {Object} CriticalEvent
+ * @property {string} actor - Side that landed the critical hit
+ * @property {string} target - Side that was hit
+ * @property {number} damage - Damage dealt, including the critical multiplier
+ * @property {string} moveId - Move that hit
+ */
+
+/**
+ * @typedef {Object} HealedEvent
+ * @property {string} target - Side that was healed
+ * @property {number} amount - HP restored
+ * @property {number} hp - Target's HP afterwards
+ * @property {number} maxHp - Target's max HP
+ * @property {'defend'|'drain'|'item'|'revive'|'trait'} source - What restored it
+ */
+
+/**
+ * @typedef {Object} TurnEndedEvent
+ * @property {string} actor - Side that took the turn
+ * @property {number} turn - Turn number
+ * @property {BattleResult} result - Result of the turn's action
+ * @property {boolean} battleOver - Whether the turn ended the battle (battleEnded follows)
+ */
+
+/**
+ * @typedef {Object} StatusChangedEvent
+ * @property {string} target - Side whose creature the status is on
+ * @property {string} statusId - Status id (see GameConstants.STATUS_EFFECTS)
+ * @property {'applied'|'stacked'|'refreshed'|'reduced'|'blocked'|'damage'|'cured'|'ended'} change - What happened:
+ *           applied, stacked or refreshed by a move, reduced by an opposite stage, held the creature back,
+ *           dealt its turn end damage, cured by defending or hitting a sleeper, or wore off
+ * @property {number} stacks - Stacks afterwards (0 once it is gone)
+ * @property {number} turnsLeft - Turns left afterwards
+ * @property {string} message - Description of the change
+ */
+
+/**
+ * @typedef {Object} BattleEndedEvent
+ * @property {Battle} battle - Finished battle
+ * @property {string} winner - Winning side
+ * @property {number} experienceReward - Experience the player's creature earned
  */
 
 /**
@@ -57,6 +252,7 @@
  * @property {boolean} soundEnabled - Whether sound effects are enabled
  * @property {boolean} highContrastMode - Whether high contrast mode is active
  * @property {boolean} cameraEnabled - Whether camera scanning is enabled
+ * @property {string} languagePack - Language pack id for new creature names, or 'auto' to pick by barcode region
  * @property {string} lastBackupDate - ISO string of last data backup
  */
 
@@ -73,23 +269,70 @@
 
 /**
  * @typedef {Object} BattleResult
- * @property {'hit'|'miss'|'critical'|'blocked'} outcome - Result of the action
+ * @property {string} actor - Side that acted ('player' or 'opponent')
+ * @property {string} actionType - Move kind, 'item', 'switch', or 'status' for a turn lost to a status
+ * @property {string} [moveId] - Move used
+ * @property {string} [moveName] - Display name of the move used
+ * @property {'hit'|'miss'|'critical'|'blocked'} outcome - Result of the action: a move that missed or was
+ *           dodged, or a turn lost to a status, is a miss; a defending target can block a move completely.
+ *           Defending, items and switches always count as hits
  * @property {number} damage - Damage dealt
+ * @property {boolean} critical - Whether the move was a critical hit
+ * @property {boolean} blocked - Whether the target blocked the move
+ * @property {boolean} missed - Whether the move missed
+ * @property {number} effectiveness - Elemental multiplier of the move
  * @property {string} message - Description of what happened
- * @property {boolean} battleEnded - Whether this action ended the battle
- * @property {Creature|null} winner - Winning creature if battle ended
- * @property {number} experienceGained - Experience points awarded
+ * @property {number} attackerHp - Acting creature's HP afterwards
+ * @property {number} defenderHp - Other creature's HP afterwards
+ * @property {Date} timestamp - When the action happened
+ * @property {string} [itemType] - Item used
+ * @property {string} [itemName] - Display name of the item used
+ * @property {number} [healed] - HP restored by a potion
+ * @property {number} [switchTo] - Team index switched to
+ * @property {string} [statusId] - Status that cost the turn
  */
 
 /**
  * @typedef {Object} CreatureGenerationData
  * @property {string} barcode - Source barcode
  * @property {number} seed - Numeric seed derived from barcode
+ * @property {number} generatorVersion - Generator version the data was produced with
  * @property {string} name - Generated creature name
+ * @property {string|null} languagePack - Language pack the name was built from
  * @property {CreatureStats} baseStats - Base statistics before level modifications
  * @property {string[]} nameSyllables - Syllables used to generate the name
  */
 
+/**
+ * @typedef {Object} GenerationReport
+ * @property {string} barcode - Normalized barcode
+ * @property {string} format - Detected barcode format
+ * @property {number} generatorVersion - Generator version the report was produced with
+ * @property {string} description - Generator version description
+ * @property {string|null} itemType - Item type if the barcode scans as an item card instead of a creature
+ * @property {{mode: string, value: number, contributions: Object[]|null}} seed - Seed mode, value and, for the
+ *           weighted sum seed, each character's value and positional weight
+ * @property {{prefix: string|null, origin: string|null, productClass: string}} prefix - Decoded GS1 prefix
+ * @property {{tier: string, score: number, patterns: string[]}} rarity - Rarity classification
+ * @property {{id: string, seed: number|null, bias: Object|null}} species - Species id, seed and stat bias
+ * @property {{source: string, modifiers: Object, steps: Object[], result: CreatureStats}} stats - Per-stat trace:
+ *           digit positions read (or seeded roll), base value, variance roll, pre-/post-clamp value and modifier
+ * @property {Object} name - Name trace from getNameGenerationData (pattern or language pack, syllables, affixes)
+ * @property {string[]} elements - Elements
+ * @property {Move[]} moves - Generated moveset
+ * @property {string[]} traits - Passive trait ids
+ * @property {CreatureGrowth} growth - Growth profile and rates
+ * @property {number[]} evolutionLevels - Level of each evolution stage after the first
+ */
+
+/**
+ * @typedef {Object} BarcodeValidationResult
+ * @property {boolean} valid - Whether the barcode passed validation
+ * @property {string|null} format - Detected or expected symbology (see GameConstants.BARCODE_FORMATS)
+ * @property {string|null} normalized - Barcode with separators removed (null when invalid)
+ * @property {string|null} reason - Human-readable reason the barcode was rejected (null when valid)
+ */
+
 /**
  * Validation functions for data integrity
  */
@@ -100,9 +343,271 @@ const DataValidation = {
      * @returns {boolean} Whether the barcode is valid
      */
     isValidBarcode(barcode) {
+        return this.validateBarcode(barcode).valid;
+    },
+
+    /**
+     * Checks that a stored barcode has a usable shape without verifying check digits,
+     * so creatures saved before check digit validation keep loading
+     * @param {string} barcode - Barcode to check
+     * @returns {boolean} Whether the barcode is well formed
+     */
+    isWellFormedBarcode(barcode) {
         if (typeof barcode !== 'string') return false;
-        if (barcode.length < 8) return false;
-        return /^\d+$/.test(barcode);
+        if (/^\d+$/.test(barcode)) {
+            return barcode.length >= GameConstants.MIN_BARCODE_LENGTH;
+        }
+        // Alphanumeric payloads from Code 128 / Code 39 / Codabar
+        return barcode.length >= GameConstants.MIN_ALPHANUMERIC_BARCODE_LENGTH &&
+               /^[\x20-\x7E]+$/.test(barcode);
+    },
+
+    /**
+     * Checks whether a barcode is a fusion id made by BarcodeProcessor.getFusionBarcode
+     * @param {string} barcode - Barcode to check
+     * @returns {boolean} Whether the barcode is a fusion id
+     */
+    isFusionBarcode(barcode) {
+        return typeof barcode === 'string' && GameConstants.FUSION_BARCODE_PATTERN.test(barcode);
+    },
+
+    /**
+     * Validates the barcode of a saved or imported creature
+     * Stored barcodes only need to be well formed: check digits are verified when a barcode is
+     * scanned or typed in, and creatures saved before that check must keep loading.
+     * Fusion ids cannot be scanned but are valid on fused creatures
+     * @param {Creature} creature - Creature whose barcode to validate
+     * @returns {BarcodeValidationResult} Structured validation result
+     */
+    validateCreatureBarcode(creature) {
+        const formats = GameConstants.BARCODE_FORMATS;
+        const reject = (reason, format = null) => ({ valid: false, format, normalized: null, reason });
+        const barcode = creature && creature.barcode;
+
+        if (this.isFusionBarcode(barcode)) {
+            return creature.fusion
+                ? { valid: true, format: formats.FUSION, normalized: barcode, reason: null }
+                : reject('Fusion ids are only valid on fused creatures', formats.FUSION);
+        }
+        if (!this.isWellFormedBarcode(barcode)) {
+            return reject('Barcode is missing or malformed');
+        }
+
+        const format = /^\d+$/.test(barcode) ? this.detectBarcodeFormat(barcode) : this.detectAlphanumericFormat(barcode);
+        return { valid: true, format, normalized: barcode, reason: null };
+    },
+
+    /**
+     * Validates a barcode and verifies its check digit for known symbologies
+     * @param {string} barcode - Barcode to validate
+     * @param {string|null} expectedFormat - Symbology reported by the scanner, enforced when given
+     * @returns {BarcodeValidationResult} Structured validation result
+     */
+    validateBarcode(barcode, expectedFormat = null) {
+        const formats = GameConstants.BARCODE_FORMATS;
+        const reject = (reason, format = null) => ({ valid: false, format, normalized: null, reason });
+
+        if (typeof barcode !== 'string') {
+            return reject('Barcode must be a string');
+        }
+
+        const trimmed = barcode.trim();
+        if (trimmed.length === 0) {
+            return reject('Barcode is empty');
+        }
+        if (this.isFusionBarcode(trimmed)) {
+            return reject('Fusion ids cannot be scanned', formats.FUSION);
+        }
+
+        // Letters, or a scanner that decoded an alphanumeric symbology, take the alphanumeric path
+        if (GameConstants.ALPHANUMERIC_FORMATS.includes(expectedFormat) || !/^[\d\s-]+$/.test(trimmed)) {
+            return this.validateAlphanumericBarcode(trimmed, expectedFormat);
+        }
+
+        // People type ISBNs with hyphens and scanners sometimes pad with spaces
+        const normalized = trimmed.replace(/[\s-]/g, '');
+
+        if (normalized.length === 0) {
+            return reject('Barcode must contain digits');
+        }
+        if (normalized.length < GameConstants.MIN_BARCODE_LENGTH) {
+            return reject(`Barcode must be at least ${GameConstants.MIN_BARCODE_LENGTH} digits`);
+        }
+        if (normalized.length > GameConstants.MAX_BARCODE_LENGTH) {
+            return reject(`Barcode must be at most ${GameConstants.MAX_BARCODE_LENGTH} digits`);
+        }
+
+        const format = expectedFormat || this.detectBarcodeFormat(normalized);
+        const expectedLength = GameConstants.BARCODE_FORMAT_LENGTHS[format];
+
+        // An eight digit code that is neither EAN-8 nor UPC-E is almost always a misread EAN-8.
+        // Creatures saved before check digits were verified keep theirs (see validateCreatureBarcode)
+        if (format === formats.NUMERIC && normalized.length === 8) {
+            const expected = this.calculateCheckDigit(normalized.slice(0, -1));
+            return reject(`Invalid ${formats.EAN_8} check digit (expected ${expected}, got ${normalized[7]})`, formats.EAN_8);
+        }
+
+        if (expectedLength && normalized.length !== expectedLength) {
+            return reject(`${format} barcodes must be ${expectedLength} digits`, format);
+        }
+
+        if (format === formats.ISBN_13 && !/^97[89]/.test(normalized)) {
+            return reject('ISBN-13 barcodes must start with 978 or 979', format);
+        }
+
+        let checkedDigits = normalized;
+        if (format === formats.UPC_E) {
+            checkedDigits = this.expandUpcE(normalized);
+            if (!checkedDigits) {
+                return reject('UPC-E number system must be 0 or 1', format);
+            }
+        }
+
+        if (format !== formats.NUMERIC) {
+            const expected = this.calculateCheckDigit(checkedDigits.slice(0, -1));
+            const actual = Number(checkedDigits[checkedDigits.length - 1]);
+            if (expected !== actual) {
+                return reject(`Invalid ${format} check digit (expected ${expected}, got ${actual})`, format);
+            }
+        }
+
+        return { valid: true, format, normalized, reason: null };
+    },
+
+    /**
+     * Validates an alphanumeric Code 128, Code 39 or Codabar payload
+     * @param {string} value - Trimmed barcode payload
+     * @param {string|null} expectedFormat - Symbology reported by the scanner, enforced when given
+     * @returns {BarcodeValidationResult} Structured validation result
+     */
+    validateAlphanumericBarcode(value, expectedFormat = null) {
+        const formats = GameConstants.BARCODE_FORMATS;
+        const reject = (reason, format = null) => ({ valid: false, format, normalized: null, reason });
+
+        // Typed codes carry no symbology, so they are uppercased before detection: otherwise the
+        // case someone types in would pick the symbology, and with it a different creature
+        const payload = expectedFormat ? value : value.toUpperCase();
+        const format = expectedFormat || this.detectAlphanumericFormat(payload);
+        if (!format) {
+            return reject('Only printable ASCII characters are allowed');
+        }
+
+        // Code 39 and Codabar are case-insensitive; scanned Code 128 keeps its case
+        const normalized = format === formats.CODE_128 ? payload : payload.toUpperCase();
+
+        if (!GameConstants.ALPHANUMERIC_CHARSETS[format].test(normalized)) {
+            return reject(`Contains characters that are not valid in ${format}`, format);
+        }
+        if (normalized.length < GameConstants.MIN_ALPHANUMERIC_BARCODE_LENGTH) {
+            return reject(`${format} barcodes must be at least ${GameConstants.MIN_ALPHANUMERIC_BARCODE_LENGTH} characters`, format);
+        }
+        if (normalized.length > GameConstants.MAX_ALPHANUMERIC_BARCODE_LENGTH) {
+            return reject(`${format} barcodes must be at most ${GameConstants.MAX_ALPHANUMERIC_BARCODE_LENGTH} characters`, format);
+        }
+
+        return { valid: true, format, normalized, reason: null };
+    },
+
+    /**
+     * Detects the symbology of a typed alphanumeric payload
+     * @param {string} value - Trimmed barcode payload
+     * @returns {string|null} Format from GameConstants.BARCODE_FORMATS or null if unsupported
+     */
+    detectAlphanumericFormat(value) {
+        const formats = GameConstants.BARCODE_FORMATS;
+
+        // Codabar is only recognisable by its A-D start and stop characters
+        if (/^[A-D][0-9\-$:\/.+]+[A-D]$/i.test(value)) {
+            return formats.CODABAR;
+        }
+        if (GameConstants.ALPHANUMERIC_CHARSETS[formats.CODE_39].test(value)) {
+            return formats.CODE_39;
+        }
+        if (GameConstants.ALPHANUMERIC_CHARSETS[formats.CODE_128].test(value)) {
+            return formats.CODE_128;
+        }
+        return null;
+    },
+
+    /**
+     * Detects the most likely symbology for a numeric barcode from its length
+     * @param {string} digits - Numeric barcode without separators
+     * @returns {string} Format name from GameConstants.BARCODE_FORMATS
+     */
+    detectBarcodeFormat(digits) {
+        const formats = GameConstants.BARCODE_FORMATS;
+
+        switch (digits.length) {
+            case 13:
+                return /^97[89]/.test(digits) ? formats.ISBN_13 : formats.EAN_13;
+            case 12:
+                return formats.UPC_A;
+            case 14:
+                return formats.ITF_14;
+            case 8: {
+                // Eight digit codes double as short in-store codes, so only claim
+                // EAN-8 or UPC-E when the check digit actually agrees
+                const data = digits.slice(0, -1);
+                const checkDigit = Number(digits[7]);
+                if (this.calculateCheckDigit(data) === checkDigit) {
+                    return formats.EAN_8;
+                }
+                const expanded = this.expandUpcE(digits);
+                if (expanded && this.calculateCheckDigit(expanded.slice(0, -1)) === checkDigit) {
+                    return formats.UPC_E;
+                }
+                return formats.NUMERIC;
+            }
+            default:
+                return formats.NUMERIC;
+        }
+    },
+
+    /**
+     * Calculates a GS1 mod-10 check digit (EAN, UPC, ITF-14 and ISBN-13)
+     * @param {string} digits - Data digits without the check digit
+     * @returns {number} Check digit 0-9
+     */
+    calculateCheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            // Weights alternate 3,1,3,... starting next to the check digit
+            const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+            sum += Number(digits[i]) * weight;
+        }
+        return (10 - (sum % 10)) % 10;
+    },
+
+    /**
+     * Expands an 8 digit UPC-E code into its 12 digit UPC-A equivalent
+     * @param {string} upcE - UPC-E code including number system and check digit
+     * @returns {string|null} UPC-A digits or null if the number system is not 0 or 1
+     */
+    expandUpcE(upcE) {
+        const numberSystem = upcE[0];
+        if (numberSystem !== '0' && numberSystem !== '1') return null;
+
+        const d = upcE.slice(1, 7);
+        const check = upcE[7];
+        let manufacturerAndProduct;
+
+        switch (d[5]) {
+            case '0':
+            case '1':
+            case '2':
+                manufacturerAndProduct = d[0] + d[1] + d[5] + '0000' + d[2] + d[3] + d[4];
+                break;
+            case '3':
+                manufacturerAndProduct = d[0] + d[1] + d[2] + '00000' + d[3] + d[4];
+                break;
+            case '4':
+                manufacturerAndProduct = d[0] + d[1] + d[2] + d[3] + '00000' + d[4];
+                break;
+            default:
+                manufacturerAndProduct = d[0] + d[1] + d[2] + d[3] + d[4] + '0000' + d[5];
+        }
+
+        return numberSystem + manufacturerAndProduct + check;
     },
 
     /**
@@ -118,7 +623,7 @@ const DataValidation = {
             if (!(field in creature)) return false;
         }
         
-        if (!this.isValidBarcode(creature.barcode)) return false;
+        if (!this.isWellFormedBarcode(creature.barcode)) return false;
         if (typeof creature.level !== 'number' || creature.level < 1) return false;
         if (typeof creature.experience !== 'number' || creature.experience < 0) return false;
         
@@ -171,7 +676,47 @@ const GameConstants = {
     // Creature generation constants
     MIN_BARCODE_LENGTH: 8,
     MAX_BARCODE_LENGTH: 20,
-    
+
+    // Barcode symbologies recognised by DataValidation.validateBarcode; FUSION marks
+    // the synthetic ids of fused creatures, which are never scanned
+    BARCODE_FORMATS: {
+        EAN_13: 'EAN-13',
+        EAN_8: 'EAN-8',
+        UPC_A: 'UPC-A',
+        UPC_E: 'UPC-E',
+        ITF_14: 'ITF-14',
+        ISBN_13: 'ISBN-13',
+        CODE_128: 'Code 128',
+        CODE_39: 'Code 39',
+        CODABAR: 'Codabar',
+        NUMERIC: 'NUMERIC',
+        FUSION: 'Fusion'
+    },
+
+    // Symbologies that can carry letters and punctuation
+    ALPHANUMERIC_FORMATS: ['Code 128', 'Code 39', 'Codabar'],
+
+    // Characters each alphanumeric symbology can encode
+    ALPHANUMERIC_CHARSETS: {
+        'Code 128': /^[\x20-\x7E]+$/,
+        'Code 39': /^[0-9A-Z\-. $\/+%]+$/,
+        'Codabar': /^[A-D]?[0-9\-$:\/.+]+[A-D]?$/
+    },
+
+    // Shipping labels and warehouse tags are shorter or longer than retail codes
+    MIN_ALPHANUMERIC_BARCODE_LENGTH: 6,
+    MAX_ALPHANUMERIC_BARCODE_LENGTH: 48,
+
+    // Fixed lengths for symbologies that carry a check digit
+    BARCODE_FORMAT_LENGTHS: {
+        'EAN-13': 13,
+        'EAN-8': 8,
+        'UPC-A': 12,
+        'UPC-E': 8,
+        'ITF-14': 14,
+        'ISBN-13': 13
+    },
+
     // Base stat ranges
     BASE_HP_MIN: 80,
     BASE_HP_MAX: 120,
@@ -182,16 +727,289 @@ const GameConstants = {
     BASE_SPEED_MIN: 20,
     BASE_SPEED_MAX: 60,
     
+    // Rarity tiers from most to least common; statCeilingBonus raises each stat's
+    // maximum by that fraction of its base range
+    RARITY_TIERS: [
+        { id: 'common', name: 'Common', minScore: 0, statCeilingBonus: 0 },
+        { id: 'uncommon', name: 'Uncommon', minScore: 1, statCeilingBonus: 0.1 },
+        { id: 'rare', name: 'Rare', minScore: 2, statCeilingBonus: 0.2 },
+        { id: 'epic', name: 'Epic', minScore: 3, statCeilingBonus: 0.35 },
+        { id: 'legendary', name: 'Legendary', minScore: 4, statCeilingBonus: 0.5 }
+    ],
+
+    // Rarity score awarded for each barcode pattern
+    RARITY_PATTERN_SCORES: {
+        repdigit: 4,
+        palindrome: 3,
+        fullRun: 3,
+        longRun: 2,
+        run: 1,
+        issnPrefix: 2,
+        inStorePrefix: 1
+    },
+
     // Level progression
     BASE_EXPERIENCE_TO_LEVEL: 100,
     EXPERIENCE_MULTIPLIER: 1.5,
     STAT_GROWTH_PER_LEVEL: 5,
+
+    // Growth curves: each level's gain is the stage's growthPerLevel times the stat's rate and
+    // the profile's timing multiplier (before/from GROWTH_TIMING_LEVEL), divided by
+    // 1 + GROWTH_DIMINISHING_RETURNS per level gained so far. Rates get a seeded
+    // ±GROWTH_RATE_VARIANCE so creatures sharing a profile still differ
+    GROWTH_SEED_OFFSET: 2879,
+    GROWTH_DIMINISHING_RETURNS: 0.02,
+    GROWTH_TIMING_LEVEL: 15,
+    GROWTH_RATE_VARIANCE: 0.1,
+    GROWTH_TIMINGS: {
+        early: [1.5, 0.75],
+        steady: [1, 1],
+        late: [0.6, 1.3]
+    },
+    GROWTH_PROFILES: {
+        balanced: {
+            id: 'balanced', name: 'Balanced', timing: 'steady', weight: 30,
+            rates: { hp: 1, attack: 1, defense: 1, speed: 1 },
+            description: 'Grows evenly in every stat'
+        },
+        earlyBloomer: {
+            id: 'earlyBloomer', name: 'Early Bloomer', timing: 'early', weight: 20,
+            rates: { hp: 1, attack: 1.05, defense: 1, speed: 1.05 },
+            description: 'Grows fast at first, then levels off'
+        },
+        lateBloomer: {
+            id: 'lateBloomer', name: 'Late Bloomer', timing: 'late', weight: 20,
+            rates: { hp: 1.05, attack: 1.05, defense: 1, speed: 1 },
+            description: 'Starts slow but keeps growing later on'
+        },
+        glassCannon: {
+            id: 'glassCannon', name: 'Glass Cannon', timing: 'steady', weight: 15,
+            rates: { hp: 0.7, attack: 1.45, defense: 0.6, speed: 1.25 },
+            description: 'Hits harder and faster with every level, but stays fragile'
+        },
+        tank: {
+            id: 'tank', name: 'Tank', timing: 'steady', weight: 15,
+            rates: { hp: 1.45, attack: 0.75, defense: 1.4, speed: 0.6 },
+            description: 'Gets much tougher with every level, but stays slow'
+        }
+    },
+
+    // Evolution stages, in order. Each later stage is reached at a level within its inclusive
+    // levels range (picked per barcode) or by using an Evolution Catalyst. statMultiplier scales
+    // the barcode's base stats and growthPerLevel replaces STAT_GROWTH_PER_LEVEL
+    EVOLUTION_STAGES: [
+        { stage: 0, name: 'Basic', prefix: '', suffix: '', levels: null, statMultiplier: 1, growthPerLevel: 5 },
+        { stage: 1, name: 'Greater', prefix: 'Greater ', suffix: '', levels: [10, 14], statMultiplier: 1.15, growthPerLevel: 6 },
+        { stage: 2, name: 'Prime', prefix: '', suffix: ' Prime', levels: [25, 32], statMultiplier: 1.35, growthPerLevel: 7 }
+    ],
     
     // Battle constants
     CRITICAL_HIT_CHANCE: 0.1,
     CRITICAL_HIT_MULTIPLIER: 1.5,
     DEFEND_DAMAGE_REDUCTION: 0.5,
     SPECIAL_ATTACK_MULTIPLIER: 1.3,
+    // Every creature starts a battle with a full energy meter of base + (maxHp + speed) / statDivisor.
+    // Moves with a cost spend costPerPoint energy per point; basic attacks and defending win some back
+    ENERGY: {
+        base: 40,
+        statDivisor: 4,
+        costPerPoint: 25,
+        regen: { attack: 10, defend: 20 }
+    },
+    MAX_TEAM_SIZE: 3, // Creatures a side can bring to a battle
+    SWITCH_ACTION_PREFIX: 'switch:', // AI decisions of the form 'switch:<team index>' swap in a teammate
+
+    // Moveset generation; ranges are inclusive [min, max] and power/accuracy are percentages.
+    // Each creature knows an attack, a special and a defend move from level 1 and learns a
+    // stronger attack or special signature move somewhere in SIGNATURE_MOVE_LEVELS
+    MOVESET_SEED_OFFSET: 7919,
+    SIGNATURE_MOVE_LEVELS: [4, 8],
+    MOVE_PROFILES: {
+        attack: {
+            power: [90, 110], signaturePower: [115, 135], accuracy: [90, 100],
+            cost: 0, signatureCost: 1, effectChance: 0.3, effects: ['drain', 'critBoost', 'recoil']
+        },
+        special: {
+            power: [120, 140], signaturePower: [150, 170], accuracy: [75, 90],
+            cost: 1, signatureCost: 2, effectChance: 0.3, effects: ['drain', 'recoil']
+        },
+        defend: {
+            power: [8, 15], accuracy: [100, 100],
+            cost: 0, effectChance: 0, effects: []
+        }
+    },
+    MOVE_EFFECT_AMOUNTS: {
+        drain: [20, 40],
+        recoil: [15, 25],
+        critBoost: [50, 100]
+    },
+
+    // Passive traits; each creature rolls TRAIT_COUNT_CHANCES to pick how many (0, 1 or 2)
+    // and BattleEngine applies them at its hook points. amount is a fraction of max HP for
+    // Regenerate, of damage taken for Thorns, a critical chance bonus for Lucky and an extra
+    // defend stance bonus for Iron Wall
+    TRAIT_SEED_OFFSET: 6151,
+    TRAIT_COUNT_CHANCES: [0.35, 0.45, 0.2],
+    TRAITS: {
+        regenerate: {
+            id: 'regenerate', name: 'Regenerate', icon: '🌱', hook: 'turnStart', amount: 0.05,
+            description: 'Heals 5% of max HP at the start of each of its turns'
+        },
+        thorns: {
+            id: 'thorns', name: 'Thorns', icon: '🌵', hook: 'afterDamage', amount: 0.2,
+            description: 'Reflects 20% of the damage taken from attack moves'
+        },
+        firstStrike: {
+            id: 'firstStrike', name: 'First Strike', icon: '⚡', hook: 'turnOrder', amount: 0,
+            description: 'Goes first when neither creature is clearly faster'
+        },
+        lucky: {
+            id: 'lucky', name: 'Lucky', icon: '🍀', hook: 'beforeDamage', amount: 0.5,
+            description: 'Lands critical hits 50% more often'
+        },
+        ironWall: {
+            id: 'ironWall', name: 'Iron Wall', icon: '🧱', hook: 'defend', amount: 0.5,
+            description: 'Its defensive stance blocks even more damage'
+        },
+        lastStand: {
+            id: 'lastStand', name: 'Last Stand', icon: '🔥', hook: 'ko', amount: 0,
+            description: 'Once each time it takes the field, hangs on with 1 HP instead of fainting'
+        }
+    },
+
+    // Status effects. Ailments hold a creature back; stages raise or lower a stat by amount per stage.
+    // duration counts the affected creature's own turns. stacking is 'intensify' (another dose adds
+    // a stack up to maxStacks and restarts the duration), 'refresh' (restarts the duration), 'none'
+    // (no effect while active) or 'stage' (adds a stage up to maxStacks, cancelling the opposite
+    // stage first). amount is a fraction of max HP lost per stack at turn end for poison and burn
+    STATUS_EFFECTS: {
+        poison: {
+            id: 'poison', name: 'Poison', icon: '☠️', kind: 'ailment', duration: 4, amount: 0.05,
+            stacking: 'intensify', maxStacks: 3, curable: true,
+            applied: 'is poisoned', ended: 'is no longer poisoned',
+            description: 'Loses 5% of max HP per stack at the end of each of its turns'
+        },
+        burn: {
+            id: 'burn', name: 'Burn', icon: '♨️', kind: 'ailment', duration: 3, amount: 0.08,
+            stacking: 'refresh', maxStacks: 1, curable: true,
+            applied: 'is burned', ended: 'is no longer burned',
+            description: 'Loses 8% of max HP at the end of each of its turns'
+        },
+        stun: {
+            id: 'stun', name: 'Stun', icon: '😵', kind: 'ailment', duration: 1, amount: 0,
+            stacking: 'none', maxStacks: 1, skipsTurn: true,
+            applied: 'is stunned', ended: 'is no longer stunned', blocked: 'is stunned and can\'t move!',
+            description: 'Can\'t use a move on its next turn'
+        },
+        sleep: {
+            id: 'sleep', name: 'Sleep', icon: '💤', kind: 'ailment', duration: 2, amount: 0,
+            stacking: 'none', maxStacks: 1, skipsTurn: true, wakesOnHit: true,
+            applied: 'falls asleep', ended: 'wakes up', blocked: 'is fast asleep.',
+            description: 'Can\'t use moves for 2 turns, but wakes up when hit'
+        },
+        attackUp: {
+            id: 'attackUp', name: 'Attack Up', icon: '⚔️▲', kind: 'stage', stat: 'attack', opposite: 'attackDown',
+            duration: 3, amount: 0.25, stacking: 'stage', maxStacks: 2,
+            description: 'Attack +25% per stage'
+        },
+        attackDown: {
+            id: 'attackDown', name: 'Attack Down', icon: '⚔️▼', kind: 'stage', stat: 'attack', opposite: 'attackUp',
+            duration: 3, amount: -0.25, stacking: 'stage', maxStacks: 2,
+            description: 'Attack -25% per stage'
+        },
+        defenseUp: {
+            id: 'defenseUp', name: 'Defense Up', icon: '🛡️▲', kind: 'stage', stat: 'defense', opposite: 'defenseDown',
+            duration: 3, amount: 0.25, stacking: 'stage', maxStacks: 2,
+            description: 'Defense +25% per stage'
+        },
+        defenseDown: {
+            id: 'defenseDown', name: 'Defense Down', icon: '🛡️▼', kind: 'stage', stat: 'defense', opposite: 'defenseUp',
+            duration: 3, amount: -0.25, stacking: 'stage', maxStacks: 2,
+            description: 'Defense -25% per stage'
+        },
+        speedUp: {
+            id: 'speedUp', name: 'Speed Up', icon: '💨▲', kind: 'stage', stat: 'speed', opposite: 'speedDown',
+            duration: 3, amount: 0.25, stacking: 'stage', maxStacks: 2,
+            description: 'Speed +25% per stage'
+        },
+        speedDown: {
+            id: 'speedDown', name: 'Speed Down', icon: '💨▼', kind: 'stage', stat: 'speed', opposite: 'speedUp',
+            duration: 3, amount: -0.25, stacking: 'stage', maxStacks: 2,
+            description: 'Speed -25% per stage'
+        }
+    },
+
+    // Status a move can cause, by the element it is channelled through and its kind, with the
+    // chance per kind. Attacks and specials hit the target once they connect; defend moves raise
+    // the user's own stat. Defending also cures curable ailments
+    MOVE_STATUSES: {
+        fire: { attack: 'defenseDown', special: 'burn', defend: 'attackUp' },
+        water: { attack: 'speedDown', special: 'sleep', defend: 'defenseUp' },
+        nature: { attack: 'attackDown', special: 'poison', defend: 'defenseUp' },
+        electric: { attack: 'speedDown', special: 'stun', defend: 'speedUp' },
+        earth: { attack: 'attackDown', special: 'defenseDown', defend: 'defenseUp' }
+    },
+    MOVE_STATUS_CHANCES: { attack: 0.15, special: 0.3, defend: 0.5 },
+
+    // Item barcodes: coupons are always items, other barcodes are items with ITEM_CHANCE.
+    // weight sets how often each type is picked; amount is a fraction of max HP or the stat,
+    // except for XP candies where it is experience points and catalysts where it is stages
+    ITEM_CHANCE: 0.1,
+    ITEM_TYPES: {
+        potion: {
+            id: 'potion', name: 'Potion', icon: '🧪', effect: 'heal', amount: 0.4,
+            usableInBattle: true, weight: 35, description: 'Restores 40% of max HP'
+        },
+        attackBoost: {
+            id: 'attackBoost', name: 'Power Tonic', icon: '💪', effect: 'boost', stat: 'attack', amount: 0.25,
+            usableInBattle: true, weight: 20, description: 'Raises Attack by 25% for the rest of the battle'
+        },
+        defenseBoost: {
+            id: 'defenseBoost', name: 'Iron Tonic', icon: '🛡️', effect: 'boost', stat: 'defense', amount: 0.25,
+            usableInBattle: true, weight: 20, description: 'Raises Defense by 25% for the rest of the battle'
+        },
+        revive: {
+            id: 'revive', name: 'Revive Charm', icon: '💫', effect: 'revive', amount: 0.5,
+            usableInBattle: true, weight: 10, description: 'If your creature faints this battle, it gets back up with 50% HP'
+        },
+        xpCandy: {
+            id: 'xpCandy', name: 'XP Candy', icon: '🍬', effect: 'experience', amount: 100,
+            usableInBattle: false, weight: 15, description: 'Gives a creature 100 experience points'
+        },
+        catalyst: {
+            id: 'catalyst', name: 'Evolution Catalyst', icon: '🔮', effect: 'evolve', amount: 1,
+            usableInBattle: false, weight: 5, description: 'Evolves a creature to its next stage right away'
+        }
+    },
+
+    // Fusion: fused creatures get a synthetic barcode made from both parents' barcodes.
+    // Each base stat is a blend of the parents' (the first parent's share is picked from
+    // FUSION_BLEND_RANGE) with FUSION_STAT_BONUS on top
+    FUSION_BARCODE_PREFIX: 'FX-',
+    FUSION_BARCODE_PATTERN: /^FX-[0-9A-F]{8}$/,
+    FUSION_BLEND_RANGE: [0.35, 0.65],
+    FUSION_STAT_BONUS: 1.1,
+
+    // Elements, in the order the check digit maps onto them
+    ELEMENTS: ['fire', 'water', 'nature', 'electric', 'earth'],
+
+    ELEMENT_ICONS: {
+        fire: '🔥',
+        water: '💧',
+        nature: '🌿',
+        electric: '⚡',
+        earth: '🪨'
+    },
+
+    // Damage multiplier for attacking element (row) against defending element (column),
+    // pairs that are not listed are neutral (1.0)
+    ELEMENT_EFFECTIVENESS: {
+        fire: { nature: 2, fire: 0.5, water: 0.5, earth: 0.5 },
+        water: { fire: 2, earth: 2, water: 0.5, nature: 0.5 },
+        nature: { water: 2, earth: 2, fire: 0.5, nature: 0.5 },
+        electric: { water: 2, electric: 0.5, nature: 0.5, earth: 0.5 },
+        earth: { fire: 2, electric: 2, nature: 0.5 }
+    },
     
     // Difficulty modifiers
     DIFFICULTY_MODIFIERS: {
@@ -207,6 +1025,7 @@ const GameConstants = {
     // Storage keys
     STORAGE_KEYS: {
         CREATURES: 'barcode_battler_creatures',
+        INVENTORY: 'barcode_battler_inventory',
         SETTINGS: 'barcode_battler_settings',
         BATTLE_HISTORY: 'barcode_battler_battles',
         GAME_DATA: 'barcode_battler_game_data'
@@ -225,6 +1044,29 @@ const GameUtils = {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     },
 
+    /**
+     * Generates a random seed for createSeededRandom
+     * @returns {number} Seed between 1 and 2147483646
+     */
+    generateSeed() {
+        return 1 + Math.floor(Math.random() * 2147483646);
+    },
+
+    /**
+     * Deterministic random number generator (Park-Miller LCG)
+     * @param {number} seed - Seed value for random generation
+     * @returns {Function} Random number generator function returning values in [0, 1)
+     */
+    createSeededRandom(seed) {
+        let current = seed % 2147483647; // Use modulo to keep within 32-bit range
+        if (current <= 0) current += 2147483646;
+
+        return function() {
+            current = (current * 16807) % 2147483647;
+            return (current - 1) / 2147483646;
+        };
+    },
+
     /**
      * Calculates experience needed for next level
      * @param {number} level - Current level
@@ -234,14 +1076,76 @@ const GameUtils = {
         return Math.floor(GameConstants.BASE_EXPERIENCE_TO_LEVEL * Math.pow(GameConstants.EXPERIENCE_MULTIPLIER, level - 1));
     },
 
+    /**
+     * Calculates the stat gained on reaching a level, before rounding
+     * @param {number} level - Level being reached (2 or higher)
+     * @param {number} growthPerLevel - Base gain per level (see GameConstants.EVOLUTION_STAGES)
+     * @param {number} rate - The stat's growth rate (see GameConstants.GROWTH_PROFILES)
+     * @param {string} timing - Growth timing id (see GameConstants.GROWTH_TIMINGS)
+     * @returns {number} Stat gained
+     */
+    calculateStatGainAtLevel(level, growthPerLevel = GameConstants.STAT_GROWTH_PER_LEVEL, rate = 1, timing = 'steady') {
+        const [before, after] = GameConstants.GROWTH_TIMINGS[timing] || GameConstants.GROWTH_TIMINGS.steady;
+        const timingMultiplier = level < GameConstants.GROWTH_TIMING_LEVEL ? before : after;
+        const diminishing = 1 + GameConstants.GROWTH_DIMINISHING_RETURNS * (level - 2);
+
+        return growthPerLevel * rate * timingMultiplier / diminishing;
+    },
+
     /**
      * Calculates stat value at a given level
      * @param {number} baseStat - Base stat value
      * @param {number} level - Current level
+     * @param {number} growthPerLevel - Base gain per level (see GameConstants.EVOLUTION_STAGES)
+     * @param {number} rate - The stat's growth rate (see GameConstants.GROWTH_PROFILES)
+     * @param {string} timing - Growth timing id (see GameConstants.GROWTH_TIMINGS)
      * @returns {number} Stat value at the given level
      */
-    calculateStatAtLevel(baseStat, level) {
-        return baseStat + ((level - 1) * GameConstants.STAT_GROWTH_PER_LEVEL);
+    calculateStatAtLevel(baseStat, level, growthPerLevel = GameConstants.STAT_GROWTH_PER_LEVEL, rate = 1, timing = 'steady') {
+        let growth = 0;
+        for (let reached = 2; reached <= level; reached++) {
+            growth += this.calculateStatGainAtLevel(reached, growthPerLevel, rate, timing);
+        }
+        return baseStat + Math.round(growth);
+    },
+
+    /**
+     * Gets a growth profile definition
+     * @param {string} profileId - Growth profile id
+     * @returns {Object} Profile from GameConstants.GROWTH_PROFILES (balanced for unknown ids)
+     */
+    getGrowthProfile(profileId) {
+        return GameConstants.GROWTH_PROFILES[profileId] || GameConstants.GROWTH_PROFILES.balanced;
+    },
+
+    /**
+     * Gets a creature's growth rate for a stat
+     * @param {CreatureGrowth} growth - Creature growth (missing growth grows as balanced)
+     * @param {string} stat - Stat key; hp and maxHp share the hp rate
+     * @returns {number} Growth rate
+     */
+    getGrowthRate(growth, stat) {
+        const key = stat === 'maxHp' ? 'hp' : stat;
+        const rates = (growth && growth.rates) || this.getGrowthProfile(growth && growth.profile).rates;
+        return rates[key] !== undefined ? rates[key] : 1;
+    },
+
+    /**
+     * Gets an evolution stage definition
+     * @param {number} stage - Stage index (missing values count as the first stage)
+     * @returns {Object} Stage from GameConstants.EVOLUTION_STAGES
+     */
+    getEvolutionStage(stage) {
+        return GameConstants.EVOLUTION_STAGES[stage || 0] || GameConstants.EVOLUTION_STAGES[0];
+    },
+
+    /**
+     * Gets the moves a creature has learned at its current level
+     * @param {Creature} creature - Creature to inspect
+     * @returns {Move[]} Learned moves in moveset order
+     */
+    getLearnedMoves(creature) {
+        return (creature.moves || []).filter(move => move.learnLevel <= creature.level);
     },
 
     /**
@@ -270,6 +1174,15 @@ const GameUtils = {
         }).format(date);
     },
 
+    /**
+     * Escapes text for use in HTML markup and attribute values
+     * @param {any} text - Text to escape (barcodes and anything derived from them can hold any printable character)
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    },
+
     /**
      * Creates a deep copy of an object
      * @param {any} obj - Object to clone
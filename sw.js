@@ -3,16 +3,25 @@
  * Provides offline functionality and caching
  */
 
-const CACHE_NAME = 'barcode-battler-v1.0.0';
+const CACHE_NAME = 'barcode-battler-v1.1.0';
 const urlsToCache = [
     '/',
     '/index.html',
     '/styles/main.css',
     '/js/main.js',
     '/js/types.js',
+    '/js/gs1-prefixes.js',
+    '/js/language-packs.js',
     '/js/barcode-processor.js',
+    '/js/generation-analyzer.js',
+    '/js/lore-templates.js',
+    '/js/lore-generator.js',
+    '/js/batch-generation-service.js',
+    '/js/generation-worker.js',
+    '/js/sprite-generator.js',
     '/js/creature-manager.js',
     '/js/storage-manager.js',
+    '/js/inventory-manager.js',
     '/js/camera-scanner.js',
     '/js/ai-opponent.js',
     '/js/battle-engine.js',